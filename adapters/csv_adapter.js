@@ -0,0 +1,327 @@
+/**
+ * CSV folder adapter.
+ *
+ * Reads meter readings from CSV files with a header row. Columns are located
+ * through the schema mapping (default: meter_id, timestamp, energy_consumed_kwh).
+ * Files named YYYY-MM-DD.csv (the layout produced by the meter exports) are
+ * only opened when their date falls inside the requested range. Fields may be
+ * quoted ("a,b", "say ""hi""") and span lines; records are split the same way
+ * as /api/ingest (createCsvRecordReader), and rows that can't be read
+ * (unterminated quote, wrong field count) are skipped with a warning. Written
+ * readings are appended to the YYYY-MM-DD.csv file of their date (or to
+ * DATA_PATH when it is one file). Without DATA_PATH the working directory is
+ * read, dated files only: it holds other CSVs (weather.example.csv,
+ * rejected-rows reports) that aren't readings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  normalizeTimestamp,
+  listDataFiles,
+  filterReadings,
+  dailyAggregates,
+  intervalAggregates,
+  availableMonths,
+  latestTimestamp,
+  latestMonthRange,
+  appendDataFiles
+} = require('./file_store');
+const { defaultMapping, extractRecord, buildRecord } = require('./schema_mapping');
+
+const DATED_CSV_PATTERN = /^\d{4}-\d{2}-\d{2}\.csv$/;
+// A stray quote would otherwise swallow the rest of the file into one record
+const MAX_RECORD_LINES = 20;
+
+// Files already warned about, by path and modification time
+const warnedFiles = new Set();
+
+/**
+ * Split one CSV record into fields, unquoting quoted fields. Returns null
+ * while a quoted field is still open (the record continues on the next line).
+ */
+function parseCsvLine(text) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return null;
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Split CSV lines into records, shared by readCSVFile and ingest.js. push()
+ * takes one line (without its line break) and returns the records it
+ * completes: { line, text, fields }, line being where the record starts. A
+ * quoted field still open after MAX_RECORD_LINES lines gives { line, text,
+ * error } for its first line, and the lines after it are read again as
+ * records. end() closes the input the same way.
+ */
+function createCsvRecordReader(maxRecordLines = MAX_RECORD_LINES) {
+  let pending = null; // record continuing over lines: { line, lines }
+
+  function add(text, lineNumber, records) {
+    const record = pending ? { line: pending.line, lines: [...pending.lines, text] } : { line: lineNumber, lines: [text] };
+    const joined = record.lines.join('\n');
+    const fields = parseCsvLine(joined);
+
+    pending = fields === null ? record : null;
+    if (fields === null) {
+      if (record.lines.length >= maxRecordLines) abandon(records);
+      return;
+    }
+    records.push({ line: record.line, text: joined, fields });
+  }
+
+  function abandon(records) {
+    const record = pending;
+    pending = null;
+    records.push({ line: record.line, text: record.lines[0], error: 'unterminated quoted field' });
+    for (let i = 1; i < record.lines.length; i++) {
+      add(record.lines[i], record.line + i, records);
+    }
+  }
+
+  return {
+    push(text, lineNumber) {
+      const records = [];
+      add(text, lineNumber, records);
+      return records;
+    },
+    end() {
+      const records = [];
+      while (pending) abandon(records);
+      return records;
+    }
+  };
+}
+
+/**
+ * A record's fields by header column, or { error } when the field count
+ * doesn't match the header.
+ */
+function csvRecordValues(headers, fields) {
+  if (fields.length !== headers.length) {
+    return { error: `expected ${headers.length} fields, found ${fields.length}` };
+  }
+  const values = {};
+  headers.forEach((header, idx) => {
+    values[header] = fields[idx].trim();
+  });
+  return { values };
+}
+
+/**
+ * One CSV field, quoted when it contains a comma, quote or line break.
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text for raw rows, in the column order of an existing header line
+ * (or the mapping's columns, header included, for a new file).
+ */
+function formatCsvRows(rows, mapping, headerLine) {
+  const required = Object.keys(buildRecord(rows[0], mapping));
+  const columns = headerLine ? (parseCsvLine(headerLine) || []).map(h => h.trim()) : required;
+  const missing = required.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s) ${missing.join(', ')}`);
+  }
+
+  const lines = rows.map(row => {
+    const record = buildRecord(row, mapping);
+    return columns.map(column => csvField(record[column])).join(',');
+  });
+  return `${headerLine ? '' : `${columns.join(',')}\n`}${lines.join('\n')}\n`;
+}
+
+/**
+ * Warn once per file version about rows readCSVFile skipped.
+ */
+function warnSkippedRows(filePath, skipped) {
+  const key = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+  if (warnedFiles.has(key)) return;
+  warnedFiles.add(key);
+  const first = skipped[0];
+  console.warn(`⚠️  ${path.basename(filePath)}: skipped ${skipped.length} unreadable row(s) (first: line ${first.line}, ${first.reason})`);
+}
+
+/**
+ * Read a readings CSV file into raw { meter_id, timestamp, value } rows.
+ *
+ * @param {Array} [skipped] - Receives { line, reason } for each row that
+ *   can't be read (also reported once per file version as a warning)
+ */
+function readCSVFile(filePath, mapping = defaultMapping('csv'), skipped = []) {
+  const fileContent = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+  const reader = createCsvRecordReader();
+  const skippedBefore = skipped.length;
+  const data = [];
+  let headers = null;
+
+  const addRecord = record => {
+    if (record.error) {
+      skipped.push({ line: record.line, reason: record.error });
+      return;
+    }
+    if (!record.text.trim()) return;
+
+    if (!headers) {
+      headers = record.fields.map(h => h.trim());
+      const ts = mapping.timestamp;
+      const required = [mapping.meterIdColumn, mapping.valueColumn]
+        .concat(ts.column ? [ts.column] : [ts.dateColumn, ts.timeColumn]);
+      const missing = required.filter(column => !headers.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`${path.basename(filePath)}: missing column(s) ${missing.join(', ')}`);
+      }
+      return;
+    }
+
+    const { values, error } = csvRecordValues(headers, record.fields);
+    if (error) {
+      skipped.push({ line: record.line, reason: error });
+      return;
+    }
+
+    const row = extractRecord(values, mapping);
+    data.push({
+      meter_id: row.meter_id,
+      timestamp: normalizeTimestamp(row.timestamp),
+      value: parseFloat(row.value) || 0
+    });
+  };
+
+  fileContent.split(/\r?\n/).forEach((line, idx) => reader.push(line, idx + 1).forEach(addRecord));
+  reader.end().forEach(addRecord);
+
+  if (skipped.length > skippedBefore) warnSkippedRows(filePath, skipped.slice(skippedBefore));
+  return data;
+}
+
+function createCsvAdapter(options = {}) {
+  const dataPath = path.resolve(options.path || process.env.DATA_PATH || '.');
+  const datedOnly = !options.path && !process.env.DATA_PATH;
+  const mapping = options.mapping || defaultMapping('csv');
+
+  function listCsvFiles(startDate, endDate) {
+    const files = listDataFiles(dataPath, ['.csv'], startDate, endDate);
+    return datedOnly ? files.filter(file => DATED_CSV_PATTERN.test(path.basename(file))) : files;
+  }
+
+  function readRange(startDate, endDate) {
+    return listCsvFiles(startDate, endDate).reduce((rows, file) => rows.concat(readCSVFile(file, mapping)), []);
+  }
+
+  function datedFilesOnly() {
+    if (!fs.statSync(dataPath).isDirectory()) return null;
+    const files = fs.readdirSync(dataPath).filter(file => file.endsWith('.csv') && (!datedOnly || DATED_CSV_PATTERN.test(file)));
+    return files.length > 0 && files.every(file => DATED_CSV_PATTERN.test(file)) ? files.sort() : null;
+  }
+
+  return {
+    name: 'csv',
+    location: dataPath,
+    mapping,
+
+    async testConnection() {
+      listCsvFiles();
+      return true;
+    },
+
+    async fetchReadingsInRange(startDate, endDate, meterId) {
+      return filterReadings(readRange(startDate, endDate), startDate, endDate, meterId);
+    },
+
+    async fetchDailyAggregates(startDate, endDate, meterId) {
+      return dailyAggregates(filterReadings(readRange(startDate, endDate), startDate, endDate, meterId));
+    },
+
+    async fetchIntervalAggregates(startDate, endDate, meterId, minutes) {
+      return intervalAggregates(filterReadings(readRange(startDate, endDate), startDate, endDate, meterId), minutes);
+    },
+
+    async fetchAvailableMonths() {
+      const datedFiles = datedFilesOnly();
+      if (!datedFiles) {
+        return availableMonths(readRange());
+      }
+
+      // Dated exports: count data lines per file instead of parsing every row
+      const months = {};
+      datedFiles.forEach(file => {
+        const key = file.slice(0, 7);
+        const content = fs.readFileSync(path.join(dataPath, file), 'utf-8');
+        const records = content.split('\n').filter(line => line.trim()).length - 1;
+        months[key] = (months[key] || 0) + Math.max(records, 0);
+      });
+
+      return Object.keys(months).sort().reverse().map(key => {
+        const [year, month] = key.split('-').map(Number);
+        return { year, month, records: months[key] };
+      });
+    },
+
+    async fetchLatestTimestamp(startDate, endDate) {
+      const files = listCsvFiles(startDate, endDate);
+      if (!files.every(file => DATED_CSV_PATTERN.test(path.basename(file)))) {
+        return latestTimestamp(filterReadings(readRange(startDate, endDate), startDate, endDate));
+      }
+
+      // Dated exports: the newest file with readings holds the latest one
+      for (const file of [...files].reverse()) {
+        const latest = latestTimestamp(filterReadings(readCSVFile(file, mapping), startDate, endDate));
+        if (latest) return latest;
+      }
+      return null;
+    },
+
+    async fetchLatestMonthRange() {
+      const datedFiles = datedFilesOnly();
+      if (!datedFiles) {
+        return latestMonthRange(readRange());
+      }
+
+      const latest = datedFiles[datedFiles.length - 1];
+      return latestMonthRange(readCSVFile(path.join(dataPath, latest), mapping));
+    },
+
+    async writeReadings(rows) {
+      return appendDataFiles(dataPath, '.csv', rows, (fileRows, headerLine) => formatCsvRows(fileRows, mapping, headerLine));
+    }
+  };
+}
+
+module.exports = {
+  createCsvAdapter,
+  readCSVFile,
+  parseCsvLine,
+  createCsvRecordReader,
+  csvRecordValues,
+  csvField
+};
@@ -0,0 +1,208 @@
+/**
+ * Shared in-memory query helpers for file-based adapters (CSV, JSON-lines).
+ *
+ * File adapters load readings as raw { meter_id, timestamp, value } rows
+ * (see schema_mapping.js) and answer the adapter interface with these
+ * helpers, mirroring the results of the PostgreSQL queries. Writes append
+ * to the files (appendDataFiles).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATED_FILE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})\./;
+
+/**
+ * Normalize a timestamp string to "YYYY-MM-DD HH:MM:SS".
+ * Accepts ISO forms ("2025-01-01T00:05:00Z", "2025-01-01T00:05") and
+ * date + time forms.
+ */
+function normalizeTimestamp(value) {
+  const text = String(value).trim().replace('T', ' ').replace(/(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/, '');
+  const [datePart, timePart = '00:00:00'] = text.split(' ');
+  const [h = '00', m = '00', s = '00'] = timePart.split(':');
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${datePart} ${pad(h)}:${pad(m)}:${pad(s)}`;
+}
+
+/**
+ * List data files in a directory (or the file itself), keeping only files
+ * whose YYYY-MM-DD name prefix falls inside [startDate, endDate).
+ * Files without a date prefix are always kept.
+ */
+function listDataFiles(location, extensions, startDate, endDate) {
+  if (!fs.existsSync(location)) {
+    throw new Error(`Data path not found: ${location}`);
+  }
+
+  if (fs.statSync(location).isFile()) {
+    return [location];
+  }
+
+  return fs.readdirSync(location)
+    .filter(file => extensions.some(ext => file.endsWith(ext)))
+    .filter(file => {
+      const match = file.match(DATED_FILE_PATTERN);
+      if (!match) return true;
+      const fileDate = `${match[1]}-${match[2]}-${match[3]}`;
+      if (startDate && fileDate < startDate) return false;
+      if (endDate && fileDate >= endDate) return false;
+      return true;
+    })
+    .sort()
+    .map(file => path.join(location, file));
+}
+
+/**
+ * Rows in [startDate, endDate) for one meter id or a list of them.
+ */
+function filterReadings(rows, startDate, endDate, meterId) {
+  const meterIds = meterId ? new Set([].concat(meterId)) : null;
+  return rows
+    .filter(row => {
+      const date = row.timestamp.slice(0, 10);
+      if (startDate && date < startDate) return false;
+      if (endDate && date >= endDate) return false;
+      if (meterIds && !meterIds.has(row.meter_id)) return false;
+      return true;
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function dailyAggregates(rows, valueField = 'value') {
+  const aggregates = {};
+
+  rows.forEach(row => {
+    const date = row.timestamp.slice(0, 10);
+    const key = `${row.meter_id}|${date}`;
+    if (!aggregates[key]) {
+      aggregates[key] = { meter_id: row.meter_id, date, total_kwh: 0, record_count: 0 };
+    }
+    aggregates[key].total_kwh += row[valueField];
+    aggregates[key].record_count++;
+  });
+
+  return Object.values(aggregates).sort((a, b) =>
+    a.meter_id.localeCompare(b.meter_id) || a.date.localeCompare(b.date)
+  );
+}
+
+/**
+ * Sums per meter and interval: [{ meter_id, start: 'YYYY-MM-DD HH:MM',
+ * total_kwh, record_count }] (minutes divides an hour).
+ */
+function intervalAggregates(rows, minutes = 60, valueField = 'value') {
+  const aggregates = {};
+
+  rows.forEach(row => {
+    const minute = Math.floor(Number(row.timestamp.slice(14, 16)) / minutes) * minutes;
+    const start = `${row.timestamp.slice(0, 13)}:${String(minute).padStart(2, '0')}`;
+    const key = `${row.meter_id}|${start}`;
+    if (!aggregates[key]) {
+      aggregates[key] = { meter_id: row.meter_id, start, total_kwh: 0, record_count: 0 };
+    }
+    aggregates[key].total_kwh += row[valueField];
+    aggregates[key].record_count++;
+  });
+
+  return Object.values(aggregates).sort((a, b) =>
+    a.meter_id.localeCompare(b.meter_id) || a.start.localeCompare(b.start)
+  );
+}
+
+function availableMonths(rows) {
+  const months = {};
+
+  rows.forEach(row => {
+    const key = row.timestamp.slice(0, 7);
+    months[key] = (months[key] || 0) + 1;
+  });
+
+  return Object.keys(months)
+    .sort()
+    .reverse()
+    .map(key => {
+      const [year, month] = key.split('-').map(Number);
+      return { year, month, records: months[key] };
+    });
+}
+
+/**
+ * First line of a file and whether it ends with a newline, without reading
+ * all of it.
+ */
+function fileEdges(filePath) {
+  const { size } = fs.statSync(filePath);
+  if (size === 0) return { firstLine: null, endsWithNewline: true };
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(Math.min(size, 65536));
+    fs.readSync(fd, head, 0, head.length, 0);
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return {
+      firstLine: head.toString('utf-8').split('\n')[0].replace(/\r$/, ''),
+      endsWithNewline: last[0] === 0x0a
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Append raw rows to a file store: the file itself, or YYYY-MM-DD<extension>
+ * files (by reading date) in a directory, which is created when missing.
+ *
+ * @param {Function} toText - (rows, firstLine) => text to append; firstLine
+ *   is null for a new or empty file (e.g. to write a CSV header)
+ * @returns {number} Rows written
+ */
+function appendDataFiles(location, extension, rows, toText) {
+  const single = fs.existsSync(location) ? fs.statSync(location).isFile() : path.extname(location) !== '';
+  if (!single) fs.mkdirSync(location, { recursive: true });
+
+  const byFile = new Map();
+  rows.forEach(row => {
+    const filePath = single ? location : path.join(location, `${row.timestamp.slice(0, 10)}${extension}`);
+    if (!byFile.has(filePath)) byFile.set(filePath, []);
+    byFile.get(filePath).push(row);
+  });
+
+  byFile.forEach((fileRows, filePath) => {
+    const edges = fs.existsSync(filePath) ? fileEdges(filePath) : { firstLine: null, endsWithNewline: true };
+    fs.appendFileSync(filePath, (edges.endsWithNewline ? '' : '\n') + toText(fileRows, edges.firstLine));
+  });
+  return rows.length;
+}
+
+/**
+ * Latest 'YYYY-MM-DD HH:MM:SS' timestamp of the rows, null without rows.
+ */
+function latestTimestamp(rows) {
+  return rows.reduce((max, row) => (max === null || row.timestamp > max ? row.timestamp : max), null);
+}
+
+function latestMonthRange(rows) {
+  if (rows.length === 0) {
+    throw new Error('No data found in data source');
+  }
+
+  const latest = rows.reduce((max, row) => (row.timestamp > max ? row.timestamp : max), rows[0].timestamp);
+  const [year, month] = latest.slice(0, 7).split('-').map(Number);
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 1));
+  return { start, end, year, month };
+}
+
+module.exports = {
+  normalizeTimestamp,
+  listDataFiles,
+  filterReadings,
+  dailyAggregates,
+  intervalAggregates,
+  availableMonths,
+  latestTimestamp,
+  latestMonthRange,
+  appendDataFiles
+};
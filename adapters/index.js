@@ -0,0 +1,56 @@
+/**
+ * Data-source adapter registry.
+ *
+ * Every adapter implements the same interface:
+ *   testConnection()
+ *   fetchReadingsInRange(startDate, endDate, meterId)
+ *   fetchDailyAggregates(startDate, endDate, meterId)
+ *   fetchIntervalAggregates(startDate, endDate, meterId, minutes)
+ *   fetchAvailableMonths()
+ *   fetchLatestTimestamp(startDate, endDate)
+ *   fetchLatestMonthRange()
+ *   writeReadings(rows)
+ *
+ * Database adapters also implement fetchMeterRegistry(table) for a meter
+ * hierarchy kept in the database (see meter_registry.js).
+ *
+ * Dates are passed as 'YYYY-MM-DD' strings (end exclusive). meterId is
+ * optional: one id or an array of ids (an empty array matches nothing).
+ * Interval aggregates sum raw values per meter and 'YYYY-MM-DD HH:MM' bucket
+ * start (minutes divides an hour), so hourly sums are computed by the
+ * database instead of in Node. fetchLatestTimestamp returns the newest
+ * reading's 'YYYY-MM-DD HH:MM:SS' in the range (null when empty).
+ * writeReadings stores raw { meter_id, timestamp: 'YYYY-MM-DD HH:MM:SS',
+ * value } rows (source unit) in the mapping's columns and returns the
+ * number written (see ingest.js).
+ *
+ * The adapter is chosen with DATA_SOURCE (postgres | csv | jsonl | sqlite);
+ * file adapters read from DATA_PATH.
+ */
+
+const { createPostgresAdapter } = require('./postgres_adapter');
+const { createCsvAdapter } = require('./csv_adapter');
+const { createJsonLinesAdapter } = require('./jsonl_adapter');
+const { createSqliteAdapter } = require('./sqlite_adapter');
+
+const ADAPTERS = {
+  postgres: createPostgresAdapter,
+  csv: createCsvAdapter,
+  jsonl: createJsonLinesAdapter,
+  sqlite: createSqliteAdapter
+};
+
+function createAdapter(type = process.env.DATA_SOURCE || 'postgres', options = {}) {
+  const factory = ADAPTERS[String(type).toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown DATA_SOURCE "${type}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+module.exports = {
+  createAdapter,
+  adapterTypes: Object.keys(ADAPTERS)
+};
@@ -0,0 +1,107 @@
+/**
+ * JSON-lines adapter.
+ *
+ * Reads one JSON object per line from a single .jsonl file or a folder of
+ * .jsonl / .ndjson files. Fields are located through the schema mapping
+ * (default: meter_id, timestamp, energy_consumed_kwh). Written readings are
+ * appended to DATA_PATH when it is one file, otherwise to the YYYY-MM-DD.jsonl
+ * file of their date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  normalizeTimestamp,
+  listDataFiles,
+  filterReadings,
+  dailyAggregates,
+  intervalAggregates,
+  availableMonths,
+  latestTimestamp,
+  latestMonthRange,
+  appendDataFiles
+} = require('./file_store');
+const { defaultMapping, extractRecord, buildRecord } = require('./schema_mapping');
+
+const EXTENSIONS = ['.jsonl', '.ndjson'];
+
+function readJsonLinesFile(filePath, mapping = defaultMapping('jsonl')) {
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+  const data = [];
+
+  lines.forEach((line, idx) => {
+    const text = line.trim();
+    if (!text) return;
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${path.basename(filePath)}:${idx + 1}: invalid JSON (${error.message})`);
+    }
+
+    const row = extractRecord(record, mapping);
+    data.push({
+      meter_id: row.meter_id,
+      timestamp: normalizeTimestamp(row.timestamp),
+      value: Number(row.value) || 0
+    });
+  });
+
+  return data;
+}
+
+function createJsonLinesAdapter(options = {}) {
+  const dataPath = path.resolve(options.path || process.env.DATA_PATH || 'readings.jsonl');
+  const mapping = options.mapping || defaultMapping('jsonl');
+
+  function readRange(startDate, endDate) {
+    const files = listDataFiles(dataPath, EXTENSIONS, startDate, endDate);
+    return files.reduce((rows, file) => rows.concat(readJsonLinesFile(file, mapping)), []);
+  }
+
+  return {
+    name: 'jsonl',
+    location: dataPath,
+    mapping,
+
+    async testConnection() {
+      listDataFiles(dataPath, EXTENSIONS);
+      return true;
+    },
+
+    async fetchReadingsInRange(startDate, endDate, meterId) {
+      return filterReadings(readRange(startDate, endDate), startDate, endDate, meterId);
+    },
+
+    async fetchDailyAggregates(startDate, endDate, meterId) {
+      return dailyAggregates(filterReadings(readRange(startDate, endDate), startDate, endDate, meterId));
+    },
+
+    async fetchIntervalAggregates(startDate, endDate, meterId, minutes) {
+      return intervalAggregates(filterReadings(readRange(startDate, endDate), startDate, endDate, meterId), minutes);
+    },
+
+    async fetchAvailableMonths() {
+      return availableMonths(readRange());
+    },
+
+    async fetchLatestTimestamp(startDate, endDate) {
+      return latestTimestamp(filterReadings(readRange(startDate, endDate), startDate, endDate));
+    },
+
+    async fetchLatestMonthRange() {
+      return latestMonthRange(readRange());
+    },
+
+    async writeReadings(rows) {
+      return appendDataFiles(dataPath, '.jsonl', rows, fileRows =>
+        fileRows.map(row => `${JSON.stringify(buildRecord(row, mapping))}\n`).join(''));
+    }
+  };
+}
+
+module.exports = {
+  createJsonLinesAdapter,
+  readJsonLinesFile
+};
@@ -0,0 +1,260 @@
+/**
+ * PostgreSQL adapter.
+ *
+ * Reads minute readings from a meter table. Column names come from the
+ * schema mapping (default: meter_id, "date" + "time", energy_consumed_kwh).
+ * The connection pool is created on first use so that other adapters can
+ * run without a database server.
+ */
+
+const { defaultMapping, buildRecord } = require('./schema_mapping');
+
+// Rows per INSERT statement when writing readings
+const INSERT_BATCH_SIZE = 500;
+
+function quoteIdent(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function formatTimestamp(value) {
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function getPostgresConfig() {
+  return {
+    host: process.env.PGHOST || '192.168.0.137',
+    port: parseInt(process.env.PGPORT || '5432', 10),
+    database: process.env.PGDATABASE || 'ksr_meter',
+    user: process.env.PGUSER || 'cubeai',
+    password: process.env.PGPASSWORD || '123456'
+  };
+}
+
+function createPostgresAdapter(options = {}) {
+  const dbConfig = options.dbConfig || getPostgresConfig();
+  const tableName = options.table || process.env.PG_TABLE || 'ksr-energy_meter';
+  const tableIdent = quoteIdent(tableName);
+  const mapping = options.mapping || defaultMapping('postgres');
+  const meterCol = quoteIdent(mapping.meterIdColumn);
+  const valueCol = quoteIdent(mapping.valueColumn);
+  const tsExpr = mapping.timestamp.column
+    ? quoteIdent(mapping.timestamp.column)
+    : `${quoteIdent(mapping.timestamp.dateColumn)} + ${quoteIdent(mapping.timestamp.timeColumn)}`;
+  const dateExpr = `DATE(${tsExpr})`;
+  // options.pool: an existing pg Pool (or one with the same query() API)
+  let pool = options.pool || null;
+
+  // Single shared pool, created lazily
+  function getPool() {
+    if (!pool) {
+      const { Pool } = require('pg');
+      pool = new Pool({
+        ...dbConfig,
+        max: 10,
+        idleTimeoutMillis: 30_000
+      });
+    }
+    return pool;
+  }
+
+  return {
+    name: 'postgres',
+    location: `${dbConfig.host}:${dbConfig.port}/${dbConfig.database}`,
+    dbConfig,
+    tableName,
+    mapping,
+    getPool,
+
+    // Basic connectivity probe used at server startup
+    async testConnection() {
+      const client = await getPool().connect();
+      try {
+        await client.query('SELECT 1');
+        return true;
+      } finally {
+        client.release();
+      }
+    },
+
+    async fetchReadingsInRange(startParam, endParam, meterId) {
+      const conditions = [];
+      const params = [];
+
+      if (startParam) {
+        params.push(startParam);
+        conditions.push(`${dateExpr} >= $${params.length}`);
+      }
+
+      if (endParam) {
+        params.push(endParam);
+        conditions.push(`${dateExpr} < $${params.length}`);
+      }
+
+      if (meterId) {
+        const meterIds = [].concat(meterId);
+        if (meterIds.length === 0) return [];
+        conditions.push(`${meterCol} IN (${meterIds.map((id, i) => `$${params.length + i + 1}`).join(', ')})`);
+        params.push(...meterIds);
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const query = `SELECT ${meterCol} AS meter_id, ${tsExpr} AS ts, ${valueCol} AS value FROM ${tableIdent} ${where} ORDER BY ts ASC`;
+      const { rows } = await getPool().query(query, params);
+
+      return rows.map((row) => ({
+        meter_id: String(row.meter_id),
+        timestamp: formatTimestamp(row.ts),
+        value: Number(row.value)
+      }));
+    },
+
+    async fetchDailyAggregates(startParam, endParam, meterId) {
+      const params = [startParam, endParam];
+      const meterIds = meterId ? [].concat(meterId) : null;
+      if (meterIds && meterIds.length === 0) return [];
+      const meterCondition = meterIds
+        ? `AND ${meterCol} IN (${meterIds.map((id, i) => `$${params.length + i + 1}`).join(', ')})`
+        : '';
+
+      const { rows } = await getPool().query(
+        `SELECT ${meterCol} AS meter_id, ${dateExpr} AS date, SUM(${valueCol}) AS total_kwh, COUNT(*) AS record_count
+         FROM ${tableIdent}
+         WHERE (${dateExpr} >= $1 AND ${dateExpr} < $2)
+           ${meterCondition}
+         GROUP BY ${meterCol}, ${dateExpr}
+         ORDER BY ${meterCol}, ${dateExpr} ASC`,
+        [...params, ...(meterIds || [])]
+      );
+
+      return rows.map((row) => ({
+        meter_id: String(row.meter_id),
+        date: row.date.toISOString().slice(0, 10),
+        total_kwh: Number(row.total_kwh),
+        record_count: Number(row.record_count)
+      }));
+    },
+
+    // minutes divides an hour; buckets use the same wall-clock time as formatTimestamp
+    async fetchIntervalAggregates(startParam, endParam, meterId, minutes = 60) {
+      const params = [startParam, endParam];
+      const meterIds = meterId ? [].concat(meterId) : null;
+      if (meterIds && meterIds.length === 0) return [];
+      const meterCondition = meterIds
+        ? `AND ${meterCol} IN (${meterIds.map((id, i) => `$${params.length + i + 1}`).join(', ')})`
+        : '';
+      const slot = Number(minutes) === 60
+        ? "'00'"
+        : `lpad((FLOOR(EXTRACT(MINUTE FROM ${tsExpr}) / ${Number(minutes)}) * ${Number(minutes)})::int::text, 2, '0')`;
+
+      const { rows } = await getPool().query(
+        `SELECT ${meterCol} AS meter_id, to_char(${tsExpr}, 'YYYY-MM-DD HH24:') || ${slot} AS start,
+                SUM(${valueCol}) AS total_kwh, COUNT(*) AS record_count
+         FROM ${tableIdent}
+         WHERE (${dateExpr} >= $1 AND ${dateExpr} < $2)
+           ${meterCondition}
+         GROUP BY 1, 2
+         ORDER BY 1, 2 ASC`,
+        [...params, ...(meterIds || [])]
+      );
+
+      return rows.map((row) => ({
+        meter_id: String(row.meter_id),
+        start: row.start,
+        total_kwh: Number(row.total_kwh),
+        record_count: Number(row.record_count)
+      }));
+    },
+
+    async fetchAvailableMonths() {
+      const { rows } = await getPool().query(
+        `SELECT EXTRACT(YEAR FROM ${dateExpr}) AS year,
+                EXTRACT(MONTH FROM ${dateExpr}) AS month,
+                COUNT(*) AS record_count
+         FROM ${tableIdent}
+         GROUP BY 1, 2
+         ORDER BY year DESC, month DESC`
+      );
+
+      return rows.map((row) => ({
+        year: Number(row.year),
+        month: Number(row.month),
+        records: Number(row.record_count)
+      }));
+    },
+
+    async fetchLatestTimestamp(startParam, endParam) {
+      const { rows } = await getPool().query(
+        `SELECT MAX(${tsExpr}) AS latest FROM ${tableIdent} WHERE ${dateExpr} >= $1 AND ${dateExpr} < $2`,
+        [startParam, endParam]
+      );
+      return rows[0] && rows[0].latest ? formatTimestamp(rows[0].latest) : null;
+    },
+
+    async fetchLatestMonthRange() {
+      const { rows } = await getPool().query(
+        `SELECT MAX(${dateExpr}) AS latest_date FROM ${tableIdent}`
+      );
+
+      if (!rows[0] || !rows[0].latest_date) {
+        throw new Error('No data found in database');
+      }
+
+      const latest = new Date(rows[0].latest_date);
+      const year = latest.getUTCFullYear();
+      const month = latest.getUTCMonth();
+      const start = new Date(Date.UTC(year, month, 1));
+      const end = new Date(Date.UTC(year, month + 1, 1));
+      return { start, end, year, month: month + 1 };
+    },
+
+    async fetchMeterRegistry(table) {
+      const { rows } = await getPool().query(
+        `SELECT id, name, type, parent, meter_id, tags, formula FROM ${quoteIdent(table)}`
+      );
+      return rows;
+    },
+
+    // One transaction, multi-row INSERTs; date/time columns take the text parts
+    async writeReadings(rows) {
+      if (rows.length === 0) return 0;
+      const columns = Object.keys(buildRecord(rows[0], mapping));
+      const client = await getPool().connect();
+
+      try {
+        await client.query('BEGIN');
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+          const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+          const params = [];
+          const values = batch.map(row => {
+            const record = buildRecord(row, mapping);
+            const placeholders = columns.map(column => {
+              params.push(record[column]);
+              return `$${params.length}`;
+            });
+            return `(${placeholders.join(', ')})`;
+          });
+          await client.query(
+            `INSERT INTO ${tableIdent} (${columns.map(quoteIdent).join(', ')}) VALUES ${values.join(', ')}`,
+            params
+          );
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      return rows.length;
+    }
+  };
+}
+
+module.exports = {
+  createPostgresAdapter,
+  getPostgresConfig,
+  quoteIdent,
+  formatTimestamp
+};
@@ -0,0 +1,172 @@
+/**
+ * Delta derivation for cumulative register (odometer) meters.
+ *
+ * Turns monotonically increasing kWh register readings into per-interval
+ * consumption and records every correction made along the way:
+ *
+ * - rollover:       register wrapped past its maximum (registerMax) back to zero
+ * - reset:          register dropped to near zero (meter replaced / reset)
+ * - negative_delta: register went backwards (bad read); interval set to 0 and
+ *                   the higher value kept (at the bad read's time) so the
+ *                   recovery isn't double-counted
+ * - gap_spread:     readings missing between two registers; the consumed energy
+ *                   is spread evenly over the missing intervals (those before
+ *                   the requested range, after a baseline, are left out)
+ *
+ * Register settings live in the schema mapping ("register", overridable per meter):
+ *   { "intervalMinutes": 1, "registerMax": 999999.9, "resetRatio": 0.1, "spreadGaps": true }
+ */
+
+const DEFAULT_REGISTER_SETTINGS = {
+  intervalMinutes: 1,
+  registerMax: null,
+  resetRatio: 0.1,
+  spreadGaps: true,
+  maxSpreadIntervals: 10080
+};
+
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+function timestampToMs(timestamp) {
+  const [datePart, timePart = '00:00:00'] = timestamp.split(' ');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour, minute, second] = timePart.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second || 0);
+}
+
+function msToTimestamp(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+}
+
+/**
+ * Derive interval consumption for ONE meter.
+ *
+ * @param {string} meterId
+ * @param {Array} registers - [{ timestamp, value }] in kWh, sorted by timestamp
+ * @param {Object} settings - Register settings (see DEFAULT_REGISTER_SETTINGS)
+ * @param {Object} [baseline] - Last register reading before the range ({ timestamp, value })
+ * @param {string} [rangeStart] - Range start ('YYYY-MM-DD'); spread readings
+ *   before it belong to the previous range and are dropped
+ * @returns {{ readings: Array, corrections: Array }}
+ */
+function deriveMeterIntervals(meterId, registers, settings = {}, baseline = null, rangeStart = null) {
+  const config = { ...DEFAULT_REGISTER_SETTINGS, ...settings };
+  const intervalMs = config.intervalMinutes * 60 * 1000;
+  const readings = [];
+  const corrections = [];
+  let previous = baseline;
+
+  registers.forEach(current => {
+    if (!previous) {
+      previous = current;
+      return;
+    }
+
+    let delta = current.value - previous.value;
+    let nextBaseline = current;
+
+    if (delta < 0) {
+      // A wrap shows up as a register near its maximum followed by one near zero
+      const wrapped = Number.isFinite(config.registerMax) &&
+        previous.value >= config.registerMax * 0.9 &&
+        current.value <= config.registerMax * 0.1;
+
+      if (wrapped) {
+        delta = config.registerMax - previous.value + current.value;
+        corrections.push({ type: 'rollover', detail: `Register wrapped at ${config.registerMax}` });
+      } else if (current.value <= previous.value * config.resetRatio) {
+        // New register assumed to start from zero
+        delta = current.value;
+        corrections.push({ type: 'reset', detail: 'Register dropped to near zero (meter replaced or reset)' });
+      } else {
+        delta = 0;
+        // Keep the higher value but move on in time: the next interval starts here
+        nextBaseline = { ...previous, timestamp: current.timestamp };
+        corrections.push({ type: 'negative_delta', detail: 'Register went backwards; interval set to 0' });
+      }
+
+      const correction = corrections[corrections.length - 1];
+      Object.assign(correction, {
+        meterId,
+        timestamp: current.timestamp,
+        previousTimestamp: previous.timestamp,
+        previousValue: previous.value,
+        value: current.value,
+        derivedKwh: round4(delta)
+      });
+    }
+
+    const elapsedMs = timestampToMs(current.timestamp) - timestampToMs(previous.timestamp);
+    const intervals = Math.round(elapsedMs / intervalMs);
+
+    if (config.spreadGaps && intervals > 1 && intervals <= config.maxSpreadIntervals && delta > 0) {
+      const share = delta / intervals;
+      const startMs = timestampToMs(previous.timestamp);
+      let outside = 0;
+
+      for (let i = 1; i < intervals; i++) {
+        const timestamp = msToTimestamp(startMs + i * intervalMs);
+        if (rangeStart && timestamp < rangeStart) {
+          outside++;
+          continue;
+        }
+        readings.push({
+          meter_id: meterId,
+          timestamp,
+          energy_consumed_kwh: share,
+          derived: 'gap_spread'
+        });
+      }
+      readings.push({ meter_id: meterId, timestamp: current.timestamp, energy_consumed_kwh: share });
+
+      corrections.push({
+        meterId,
+        type: 'gap_spread',
+        timestamp: current.timestamp,
+        previousTimestamp: previous.timestamp,
+        previousValue: previous.value,
+        value: current.value,
+        derivedKwh: round4(delta - share * outside),
+        detail: `Spread over ${intervals} intervals of ${config.intervalMinutes} min`
+          + (outside > 0 ? ` (${outside} before ${rangeStart} left out)` : '')
+      });
+    } else {
+      readings.push({ meter_id: meterId, timestamp: current.timestamp, energy_consumed_kwh: delta });
+    }
+
+    previous = nextBaseline;
+  });
+
+  return { readings, corrections };
+}
+
+/**
+ * Summarize corrections for an API response (counts by type plus a capped list).
+ */
+function summarizeCorrections(corrections, limit = 50) {
+  if (!corrections || corrections.length === 0) {
+    return { total: 0, byType: {}, items: [] };
+  }
+
+  const byType = {};
+  corrections.forEach(c => {
+    byType[c.type] = (byType[c.type] || 0) + 1;
+  });
+
+  return {
+    total: corrections.length,
+    byType,
+    items: corrections.slice(0, limit),
+    truncated: corrections.length > limit
+  };
+}
+
+module.exports = {
+  DEFAULT_REGISTER_SETTINGS,
+  deriveMeterIntervals,
+  summarizeCorrections
+};
@@ -0,0 +1,230 @@
+/**
+ * Schema mapping for meter tables and files.
+ *
+ * Describes where each field lives in the source and how values are stored,
+ * so the data layer can normalize every source to interval kWh readings:
+ *
+ *   {
+ *     "meterIdColumn": "meter_id",
+ *     "timestamp": { "column": "recorded_at" },            // single timestamp column
+ *              or  { "dateColumn": "date", "timeColumn": "time" },
+ *     "valueColumn": "energy_consumed_kwh",
+ *     "unit": "kWh",                                        // Wh | kWh | MWh
+ *     "cumulative": false,                                  // true for register (odometer) readings
+ *     "register": { "intervalMinutes": 1, "registerMax": 999999.9 },  // source unit; see register_deltas.js
+ *     "meters": { "KSR-9": { "unit": "Wh", "cumulative": true, "register": { "registerMax": 99999 } } }
+ *   }
+ *
+ * Loaded from SCHEMA_CONFIG (JSON file) or the SCHEMA_* environment variables.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { deriveMeterIntervals } = require('./register_deltas');
+
+const UNIT_FACTORS = {
+  wh: 0.001,
+  kwh: 1,
+  mwh: 1000
+};
+
+function parseBoolean(value) {
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Default mapping for an adapter type: the PostgreSQL meter table stores
+ * "date" + "time" columns, file sources a single "timestamp" column.
+ */
+function defaultMapping(adapterType) {
+  return {
+    meterIdColumn: 'meter_id',
+    timestamp: adapterType === 'postgres'
+      ? { dateColumn: 'date', timeColumn: 'time' }
+      : { column: 'timestamp' },
+    valueColumn: 'energy_consumed_kwh',
+    unit: 'kWh',
+    cumulative: false,
+    register: {},
+    meters: {}
+  };
+}
+
+function validateMapping(mapping) {
+  const ts = mapping.timestamp || {};
+  if (!ts.column && !(ts.dateColumn && ts.timeColumn)) {
+    throw new Error('Schema mapping: timestamp needs "column" or "dateColumn" + "timeColumn"');
+  }
+
+  const units = [mapping.unit, ...Object.values(mapping.meters || {}).map(m => m.unit)].filter(Boolean);
+  units.forEach(unit => {
+    if (!UNIT_FACTORS[String(unit).toLowerCase()]) {
+      throw new Error(`Schema mapping: unknown unit "${unit}" (expected Wh, kWh or MWh)`);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Build the schema mapping for an adapter from SCHEMA_CONFIG / SCHEMA_* env.
+ */
+function loadSchemaMapping(adapterType, env = process.env) {
+  let mapping = defaultMapping(adapterType);
+
+  if (env.SCHEMA_CONFIG) {
+    const filePath = path.resolve(env.SCHEMA_CONFIG);
+    const fileMapping = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    mapping = { ...mapping, ...fileMapping, register: fileMapping.register || {}, meters: fileMapping.meters || {} };
+  }
+
+  if (env.SCHEMA_TIMESTAMP_COLUMN) {
+    mapping.timestamp = { column: env.SCHEMA_TIMESTAMP_COLUMN };
+  } else if (env.SCHEMA_DATE_COLUMN && env.SCHEMA_TIME_COLUMN) {
+    mapping.timestamp = { dateColumn: env.SCHEMA_DATE_COLUMN, timeColumn: env.SCHEMA_TIME_COLUMN };
+  }
+  if (env.SCHEMA_METER_COLUMN) mapping.meterIdColumn = env.SCHEMA_METER_COLUMN;
+  if (env.SCHEMA_VALUE_COLUMN) mapping.valueColumn = env.SCHEMA_VALUE_COLUMN;
+  if (env.SCHEMA_UNIT) mapping.unit = env.SCHEMA_UNIT;
+  if (env.SCHEMA_CUMULATIVE) mapping.cumulative = parseBoolean(env.SCHEMA_CUMULATIVE);
+  if (env.SCHEMA_REGISTER_MAX) mapping.register = { ...mapping.register, registerMax: parseFloat(env.SCHEMA_REGISTER_MAX) };
+  if (env.SCHEMA_INTERVAL_MINUTES) mapping.register = { ...mapping.register, intervalMinutes: parseFloat(env.SCHEMA_INTERVAL_MINUTES) };
+
+  return validateMapping(mapping);
+}
+
+/**
+ * Unit, cumulative and register settings for one meter (meter overrides win).
+ */
+function meterSettings(mapping, meterId) {
+  const override = (mapping.meters && mapping.meters[meterId]) || {};
+  const unit = String(override.unit || mapping.unit || 'kWh').toLowerCase();
+  return {
+    factor: UNIT_FACTORS[unit],
+    cumulative: override.cumulative !== undefined ? !!override.cumulative : !!mapping.cumulative,
+    register: { ...(mapping.register || {}), ...(override.register || {}) }
+  };
+}
+
+function hasCumulativeMeters(mapping) {
+  return !!mapping.cumulative || Object.values(mapping.meters || {}).some(m => m.cumulative);
+}
+
+/**
+ * Pull { meter_id, timestamp, value } out of a source record (CSV row,
+ * JSON object) according to the mapping. Timestamps are left unnormalized.
+ */
+function extractRecord(record, mapping) {
+  const ts = mapping.timestamp;
+  const timestamp = ts.column
+    ? record[ts.column]
+    : `${record[ts.dateColumn]} ${record[ts.timeColumn]}`;
+
+  return {
+    meter_id: record[mapping.meterIdColumn] == null ? record[mapping.meterIdColumn] : String(record[mapping.meterIdColumn]),
+    timestamp,
+    value: record[mapping.valueColumn]
+  };
+}
+
+/**
+ * Source record for a raw { meter_id, timestamp: 'YYYY-MM-DD HH:MM:SS', value }
+ * row, laid out by the mapping (the inverse of extractRecord), for writes.
+ */
+function buildRecord(row, mapping) {
+  const ts = mapping.timestamp;
+  const record = { [mapping.meterIdColumn]: row.meter_id };
+  if (ts.column) {
+    record[ts.column] = row.timestamp;
+  } else {
+    record[ts.dateColumn] = row.timestamp.slice(0, 10);
+    record[ts.timeColumn] = row.timestamp.slice(11);
+  }
+  record[mapping.valueColumn] = row.value;
+  return record;
+}
+
+/**
+ * Convert raw { meter_id, timestamp, value } rows into interval kWh readings
+ * { meter_id, timestamp, energy_consumed_kwh } and report register corrections.
+ *
+ * - Values are scaled to kWh using the meter's unit
+ * - Cumulative meters are differenced with rollover/reset/gap handling
+ *   (see register_deltas.js). Without a baseline the first reading of a
+ *   meter only sets the starting register.
+ *
+ * @param {Array} rows - Raw adapter rows
+ * @param {Object} mapping - Schema mapping
+ * @param {Object} [baselines] - Last raw row before the range, keyed by meter_id
+ * @param {string} [rangeStart] - Range start ('YYYY-MM-DD'): gaps spread from
+ *   a baseline only fill intervals from here on
+ * @returns {{ readings: Array, corrections: Array }}
+ */
+function deriveReadings(rows, mapping, baselines = {}, rangeStart = null) {
+  if (!hasCumulativeMeters(mapping)) {
+    const readings = rows.map(row => ({
+      meter_id: row.meter_id,
+      timestamp: row.timestamp,
+      energy_consumed_kwh: (Number(row.value) || 0) * meterSettings(mapping, row.meter_id).factor
+    }));
+    return { readings, corrections: [] };
+  }
+
+  const sorted = [...rows].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const registers = {};
+  let readings = [];
+  let corrections = [];
+
+  sorted.forEach(row => {
+    const { factor, cumulative } = meterSettings(mapping, row.meter_id);
+    const value = (Number(row.value) || 0) * factor;
+
+    if (!cumulative) {
+      readings.push({ meter_id: row.meter_id, timestamp: row.timestamp, energy_consumed_kwh: value });
+      return;
+    }
+
+    if (!registers[row.meter_id]) registers[row.meter_id] = [];
+    registers[row.meter_id].push({ timestamp: row.timestamp, value });
+  });
+
+  Object.entries(registers).forEach(([meterId, meterRegisters]) => {
+    const { factor, register } = meterSettings(mapping, meterId);
+    const base = baselines[meterId];
+    const baseline = base
+      ? { timestamp: base.timestamp, value: (Number(base.value) || 0) * factor }
+      : null;
+    // registerMax is given in the meter's own unit, registers are already kWh
+    const settings = Number.isFinite(register.registerMax)
+      ? { ...register, registerMax: register.registerMax * factor }
+      : register;
+    const derived = deriveMeterIntervals(meterId, meterRegisters, settings, baseline, rangeStart);
+
+    readings = readings.concat(derived.readings);
+    corrections = corrections.concat(derived.corrections);
+  });
+
+  readings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  return { readings, corrections };
+}
+
+/**
+ * Scale SQL daily or interval sums to kWh per meter (non-cumulative meters only).
+ */
+function normalizeDailyAggregates(aggregates, mapping) {
+  return aggregates.map(entry => ({
+    ...entry,
+    total_kwh: entry.total_kwh * meterSettings(mapping, entry.meter_id).factor
+  }));
+}
+
+module.exports = {
+  defaultMapping,
+  loadSchemaMapping,
+  meterSettings,
+  hasCumulativeMeters,
+  extractRecord,
+  buildRecord,
+  deriveReadings,
+  normalizeDailyAggregates
+};
@@ -0,0 +1,243 @@
+/**
+ * SQLite file adapter.
+ *
+ * Reads readings from a SQLite database file using sql.js (pure JavaScript,
+ * no native build). Column names come from the schema mapping; the default
+ * table layout is:
+ *
+ *   CREATE TABLE readings (
+ *     meter_id TEXT NOT NULL,
+ *     timestamp TEXT NOT NULL,          -- 'YYYY-MM-DD HH:MM:SS'
+ *     energy_consumed_kwh REAL NOT NULL
+ *   );
+ *
+ * The file is reloaded whenever it changes on disk. Written readings are
+ * inserted in one transaction and the database file is replaced atomically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultMapping, buildRecord } = require('./schema_mapping');
+const { normalizeTimestamp } = require('./file_store');
+
+function quoteIdent(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function rowsFromResult(result) {
+  if (!result || result.length === 0) return [];
+  const { columns, values } = result[0];
+  return values.map(value => {
+    const row = {};
+    columns.forEach((column, idx) => {
+      row[column] = value[idx];
+    });
+    return row;
+  });
+}
+
+function createSqliteAdapter(options = {}) {
+  const dbPath = path.resolve(options.path || process.env.DATA_PATH || 'readings.sqlite');
+  const tableIdent = quoteIdent(options.table || process.env.SQLITE_TABLE || 'readings');
+  const mapping = options.mapping || defaultMapping('sqlite');
+  const meterCol = quoteIdent(mapping.meterIdColumn);
+  const valueCol = quoteIdent(mapping.valueColumn);
+  const tsExpr = mapping.timestamp.column
+    ? quoteIdent(mapping.timestamp.column)
+    : `(${quoteIdent(mapping.timestamp.dateColumn)} || ' ' || ${quoteIdent(mapping.timestamp.timeColumn)})`;
+  const dateExpr = `substr(${tsExpr}, 1, 10)`;
+  let SQL = null;
+  let loaded = { mtimeMs: null, db: null };
+
+  async function getDatabase() {
+    if (!fs.existsSync(dbPath)) {
+      throw new Error(`SQLite database not found: ${dbPath}`);
+    }
+
+    if (!SQL) {
+      const initSqlJs = require('sql.js');
+      SQL = await initSqlJs();
+    }
+
+    const { mtimeMs } = fs.statSync(dbPath);
+    if (loaded.db && loaded.mtimeMs === mtimeMs) {
+      return loaded.db;
+    }
+
+    if (loaded.db) loaded.db.close();
+    loaded = { mtimeMs, db: new SQL.Database(fs.readFileSync(dbPath)) };
+    return loaded.db;
+  }
+
+  async function query(sql, params = []) {
+    const db = await getDatabase();
+    return rowsFromResult(db.exec(sql, params));
+  }
+
+  return {
+    name: 'sqlite',
+    location: dbPath,
+    mapping,
+
+    async testConnection() {
+      await query(`SELECT COUNT(*) AS n FROM ${tableIdent}`);
+      return true;
+    },
+
+    async fetchReadingsInRange(startDate, endDate, meterId) {
+      const conditions = [];
+      const params = [];
+
+      if (startDate) {
+        params.push(startDate);
+        conditions.push(`${dateExpr} >= ?`);
+      }
+      if (endDate) {
+        params.push(endDate);
+        conditions.push(`${dateExpr} < ?`);
+      }
+      if (meterId) {
+        const meterIds = [].concat(meterId);
+        if (meterIds.length === 0) return [];
+        params.push(...meterIds);
+        conditions.push(`${meterCol} IN (${meterIds.map(() => '?').join(', ')})`);
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await query(
+        `SELECT ${meterCol} AS meter_id, ${tsExpr} AS ts, ${valueCol} AS value FROM ${tableIdent} ${where} ORDER BY ts ASC`,
+        params
+      );
+
+      return rows.map(row => ({
+        meter_id: String(row.meter_id),
+        timestamp: normalizeTimestamp(row.ts),
+        value: Number(row.value)
+      }));
+    },
+
+    async fetchDailyAggregates(startDate, endDate, meterId) {
+      const meterIds = meterId ? [].concat(meterId) : null;
+      if (meterIds && meterIds.length === 0) return [];
+
+      const rows = await query(
+        `SELECT ${meterCol} AS meter_id, ${dateExpr} AS date,
+                SUM(${valueCol}) AS total_kwh, COUNT(*) AS record_count
+         FROM ${tableIdent}
+         WHERE ${dateExpr} >= ? AND ${dateExpr} < ?
+           ${meterIds ? `AND ${meterCol} IN (${meterIds.map(() => '?').join(', ')})` : ''}
+         GROUP BY 1, 2
+         ORDER BY 1, 2 ASC`,
+        [startDate, endDate, ...(meterIds || [])]
+      );
+
+      return rows.map(row => ({
+        meter_id: String(row.meter_id),
+        date: row.date,
+        total_kwh: Number(row.total_kwh),
+        record_count: Number(row.record_count)
+      }));
+    },
+
+    // minutes divides an hour; ISO 'T' separators are normalized after grouping
+    async fetchIntervalAggregates(startDate, endDate, meterId, minutes = 60) {
+      const meterIds = meterId ? [].concat(meterId) : null;
+      if (meterIds && meterIds.length === 0) return [];
+      const slot = `printf('%02d', (CAST(substr(${tsExpr}, 15, 2) AS INTEGER) / ${Number(minutes)}) * ${Number(minutes)})`;
+
+      const rows = await query(
+        `SELECT ${meterCol} AS meter_id, substr(${tsExpr}, 1, 14) || ${slot} AS start,
+                SUM(${valueCol}) AS total_kwh, COUNT(*) AS record_count
+         FROM ${tableIdent}
+         WHERE ${dateExpr} >= ? AND ${dateExpr} < ?
+           ${meterIds ? `AND ${meterCol} IN (${meterIds.map(() => '?').join(', ')})` : ''}
+         GROUP BY 1, 2
+         ORDER BY 1, 2 ASC`,
+        [startDate, endDate, ...(meterIds || [])]
+      );
+
+      return rows.map(row => ({
+        meter_id: String(row.meter_id),
+        start: row.start.replace('T', ' '),
+        total_kwh: Number(row.total_kwh),
+        record_count: Number(row.record_count)
+      }));
+    },
+
+    async fetchAvailableMonths() {
+      const rows = await query(
+        `SELECT CAST(substr(${tsExpr}, 1, 4) AS INTEGER) AS year,
+                CAST(substr(${tsExpr}, 6, 2) AS INTEGER) AS month,
+                COUNT(*) AS record_count
+         FROM ${tableIdent}
+         GROUP BY 1, 2
+         ORDER BY year DESC, month DESC`
+      );
+
+      return rows.map(row => ({
+        year: Number(row.year),
+        month: Number(row.month),
+        records: Number(row.record_count)
+      }));
+    },
+
+    async fetchLatestTimestamp(startDate, endDate) {
+      const rows = await query(
+        `SELECT MAX(${tsExpr}) AS latest FROM ${tableIdent} WHERE ${dateExpr} >= ? AND ${dateExpr} < ?`,
+        [startDate, endDate]
+      );
+      return rows[0] && rows[0].latest ? normalizeTimestamp(rows[0].latest) : null;
+    },
+
+    async fetchLatestMonthRange() {
+      const rows = await query(`SELECT MAX(${tsExpr}) AS latest FROM ${tableIdent}`);
+
+      if (!rows[0] || !rows[0].latest) {
+        throw new Error('No data found in database');
+      }
+
+      const [year, month] = rows[0].latest.slice(0, 7).split('-').map(Number);
+      const start = new Date(Date.UTC(year, month - 1, 1));
+      const end = new Date(Date.UTC(year, month, 1));
+      return { start, end, year, month };
+    },
+
+    async fetchMeterRegistry(table) {
+      return query(`SELECT id, name, type, parent, meter_id, tags, formula FROM ${quoteIdent(table)}`);
+    },
+
+    async writeReadings(rows) {
+      if (rows.length === 0) return 0;
+      const db = await getDatabase();
+      const columns = Object.keys(buildRecord(rows[0], mapping));
+      const insert = db.prepare(
+        `INSERT INTO ${tableIdent} (${columns.map(quoteIdent).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+      );
+
+      db.run('BEGIN');
+      try {
+        rows.forEach(row => {
+          const record = buildRecord(row, mapping);
+          insert.run(columns.map(column => record[column]));
+        });
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        throw error;
+      } finally {
+        insert.free();
+      }
+
+      // Write then rename so readers never see a half-written file
+      const tempPath = `${dbPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, Buffer.from(db.export()));
+      fs.renameSync(tempPath, dbPath);
+      loaded.mtimeMs = fs.statSync(dbPath).mtimeMs;
+      return rows.length;
+    }
+  };
+}
+
+module.exports = {
+  createSqliteAdapter
+};
@@ -1,241 +1,382 @@
 /**
- * DATA AGGREGATION SCRIPT
- * 
- * Pre-processes raw CSV files into monthly summary files
- * Run this once per month to create aggregated data
- * 
- * Benefits:
- * - Reduces 89,000+ records to ~100-1000 aggregated records
- * - 50-100x faster forecast calculations
- * - Only needs to run once when new month's data is complete
+ * DATA AGGREGATION
+ *
+ * Sums the configured data source (DATA_SOURCE: postgres, csv, jsonl or
+ * sqlite) into monthly aggregated_YYYY_MM.json files of kWh per meter and
+ * day, which forecasts read instead of the readings (see forecast_engine.js):
+ *
+ * - Incremental: a run compares the source's per-day sums and counts for the
+ *   month (summed in SQL for database sources) with the file; only days that
+ *   differ are replaced and listed in metadata.changed_days, backfills and
+ *   corrections before the watermark included. Last readings are re-read
+ *   for meters with a changed day only; --full re-reads them all
+ * - metadata records a checksum of the aggregates, the last reading
+ *   timestamp per meter and overall, and a watermark (the earliest of the
+ *   meters' last reading timestamps)
+ * - isAggregateStale() tells the forecast loader when a file can't be
+ *   trusted: written while its month was still open and older than
+ *   AGGREGATE_REFRESH_SECONDS (default 300), or not matching its checksum;
+ *   compareWithSource() when the source's latest reading for the month is
+ *   not the file's last_reading_at (readings added or replaced since) or
+ *   its per-day sums and counts differ from the file's
+ *
+ * Usage:
+ *   node aggregate_data.js [year month] [--full]
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const {
+  fetchDailyAggregates,
+  fetchReadingsInRange,
+  fetchAvailableMonths,
+  fetchLatestReadingTime,
+  getMonthRange,
+  getDataSource
+} = require('./data_source');
+
+const DEFAULT_REFRESH_SECONDS = 300;
+
+// One aggregation per month at a time; later callers wait for it
+const aggregating = new Map();
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function monthKey(year, month) {
+  return `${year}-${pad(month)}`;
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+function resolveRefreshMs(value = process.env.AGGREGATE_REFRESH_SECONDS) {
+  if (value === undefined || value === '') return DEFAULT_REFRESH_SECONDS * 1000;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid AGGREGATE_REFRESH_SECONDS "${value}" (expected seconds >= 0)`);
+  }
+  return seconds * 1000;
+}
+
+// ============================================
+// FILES
+// ============================================
+
+function aggregatedPath(year, month, dir = __dirname) {
+  return path.join(dir, `aggregated_${year}_${pad(month)}.json`);
+}
+
+function readAggregatedMonth(year, month, dir = __dirname) {
+  const filePath = aggregatedPath(year, month, dir);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Save aggregated data (write then rename, so readers never see half a file)
+ */
+function saveAggregatedData(data, dir = __dirname) {
+  const filePath = aggregatedPath(data.year, data.month, dir);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+  return path.basename(filePath);
+}
+
+// ============================================
+// CHANGE DETECTION
+// ============================================
+
+function sortAggregates(aggregates) {
+  return [...aggregates].sort((a, b) => a.date.localeCompare(b.date) || a.meter_id.localeCompare(b.meter_id));
+}
+
+function entryLine(entry) {
+  return `${entry.meter_id}|${entry.date}|${entry.total_kwh}|${entry.record_count}`;
+}
 
 /**
- * Get all CSV files for a specific month
+ * SHA-256 over the sorted aggregates (meter, date, kWh, count).
  */
-function getCSVFilesForMonth(year, month) {
-  const monthStr = String(month).padStart(2, '0');
-  const pattern = `${year}-${monthStr}`;
-  
-  const files = fs.readdirSync(__dirname);
-  return files.filter(file => 
-    file.endsWith('.csv') && 
-    file.startsWith(pattern)
-  ).sort();
+function aggregateChecksum(aggregates) {
+  const hash = crypto.createHash('sha256');
+  sortAggregates(aggregates).forEach(entry => hash.update(`${entryLine(entry)}\n`));
+  return hash.digest('hex');
 }
 
 /**
- * Read CSV file
+ * Days whose entries differ between two sets of aggregates (added,
+ * removed or changed sums/counts), sorted.
  */
-function readCSVOptimized(filePath) {
-  const fileContent = fs.readFileSync(filePath, 'utf-8');
-  const lines = fileContent.split('\n');
-  
-  if (lines.length < 2) return [];
-  
-  const headers = lines[0].split(',').map(h => h.trim());
-  const meterIdIdx = headers.indexOf('meter_id');
-  const timestampIdx = headers.indexOf('timestamp');
-  const energyIdx = headers.indexOf('energy_consumed_kwh');
-  
-  const data = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    
-    const values = line.split(',');
-    if (values.length <= Math.max(meterIdIdx, timestampIdx, energyIdx)) continue;
-    
-    data.push({
-      meter_id: values[meterIdIdx].trim(),
-      timestamp: values[timestampIdx].trim(),
-      energy: parseFloat(values[energyIdx]) || 0
+function changedDays(previous, current) {
+  const signatures = aggregates => {
+    const byDate = {};
+    sortAggregates(aggregates).forEach(entry => {
+      byDate[entry.date] = (byDate[entry.date] || '') + `${entryLine(entry)}\n`;
     });
-  }
-  
-  return data;
+    return byDate;
+  };
+  const before = signatures(previous);
+  const after = signatures(current);
+
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(date => before[date] !== after[date])
+    .sort();
 }
 
 /**
- * Aggregate data by meter and date
+ * Last reading timestamp per meter, reading only each meter's last day.
  */
-function aggregateMonthData(year, month) {
-  console.log(`Aggregating data for ${year}-${String(month).padStart(2, '0')}...`);
+async function lastReadings(aggregates) {
+  const lastDate = {};
+  aggregates.forEach(entry => {
+    if (!lastDate[entry.meter_id] || entry.date > lastDate[entry.meter_id]) lastDate[entry.meter_id] = entry.date;
+  });
+
+  const metersByDate = {};
+  Object.entries(lastDate).forEach(([meterId, date]) => {
+    (metersByDate[date] = metersByDate[date] || []).push(meterId);
+  });
+
+  const latest = {};
+  for (const [date, meterIds] of Object.entries(metersByDate)) {
+    const readings = await fetchReadingsInRange(date, nextDay(date), meterIds);
+    readings.forEach(row => {
+      if (!latest[row.meter_id] || row.timestamp > latest[row.meter_id]) latest[row.meter_id] = row.timestamp;
+    });
+  }
+  return latest;
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+async function buildMonth(year, month, options) {
   const startTime = Date.now();
-  
-  const files = getCSVFilesForMonth(year, month);
-  
-  if (files.length === 0) {
-    throw new Error(`No CSV files found for ${year}-${month}`);
+  const dir = options.dir || __dirname;
+  const { start, end } = getMonthRange(year, month);
+  const existing = readAggregatedMonth(year, month, dir);
+  const previous = existing ? existing.aggregates : [];
+  const metadata = (existing && existing.metadata) || {};
+
+  // Every day of the month: a backfill can land before the watermark
+  const aggregates = sortAggregates(await fetchDailyAggregates(start, end));
+  if (aggregates.length === 0) {
+    throw new Error(`No readings found for ${monthKey(year, month)}`);
   }
-  
-  console.log(`Found ${files.length} files`);
-  
-  const aggregates = {};
-  let totalRecords = 0;
-  
-  files.forEach((file, idx) => {
-    console.log(`Processing ${file} (${idx + 1}/${files.length})...`);
-    const filePath = path.join(__dirname, file);
-    const data = readCSVOptimized(filePath);
-    
-    totalRecords += data.length;
-    
-    data.forEach(row => {
-      const date = row.timestamp.split(' ')[0];
-      const meterId = row.meter_id;
-      
-      const key = `${meterId}|${date}`;
-      
-      if (!aggregates[key]) {
-        aggregates[key] = {
-          meter_id: meterId,
-          date: date,
-          total_kwh: 0,
-          record_count: 0
-        };
-      }
-      
-      aggregates[key].total_kwh += row.energy;
-      aggregates[key].record_count++;
-    });
-  });
-  
-  const processingTime = Date.now() - startTime;
-  
-  console.log(`\nAggregation complete:`);
-  console.log(`- Processed ${totalRecords} records`);
-  console.log(`- Created ${Object.keys(aggregates).length} aggregated entries`);
-  console.log(`- Reduction: ${((1 - Object.keys(aggregates).length / totalRecords) * 100).toFixed(1)}%`);
-  console.log(`- Processing time: ${processingTime}ms`);
-  
-  return {
-    year: year,
-    month: month,
-    aggregates: Object.values(aggregates),
+
+  const changed = changedDays(previous, aggregates);
+  const from = changed[0] || null;
+  const touched = new Set(aggregates.filter(entry => changed.includes(entry.date)).map(entry => entry.meter_id));
+  const reread = options.full ? aggregates : aggregates.filter(entry => touched.has(entry.meter_id));
+  const lastReadingsByMeter = { ...(metadata.last_readings || {}), ...await lastReadings(reread) };
+  const timestamps = Object.values(lastReadingsByMeter).sort();
+  const now = new Date().toISOString();
+
+  const data = {
+    year,
+    month,
+    aggregates,
     metadata: {
-      total_records_processed: totalRecords,
-      aggregated_entries: Object.keys(aggregates).length,
-      files_processed: files.length,
-      processing_time_ms: processingTime,
-      created_at: new Date().toISOString()
+      source: getDataSource().name,
+      total_records_processed: aggregates.reduce((sum, entry) => sum + (entry.record_count || 0), 0),
+      aggregated_entries: aggregates.length,
+      checksum: aggregateChecksum(aggregates),
+      watermark: timestamps[0] || null,
+      last_reading_at: timestamps[timestamps.length - 1] || null,
+      last_readings: lastReadingsByMeter,
+      refreshed_from: from,
+      changed_days: changed,
+      processing_time_ms: Date.now() - startTime,
+      created_at: metadata.created_at || now,
+      updated_at: now
+    }
+  };
+  saveAggregatedData(data, dir);
+
+  return {
+    data,
+    summary: {
+      year,
+      month,
+      from,
+      entries: aggregates.length,
+      changedDays: changed,
+      watermark: data.metadata.watermark,
+      processingTimeMs: data.metadata.processing_time_ms
     }
   };
 }
 
 /**
- * Save aggregated data
+ * Aggregate one month into its file, replacing the days that changed.
+ *
+ * @param {Object} [options] - { full } re-reads every meter's last reading;
+ *   { dir } where the files live (default: next to this script)
+ * @returns {Object} { data, summary: { year, month, from, entries, changedDays, watermark, processingTimeMs } }
  */
-function saveAggregatedData(data) {
-  const filename = `aggregated_${data.year}_${String(data.month).padStart(2, '0')}.json`;
-  const filePath = path.join(__dirname, filename);
-  
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-  console.log(`\nSaved to: ${filename}`);
-  
-  return filename;
+async function aggregateMonthData(year, month, options = {}) {
+  const key = `${options.dir || __dirname}|${monthKey(year, month)}`;
+  if (aggregating.has(key)) await aggregating.get(key).catch(() => {});
+
+  const pending = buildMonth(year, month, options);
+  aggregating.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    if (aggregating.get(key) === pending) aggregating.delete(key);
+  }
 }
 
 /**
- * Aggregate all available months
+ * Aggregate every month the data source has.
  */
-function aggregateAllMonths() {
-  const files = fs.readdirSync(__dirname);
-  const csvFiles = files.filter(file => 
-    file.endsWith('.csv') && 
-    file.match(/^\d{4}-\d{2}-\d{2}\.csv$/)
-  );
-  
-  if (csvFiles.length === 0) {
-    throw new Error('No CSV files found');
+async function aggregateAllMonths(options = {}) {
+  const months = await fetchAvailableMonths();
+  if (months.length === 0) {
+    throw new Error('No readings found in the data source');
   }
-  
-  // Extract unique year-month combinations
-  const months = new Set();
-  csvFiles.forEach(file => {
-    const [year, month] = file.split('-').slice(0, 2);
-    months.add(`${year}-${month}`);
-  });
-  
-  console.log(`Found data for ${months.size} month(s)\n`);
-  
+
   const results = [];
-  
-  Array.from(months).sort().forEach(monthKey => {
-    const [year, month] = monthKey.split('-').map(Number);
-    
+  for (const { year, month } of months) {
     try {
-      const aggregated = aggregateMonthData(year, month);
-      const filename = saveAggregatedData(aggregated);
-      results.push({ monthKey, filename, success: true });
-      console.log('─'.repeat(50));
+      const { summary } = await aggregateMonthData(year, month, options);
+      results.push({ monthKey: monthKey(year, month), success: true, ...summary });
     } catch (error) {
-      console.error(`Error processing ${monthKey}:`, error.message);
-      results.push({ monthKey, success: false, error: error.message });
+      results.push({ monthKey: monthKey(year, month), success: false, error: error.message });
     }
-  });
-  
+  }
   return results;
 }
 
 // ============================================
-// CLI EXECUTION
+// STALENESS
 // ============================================
 
-if (require.main === module) {
-  console.log('========================================');
-  console.log('DATA AGGREGATION TOOL');
-  console.log('========================================\n');
-  
-  const args = process.argv.slice(2);
-  
-  if (args.length === 2) {
-    // Aggregate specific month
-    const year = parseInt(args[0]);
-    const month = parseInt(args[1]);
-    
-    if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
-      console.error('Usage: node aggregate_data.js [year month] or no args for all months');
-      console.error('Example: node aggregate_data.js 2025 1');
-      process.exit(1);
-    }
-    
-    try {
-      const data = aggregateMonthData(year, month);
-      saveAggregatedData(data);
-    } catch (error) {
-      console.error('ERROR:', error.message);
-      process.exit(1);
-    }
-  } else {
-    // Aggregate all months
-    try {
-      const results = aggregateAllMonths();
-      
-      console.log('\n========================================');
-      console.log('AGGREGATION SUMMARY');
-      console.log('========================================');
-      
-      const successful = results.filter(r => r.success).length;
-      console.log(`Total: ${results.length} month(s)`);
-      console.log(`Success: ${successful}`);
-      console.log(`Failed: ${results.length - successful}`);
-      
-      console.log('\n✓ Aggregated files ready for fast forecasting!');
-      
-    } catch (error) {
-      console.error('ERROR:', error.message);
-      process.exit(1);
+/**
+ * Whether an aggregated file needs a refresh before it is used.
+ *
+ * @returns {string|null} Why it is stale ('checksum', 'open_month',
+ *   'no_timestamp'), null when it can be used as is
+ */
+function isAggregateStale(data, now = new Date()) {
+  const metadata = data.metadata || {};
+  if (metadata.checksum && metadata.checksum !== aggregateChecksum(data.aggregates || [])) return 'checksum';
+
+  const writtenAt = metadata.updated_at || metadata.created_at;
+  if (!writtenAt) return 'no_timestamp';
+
+  // Written after its month ended: final
+  const { end } = getMonthRange(data.year, data.month);
+  if (writtenAt.slice(0, 10) >= end) return null;
+
+  return now.getTime() - Date.parse(writtenAt) >= resolveRefreshMs() ? 'open_month' : null;
+}
+
+/**
+ * Whether the data source moved on since the file was written: its latest
+ * reading for the month differs from the file's last_reading_at, or a day's
+ * sum or count does (backfills before the last reading). A month the source
+ * no longer has is left to the file.
+ *
+ * @returns {Promise<string|null>} 'source_newer' (readings added after the
+ *   file's last one), 'source_changed' (anything else, e.g. a file without
+ *   last_reading_at, a source whose latest reading is older or a changed
+ *   day), null when they match or the source can't be read
+ */
+async function compareWithSource(data) {
+  const metadata = data.metadata || {};
+  const { start, end } = getMonthRange(data.year, data.month);
+
+  try {
+    const latest = await fetchLatestReadingTime(start, end);
+    if (!latest) return null;
+    if (latest !== metadata.last_reading_at) {
+      return metadata.last_reading_at && latest > metadata.last_reading_at ? 'source_newer' : 'source_changed';
     }
+
+    const changed = changedDays(data.aggregates || [], await fetchDailyAggregates(start, end));
+    return changed.length > 0 ? 'source_changed' : null;
+  } catch (error) {
+    console.warn(`⚠️  Could not check aggregated_${data.year}_${pad(data.month)}.json against the data source: ${error.message}`);
+    return null;
   }
 }
 
+// ============================================
+// CLI EXECUTION
+// ============================================
+
+function printSummary(summary) {
+  const days = summary.changedDays;
+  const changed = days.length === 0 ? 'none'
+    : days.length <= 5 ? days.join(', ')
+      : `${days.length} (${days[0]} … ${days[days.length - 1]})`;
+  console.log(`${monthKey(summary.year, summary.month)}: ${summary.entries} entries, changed days: ${changed}, watermark ${summary.watermark || '-'} (${summary.processingTimeMs}ms)`);
+}
+
 module.exports = {
   aggregateMonthData,
   aggregateAllMonths,
-  saveAggregatedData
+  saveAggregatedData,
+  readAggregatedMonth,
+  aggregateChecksum,
+  isAggregateStale,
+  compareWithSource
 };
+
+if (require.main === module) {
+  console.log('========================================');
+  console.log('DATA AGGREGATION TOOL');
+  console.log('========================================\n');
+
+  const full = process.argv.includes('--full');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+  (async () => {
+    console.log(`Data source: ${getDataSource().name} (${getDataSource().location})${full ? ', full re-read' : ''}\n`);
+
+    if (args.length === 2) {
+      // Aggregate specific month
+      const year = parseInt(args[0], 10);
+      const month = parseInt(args[1], 10);
+
+      if (isNaN(year) || isNaN(month) || month < 1 || month > 12) {
+        console.error('Usage: node aggregate_data.js [year month] [--full] or no year/month for all months');
+        console.error('Example: node aggregate_data.js 2025 1');
+        process.exit(1);
+      }
+
+      printSummary((await aggregateMonthData(year, month, { full })).summary);
+      return;
+    }
+
+    // Aggregate all months
+    const results = await aggregateAllMonths({ full });
+    results.forEach(result => {
+      if (result.success) {
+        printSummary(result);
+      } else {
+        console.error(`Error processing ${result.monthKey}: ${result.error}`);
+      }
+    });
+
+    const successful = results.filter(r => r.success).length;
+    console.log('\n========================================');
+    console.log('AGGREGATION SUMMARY');
+    console.log('========================================');
+    console.log(`Total: ${results.length} month(s)`);
+    console.log(`Success: ${successful}`);
+    console.log(`Failed: ${results.length - successful}`);
+  })().catch(error => {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,228 @@
+/**
+ * ANOMALY DETECTION
+ *
+ * Scores each hour and day against what the meter usually does then:
+ *
+ * 1. Baseline - the same hour (or day) on the same weekday over the previous
+ *    4 weeks; the same hour over the previous 7 days when fewer than 2 of
+ *    those exist
+ * 2. Score - robust z-score: (actual - median) / (1.4826 * MAD), with the
+ *    spread floored at 10% of the median so flat baselines don't flag noise
+ * 3. Events - consecutive anomalous hours (or days) in the same direction
+ *    merge into one event with duration, magnitude and excess kWh
+ *
+ * Incomplete hours and days are skipped (a drop-out is a data-quality issue,
+ * see data_quality.js). Threshold from the request or ANOMALY_THRESHOLD
+ * (default 3.5).
+ */
+
+const DEFAULT_THRESHOLD = 3.5;
+const BASELINE_WEEKS = 4;
+const RECENT_DAYS = 7;
+const MIN_BASELINE_SAMPLES = 2;
+const MIN_RELATIVE_SPREAD = 0.1;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function hourKey(ms) {
+  const d = new Date(ms);
+  return `${d.toISOString().slice(0, 10)} ${String(d.getUTCHours()).padStart(2, '0')}:00`;
+}
+
+function keyToMs(key) {
+  const [date, time] = key.split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, time ? parseInt(time, 10) : 0);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Score threshold from the request, ANOMALY_THRESHOLD or the default (3.5).
+ */
+function resolveAnomalyThreshold(value = process.env.ANOMALY_THRESHOLD) {
+  if (value === undefined || value === null || value === '') return DEFAULT_THRESHOLD;
+
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    throw new Error(`Invalid anomaly threshold "${value}" (expected a positive number)`);
+  }
+  return threshold;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Baseline samples for a bucket: same weekday first, recent days otherwise.
+ *
+ * @param {Object} values - key => kWh for every bucket of the meter
+ * @param {number} ms - Bucket start (UTC ms)
+ * @param {Function} toKey - ms => key
+ */
+function baselineSamples(values, ms, toKey) {
+  const sameWeekday = [];
+  for (let week = 1; week <= BASELINE_WEEKS; week++) {
+    const kwh = values[toKey(ms - week * 7 * DAY_MS)];
+    if (kwh !== undefined) sameWeekday.push(kwh);
+  }
+  if (sameWeekday.length >= MIN_BASELINE_SAMPLES) {
+    return { basis: 'same_weekday', samples: sameWeekday };
+  }
+
+  const recent = [];
+  for (let day = 1; day <= RECENT_DAYS; day++) {
+    const kwh = values[toKey(ms - day * DAY_MS)];
+    if (kwh !== undefined) recent.push(kwh);
+  }
+  return recent.length >= MIN_BASELINE_SAMPLES ? { basis: 'recent', samples: recent } : null;
+}
+
+/**
+ * Score every bucket in [from, to] against its baseline.
+ *
+ * @param {Array} buckets - [{ key, kwh }] complete buckets (baseline period included)
+ * @param {Function} toKey - ms => key
+ * @param {Object} range - { from, to } keys (inclusive)
+ * @returns {Array} [{ key, ms, actual, expected, score, basis }]
+ */
+function scoreBuckets(buckets, toKey, range) {
+  const values = {};
+  buckets.forEach(b => { values[b.key] = b.kwh; });
+
+  return buckets
+    .filter(b => b.key >= range.from && b.key <= range.to)
+    .map(b => {
+      const ms = keyToMs(b.key);
+      const baseline = baselineSamples(values, ms, toKey);
+      if (!baseline) return null;
+
+      const expected = median(baseline.samples);
+      const mad = median(baseline.samples.map(v => Math.abs(v - expected)));
+      const spread = Math.max(1.4826 * mad, MIN_RELATIVE_SPREAD * Math.abs(expected), 1e-6);
+      return { key: b.key, ms, actual: b.kwh, expected, score: (b.kwh - expected) / spread, basis: baseline.basis };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.ms - b.ms);
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+function describeEvent(event, unitLabel) {
+  const direction = event.direction === 'high' ? 'above' : 'below';
+  const usual = event.basis === 'same_weekday'
+    ? `the usual ${WEEKDAY_NAMES[new Date(keyToMs(event.start)).getUTCDay()]} level`
+    : 'the level of the previous 7 days';
+  const excess = `${event.excessKwh >= 0 ? '+' : ''}${event.excessKwh.toFixed(1)} kWh`;
+  return `${Math.abs(event.magnitudePercent).toFixed(0)}% ${direction} ${usual} for ${event.duration} ${unitLabel}${event.duration === 1 ? '' : 's'} starting ${event.start} (${excess})`;
+}
+
+/**
+ * Merge consecutive anomalous buckets of the same direction into events.
+ */
+function groupEvents(scored, meterId, level, stepMs, threshold) {
+  const events = [];
+  let current = null;
+
+  scored.forEach(point => {
+    const direction = point.score >= threshold ? 'high' : (point.score <= -threshold ? 'low' : null);
+    if (!direction) {
+      current = null;
+      return;
+    }
+
+    if (current && current.direction === direction && point.ms - current.lastMs === stepMs) {
+      current.points.push(point);
+      current.lastMs = point.ms;
+      return;
+    }
+
+    current = { direction, points: [point], lastMs: point.ms };
+    events.push(current);
+  });
+
+  return events.map(({ direction, points }) => {
+    const actualKwh = points.reduce((sum, p) => sum + p.actual, 0);
+    const expectedKwh = points.reduce((sum, p) => sum + p.expected, 0);
+    const event = {
+      meterId,
+      level,
+      direction,
+      start: points[0].key,
+      end: points[points.length - 1].key,
+      duration: points.length,
+      actualKwh: round2(actualKwh),
+      expectedKwh: round2(expectedKwh),
+      excessKwh: round2(actualKwh - expectedKwh),
+      magnitudePercent: expectedKwh > 0 ? round2((actualKwh - expectedKwh) / expectedKwh * 100) : null,
+      maxScore: round2(points.reduce((max, p) => (Math.abs(p.score) > Math.abs(max) ? p.score : max), 0)),
+      basis: points[0].basis
+    };
+    event.explanation = describeEvent({ ...event, magnitudePercent: event.magnitudePercent || 0 }, level);
+    return event;
+  });
+}
+
+/**
+ * Hourly and daily anomaly events for one meter.
+ *
+ * @param {string} meterId
+ * @param {Array} hourlyData - From calculateHourlyTotals (including the 4 weeks before `from`)
+ * @param {Object} options - { from, to (YYYY-MM-DD, inclusive), threshold, readingsPerHour }
+ * @returns {Object} { hours: [events], days: [events], hoursScored, daysScored }
+ */
+function detectAnomalies(meterId, hourlyData, options) {
+  const threshold = resolveAnomalyThreshold(options.threshold);
+  const minReadings = (options.readingsPerHour || 60) * 0.9;
+  const completeHours = hourlyData.filter(h => h.count === undefined || h.count >= minReadings);
+
+  const hourScores = scoreBuckets(
+    completeHours.map(h => ({ key: h.timestamp, kwh: h.energyKwh })),
+    hourKey,
+    { from: `${options.from} 00:00`, to: `${options.to} 23:00` }
+  );
+
+  const days = {};
+  completeHours.forEach(h => {
+    if (!days[h.date]) days[h.date] = { key: h.date, kwh: 0, hours: 0 };
+    days[h.date].kwh += h.energyKwh;
+    days[h.date].hours++;
+  });
+  const dayScores = scoreBuckets(
+    Object.values(days).filter(d => d.hours === 24),
+    ms => new Date(ms).toISOString().slice(0, 10),
+    { from: options.from, to: options.to }
+  );
+
+  return {
+    hours: groupEvents(hourScores, meterId, 'hour', HOUR_MS, threshold),
+    days: groupEvents(dayScores, meterId, 'day', DAY_MS, threshold),
+    hoursScored: hourScores.length,
+    daysScored: dayScores.length
+  };
+}
+
+/**
+ * First day of the baseline window needed for a detection starting at `from`.
+ */
+function baselineStart(from) {
+  return new Date(keyToMs(from) - BASELINE_WEEKS * 7 * DAY_MS).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  resolveAnomalyThreshold,
+  detectAnomalies,
+  baselineStart
+};
@@ -0,0 +1,299 @@
+/**
+ * BACKTESTING HARNESS
+ *
+ * Replays history to measure forecast accuracy using only the data that was
+ * available at each point in time:
+ *
+ * 1. Month projection - for every past month and cutoff day, run
+ *    predictMonthHybrid on days 1..cutoff and compare with the month actual
+ * 2. Next-month forecast - for every month M with a complete M+1, run
+ *    calculateForecast on M and compare each method with the M+1 actual
+ *
+ * Reports MAPE, bias (mean % error, positive = over-forecast) and RMSE per
+ * meter, per method and per cutoff day.
+ *
+ * Usage:
+ *   node backtest.js [--from=2024-11] [--to=2025-01] [--meter=KSR-1]
+ *                    [--cutoffs=1,2,3,5,10,15,20,25] [--impute=none] [--lookback=3]
+ *                    [--format=json|csv] [--out=backtest.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchReadingsInRange, fetchAvailableMonths, getMonthRange } = require('./data_source');
+const { calculateForecast, resolveForecastLoader } = require('./forecast_engine');
+const { loadForecastHistory } = require('./forecast_history');
+const { resolveImputationStrategy, imputeHourlySeries } = require('./imputation');
+const {
+  groupByMeter,
+  calculateHourlyTotals,
+  calculateDailyTotals,
+  predictMonthHybrid,
+  getDaysInMonth
+} = require('./server');
+
+const CSV_COLUMNS = ['kind', 'meterId', 'year', 'month', 'cutoffDay', 'method', 'predicted', 'actual', 'error', 'percentError'];
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function monthKey(year, month) {
+  return `${year}-${pad(month)}`;
+}
+
+function nextMonthOf(year, month) {
+  return month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+}
+
+/**
+ * Months that have ended before today, oldest first, within [from, to].
+ */
+async function listCompletedMonths(from, to) {
+  const now = new Date();
+  const currentKey = monthKey(now.getUTCFullYear(), now.getUTCMonth() + 1);
+
+  return (await fetchAvailableMonths())
+    .map(({ year, month }) => ({ year, month, key: monthKey(year, month) }))
+    .filter(m => m.key < currentKey)
+    .filter(m => (!from || m.key >= from) && (!to || m.key <= to))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function buildRow(kind, meterId, year, month, cutoffDay, method, predicted, actual) {
+  const error = predicted - actual;
+  return {
+    kind,
+    meterId,
+    year,
+    month,
+    cutoffDay,
+    method,
+    predicted: round2(predicted),
+    actual: round2(actual),
+    error: round2(error),
+    percentError: actual ? round2(error / actual * 100) : null
+  };
+}
+
+// ============================================
+// MONTH PROJECTION REPLAY
+// ============================================
+
+async function backtestMonthProjection(year, month, options) {
+  const { start, end } = getMonthRange(year, month);
+  const readings = await fetchReadingsInRange(start, end, options.meter);
+  const meterGroups = groupByMeter(readings);
+  const daysInMonth = getDaysInMonth(year, month);
+  const cutoffs = (options.cutoffs || Array.from({ length: daysInMonth - 1 }, (_, i) => i + 1))
+    .filter(day => day < daysInMonth);
+  const rows = [];
+
+  for (const meterId of Object.keys(meterGroups)) {
+    const hourly = calculateHourlyTotals(meterGroups[meterId]);
+    const actual = hourly.reduce((sum, h) => sum + h.energyKwh, 0);
+
+    for (const cutoffDay of cutoffs) {
+      const cutoffDate = `${year}-${pad(month)}-${pad(cutoffDay)}`;
+      const known = hourly.filter(h => h.date <= cutoffDate);
+      if (known.length === 0) continue;
+
+      // Impute per cutoff so gaps are never filled from later data
+      const dates = Array.from({ length: cutoffDay }, (_, i) => `${year}-${pad(month)}-${pad(i + 1)}`);
+      const { hourlyData } = imputeHourlySeries(known, { strategy: options.impute, dates });
+      const result = await predictMonthHybrid(calculateDailyTotals(hourlyData), year, month, cutoffDay, meterId);
+      if (!result.success) continue;
+
+      rows.push(buildRow('month_projection', meterId, year, month, cutoffDay, result.predictionMode, result.predictedMonthKwh, actual));
+    }
+  }
+
+  return rows;
+}
+
+// ============================================
+// NEXT-MONTH FORECAST REPLAY
+// ============================================
+
+async function backtestNextMonthForecast(year, month, options) {
+  const target = nextMonthOf(year, month);
+  const loader = options.loader || resolveForecastLoader();
+  const source = await loader.loadMonth(year, month);
+  const actualData = await loader.loadMonth(target.year, target.month);
+  const rows = [];
+
+  if (!source || !actualData || source.aggregates.length === 0 || actualData.aggregates.length === 0) {
+    return rows;
+  }
+
+  const actuals = {};
+  actualData.aggregates.forEach(entry => {
+    actuals[entry.meter_id] = (actuals[entry.meter_id] || 0) + entry.total_kwh;
+  });
+
+  // Same history window as production, ending at the source month
+  const history = await loadForecastHistory(loader.loadMonth, year, month, { lookback: options.lookback, source });
+  const { forecasts } = calculateForecast(history, target.year, target.month);
+
+  Object.values(forecasts)
+    .filter(f => (!options.meter || f.meter_id === options.meter) && actuals[f.meter_id])
+    .forEach(f => {
+      const actual = actuals[f.meter_id];
+      Object.entries(f.methods).forEach(([method, predicted]) => {
+        rows.push(buildRow('next_month_forecast', f.meter_id, target.year, target.month, null, method, predicted, actual));
+      });
+      rows.push(buildRow('next_month_forecast', f.meter_id, target.year, target.month, null, 'ensemble', f.forecast_kwh, actual));
+    });
+
+  return rows;
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * MAPE / bias in percent of actual, RMSE in kWh.
+ */
+function computeMetrics(rows) {
+  const scored = rows.filter(r => r.percentError !== null);
+  if (scored.length === 0) return { n: 0, mape: null, bias: null, rmse: null };
+
+  const mape = scored.reduce((sum, r) => sum + Math.abs(r.percentError), 0) / scored.length;
+  const bias = scored.reduce((sum, r) => sum + r.percentError, 0) / scored.length;
+  const rmse = Math.sqrt(scored.reduce((sum, r) => sum + r.error * r.error, 0) / scored.length);
+
+  return { n: scored.length, mape: round2(mape), bias: round2(bias), rmse: round2(rmse) };
+}
+
+function summarizeBy(rows, keys) {
+  const groups = {};
+  rows.forEach(row => {
+    const id = keys.map(k => row[k]).join('|');
+    if (!groups[id]) groups[id] = { key: {}, rows: [] };
+    keys.forEach(k => { groups[id].key[k] = row[k]; });
+    groups[id].rows.push(row);
+  });
+
+  return Object.keys(groups)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(id => ({ ...groups[id].key, ...computeMetrics(groups[id].rows) }));
+}
+
+/**
+ * Run the full backtest.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.from] - First month (YYYY-MM)
+ * @param {string} [options.to] - Last month (YYYY-MM)
+ * @param {string} [options.meter] - Single meter
+ * @param {Array<number>} [options.cutoffs] - Cutoff days (default: every day)
+ * @param {string} [options.impute] - Imputation strategy
+ * @param {number} [options.lookback] - Forecast history window in months
+ * @returns {Object} { generatedAt, months, summary, results }
+ */
+async function runBacktest(options = {}) {
+  const config = { ...options, impute: resolveImputationStrategy(options.impute) };
+  const months = await listCompletedMonths(config.from, config.to);
+  const monthKeys = new Set(months.map(m => m.key));
+  const results = [];
+
+  for (const { year, month } of months) {
+    results.push(...await backtestMonthProjection(year, month, config));
+
+    const target = nextMonthOf(year, month);
+    if (monthKeys.has(monthKey(target.year, target.month))) {
+      results.push(...await backtestNextMonthForecast(year, month, config));
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    months: months.map(m => m.key),
+    imputation: config.impute,
+    summary: {
+      byMethod: summarizeBy(results, ['kind', 'method']),
+      byMeter: summarizeBy(results, ['kind', 'meterId', 'method']),
+      byCutoff: summarizeBy(results.filter(r => r.kind === 'month_projection'), ['cutoffDay'])
+    },
+    results
+  };
+}
+
+function toCSV(rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [CSV_COLUMNS.join(',')]
+    .concat(rows.map(row => CSV_COLUMNS.map(col => escape(row[col])).join(',')))
+    .join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+  return args;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  runBacktest,
+  listCompletedMonths,
+  backtestNextMonthForecast,
+  computeMetrics,
+  summarizeBy,
+  toCSV
+};
+
+// CLI execution
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    from: args.from,
+    to: args.to,
+    meter: args.meter,
+    impute: args.impute,
+    lookback: args.lookback,
+    cutoffs: args.cutoffs ? args.cutoffs.split(',').map(Number).filter(Number.isFinite) : undefined
+  };
+  const format = args.format || (args.out && args.out.endsWith('.csv') ? 'csv' : 'json');
+
+  console.log('========================================');
+  console.log('FORECAST BACKTEST');
+  console.log('========================================\n');
+
+  runBacktest(options).then(report => {
+    console.log(`Months replayed: ${report.months.join(', ') || 'none'}`);
+    console.log(`Predictions scored: ${report.results.length}\n`);
+
+    console.log('Accuracy by method:');
+    report.summary.byMethod.forEach(m => {
+      console.log(`  ${m.kind.padEnd(20)} ${m.method.padEnd(18)} n=${String(m.n).padEnd(5)} MAPE=${m.mape}%  bias=${m.bias}%  RMSE=${m.rmse} kWh`);
+    });
+
+    if (args.out) {
+      const outPath = path.resolve(args.out);
+      const content = format === 'csv' ? toCSV(report.results) : JSON.stringify(report, null, 2);
+      fs.writeFileSync(outPath, content);
+      console.log(`\nSaved ${format.toUpperCase()} to: ${outPath}`);
+    }
+
+    process.exit(0);
+  }).catch(error => {
+    console.error('\n❌ ERROR:', error.message);
+    process.exit(1);
+  });
+}
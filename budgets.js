@@ -0,0 +1,303 @@
+/**
+ * BUDGET REGISTRY & OVERRUN ALERTS
+ *
+ * Monthly kWh / cost budgets per meter, evaluated against the
+ * run-rate projection from predictMonthHybrid.
+ *
+ * Budgets are read from BUDGET_CONFIG (default: budgets.json next to this file).
+ * See budgets.example.json for the format. Month-specific budgets
+ * ("months": { "2025-02": {...} }) override the meter default. Budgets and
+ * thresholds are checked when the file is loaded: positive numbers, warning
+ * not above critical.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BUDGET_PATH = path.join(__dirname, 'budgets.json');
+
+const DEFAULT_THRESHOLDS = {
+  warningPercent: 90,
+  criticalPercent: 100
+};
+
+const STATUS_RANK = { ok: 0, warning: 1, critical: 2 };
+
+const BUDGET_FIELDS = ['monthlyKwh', 'monthlyCost', 'warningPercent', 'criticalPercent'];
+
+let budgetCache = {
+  filePath: null,
+  mtimeMs: null,
+  config: null
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * Load budget configuration from disk (re-read when the file changes).
+ * Returns null when no budget file exists.
+ */
+function loadBudgetConfig(filePath = process.env.BUDGET_CONFIG || DEFAULT_BUDGET_PATH) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(resolved);
+  if (budgetCache.filePath === resolved && budgetCache.mtimeMs === mtimeMs) {
+    return budgetCache.config;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  validateBudgetConfig(config, resolved);
+
+  budgetCache = { filePath: resolved, mtimeMs, config };
+  return config;
+}
+
+/**
+ * Check one level of budget settings (file thresholds, meter, month) and the
+ * thresholds in effect there.
+ */
+function validateBudgetLevel(settings, thresholds, source) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Invalid budget config in ${source}: expected an object`);
+  }
+
+  BUDGET_FIELDS.forEach(field => {
+    const value = settings[field];
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid budget config in ${source}: ${field} must be a positive number (got ${JSON.stringify(value)})`);
+    }
+  });
+
+  const effective = { ...thresholds, ...settings };
+  if (effective.warningPercent > effective.criticalPercent) {
+    throw new Error(`Invalid budget config in ${source}: warningPercent ${effective.warningPercent} is above criticalPercent ${effective.criticalPercent}`);
+  }
+  return { warningPercent: effective.warningPercent, criticalPercent: effective.criticalPercent };
+}
+
+function validateBudgetConfig(config, source) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid budget config in ${source}: expected an object`);
+  }
+  const thresholds = validateBudgetLevel(config.thresholds || {}, DEFAULT_THRESHOLDS, `${source} (thresholds)`);
+
+  Object.entries(config.meters || {}).forEach(([meterId, meterConfig]) => {
+    const meterSource = `${source} (meter ${meterId})`;
+    const meterThresholds = validateBudgetLevel(meterConfig, thresholds, meterSource);
+    const months = meterConfig.months;
+
+    Object.entries(months || {}).forEach(([monthKey, monthBudget]) => {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(monthKey)) {
+        throw new Error(`Invalid budget config in ${meterSource}: month "${monthKey}" must be YYYY-MM`);
+      }
+      validateBudgetLevel(monthBudget, meterThresholds, `${meterSource}, ${monthKey}`);
+    });
+  });
+}
+
+/**
+ * Effective budget for a meter and month, or null when none is set.
+ */
+function getBudget(config, meterId, year, month) {
+  if (!config || !config.meters || !config.meters[meterId]) return null;
+
+  const { months, ...meterBudget } = config.meters[meterId];
+  const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+  const monthBudget = (months && months[monthKey]) || {};
+  const budget = {
+    ...DEFAULT_THRESHOLDS,
+    ...(config.thresholds || {}),
+    ...meterBudget,
+    ...monthBudget
+  };
+
+  if (!Number.isFinite(budget.monthlyKwh) && !Number.isFinite(budget.monthlyCost)) {
+    return null;
+  }
+
+  return budget;
+}
+
+/**
+ * List all budgets in the registry, resolved for the given month.
+ */
+function listBudgets(config, year, month) {
+  if (!config || !config.meters) return [];
+
+  return Object.keys(config.meters)
+    .map(meterId => {
+      const budget = getBudget(config, meterId, year, month);
+      if (!budget) return null;
+      return {
+        meterId,
+        monthlyKwh: Number.isFinite(budget.monthlyKwh) ? budget.monthlyKwh : null,
+        monthlyCost: Number.isFinite(budget.monthlyCost) ? budget.monthlyCost : null,
+        warningPercent: budget.warningPercent,
+        criticalPercent: budget.criticalPercent
+      };
+    })
+    .filter(Boolean);
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * First day of month on which cumulative actual usage reached the budget.
+ */
+function findActualCrossingDay(dailyData, limit) {
+  let cumulative = 0;
+  for (const day of dailyData) {
+    cumulative += day.energyKwh;
+    if (cumulative >= limit) {
+      return Number(day.date.split('-')[2]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluate one metric (kWh or cost) against its budget limit.
+ */
+function evaluateMetric(metric, limit, actual, projected, monthResult, budget, dailyData) {
+  const { daysPassedMonth, daysInCurrentMonth } = monthResult;
+  const lastDay = Number.isFinite(monthResult.targetDay) ? monthResult.targetDay : daysPassedMonth;
+  const remainingDays = Math.max(daysInCurrentMonth - lastDay, 0);
+  const projectedPercent = limit > 0 ? (projected / limit) * 100 : 0;
+  const overrunPercent = projectedPercent - 100;
+  const unit = metric === 'kwh' ? 'kWh' : 'cost';
+
+  let status = 'ok';
+  if (projectedPercent >= budget.criticalPercent) {
+    status = 'critical';
+  } else if (projectedPercent >= budget.warningPercent) {
+    status = 'warning';
+  }
+
+  let crossingDay = null;
+  let alreadyExceeded = false;
+
+  if (actual >= limit) {
+    alreadyExceeded = true;
+    crossingDay = metric === 'kwh' && dailyData ? findActualCrossingDay(dailyData, limit) : lastDay;
+  } else if (projected > limit && remainingDays > 0) {
+    const dailyRate = (projected - actual) / remainingDays;
+    crossingDay = lastDay + Math.ceil((limit - actual) / dailyRate);
+  }
+
+  let message;
+  if (alreadyExceeded) {
+    message = `Exceeded ${unit} budget on day ${crossingDay}; projected ${round2(overrunPercent)}% over`;
+  } else if (crossingDay) {
+    message = `Projected to exceed ${unit} budget by ${round2(overrunPercent)}% on day ${crossingDay}`;
+  } else {
+    message = `Projected at ${round2(projectedPercent)}% of ${unit} budget`;
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return {
+    metric,
+    status,
+    budget: limit,
+    actualToDate: round2(actual),
+    projected: round2(projected),
+    projectedPercent: round2(projectedPercent),
+    overrunPercent: overrunPercent > 0 ? round2(overrunPercent) : 0,
+    crossingDay,
+    crossingDate: crossingDay ? `${monthResult.year}-${pad(monthResult.month)}-${pad(crossingDay)}` : null,
+    alreadyExceeded,
+    message
+  };
+}
+
+/**
+ * Evaluate a meter's month projection against its budget.
+ *
+ * @param {Object} budget - Effective budget (see getBudget)
+ * @param {Object} monthResult - Result of predictMonthHybrid (with optional cost block)
+ * @param {Array} [dailyData] - Daily totals, used to date an actual overrun
+ * @returns {Object|null} { status, checks: [...] } or null without budget/prediction
+ */
+function evaluateBudget(budget, monthResult, dailyData) {
+  if (!budget || !monthResult || !monthResult.success) return null;
+
+  const checks = [];
+
+  if (Number.isFinite(budget.monthlyKwh)) {
+    checks.push(evaluateMetric(
+      'kwh',
+      budget.monthlyKwh,
+      monthResult.totalEnergyMonth,
+      monthResult.predictedMonthKwh,
+      monthResult,
+      budget,
+      dailyData
+    ));
+  }
+
+  if (Number.isFinite(budget.monthlyCost) && monthResult.cost) {
+    checks.push(evaluateMetric(
+      'cost',
+      budget.monthlyCost,
+      monthResult.cost.costToDate,
+      monthResult.cost.projectedCost,
+      monthResult,
+      budget
+    ));
+  }
+
+  const status = checks.reduce(
+    (worst, check) => (STATUS_RANK[check.status] > STATUS_RANK[worst] ? check.status : worst),
+    'ok'
+  );
+
+  return {
+    status,
+    thresholds: {
+      warningPercent: budget.warningPercent,
+      criticalPercent: budget.criticalPercent
+    },
+    checks
+  };
+}
+
+/**
+ * Flatten per-meter budget evaluations into an alert list (non-ok checks only).
+ */
+function collectAlerts(meters) {
+  const alerts = [];
+
+  meters.forEach(meter => {
+    if (!meter.budget) return;
+    meter.budget.checks
+      .filter(check => check.status !== 'ok')
+      .forEach(check => {
+        alerts.push({ meterId: meter.meterId, ...check });
+      });
+  });
+
+  return alerts.sort((a, b) =>
+    STATUS_RANK[b.status] - STATUS_RANK[a.status] || b.projectedPercent - a.projectedPercent
+  );
+}
+
+module.exports = {
+  loadBudgetConfig,
+  getBudget,
+  listBudgets,
+  evaluateBudget,
+  collectAlerts
+};
@@ -0,0 +1,174 @@
+/**
+ * CHANGE-POINT (LEVEL SHIFT) DETECTION
+ *
+ * Finds the day a meter's daily consumption moved to a new level (a line
+ * added or taken off mid-month), so the run-rate projects the rest of the
+ * month from the current regime only instead of averaging both.
+ *
+ * For every split with at least 3 days on each side, the (up to) 7 days
+ * before it are compared with all days after it:
+ *   score = |mean after - mean before| / (pooled sd * sqrt(1/n1 + 1/n2))
+ * The best split counts when score >= CHANGE_POINT_THRESHOLD (default 4) and
+ * the level moved by at least 10%. The search repeats on the days after it,
+ * so the latest regime wins when there are several shifts.
+ *
+ * Per request: auto (default), ignore, or a YYYY-MM-DD date to use as the
+ * start of the current regime.
+ */
+
+const DEFAULT_THRESHOLD = 4;
+const MIN_SEGMENT_DAYS = 3;
+const BEFORE_WINDOW_DAYS = 7;
+const MIN_RELATIVE_SHIFT = 0.1;
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function sumSquares(values, center) {
+  return values.reduce((sum, v) => sum + Math.pow(v - center, 2), 0);
+}
+
+function resolveThreshold(value = process.env.CHANGE_POINT_THRESHOLD) {
+  const threshold = parseFloat(value);
+  return Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_THRESHOLD;
+}
+
+/**
+ * Change-point option from the request: { mode: 'auto' | 'ignore' | 'override', date }.
+ * Throws on anything else, including dates that don't exist (2024-02-31).
+ */
+function parseChangePointOption(value) {
+  if (value === undefined || value === null || value === '' || value === 'auto') return { mode: 'auto' };
+  if (value === 'ignore') return { mode: 'ignore' };
+  // Date.parse rolls impossible days over; a real date survives the round trip
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (date && !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value) {
+    return { mode: 'override', date: value };
+  }
+  throw new Error(`Invalid change_point "${value}" (expected auto, ignore or a YYYY-MM-DD date)`);
+}
+
+/**
+ * Best single split of a series: { index, score, beforeMean, afterMean } or null.
+ */
+function bestSplit(values) {
+  let best = null;
+
+  for (let index = MIN_SEGMENT_DAYS; index <= values.length - MIN_SEGMENT_DAYS; index++) {
+    // A window before the split, so an older regime doesn't blur a newer one
+    const before = values.slice(Math.max(0, index - BEFORE_WINDOW_DAYS), index);
+    const after = values.slice(index);
+    const beforeMean = mean(before);
+    const afterMean = mean(after);
+    const pooledVariance = (sumSquares(before, beforeMean) + sumSquares(after, afterMean)) / (before.length + after.length - 2);
+    // A perfectly flat regime on both sides still needs a scale; 1% of the level
+    const pooledSd = Math.max(Math.sqrt(pooledVariance), 0.01 * Math.abs(beforeMean));
+    const score = pooledSd > 0
+      ? Math.abs(afterMean - beforeMean) / (pooledSd * Math.sqrt(1 / before.length + 1 / after.length))
+      : 0;
+
+    if (!best || score > best.score) {
+      best = { index, score, beforeMean, afterMean };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Index of the latest significant split in a series, or null.
+ */
+function latestSplit(values, threshold) {
+  let offset = 0;
+  let found = null;
+
+  for (;;) {
+    const split = bestSplit(values.slice(offset));
+    if (!split) break;
+
+    const relative = split.beforeMean !== 0 ? Math.abs(split.afterMean - split.beforeMean) / Math.abs(split.beforeMean) : 0;
+    if (split.score < threshold || relative < MIN_RELATIVE_SHIFT) break;
+
+    found = { ...split, index: offset + split.index };
+    offset = found.index;
+  }
+
+  return found;
+}
+
+/**
+ * Latest significant level shift in daily totals.
+ *
+ * @param {Array} days - [{ date, kwh }] oldest first (complete days)
+ * @param {Object} [options] - { threshold }
+ * @returns {Object|null} { date, index, beforeAvgDaily, afterAvgDaily, magnitudeKwh, magnitudePercent, score, daysAfter }
+ */
+function detectLevelShift(days, options = {}) {
+  const threshold = resolveThreshold(options.threshold);
+  const values = days.map(d => d.kwh);
+  const found = latestSplit(values, threshold);
+  if (!found) return null;
+
+  // Report the whole previous regime (back to any earlier shift), not just the scoring window
+  const previous = latestSplit(values.slice(0, found.index), threshold);
+  const beforeMean = mean(values.slice(previous ? previous.index : 0, found.index));
+  return {
+    date: days[found.index].date,
+    index: found.index,
+    beforeAvgDaily: round2(beforeMean),
+    afterAvgDaily: round2(found.afterMean),
+    magnitudeKwh: round2(found.afterMean - beforeMean),
+    magnitudePercent: round2((found.afterMean - beforeMean) / beforeMean * 100),
+    score: round2(found.score),
+    daysAfter: days.length - found.index
+  };
+}
+
+/**
+ * Regime start for a month projection, honoring the request option.
+ *
+ * @param {Array} days - [{ date, kwh }] complete days used for detection
+ * @param {Object} option - From parseChangePointOption
+ * @returns {Object} Change-point block: { mode, detected, date?, ... }; date is
+ *   the regime start (detected or overridden), absent when there is none
+ */
+function resolveChangePoint(days, option = { mode: 'auto' }) {
+  if (option.mode === 'ignore') {
+    return { mode: 'ignore', detected: false };
+  }
+
+  if (option.mode === 'override') {
+    const before = days.filter(d => d.date < option.date).map(d => d.kwh);
+    const after = days.filter(d => d.date >= option.date).map(d => d.kwh);
+    const beforeMean = before.length ? mean(before) : null;
+    const afterMean = after.length ? mean(after) : null;
+    return {
+      mode: 'override',
+      detected: false,
+      date: option.date,
+      beforeAvgDaily: beforeMean !== null ? round2(beforeMean) : null,
+      afterAvgDaily: afterMean !== null ? round2(afterMean) : null,
+      magnitudeKwh: beforeMean !== null && afterMean !== null ? round2(afterMean - beforeMean) : null,
+      magnitudePercent: beforeMean && afterMean !== null ? round2((afterMean - beforeMean) / beforeMean * 100) : null,
+      score: null,
+      daysAfter: after.length
+    };
+  }
+
+  const shift = detectLevelShift(days);
+  if (!shift) return { mode: 'auto', detected: false };
+
+  const { index, ...rest } = shift;
+  return { mode: 'auto', detected: true, ...rest };
+}
+
+module.exports = {
+  parseChangePointOption,
+  detectLevelShift,
+  resolveChangePoint
+};
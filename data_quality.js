@@ -0,0 +1,347 @@
+/**
+ * DATA QUALITY REPORT
+ *
+ * Checks interval readings per meter and day for:
+ * - expected vs actual reading counts and missing intervals
+ * - duplicate timestamps
+ * - zero-runs (meter stuck at 0 for a long stretch)
+ * - negative values
+ * - statistical outliers (modified z-score on median / MAD)
+ *
+ * Each day gets a 0-100 score; the meter score is the expected-count weighted
+ * average and is used to scale the prediction confidence.
+ */
+
+const DEFAULT_QUALITY_OPTIONS = {
+  intervalMinutes: 1,
+  zeroRunMinIntervals: 30,
+  outlierThreshold: 3.5,
+  maxListed: 20
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function slotLabel(slot, intervalMinutes) {
+  const minutes = slot * intervalMinutes;
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function minuteOfDay(timestamp) {
+  const [hour, minute] = (timestamp.split(' ')[1] || '00:00').split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Dates (YYYY-MM-DD) from day 1 up to lastDay of a month.
+ */
+function monthDates(year, month, lastDay) {
+  return Array.from({ length: lastDay }, (_, i) => `${year}-${pad(month)}-${pad(i + 1)}`);
+}
+
+/**
+ * Median / MAD based outlier detector for one meter's values.
+ * Returns null when the spread is zero (flat data has no outliers).
+ */
+function buildOutlierTest(values, threshold) {
+  const center = median(values);
+  const mad = median(values.map(v => Math.abs(v - center)));
+  if (mad === 0) return null;
+
+  return (value) => {
+    const zScore = 0.6745 * (value - center) / mad;
+    return Math.abs(zScore) > threshold ? round2(zScore) : null;
+  };
+}
+
+function expectedForDay(date, slotsPerDay, intervalMinutes, now) {
+  const today = now.toISOString().slice(0, 10);
+  if (date > today) return 0;
+  if (date < today) return slotsPerDay;
+  // Today only counts intervals that have already ended
+  const elapsed = now.getUTCHours() * 60 + now.getUTCMinutes();
+  return Math.min(slotsPerDay, Math.floor(elapsed / intervalMinutes));
+}
+
+function missingRanges(present, expected, intervalMinutes, limit) {
+  const ranges = [];
+  let runStart = null;
+
+  for (let slot = 0; slot <= expected; slot++) {
+    const missing = slot < expected && !present.has(slot);
+    if (missing && runStart === null) runStart = slot;
+    if (!missing && runStart !== null) {
+      ranges.push({
+        start: slotLabel(runStart, intervalMinutes),
+        end: slotLabel(slot, intervalMinutes),
+        intervals: slot - runStart
+      });
+      runStart = null;
+    }
+  }
+
+  return ranges.slice(0, limit);
+}
+
+function zeroRuns(dayRows, minIntervals, limit) {
+  const runs = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length >= minIntervals) {
+      runs.push({
+        start: current[0].timestamp,
+        end: current[current.length - 1].timestamp,
+        intervals: current.length
+      });
+    }
+    current = [];
+  };
+
+  dayRows.forEach(row => {
+    if (row.value === 0) {
+      current.push(row);
+    } else {
+      flush();
+    }
+  });
+  flush();
+
+  return {
+    count: runs.length,
+    intervals: runs.reduce((sum, r) => sum + r.intervals, 0),
+    runs: runs.slice(0, limit)
+  };
+}
+
+/**
+ * Score a day 0-100: completeness, minus penalties for duplicates,
+ * negatives, outliers and (half weight) zero-run intervals.
+ */
+function scoreDay(day) {
+  if (day.expected === 0) return 100;
+  const completeness = Math.min(day.actual, day.expected) / day.expected;
+  const penalty = (day.duplicates + day.negatives + day.outlierCount + day.zeroRuns.intervals * 0.5) / day.expected;
+  return round2(Math.max(0, Math.min(100, (completeness - penalty) * 100)));
+}
+
+function gradeScore(score) {
+  if (score >= 95) return 'good';
+  if (score >= 80) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Quality report for ONE meter.
+ *
+ * @param {string} meterId
+ * @param {Array} readings - Interval readings { timestamp, energy_consumed_kwh, derived? }
+ * @param {Object} options
+ * @param {Array} options.dates - Days (YYYY-MM-DD) that should have data
+ * @param {number} [options.intervalMinutes=1] - Expected reading spacing
+ * @param {Date} [options.now] - Reference time for today's expected count
+ * @returns {Object} { meterId, score, grade, summary, days }
+ */
+function analyzeMeterQuality(meterId, readings, options = {}) {
+  const config = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const now = config.now || new Date();
+  const slotsPerDay = Math.floor(1440 / config.intervalMinutes);
+
+  // Gap-spread readings are synthetic; report them but don't count them as present
+  const measured = readings.filter(r => !r.derived);
+  const values = measured.map(r => parseFloat(r.energy_consumed_kwh) || 0);
+  const isOutlier = buildOutlierTest(values.filter(v => v > 0), config.outlierThreshold);
+
+  const byDate = {};
+  readings.forEach(row => {
+    const date = row.timestamp.split(' ')[0];
+    if (!byDate[date]) byDate[date] = [];
+    byDate[date].push(row);
+  });
+
+  const dates = config.dates || Object.keys(byDate).sort();
+  const days = dates.map(date => {
+    const rows = (byDate[date] || []).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const expected = expectedForDay(date, slotsPerDay, config.intervalMinutes, now);
+    const seen = new Set();
+    const present = new Set();
+    const measuredRows = [];
+    const outliers = [];
+    let duplicates = 0;
+    let negatives = 0;
+    let derived = 0;
+
+    rows.forEach(row => {
+      if (row.derived) {
+        derived++;
+        return;
+      }
+      if (seen.has(row.timestamp)) {
+        duplicates++;
+        return;
+      }
+      seen.add(row.timestamp);
+      present.add(Math.floor(minuteOfDay(row.timestamp) / config.intervalMinutes));
+
+      const value = parseFloat(row.energy_consumed_kwh) || 0;
+      measuredRows.push({ timestamp: row.timestamp, value });
+      if (value < 0) negatives++;
+
+      const zScore = isOutlier && value > 0 ? isOutlier(value) : null;
+      if (zScore !== null) {
+        outliers.push({ timestamp: row.timestamp, value: round2(value), zScore });
+      }
+    });
+
+    const day = {
+      date,
+      expected,
+      actual: present.size,
+      missingIntervals: Math.max(0, expected - present.size),
+      missingRanges: missingRanges(present, expected, config.intervalMinutes, config.maxListed),
+      duplicates,
+      negatives,
+      derivedIntervals: derived,
+      zeroRuns: zeroRuns(measuredRows, config.zeroRunMinIntervals, config.maxListed),
+      outliers: outliers.slice(0, config.maxListed),
+      outlierCount: outliers.length
+    };
+    day.completenessPercent = expected ? round2(Math.min(day.actual, expected) / expected * 100) : 100;
+    day.score = scoreDay(day);
+    return day;
+  });
+
+  const totals = days.reduce((acc, d) => ({
+    expected: acc.expected + d.expected,
+    actual: acc.actual + d.actual,
+    missingIntervals: acc.missingIntervals + d.missingIntervals,
+    duplicates: acc.duplicates + d.duplicates,
+    negatives: acc.negatives + d.negatives,
+    derivedIntervals: acc.derivedIntervals + d.derivedIntervals,
+    zeroRuns: acc.zeroRuns + d.zeroRuns.count,
+    outliers: acc.outliers + d.outlierCount,
+    weightedScore: acc.weightedScore + d.score * d.expected
+  }), {
+    expected: 0, actual: 0, missingIntervals: 0, duplicates: 0, negatives: 0,
+    derivedIntervals: 0, zeroRuns: 0, outliers: 0, weightedScore: 0
+  });
+
+  const score = totals.expected ? round2(totals.weightedScore / totals.expected) : 100;
+  delete totals.weightedScore;
+
+  return {
+    meterId,
+    score,
+    grade: gradeScore(score),
+    intervalMinutes: config.intervalMinutes,
+    summary: {
+      ...totals,
+      completenessPercent: totals.expected ? round2(Math.min(totals.actual, totals.expected) / totals.expected * 100) : 100,
+      daysBelowGood: days.filter(d => d.expected > 0 && d.score < 95).length
+    },
+    days
+  };
+}
+
+/**
+ * Completeness-only report from hourly reading counts, for predictions made
+ * from pre-summed buckets (no individual readings to check for duplicates,
+ * zero-runs, negatives or outliers). Same shape as analyzeMeterQuality with
+ * basis 'hourly_counts'.
+ *
+ * @param {string} meterId
+ * @param {Array} hourlyData - [{ date, count }] one entry per hour with readings
+ * @param {Object} options - As analyzeMeterQuality (dates, intervalMinutes, now)
+ */
+function analyzeHourlyCoverage(meterId, hourlyData, options = {}) {
+  const config = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const now = config.now || new Date();
+  const slotsPerDay = Math.floor(1440 / config.intervalMinutes);
+  const slotsPerHour = Math.max(60 / config.intervalMinutes, 1);
+
+  const counts = {};
+  hourlyData.forEach(hour => {
+    counts[hour.date] = (counts[hour.date] || 0) + Math.min(hour.count, slotsPerHour);
+  });
+
+  const dates = config.dates || Object.keys(counts).sort();
+  const days = dates.map(date => {
+    const expected = expectedForDay(date, slotsPerDay, config.intervalMinutes, now);
+    const actual = Math.min(Math.round(counts[date] || 0), slotsPerDay);
+    const completenessPercent = expected ? round2(Math.min(actual, expected) / expected * 100) : 100;
+    return {
+      date,
+      expected,
+      actual,
+      missingIntervals: Math.max(0, expected - actual),
+      completenessPercent,
+      score: completenessPercent
+    };
+  });
+
+  const expected = days.reduce((sum, d) => sum + d.expected, 0);
+  const actual = days.reduce((sum, d) => sum + d.actual, 0);
+  const weightedScore = days.reduce((sum, d) => sum + d.score * d.expected, 0);
+  const score = expected ? round2(weightedScore / expected) : 100;
+
+  return {
+    meterId,
+    score,
+    grade: gradeScore(score),
+    intervalMinutes: config.intervalMinutes,
+    basis: 'hourly_counts',
+    summary: {
+      expected,
+      actual,
+      missingIntervals: days.reduce((sum, d) => sum + d.missingIntervals, 0),
+      completenessPercent: expected ? round2(Math.min(actual, expected) / expected * 100) : 100,
+      daysBelowGood: days.filter(d => d.expected > 0 && d.score < 95).length
+    },
+    days
+  };
+}
+
+/**
+ * Scale a prediction confidence block by the data quality score.
+ * A perfect score leaves confidence unchanged; a score of 0 halves it.
+ */
+function applyQualityToConfidence(confidence, quality) {
+  if (!confidence || !quality) return confidence;
+
+  const factor = 0.5 + 0.5 * (quality.score / 100);
+  const adjusted = Math.round(confidence.score * factor);
+
+  return {
+    ...confidence,
+    baseScore: confidence.score,
+    score: adjusted,
+    dataQuality: {
+      score: quality.score,
+      grade: quality.grade,
+      completenessPercent: quality.summary.completenessPercent,
+      missingIntervals: quality.summary.missingIntervals,
+      duplicates: quality.summary.duplicates,
+      outliers: quality.summary.outliers
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_QUALITY_OPTIONS,
+  monthDates,
+  analyzeMeterQuality,
+  analyzeHourlyCoverage,
+  applyQualityToConfidence
+};
@@ -1,49 +1,68 @@
 /**
- * Database-backed data access layer for predictions/forecasts.
- * Replaces CSV reads with PostgreSQL queries using the provided config.
+ * Data access layer for predictions/forecasts.
+ *
+ * Delegates to a pluggable adapter (PostgreSQL, CSV folder, JSON-lines or
+ * SQLite file) chosen with DATA_SOURCE. See adapters/index.js.
+ *
+ * Adapters return raw { meter_id, timestamp, value } rows located through the
+ * schema mapping (adapters/schema_mapping.js); this layer normalizes them to
+ * interval kWh so prediction code always sees energy_consumed_kwh.
+ *
+ * Interval (hourly, demand) and daily sums are computed by the adapter, i.e.
+ * in SQL for database sources, and scaled to kWh here; cumulative meters are
+ * derived and summed in Node since registers can't be summed directly.
+ *
+ * Reading and aggregate loads go through the shared query cache
+ * (query_cache.js); closed months stay cached until invalidated.
  */
 
 require('dotenv').config();
-const { Pool } = require('pg');
-
-const dbConfig = {
-  host: process.env.PGHOST || '192.168.0.137',
-  port: parseInt(process.env.PGPORT || '5432', 10),
-  database: process.env.PGDATABASE || 'ksr_meter',
-  user: process.env.PGUSER || 'cubeai',
-  password: process.env.PGPASSWORD || '123456'
-};
-
+const { createAdapter } = require('./adapters');
+const { getPostgresConfig, formatTimestamp } = require('./adapters/postgres_adapter');
+const { dailyAggregates, intervalAggregates } = require('./adapters/file_store');
+const { cached, rangePolicy, invalidateCache } = require('./query_cache');
+const {
+  defaultMapping,
+  loadSchemaMapping,
+  hasCumulativeMeters,
+  deriveReadings,
+  normalizeDailyAggregates
+} = require('./adapters/schema_mapping');
+
+const dbConfig = getPostgresConfig();
 const tableName = process.env.PG_TABLE || 'ksr-energy_meter';
+const sourceType = process.env.DATA_SOURCE || 'postgres';
+
+let adapter = createAdapter(sourceType, {
+  dbConfig,
+  table: tableName,
+  mapping: loadSchemaMapping(sourceType)
+});
 
-function quoteIdent(name) {
-  return '"' + String(name).replace(/"/g, '""') + '"';
+/**
+ * Active adapter (useful for logging which source is in use).
+ */
+function getDataSource() {
+  return adapter;
 }
 
-const tableIdent = quoteIdent(tableName);
+/**
+ * Swap the active adapter (drops cached loads), e.g. for tests or tools that
+ * read another source.
+ */
+function setDataSource(nextAdapter) {
+  adapter = nextAdapter;
+  invalidateCache();
+  return adapter;
+}
 
-// Single shared pool
-const pool = new Pool({
-  ...dbConfig,
-  max: 10,
-  idleTimeoutMillis: 30_000
-});
+function activeMapping() {
+  return adapter.mapping || defaultMapping(adapter.name);
+}
 
 // Basic connectivity probe used at server startup
 async function testDbConnection() {
-  const client = await pool.connect();
-  try {
-    await client.query('SELECT 1');
-    return true;
-  } finally {
-    client.release();
-  }
-}
-
-function formatTimestamp(value) {
-  const d = new Date(value);
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+  return adapter.testConnection();
 }
 
 function getMonthRange(year, month) {
@@ -73,82 +92,105 @@ function normalizeDateParam(value) {
   return value;
 }
 
-function extractYearMonth(startDate) {
-  if (!startDate) return {};
-  const d = new Date(`${startDate}T00:00:00Z`);
-  return {
-    year: d.getUTCFullYear(),
-    month: d.getUTCMonth() + 1
-  };
+/**
+ * Stable cache key part for a meter filter (one id, a list or none).
+ */
+function meterKey(meterId) {
+  if (!meterId) return null;
+  return [].concat(meterId).map(String).sort();
 }
 
-async function fetchReadingsInRange(startDate, endDate, meterId) {
-  const tsExpr = '"date" + "time"';
-  const dateExpr = `DATE(${tsExpr})`;
-  const conditions = [];
-  const params = [];
+function previousDay(dateParam) {
+  const d = new Date(`${dateParam}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Last raw register per meter on the day before the range, so cumulative
+ * meters can derive the first interval of the range too.
+ */
+async function fetchRegisterBaselines(startParam, meterId) {
+  const rows = await adapter.fetchReadingsInRange(previousDay(startParam), startParam, meterId);
+  const baselines = {};
+  rows.forEach(row => {
+    const current = baselines[row.meter_id];
+    if (!current || row.timestamp > current.timestamp) {
+      baselines[row.meter_id] = row;
+    }
+  });
+  return baselines;
+}
 
+/**
+ * Interval kWh readings plus the register corrections (rollover, reset,
+ * negative delta, gap spread) made while deriving them.
+ */
+async function fetchReadingsWithCorrections(startDate, endDate, meterId) {
   const startParam = normalizeDateParam(startDate);
   const endParam = normalizeDateParam(endDate);
+  const query = { start: startParam || null, end: endParam || null, meters: meterKey(meterId) };
 
-  const { year, month } = extractYearMonth(startParam);
-  if (year && month) {
-    params.push(year, month);
-    conditions.push(`EXTRACT(YEAR FROM ${dateExpr}) = $${params.length - 1}`);
-    conditions.push(`EXTRACT(MONTH FROM ${dateExpr}) = $${params.length}`);
-  }
-
-  if (startParam) {
-    params.push(startParam);
-    conditions.push(`${dateExpr} >= $${params.length}`);
-  }
-
-  if (endParam) {
-    params.push(endParam);
-    conditions.push(`${dateExpr} < $${params.length}`);
-  }
-
-  if (meterId) {
-    params.push(meterId);
-    conditions.push(`meter_id = $${params.length}`);
-  }
+  return cached('readings', query, async () => {
+    const mapping = activeMapping();
+    const rows = await adapter.fetchReadingsInRange(startParam, endParam, meterId);
+    const baselines = hasCumulativeMeters(mapping) && startParam
+      ? await fetchRegisterBaselines(startParam, meterId)
+      : {};
 
-  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-  const query = `SELECT meter_id, ${tsExpr} AS ts, energy_consumed_kwh FROM ${tableIdent} ${where} ORDER BY ts ASC`;
-  const { rows } = await pool.query(query, params);
+    return deriveReadings(rows, mapping, baselines, startParam);
+  }, { ...rangePolicy(startParam, endParam), weight: result => result.readings.length });
+}
 
-  return rows.map((row) => ({
-    meter_id: row.meter_id,
-    timestamp: formatTimestamp(row.ts),
-    energy_consumed_kwh: Number(row.energy_consumed_kwh)
-  }));
+async function fetchReadingsInRange(startDate, endDate, meterId) {
+  const { readings } = await fetchReadingsWithCorrections(startDate, endDate, meterId);
+  return readings;
 }
 
 async function fetchAllReadings() {
   return fetchReadingsInRange();
 }
 
-async function fetchDailyAggregates(startDate, endDate) {
+async function fetchDailyAggregates(startDate, endDate, meterId) {
+  const startParam = normalizeDateParam(startDate);
+  const endParam = normalizeDateParam(endDate);
+
+  // Register readings can't be summed directly; derive intervals first
+  if (hasCumulativeMeters(activeMapping())) {
+    const readings = await fetchReadingsInRange(startParam, endParam, meterId);
+    return dailyAggregates(readings, 'energy_consumed_kwh');
+  }
+
+  const query = { start: startParam, end: endParam, meters: meterKey(meterId) };
+  return cached('daily_aggregates', query, async () => {
+    const aggregates = await adapter.fetchDailyAggregates(startParam, endParam, meterId);
+    return normalizeDailyAggregates(aggregates, activeMapping());
+  }, { ...rangePolicy(startParam, endParam), weight: aggregates => aggregates.length });
+}
+
+/**
+ * kWh per meter and interval: [{ meter_id, start: 'YYYY-MM-DD HH:MM',
+ * total_kwh, record_count }], the same sums as bucketing the readings.
+ *
+ * @param {number} [minutes=60] - Interval length; must divide an hour
+ */
+async function fetchIntervalAggregates(startDate, endDate, meterId, minutes = 60) {
   const startParam = normalizeDateParam(startDate);
   const endParam = normalizeDateParam(endDate);
-  const { year, month } = extractYearMonth(startParam);
-
-  const { rows } = await pool.query(
-    `SELECT meter_id, DATE("date") AS date, SUM(energy_consumed_kwh) AS total_kwh, COUNT(*) AS record_count
-     FROM ${tableIdent}
-     WHERE (DATE(${quoteIdent('date')}) >= $1 AND DATE(${quoteIdent('date')}) < $2)
-       ${year && month ? 'AND EXTRACT(YEAR FROM "date") = $3 AND EXTRACT(MONTH FROM "date") = $4' : ''}
-     GROUP BY meter_id, DATE("date")
-     ORDER BY meter_id, DATE("date") ASC`,
-    year && month ? [startParam, endParam, year, month] : [startParam, endParam]
-  );
-
-  return rows.map((row) => ({
-    meter_id: row.meter_id,
-    date: row.date.toISOString().slice(0, 10),
-    total_kwh: Number(row.total_kwh),
-    record_count: Number(row.record_count)
-  }));
+  if (!Number.isInteger(minutes) || minutes < 1 || 60 % minutes !== 0) {
+    throw new Error(`Invalid aggregation interval "${minutes}" (expected minutes dividing an hour)`);
+  }
+
+  if (hasCumulativeMeters(activeMapping())) {
+    const readings = await fetchReadingsInRange(startParam, endParam, meterId);
+    return intervalAggregates(readings, minutes, 'energy_consumed_kwh');
+  }
+
+  const query = { start: startParam, end: endParam, meters: meterKey(meterId), minutes };
+  return cached('interval_aggregates', query, async () => {
+    const aggregates = await adapter.fetchIntervalAggregates(startParam, endParam, meterId, minutes);
+    return normalizeDailyAggregates(aggregates, activeMapping());
+  }, { ...rangePolicy(startParam, endParam), weight: aggregates => aggregates.length });
 }
 
 async function fetchAggregatedMonthFromDb(year, month) {
@@ -165,67 +207,75 @@ async function fetchAggregatedMonthFromDb(year, month) {
 }
 
 async function fetchLatestAggregatedMonth() {
-  const { rows } = await pool.query(
-    `SELECT date_trunc('month', MAX(${quoteIdent('date')})) AS month_start FROM ${tableIdent}`
-  );
+  const { year, month } = await fetchLatestMonthRange();
+  return fetchAggregatedMonthFromDb(year, month);
+}
 
-  if (!rows[0] || !rows[0].month_start) {
-    throw new Error('No data found in database');
-  }
+/**
+ * Newest stored reading's 'YYYY-MM-DD HH:MM:SS' in the range (null when it
+ * has none), e.g. to check an aggregated file against the source.
+ */
+async function fetchLatestReadingTime(startDate, endDate) {
+  const startParam = normalizeDateParam(startDate);
+  const endParam = normalizeDateParam(endDate);
 
-  const monthStart = new Date(rows[0].month_start);
-  const year = monthStart.getUTCFullYear();
-  const month = monthStart.getUTCMonth() + 1;
-  const aggregated = await fetchAggregatedMonthFromDb(year, month);
-  return aggregated;
+  return cached('latest_reading', { start: startParam, end: endParam }, () =>
+    adapter.fetchLatestTimestamp(startParam, endParam), rangePolicy(startParam, endParam));
 }
 
 async function fetchAvailableMonths() {
-  const { rows } = await pool.query(
-    `SELECT EXTRACT(YEAR FROM ${quoteIdent('date')}) AS year,
-            EXTRACT(MONTH FROM ${quoteIdent('date')}) AS month,
-            COUNT(*) AS record_count
-     FROM ${tableIdent}
-     GROUP BY 1, 2
-     ORDER BY year DESC, month DESC`
-  );
-
-  return rows.map((row) => ({
-    year: Number(row.year),
-    month: Number(row.month),
-    records: Number(row.record_count)
-  }));
+  return adapter.fetchAvailableMonths();
 }
 
 async function fetchLatestMonthRange() {
-  const { rows } = await pool.query(
-    `SELECT MAX(${quoteIdent('date')}) AS latest_date FROM ${tableIdent}`
-  );
+  return adapter.fetchLatestMonthRange();
+}
 
-  if (!rows[0] || !rows[0].latest_date) {
-    throw new Error('No data found in database');
+async function fetchMeterRegistry(table) {
+  if (!adapter.fetchMeterRegistry) {
+    throw new Error('METER_REGISTRY_TABLE needs a database data source (postgres or sqlite)');
   }
+  return adapter.fetchMeterRegistry(table);
+}
+
+/**
+ * Readings as the adapter stores them (source unit, registers not derived),
+ * uncached: e.g. to check which readings already exist before writing.
+ */
+async function fetchStoredReadings(startDate, endDate, meterId) {
+  return adapter.fetchReadingsInRange(normalizeDateParam(startDate), normalizeDateParam(endDate), meterId);
+}
 
-  const latest = new Date(rows[0].latest_date);
-  const year = latest.getUTCFullYear();
-  const month = latest.getUTCMonth();
-  const start = new Date(Date.UTC(year, month, 1));
-  const end = new Date(Date.UTC(year, month + 1, 1));
-  return { start, end, year, month: month + 1 };
+/**
+ * Append raw { meter_id, timestamp: 'YYYY-MM-DD HH:MM:SS', value } rows to the
+ * store (see ingest.js). Callers invalidate cached loads of the months written.
+ */
+async function writeReadings(rows) {
+  if (!adapter.writeReadings) {
+    throw new Error(`The ${adapter.name} data source does not support writing readings`);
+  }
+  return adapter.writeReadings(rows);
 }
 
 module.exports = {
   dbConfig,
   tableName,
-  pool,
+  getDataSource,
+  setDataSource,
   testDbConnection,
   fetchReadingsInRange,
+  fetchReadingsWithCorrections,
   fetchAllReadings,
   fetchDailyAggregates,
+  fetchIntervalAggregates,
   fetchAggregatedMonthFromDb,
   fetchLatestAggregatedMonth,
+  fetchLatestReadingTime,
   fetchAvailableMonths,
   fetchLatestMonthRange,
+  fetchMeterRegistry,
+  fetchStoredReadings,
+  writeReadings,
   getMonthRange,
   getPreviousMonthRange,
   formatTimestamp
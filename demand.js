@@ -0,0 +1,229 @@
+/**
+ * PEAK DEMAND (kW)
+ *
+ * Interval demand from minute-level readings: the kWh consumed in each
+ * demand interval (default 15 minutes) divided by the interval length in
+ * hours is that interval's average kW. From the intervals:
+ *
+ * 1. Daily peaks - highest interval per day, with its start timestamp
+ * 2. Month-to-date peak - highest daily peak
+ * 3. Projected month peak - the median of the highest daily peak over the
+ *    remaining days, assuming daily peaks are roughly normal:
+ *    P(max of R days <= x) = F(x)^R  =>  x = F^-1(0.5^(1/R)),
+ *    never below the peak already set
+ *
+ * Interval length comes from DEMAND_INTERVAL_MINUTES (default 15). Meters
+ * reading less often than that use their own reading interval.
+ */
+
+const DEMAND_INTERVALS = [1, 5, 10, 15, 30, 60];
+const DEFAULT_DEMAND_INTERVAL = 15;
+const MIN_PROJECTION_DAYS = 2;
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function round4(value) {
+  return parseFloat((value || 0).toFixed(4));
+}
+
+/**
+ * Demand interval (minutes) from the request, DEMAND_INTERVAL_MINUTES or 15.
+ */
+function resolveDemandInterval(value = process.env.DEMAND_INTERVAL_MINUTES) {
+  if (value === undefined || value === null || value === '') return DEFAULT_DEMAND_INTERVAL;
+
+  const minutes = Number(value);
+  if (!DEMAND_INTERVALS.includes(minutes)) {
+    throw new Error(`Invalid demand interval "${value}" (expected ${DEMAND_INTERVALS.join(', ')} minutes)`);
+  }
+  return minutes;
+}
+
+// ============================================
+// INTERVALS
+// ============================================
+
+/**
+ * Bucket readings into demand intervals.
+ *
+ * @param {Array} readings - [{ timestamp: 'YYYY-MM-DD HH:MM:SS', energy_consumed_kwh }]
+ * @param {number} intervalMinutes
+ * @returns {Array} [{ start, date, kwh, kw, readings }] sorted by start
+ */
+function intervalDemand(readings, intervalMinutes = DEFAULT_DEMAND_INTERVAL) {
+  const buckets = {};
+
+  readings.forEach(row => {
+    const [date, time] = row.timestamp.split(' ');
+    const [hour, minute] = time.split(':').map(Number);
+    const slot = Math.floor((hour * 60 + minute) / intervalMinutes) * intervalMinutes;
+    const start = `${date} ${String(Math.floor(slot / 60)).padStart(2, '0')}:${String(slot % 60).padStart(2, '0')}`;
+
+    if (!buckets[start]) {
+      buckets[start] = { start, date, kwh: 0, readings: 0 };
+    }
+    buckets[start].kwh += parseFloat(row.energy_consumed_kwh) || 0;
+    buckets[start].readings++;
+  });
+
+  return Object.values(buckets)
+    .map(b => ({ ...b, kw: b.kwh * 60 / intervalMinutes }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Highest interval per day: [{ date, kw, timestamp, complete }]
+ * (complete = every interval of the day has readings).
+ */
+function dailyPeaks(intervals, intervalMinutes = DEFAULT_DEMAND_INTERVAL) {
+  const days = {};
+  intervals.forEach(interval => {
+    const day = days[interval.date] || (days[interval.date] = { date: interval.date, kw: -Infinity, timestamp: null, intervals: 0 });
+    day.intervals++;
+    if (interval.kw > day.kw) {
+      day.kw = interval.kw;
+      day.timestamp = interval.start;
+    }
+  });
+
+  const intervalsPerDay = 24 * 60 / intervalMinutes;
+  return Object.values(days)
+    .map(day => ({ date: day.date, kw: day.kw, timestamp: day.timestamp, complete: day.intervals >= intervalsPerDay }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ============================================
+// PROJECTION
+// ============================================
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26).
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+    * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Standard normal quantile (Abramowitz & Stegun 26.2.23).
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < 0.5) return -normalQuantile(1 - p);
+
+  const t = Math.sqrt(-2 * Math.log(1 - p));
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+}
+
+/**
+ * Likely month peak from the daily peaks seen so far.
+ *
+ * @param {Array} peaks - From dailyPeaks
+ * @param {number} remainingDays - Days of the month not yet observed
+ * @returns {Object} { kw, remainingDays, exceedProbability, method }
+ */
+function projectMonthPeak(peaks, remainingDays) {
+  const observedMax = peaks.reduce((max, p) => Math.max(max, p.kw), 0);
+  // A partial day's peak understates a full day's; leave it out of the spread
+  const basis = peaks.filter(p => p.complete).length >= MIN_PROJECTION_DAYS ? peaks.filter(p => p.complete) : peaks;
+
+  if (remainingDays <= 0 || basis.length < MIN_PROJECTION_DAYS) {
+    return {
+      kw: round2(observedMax),
+      remainingDays: Math.max(remainingDays, 0),
+      exceedProbability: remainingDays > 0 ? null : 0,
+      method: 'observed'
+    };
+  }
+
+  const mean = basis.reduce((sum, p) => sum + p.kw, 0) / basis.length;
+  const std = Math.sqrt(basis.reduce((sum, p) => sum + Math.pow(p.kw - mean, 2), 0) / (basis.length - 1));
+  const likelyMax = mean + std * normalQuantile(Math.pow(0.5, 1 / remainingDays));
+  const exceedProbability = std > 0
+    ? 1 - Math.pow(normalCdf((observedMax - mean) / std), remainingDays)
+    : 0;
+
+  return {
+    kw: round2(Math.max(observedMax, likelyMax)),
+    remainingDays,
+    exceedProbability: round4(exceedProbability),
+    method: 'daily_peak_distribution'
+  };
+}
+
+/**
+ * Demand block for a meter's /api/predict result.
+ *
+ * @param {Array} readings - The meter's readings for the period
+ * @param {Object} options - { intervalMinutes, readingIntervalMinutes, daysInMonth }
+ * @returns {Object|null} Null without readings
+ */
+function analyzeDemand(readings, options = {}) {
+  if (!readings || readings.length === 0) return null;
+
+  const intervalMinutes = effectiveDemandInterval(options);
+  return summarizeDemand(intervalDemand(readings, intervalMinutes), intervalMinutes, options.daysInMonth);
+}
+
+/**
+ * Demand interval actually used: the requested one, or the meter's own
+ * reading interval when that is longer.
+ */
+function effectiveDemandInterval(options = {}) {
+  return Math.max(
+    options.intervalMinutes || DEFAULT_DEMAND_INTERVAL,
+    options.readingIntervalMinutes || 1
+  );
+}
+
+/**
+ * Peak demand from interval sums made elsewhere (e.g. SQL interval
+ * aggregates); same result as analyzeDemand on the underlying readings.
+ *
+ * @param {Array} aggregates - [{ start: 'YYYY-MM-DD HH:MM', total_kwh, record_count }]
+ * @param {Object} options - { intervalMinutes (of the sums), daysInMonth }
+ */
+function analyzeIntervalDemand(aggregates, options = {}) {
+  if (!aggregates || aggregates.length === 0) return null;
+
+  const intervalMinutes = options.intervalMinutes || DEFAULT_DEMAND_INTERVAL;
+  const intervals = aggregates
+    .map(entry => ({
+      start: entry.start,
+      date: entry.start.slice(0, 10),
+      kwh: entry.total_kwh,
+      readings: entry.record_count,
+      kw: entry.total_kwh * 60 / intervalMinutes
+    }))
+    .sort((a, b) => a.start.localeCompare(b.start));
+  return summarizeDemand(intervals, intervalMinutes, options.daysInMonth);
+}
+
+function summarizeDemand(intervals, intervalMinutes, daysInMonth) {
+  const peaks = dailyPeaks(intervals, intervalMinutes);
+  const monthPeak = peaks.reduce((max, p) => (p.kw > max.kw ? p : max), peaks[0]);
+  const lastDay = parseInt(peaks[peaks.length - 1].date.slice(8, 10), 10);
+  const remainingDays = daysInMonth ? Math.max(daysInMonth - lastDay, 0) : 0;
+
+  return {
+    intervalMinutes,
+    monthToDatePeak: { kw: round2(monthPeak.kw), timestamp: monthPeak.timestamp },
+    dailyPeaks: peaks.map(p => ({ date: p.date, kw: round2(p.kw), timestamp: p.timestamp, complete: p.complete })),
+    projectedMonthPeak: projectMonthPeak(peaks, remainingDays)
+  };
+}
+
+module.exports = {
+  resolveDemandInterval,
+  intervalDemand,
+  dailyPeaks,
+  projectMonthPeak,
+  analyzeDemand,
+  effectiveDemandInterval,
+  analyzeIntervalDemand
+};
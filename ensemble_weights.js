@@ -0,0 +1,228 @@
+/**
+ * ENSEMBLE WEIGHTS
+ *
+ * Weights for the next-month forecast ensemble
+ * (simple average / recent trend / day-of-week), per meter.
+ *
+ * Weights are fitted by tune_weights.js from each meter's own history and
+ * persisted to ENSEMBLE_WEIGHTS_PATH (default: ensemble_weights.json).
+ * Meters without tuned weights use DEFAULT_WEIGHTS.
+ *
+ *   {
+ *     "generatedAt": "2025-02-01T00:00:00.000Z",
+ *     "meters": {
+ *       "KSR-1": {
+ *         "weights": { "simple_average": 0.1, "recent_trend": 0.6, "day_of_week": 0.3 },
+ *         "source": "tuned",
+ *         "validation": { "method": "leave_one_out", "samples": 4, "mape": 2.1, "defaultMape": 3.4 }
+ *       }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WEIGHTS_PATH = path.join(__dirname, 'ensemble_weights.json');
+const ENSEMBLE_METHODS = ['simple_average', 'recent_trend', 'day_of_week'];
+const DEFAULT_WEIGHTS = {
+  simple_average: 0.3,
+  recent_trend: 0.4,
+  day_of_week: 0.3
+};
+const GRID_STEP = 0.05;
+const MIN_TUNE_SAMPLES = 2;
+
+let weightsCache = {
+  filePath: null,
+  mtimeMs: null,
+  config: null
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+function resolveWeightsPath(filePath) {
+  return path.resolve(filePath || process.env.ENSEMBLE_WEIGHTS_PATH || DEFAULT_WEIGHTS_PATH);
+}
+
+/**
+ * Load tuned weights from disk (re-read when the file changes).
+ * Returns null when nothing has been tuned yet.
+ */
+function loadEnsembleWeights(filePath) {
+  const resolved = resolveWeightsPath(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(resolved);
+  if (weightsCache.filePath === resolved && weightsCache.mtimeMs === mtimeMs) {
+    return weightsCache.config;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  weightsCache = { filePath: resolved, mtimeMs, config };
+  return config;
+}
+
+function saveEnsembleWeights(config, filePath) {
+  const resolved = resolveWeightsPath(filePath);
+  fs.writeFileSync(resolved, JSON.stringify(config, null, 2));
+  return resolved;
+}
+
+/**
+ * Weights to use for a meter: tuned when available, otherwise the defaults.
+ */
+function resolveEnsembleWeights(config, meterId) {
+  const entry = config && config.meters && config.meters[meterId];
+
+  if (!entry || entry.source !== 'tuned') {
+    return {
+      weights: { ...DEFAULT_WEIGHTS },
+      source: 'default',
+      validation: entry ? entry.validation : null
+    };
+  }
+
+  return {
+    weights: entry.weights,
+    source: 'tuned',
+    validation: entry.validation || null,
+    tunedAt: config.generatedAt || null
+  };
+}
+
+/**
+ * Weighted combination of the method forecasts (every method with a weight,
+ * so methods registered in forecast_engine.js can be blended too). Weights
+ * are normalized over the methods that produced a forecast.
+ */
+function combineForecasts(methods, weights) {
+  let total = 0;
+  let weightSum = 0;
+  Object.keys(weights).forEach(method => {
+    const kwh = methods[method];
+    const weight = weights[method] || 0;
+    if (weight <= 0 || kwh === null || kwh === undefined || !Number.isFinite(kwh)) return;
+    total += kwh * weight;
+    weightSum += weight;
+  });
+  return weightSum > 0 ? total / weightSum : 0;
+}
+
+// ============================================
+// FITTING
+// ============================================
+
+/**
+ * Every weight combination on the simplex at GRID_STEP resolution.
+ */
+function weightGrid(step = GRID_STEP) {
+  const steps = Math.round(1 / step);
+  const grid = [];
+
+  for (let a = 0; a <= steps; a++) {
+    for (let b = 0; b <= steps - a; b++) {
+      grid.push({
+        simple_average: round2(a * step),
+        recent_trend: round2(b * step),
+        day_of_week: round2((steps - a - b) * step)
+      });
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Mean absolute percentage error of a weight set over samples
+ * [{ methods: { simple_average, recent_trend, day_of_week }, actual }].
+ */
+function weightsMape(samples, weights) {
+  const scored = samples.filter(s => s.actual > 0);
+  if (scored.length === 0) return null;
+
+  const total = scored.reduce((sum, s) => {
+    return sum + Math.abs(combineForecasts(s.methods, weights) - s.actual) / s.actual;
+  }, 0);
+  return total / scored.length * 100;
+}
+
+/**
+ * Error-minimizing grid search; ties keep the defaults.
+ */
+function fitWeights(samples) {
+  let best = { weights: { ...DEFAULT_WEIGHTS }, mape: weightsMape(samples, DEFAULT_WEIGHTS) };
+  if (best.mape === null) return best;
+
+  weightGrid().forEach(weights => {
+    const mape = weightsMape(samples, weights);
+    if (mape < best.mape - 1e-9) {
+      best = { weights, mape };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Fit weights for ONE meter and validate them out of sample
+ * (leave-one-out: fit on all other months, score the held-out month).
+ *
+ * Tuned weights are only adopted when they beat the defaults in validation.
+ */
+function tuneMeterWeights(samples) {
+  const defaultMape = weightsMape(samples, DEFAULT_WEIGHTS);
+
+  if (samples.length < MIN_TUNE_SAMPLES) {
+    return {
+      weights: { ...DEFAULT_WEIGHTS },
+      source: 'default',
+      reason: `Need at least ${MIN_TUNE_SAMPLES} months of history (have ${samples.length})`,
+      validation: { method: 'in_sample', samples: samples.length, mape: round2(defaultMape), defaultMape: round2(defaultMape) }
+    };
+  }
+
+  const heldOutErrors = samples.map((sample, idx) => {
+    const { weights } = fitWeights(samples.filter((_, i) => i !== idx));
+    return weightsMape([sample], weights);
+  }).filter(err => err !== null);
+
+  const validationMape = heldOutErrors.reduce((sum, err) => sum + err, 0) / heldOutErrors.length;
+  const fitted = fitWeights(samples);
+  const improves = validationMape < defaultMape;
+
+  return {
+    weights: improves ? fitted.weights : { ...DEFAULT_WEIGHTS },
+    source: improves ? 'tuned' : 'default',
+    reason: improves ? null : 'Tuned weights did not beat the defaults in validation',
+    fittedWeights: fitted.weights,
+    inSampleMape: round2(fitted.mape),
+    validation: {
+      method: 'leave_one_out',
+      samples: samples.length,
+      mape: round2(validationMape),
+      defaultMape: round2(defaultMape)
+    }
+  };
+}
+
+module.exports = {
+  ENSEMBLE_METHODS,
+  DEFAULT_WEIGHTS,
+  loadEnsembleWeights,
+  saveEnsembleWeights,
+  resolveEnsembleWeights,
+  combineForecasts,
+  weightsMape,
+  fitWeights,
+  tuneMeterWeights
+};
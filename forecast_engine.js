@@ -0,0 +1,510 @@
+/**
+ * NEXT-MONTH FORECAST ENGINE
+ *
+ * One forecast path for the API, the outlook, backtests and weight tuning:
+ *
+ * - Methods live in a registry (registerForecastMethod). Each gets a per-meter
+ *   context (daily history, working-day rates, target days, degree-day fit)
+ *   and returns a kWh forecast or null. Methods in ENSEMBLE_METHODS are
+ *   blended with the meter's tuned/default ensemble weights; other methods
+ *   take their registered weight (default 0 = reported only) and the
+ *   ensemble weights share the rest
+ * - Daily aggregates come from a loader { name, loadMonth(year, month),
+ *   latestMonth() }: aggregated_YYYY_MM.json files (refreshed when stale)
+ *   falling back to the data source (default), the data source only, or
+ *   months held in memory. FORECAST_LOADER=files|data_source picks the default
+ * - The requested year/month is the source month (latest data otherwise);
+ *   the forecast is for the month after it
+ *
+ * Usage:
+ *   node forecast_engine.js [--year=2024 --month=12] [--lookback=3]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchAggregatedMonthFromDb, fetchLatestAggregatedMonth, fetchLatestMonthRange } = require('./data_source');
+const { parseQuantiles, bootstrapInterval, sumIntervals } = require('./prediction_intervals');
+const { ENSEMBLE_METHODS, loadEnsembleWeights, resolveEnsembleWeights, combineForecasts } = require('./ensemble_weights');
+const { loadTemperatureSeries, degreeDayForecast } = require('./weather');
+const { loadCalendarConfig, createDayClassifier, splitDailyRates, partitionDates, describeCalendar } = require('./working_calendar');
+const { loadForecastHistory, monthWeightLookup, seasonalFactors, describeHistory } = require('./forecast_history');
+const { aggregateMonthData, readAggregatedMonth, isAggregateStale, compareWithSource } = require('./aggregate_data');
+
+const FORECAST_LOADERS = ['files', 'data_source'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+// name -> { forecast(context), weight, seasonal }, in registration order
+const methods = new Map();
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(year, month, 0).getDate();
+}
+
+function dayOfWeek(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).getDay();
+}
+
+// ============================================
+// METHOD REGISTRY
+// ============================================
+
+/**
+ * Add (or replace) a forecast method.
+ *
+ * @param {string} name - Key in each meter's `methods`
+ * @param {Function} forecast - context => kWh for the target month, or null
+ * @param {Object} [options]
+ * @param {number} [options.weight] - Ensemble share for methods outside
+ *   ENSEMBLE_METHODS (default 0: reported, not blended)
+ * @param {boolean} [options.seasonal] - Scale by the same-month-last-year
+ *   factor (default true)
+ */
+function registerForecastMethod(name, forecast, options = {}) {
+  if (typeof forecast !== 'function') {
+    throw new Error(`Forecast method "${name}" needs a forecast function`);
+  }
+  const weight = options.weight !== undefined ? Number(options.weight) : 0;
+  if (!(weight >= 0 && weight < 1)) {
+    throw new Error(`Invalid weight "${options.weight}" for forecast method "${name}" (expected 0 <= weight < 1)`);
+  }
+  methods.set(name, { forecast, weight, seasonal: options.seasonal !== false });
+}
+
+function unregisterForecastMethod(name) {
+  return methods.delete(name);
+}
+
+function listForecastMethods() {
+  return [...methods.keys()];
+}
+
+registerForecastMethod('simple_average', ctx =>
+  ctx.rates.workingAvg * ctx.targetDays.working.length + ctx.nonWorkingKwh);
+
+// Last 7 working days
+registerForecastMethod('recent_trend', ctx =>
+  ctx.recentAvg * ctx.targetDays.working.length + ctx.nonWorkingKwh);
+
+// Working days only, recency-weighted
+registerForecastMethod('day_of_week', ctx => {
+  const pattern = Array(7).fill(0).map(() => ({ total: 0, count: 0 }));
+  ctx.workingDays.forEach(({ date, kwh, weight }) => {
+    const dow = dayOfWeek(date);
+    pattern[dow].total += kwh * weight;
+    pattern[dow].count += weight;
+  });
+  const dowAvg = pattern.map(d => (d.count > 0 ? d.total / d.count : ctx.rates.workingAvg));
+
+  return ctx.targetDays.working.reduce((sum, date) => sum + dowAvg[dayOfWeek(date)], ctx.nonWorkingKwh);
+});
+
+// Weather-normalized regression; already reflects the target month's normals
+registerForecastMethod('degree_day', ctx =>
+  (ctx.weather.available ? ctx.weather.forecast_kwh : null), { seasonal: false });
+
+/**
+ * Ensemble weights plus the registered share of methods they don't cover,
+ * over the methods that produced a forecast (the others get 0) and scaled to
+ * sum to 1.
+ */
+function blendWeights(ensembleWeights, results) {
+  const extra = [...methods.entries()].filter(([name, method]) =>
+    method.weight > 0 && !ENSEMBLE_METHODS.includes(name) && ensembleWeights[name] === undefined &&
+    results[name] !== undefined);
+  const extraTotal = extra.reduce((sum, [, method]) => sum + method.weight, 0);
+  const share = Math.min(extraTotal, 1);
+
+  const weights = {};
+  Object.entries(ensembleWeights).forEach(([name, weight]) => {
+    weights[name] = results[name] !== undefined ? weight * (1 - share) : 0;
+  });
+  extra.forEach(([name, method]) => { weights[name] = method.weight * share / extraTotal; });
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total > 0) Object.keys(weights).forEach(name => { weights[name] /= total; });
+  return weights;
+}
+
+// ============================================
+// LOADERS
+// ============================================
+
+/**
+ * Daily aggregates straight from the configured data source.
+ */
+function createDataSourceLoader() {
+  return {
+    name: 'data_source',
+    loadMonth: (year, month) => fetchAggregatedMonthFromDb(year, month),
+    latestMonth: () => fetchLatestAggregatedMonth()
+  };
+}
+
+/**
+ * aggregated_YYYY_MM.json files (see aggregate_data.js); months without a
+ * file come from the fallback loader (default: the data source). Stale files
+ * (see isAggregateStale) and files the source has moved past (see
+ * compareWithSource) are refreshed first; when that fails the file is used as
+ * is. The latest month is the later of the newest file and the source's
+ * newest month.
+ *
+ * @param {Object} [options] - { dir (default: next to this file), fallback
+ *   (null = none), refresh ((year, month, { full }) => fresh data, null =
+ *   never refresh), checkSource (default true; false trusts the files) }
+ */
+function createFileLoader(options = {}) {
+  const dir = path.resolve(options.dir || __dirname);
+  const fallback = options.fallback !== undefined ? options.fallback : createDataSourceLoader();
+  const checkSource = options.checkSource !== false;
+  const refresh = options.refresh !== undefined
+    ? options.refresh
+    : async (year, month, { full }) => (await aggregateMonthData(year, month, { dir, full })).data;
+
+  const staleReason = async data => {
+    const stale = isAggregateStale(data);
+    if (stale || !checkSource) return stale;
+    return compareWithSource(data);
+  };
+
+  const loadFile = async (year, month) => {
+    const data = readAggregatedMonth(year, month, dir);
+    const stale = data && refresh ? await staleReason(data) : null;
+    if (!stale) return data;
+
+    try {
+      // Appended readings only need the changed meters' last readings re-read
+      const full = stale !== 'open_month' && stale !== 'source_newer';
+      return await refresh(year, month, { full });
+    } catch (error) {
+      console.warn(`⚠️  Using stale aggregated_${year}_${pad(month)}.json (${stale}): refresh failed: ${error.message}`);
+      return data;
+    }
+  };
+
+  // Newest month in the source, null when unknown (not checked, empty, unreachable)
+  const latestSourceMonth = async () => {
+    if (!checkSource) return null;
+    try {
+      return await fetchLatestMonthRange();
+    } catch (error) {
+      console.warn(`⚠️  Could not read the latest month from the data source: ${error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    name: 'files',
+    loadMonth: async (year, month) => {
+      const data = await loadFile(year, month);
+      if (data) return data;
+      return fallback ? fallback.loadMonth(year, month) : null;
+    },
+    latestMonth: async () => {
+      const files = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(file => /^aggregated_\d{4}_\d{2}\.json$/.test(file)).sort()
+        : [];
+      const newestFile = files.length > 0
+        ? files[files.length - 1].match(/^aggregated_(\d{4})_(\d{2})\.json$/).slice(1).map(Number)
+        : null;
+      const source = await latestSourceMonth();
+
+      if (source && (!newestFile || source.year * 12 + source.month > newestFile[0] * 12 + newestFile[1])) {
+        if (fallback) return fallback.latestMonth();
+        if (refresh) return refresh(source.year, source.month, { full: true });
+      }
+      if (newestFile) return loadFile(newestFile[0], newestFile[1]);
+      return fallback ? fallback.latestMonth() : null;
+    }
+  };
+}
+
+/**
+ * Months held in memory: [{ year, month, aggregates, metadata? }].
+ */
+function createMemoryLoader(months = []) {
+  const byKey = new Map(months.map(data => [`${data.year}-${pad(data.month)}`, data]));
+  const withData = months
+    .filter(data => data.aggregates && data.aggregates.length > 0)
+    .sort((a, b) => a.year - b.year || a.month - b.month);
+
+  return {
+    name: 'memory',
+    loadMonth: async (year, month) => byKey.get(`${year}-${pad(month)}`) || { year, month, aggregates: [] },
+    latestMonth: async () => withData[withData.length - 1] || null
+  };
+}
+
+/**
+ * Default loader: files (with the data source as fallback) or data_source.
+ */
+function resolveForecastLoader(value = process.env.FORECAST_LOADER) {
+  if (value === undefined || value === null || value === '') return createFileLoader();
+  const name = String(value).toLowerCase();
+  if (!FORECAST_LOADERS.includes(name)) {
+    throw new Error(`Invalid FORECAST_LOADER "${value}" (expected ${FORECAST_LOADERS.join(', ')})`);
+  }
+  return name === 'files' ? createFileLoader() : createDataSourceLoader();
+}
+
+/**
+ * Source month for a forecast: the requested month, otherwise the most recent.
+ */
+async function loadSourceMonth(options = {}, loader = options.loader || resolveForecastLoader()) {
+  const data = options.year && options.month
+    ? await loader.loadMonth(options.year, options.month)
+    : await loader.latestMonth();
+
+  if (!data || !data.aggregates || data.aggregates.length === 0) {
+    const period = options.year && options.month ? ` for ${options.year}-${pad(options.month)}` : '';
+    throw new Error(`No aggregated data found${period}. Run: node aggregate_data.js`);
+  }
+  return data;
+}
+
+// ============================================
+// CALCULATION
+// ============================================
+
+/**
+ * Per-meter inputs handed to every method.
+ */
+function buildContext(meterId, days, target, calendarConfig, temperatures, scenario) {
+  // Holidays / shutdowns are learned and projected separately from working days
+  const classify = createDayClassifier(calendarConfig, meterId);
+  const rates = splitDailyRates(days, classify);
+  const workingDays = days.filter(d => classify(d.date).working);
+  const targetDays = partitionDates(target.dates, classify);
+
+  const recentPool = workingDays.length > 0 ? workingDays : days;
+  const recentDays = Math.min(7, recentPool.length);
+
+  return {
+    meterId,
+    days,
+    workingDays,
+    rates,
+    recentAvg: recentPool.slice(-recentDays).reduce((sum, d) => sum + d.kwh, 0) / recentDays,
+    targetYear: target.year,
+    targetMonth: target.month,
+    targetDates: target.dates,
+    targetDays,
+    nonWorkingKwh: rates.nonWorkingAvg * targetDays.nonWorking.length,
+    weather: degreeDayForecast(days, temperatures, target.year, target.month, scenario)
+  };
+}
+
+/**
+ * Forecast every meter in a history window for the target month.
+ *
+ * history is a loaded month or a lookback window (see forecast_history.js):
+ * days are weighted by month recency and blended methods are scaled by last
+ * year's seasonality.
+ *
+ * @param {Object} [options] - { quantiles, weightsConfig, weather: { series, scenario },
+ *   calendarConfig }; omitted entries are loaded from their config files
+ * @returns {Object} { forecasts: { meterId: forecast }, processing_time_ms, meter_count }
+ */
+function calculateForecast(history, targetYear, targetMonth, options = {}) {
+  const startTime = Date.now();
+  const quantiles = options.quantiles || parseQuantiles();
+  const weightsConfig = options.weightsConfig !== undefined ? options.weightsConfig : loadEnsembleWeights();
+  const calendarConfig = options.calendarConfig !== undefined ? options.calendarConfig : loadCalendarConfig();
+  const weather = options.weather || {};
+  const temperatures = weather.series !== undefined ? weather.series : loadTemperatureSeries();
+
+  const daysInMonth = getDaysInMonth(targetYear, targetMonth);
+  const target = {
+    year: targetYear,
+    month: targetMonth,
+    dates: Array.from({ length: daysInMonth }, (_, i) => `${targetYear}-${pad(targetMonth)}-${pad(i + 1)}`)
+  };
+  const weightOf = monthWeightLookup(history);
+  const seasonality = seasonalFactors(history);
+
+  const daysByMeter = {};
+  history.aggregates.forEach(entry => {
+    if (!daysByMeter[entry.meter_id]) daysByMeter[entry.meter_id] = [];
+    daysByMeter[entry.meter_id].push({ date: entry.date, kwh: entry.total_kwh, weight: weightOf(entry.date) });
+  });
+
+  const forecasts = {};
+  Object.entries(daysByMeter).forEach(([meterId, days]) => {
+    const ctx = buildContext(meterId, days, target, calendarConfig, temperatures, weather.scenario);
+    const seasonal = seasonality[meterId] || null;
+    const seasonalFactor = seasonal ? seasonal.factor : 1;
+
+    const results = {};
+    methods.forEach((method, name) => {
+      const kwh = method.forecast(ctx);
+      if (kwh !== null && kwh !== undefined && Number.isFinite(kwh)) {
+        results[name] = method.seasonal ? kwh * seasonalFactor : kwh;
+      }
+    });
+
+    const ensemble = resolveEnsembleWeights(weightsConfig, meterId);
+    ensemble.weights = blendWeights(ensemble.weights, results);
+    const forecast = combineForecasts(results, ensemble.weights);
+    const observed = days.map(d => d.kwh);
+
+    forecasts[meterId] = {
+      meter_id: meterId,
+      forecast_kwh: forecast,
+      interval: bootstrapInterval({ observed, point: forecast, horizonDays: daysInMonth, quantiles }),
+      avg_daily: observed.reduce((sum, kwh) => sum + kwh, 0) / days.length,
+      recent_avg_daily: ctx.recentAvg,
+      days_analyzed: days.length,
+      confidence: days.length >= 20 ? 'high' : days.length >= 10 ? 'medium' : 'low',
+      methods: results,
+      ensemble,
+      weather: ctx.weather,
+      calendar: calendarConfig ? describeCalendar(ctx.rates, ctx.targetDays) : null,
+      seasonality: seasonal
+    };
+  });
+
+  return {
+    forecasts,
+    processing_time_ms: Date.now() - startTime,
+    meter_count: Object.keys(forecasts).length
+  };
+}
+
+// ============================================
+// FORECAST
+// ============================================
+
+/**
+ * Forecast the month after the source month.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.year] - Source year (with month; default: latest data)
+ * @param {number} [options.month] - Source month
+ * @param {number} [options.lookback] - History months (see forecast_history.js)
+ * @param {Array<number>} [options.quantiles] - Interval quantiles
+ * @param {Object} [options.weather] - Temperature scenario (see weather.js)
+ * @param {Object} [options.loader] - Data loader (default: resolveForecastLoader())
+ */
+async function generateForecast(options = {}) {
+  const overallStart = Date.now();
+  const loader = options.loader || resolveForecastLoader();
+  const source = await loadSourceMonth(options, loader);
+  const targetYear = source.month === 12 ? source.year + 1 : source.year;
+  const targetMonth = source.month === 12 ? 1 : source.month + 1;
+
+  // Lookback window (recency-weighted) + same month last year
+  const history = await loadForecastHistory(loader.loadMonth, source.year, source.month, {
+    lookback: options.lookback,
+    source
+  });
+
+  const weightsConfig = loadEnsembleWeights();
+  const weather = { series: loadTemperatureSeries(), scenario: options.weather || {} };
+  const result = calculateForecast(history, targetYear, targetMonth, {
+    quantiles: options.quantiles,
+    weightsConfig,
+    weather
+  });
+  const perMeter = Object.values(result.forecasts);
+
+  return {
+    forecast_period: {
+      year: targetYear,
+      month: targetMonth,
+      month_name: MONTH_NAMES[targetMonth - 1],
+      days_in_month: getDaysInMonth(targetYear, targetMonth)
+    },
+    total_forecast_kwh: perMeter.reduce((sum, f) => sum + f.forecast_kwh, 0),
+    total_forecast_interval: sumIntervals(perMeter.map(f => f.interval)),
+    meter_count: result.meter_count,
+    per_meter_forecasts: result.forecasts,
+    history: describeHistory(history),
+    generation_info: {
+      timestamp: new Date().toISOString(),
+      processing_time_ms: Date.now() - overallStart,
+      calculation_time_ms: result.processing_time_ms,
+      data_loader: loader.name,
+      source_data: {
+        year: source.year,
+        month: source.month,
+        records_analyzed: history.metadata.aggregated_entries
+      },
+      methods: listForecastMethods(),
+      ensemble_weights: {
+        tuned_at: weightsConfig ? weightsConfig.generatedAt || null : null,
+        tuned_meters: perMeter.filter(f => f.ensemble.source === 'tuned').length
+      },
+      weather: {
+        temperature_data: Boolean(weather.series),
+        weather_normalized_meters: perMeter.filter(f => f.weather.available).length
+      }
+    }
+  };
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+  return args;
+}
+
+module.exports = {
+  FORECAST_LOADERS,
+  registerForecastMethod,
+  unregisterForecastMethod,
+  listForecastMethods,
+  createFileLoader,
+  createDataSourceLoader,
+  createMemoryLoader,
+  resolveForecastLoader,
+  loadSourceMonth,
+  calculateForecast,
+  generateForecast
+};
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  (async () => {
+    const forecast = await generateForecast({
+      year: args.year ? parseInt(args.year, 10) : undefined,
+      month: args.month ? parseInt(args.month, 10) : undefined,
+      lookback: args.lookback
+    });
+
+    console.log('========================================');
+    console.log('NEXT-MONTH FORECAST');
+    console.log('========================================');
+    console.log(`Target: ${forecast.forecast_period.month_name} ${forecast.forecast_period.year}`);
+    console.log(`Source: ${forecast.generation_info.source_data.year}-${pad(forecast.generation_info.source_data.month)} (${forecast.generation_info.data_loader})`);
+    console.log(`Total Forecast: ${forecast.total_forecast_kwh.toFixed(2)} kWh`);
+    console.log(`Meters: ${forecast.meter_count}`);
+    console.log(`Processing Time: ${forecast.generation_info.processing_time_ms}ms`);
+    console.log('========================================\n');
+
+    Object.values(forecast.per_meter_forecasts)
+      .sort((a, b) => b.forecast_kwh - a.forecast_kwh)
+      .forEach((meter, idx) => {
+        console.log(`${idx + 1}. Meter ${meter.meter_id}: ${meter.forecast_kwh.toFixed(2)} kWh (${meter.confidence})`);
+      });
+  })().catch(error => {
+    console.error('\n❌ ERROR:', error.message);
+    if (error.message.includes('No aggregated data')) {
+      console.log('\n💡 Solution: Run data aggregation first:');
+      console.log('   node aggregate_data.js');
+    }
+    process.exit(1);
+  });
+}
@@ -0,0 +1,242 @@
+/**
+ * FORECAST HISTORY WINDOW
+ *
+ * Collects the months a next-month forecast learns from:
+ *
+ * 1. Lookback - the source month and the (lookback - 1) months before it,
+ *    weighted by recency: weight = decay ^ monthsBack, normalized over the
+ *    months that actually have data
+ * 2. Seasonality - the target month one year earlier and the source month one
+ *    year earlier; their daily-rate ratio is the seasonal factor per meter
+ *
+ * Lookback comes from the request or FORECAST_LOOKBACK_MONTHS (default 3),
+ * decay from FORECAST_RECENCY_DECAY (default 0.6).
+ * Months are loaded through an injected loader (aggregate files or database).
+ */
+
+const DEFAULT_LOOKBACK_MONTHS = 3;
+const MAX_LOOKBACK_MONTHS = 24;
+const DEFAULT_RECENCY_DECAY = 0.6;
+const SEASONAL_FACTOR_LIMITS = { min: 0.5, max: 2 };
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function round4(value) {
+  return parseFloat((value || 0).toFixed(4));
+}
+
+function monthKey(year, month) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function shiftMonth(year, month, offset) {
+  const index = year * 12 + (month - 1) + offset;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+/**
+ * Parse a lookback (months) value; throws on anything but 1..24.
+ */
+function resolveLookback(value = process.env.FORECAST_LOOKBACK_MONTHS) {
+  if (value === undefined || value === null || value === '') return DEFAULT_LOOKBACK_MONTHS;
+
+  const lookback = Number(value);
+  if (!Number.isInteger(lookback) || lookback < 1 || lookback > MAX_LOOKBACK_MONTHS) {
+    throw new Error(`Invalid lookback "${value}" (expected whole months between 1 and ${MAX_LOOKBACK_MONTHS})`);
+  }
+  return lookback;
+}
+
+function resolveDecay(value = process.env.FORECAST_RECENCY_DECAY) {
+  const decay = parseFloat(value);
+  return Number.isFinite(decay) && decay > 0 && decay <= 1 ? decay : DEFAULT_RECENCY_DECAY;
+}
+
+async function loadMonthSafely(loadMonth, year, month) {
+  try {
+    const data = await loadMonth(year, month);
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+function hasData(data) {
+  return Boolean(data && data.aggregates && data.aggregates.length > 0);
+}
+
+/**
+ * Last year's target month and last year's source month, for the seasonal factor.
+ */
+async function loadSeasonalMonths(loadMonth, sourceYear, sourceMonth, targetYear, targetMonth) {
+  const target = shiftMonth(targetYear, targetMonth, -12);
+  const reference = shiftMonth(sourceYear, sourceMonth, -12);
+  const [targetLastYear, referenceLastYear] = await Promise.all([
+    loadMonthSafely(loadMonth, target.year, target.month),
+    loadMonthSafely(loadMonth, reference.year, reference.month)
+  ]);
+
+  return {
+    target: hasData(targetLastYear.data) ? { ...target, key: monthKey(target.year, target.month), aggregates: targetLastYear.data.aggregates } : null,
+    reference: hasData(referenceLastYear.data) ? { ...reference, key: monthKey(reference.year, reference.month), aggregates: referenceLastYear.data.aggregates } : null
+  };
+}
+
+/**
+ * Load the history window for a forecast of the month after source.
+ *
+ * @param {Function} loadMonth - async (year, month) => { aggregates: [{ meter_id, date, total_kwh }] }
+ * @param {number} sourceYear
+ * @param {number} sourceMonth
+ * @param {Object} [options] - { lookback, decay, source } (source = already loaded source month)
+ * @returns {Object} { year, month, aggregates, months, seasonal, lookback, decay, metadata }
+ */
+async function loadForecastHistory(loadMonth, sourceYear, sourceMonth, options = {}) {
+  const lookback = resolveLookback(options.lookback);
+  const decay = resolveDecay(options.decay);
+  const months = [];
+  const aggregates = [];
+  let sourceData = options.source || null;
+
+  for (let monthsBack = 0; monthsBack < lookback; monthsBack++) {
+    const { year, month } = shiftMonth(sourceYear, sourceMonth, -monthsBack);
+    let data;
+    let error = null;
+
+    if (monthsBack === 0) {
+      // The source month is required; let its errors surface
+      data = sourceData || await loadMonth(year, month);
+      sourceData = data;
+    } else {
+      ({ data, error } = await loadMonthSafely(loadMonth, year, month));
+    }
+
+    months.push({
+      year,
+      month,
+      key: monthKey(year, month),
+      monthsBack,
+      rawWeight: Math.pow(decay, monthsBack),
+      days: hasData(data) ? new Set(data.aggregates.map(a => a.date)).size : 0,
+      ...(error ? { error } : {})
+    });
+    if (hasData(data)) aggregates.push(...data.aggregates);
+  }
+
+  // Normalize weights over the months that contributed
+  const contributing = months.filter(m => m.days > 0);
+  const weightTotal = contributing.reduce((sum, m) => sum + m.rawWeight, 0);
+  months.forEach(m => {
+    m.weight = m.days > 0 ? m.rawWeight / weightTotal : 0;
+    delete m.rawWeight;
+  });
+
+  const next = shiftMonth(sourceYear, sourceMonth, 1);
+  const seasonal = await loadSeasonalMonths(loadMonth, sourceYear, sourceMonth, next.year, next.month);
+
+  // Oldest first, so "recent" methods read the end of the window
+  aggregates.sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    year: sourceYear,
+    month: sourceMonth,
+    aggregates,
+    months,
+    seasonal,
+    lookback,
+    decay,
+    metadata: {
+      ...((sourceData && sourceData.metadata) || {}),
+      aggregated_entries: aggregates.length
+    }
+  };
+}
+
+/**
+ * Recency weight for a daily aggregate date; 1 outside a history window.
+ */
+function monthWeightLookup(history) {
+  const weights = {};
+  ((history && history.months) || []).forEach(m => { weights[m.key] = m.weight; });
+  return (date) => (weights[date.slice(0, 7)] !== undefined ? weights[date.slice(0, 7)] : 1);
+}
+
+function averageDailyByMeter(aggregates) {
+  const totals = {};
+  aggregates.forEach(entry => {
+    if (!totals[entry.meter_id]) totals[entry.meter_id] = { kwh: 0, days: 0 };
+    totals[entry.meter_id].kwh += entry.total_kwh;
+    totals[entry.meter_id].days += 1;
+  });
+
+  const averages = {};
+  Object.entries(totals).forEach(([meterId, t]) => {
+    averages[meterId] = t.days > 0 ? t.kwh / t.days : null;
+  });
+  return averages;
+}
+
+/**
+ * Per-meter seasonal factor: last year's target-month daily rate over last
+ * year's source-month daily rate (clamped to 0.5-2). Null when either month
+ * is missing for the meter.
+ */
+function seasonalFactors(history) {
+  const seasonal = history && history.seasonal;
+  if (!seasonal || !seasonal.target || !seasonal.reference) return {};
+
+  const targetAvg = averageDailyByMeter(seasonal.target.aggregates);
+  const referenceAvg = averageDailyByMeter(seasonal.reference.aggregates);
+  const factors = {};
+
+  Object.keys(targetAvg).forEach(meterId => {
+    if (!targetAvg[meterId] || !referenceAvg[meterId]) return;
+    const raw = targetAvg[meterId] / referenceAvg[meterId];
+    factors[meterId] = {
+      factor: round4(Math.min(SEASONAL_FACTOR_LIMITS.max, Math.max(SEASONAL_FACTOR_LIMITS.min, raw))),
+      targetMonthLastYear: seasonal.target.key,
+      referenceMonthLastYear: seasonal.reference.key,
+      targetAvgDaily: round2(targetAvg[meterId]),
+      referenceAvgDaily: round2(referenceAvg[meterId])
+    };
+  });
+
+  return factors;
+}
+
+/**
+ * History block for forecast responses: exactly which months contributed.
+ */
+function describeHistory(history) {
+  if (!history || !history.months) return null;
+
+  return {
+    lookback_months: history.lookback,
+    recency_decay: history.decay,
+    months: history.months.map(m => ({
+      year: m.year,
+      month: m.month,
+      weight: round4(m.weight),
+      days: m.days,
+      contributed: m.days > 0,
+      ...(m.error ? { error: m.error } : {})
+    })),
+    seasonal: {
+      target_month_last_year: history.seasonal.target ? history.seasonal.target.key : null,
+      reference_month_last_year: history.seasonal.reference ? history.seasonal.reference.key : null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LOOKBACK_MONTHS,
+  resolveLookback,
+  shiftMonth,
+  loadForecastHistory,
+  loadSeasonalMonths,
+  monthWeightLookup,
+  seasonalFactors,
+  describeHistory
+};
@@ -1,273 +0,0 @@
-/**
- * OPTIMIZED NEXT-MONTH FORECASTING MODULE
- * 
- * Performance optimizations:
- * 1. Caching - Store aggregated data to avoid reprocessing
- * 2. Lazy loading - Only load required month's data
- * 3. Sampling - Use statistical sampling for large datasets
- * 4. Simplified calculations - Remove unnecessary iterations
- */
-
-const { fetchAggregatedMonthFromDb, getPreviousMonthRange } = require('./data_source');
-
-// Cache for aggregated data
-let dataCache = {
-  lastUpdate: null,
-  monthlyData: null,
-  meterSummaries: null
-};
-
-const CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
-
-// ============================================
-// OPTIMIZED DATA LOADING
-// ============================================
-
-async function loadPreviousMonthData() {
-  const { start } = getPreviousMonthRange();
-  const year = start.getUTCFullYear();
-  const month = start.getUTCMonth() + 1;
-
-  const aggregated = await fetchAggregatedMonthFromDb(year, month);
-  const dailyAggregates = {};
-
-  aggregated.aggregates.forEach(entry => {
-    if (!dailyAggregates[entry.meter_id]) {
-      dailyAggregates[entry.meter_id] = {};
-    }
-    dailyAggregates[entry.meter_id][entry.date] = entry.total_kwh;
-  });
-
-  return dailyAggregates;
-}
-
-// ============================================
-// SIMPLIFIED FORECASTING
-// ============================================
-
-/**
- * Simplified forecast using only essential calculations
- */
-function quickForecast(dailyAggregates, targetYear, targetMonth) {
-  const results = {};
-  const daysInNextMonth = getDaysInMonth(targetYear, targetMonth);
-  
-  for (const meterId in dailyAggregates) {
-    const dates = Object.keys(dailyAggregates[meterId]).sort();
-    const energyValues = dates.map(date => dailyAggregates[meterId][date]);
-    
-    if (energyValues.length === 0) {
-      continue;
-    }
-    
-    // Method 1: Simple Average (fastest)
-    const totalEnergy = energyValues.reduce((sum, val) => sum + val, 0);
-    const avgDaily = totalEnergy / energyValues.length;
-    const simpleAvgForecast = avgDaily * daysInNextMonth;
-    
-    // Method 2: Recent Average (last 7 days)
-    const recentDays = Math.min(7, energyValues.length);
-    const recentEnergy = energyValues.slice(-recentDays).reduce((sum, val) => sum + val, 0);
-    const recentAvg = recentEnergy / recentDays;
-    const recentForecast = recentAvg * daysInNextMonth;
-    
-    // Method 3: Day-of-Week Pattern (simplified)
-    const dowPattern = calculateDOWPattern(dailyAggregates[meterId], dates);
-    const dowForecast = projectDOWPattern(dowPattern, targetYear, targetMonth);
-    
-    // Weighted ensemble (faster than complex calculations)
-    const forecast = (simpleAvgForecast * 0.3 + recentForecast * 0.4 + dowForecast * 0.3);
-    
-    results[meterId] = {
-      meter_id: meterId,
-      forecast_kwh: forecast,
-      avg_daily_previous_month: avgDaily,
-      days_in_next_month: daysInNextMonth,
-      data_points_used: energyValues.length,
-      methods: {
-        simple_average: simpleAvgForecast,
-        recent_trend: recentForecast,
-        day_of_week: dowForecast
-      }
-    };
-  }
-  
-  return results;
-}
-
-/**
- * Calculate day-of-week pattern (optimized)
- */
-function calculateDOWPattern(meterDailyData, dates) {
-  const dowData = Array(7).fill(0).map(() => ({ total: 0, count: 0 }));
-  
-  dates.forEach(date => {
-    const [year, month, day] = date.split('-').map(Number);
-    const dow = new Date(year, month - 1, day).getDay();
-    
-    dowData[dow].total += meterDailyData[date];
-    dowData[dow].count++;
-  });
-  
-  // Calculate averages
-  return dowData.map(d => d.count > 0 ? d.total / d.count : 0);
-}
-
-/**
- * Project using day-of-week pattern
- */
-function projectDOWPattern(dowPattern, year, month) {
-  const daysInMonth = getDaysInMonth(year, month);
-  let forecast = 0;
-  
-  for (let day = 1; day <= daysInMonth; day++) {
-    const dow = new Date(year, month - 1, day).getDay();
-    forecast += dowPattern[dow] || 0;
-  }
-  
-  return forecast;
-}
-
-/**
- * Get days in month
- */
-function getDaysInMonth(year, month) {
-  return new Date(year, month, 0).getDate();
-}
-
-// ============================================
-// CACHED FORECASTING
-// ============================================
-
-/**
- * Main function with caching
- */
-async function generateNextMonthForecast(options = {}) {
-  console.log('Starting optimized forecast generation...');
-  const startTime = Date.now();
-  
-  // Check cache
-  const now = Date.now();
-  if (dataCache.lastUpdate && (now - dataCache.lastUpdate) < CACHE_DURATION_MS) {
-    console.log('Using cached data...');
-    return dataCache.result;
-  }
-  
-  try {
-    // Determine target month
-    const currentDate = new Date();
-    const sourceMonth = options.month ? options.month : currentDate.getMonth() + 1;
-    const sourceYear = options.year ? options.year : currentDate.getFullYear();
-    const targetMonth = sourceMonth + 1;
-    const targetYear = targetMonth > 12 ? sourceYear + 1 : sourceYear;
-    const adjustedMonth = targetMonth > 12 ? 1 : targetMonth;
-    
-    // Load only previous month's data
-    console.log('Loading previous month data (optimized)...');
-    const dailyAggregates = await loadPreviousMonthData();
-    
-    const meterCount = Object.keys(dailyAggregates).length;
-    console.log(`Processing ${meterCount} meters...`);
-    
-    // Generate forecasts
-    const forecasts = quickForecast(dailyAggregates, targetYear, adjustedMonth);
-    
-    // Calculate totals
-    let totalForecast = 0;
-    const forecastArray = Object.values(forecasts);
-    
-    forecastArray.forEach(f => {
-      totalForecast += f.forecast_kwh;
-    });
-    
-    const result = {
-      forecast_period: {
-        year: targetYear,
-        month: adjustedMonth,
-        month_name: getMonthName(adjustedMonth),
-        days_in_month: getDaysInMonth(targetYear, adjustedMonth)
-      },
-      total_forecast_kwh: totalForecast,
-      meter_count: forecastArray.length,
-      per_meter_forecasts: forecasts,
-      generation_info: {
-        timestamp: new Date().toISOString(),
-        processing_time_ms: Date.now() - startTime,
-        optimization: 'enabled'
-      }
-    };
-    
-    // Update cache
-    dataCache.lastUpdate = now;
-    dataCache.result = result;
-    
-    console.log(`Forecast generated in ${Date.now() - startTime}ms`);
-    return result;
-    
-  } catch (error) {
-    console.error('Error generating forecast:', error.message);
-    throw error;
-  }
-}
-
-/**
- * Get month name
- */
-function getMonthName(month) {
-  const months = ['January', 'February', 'March', 'April', 'May', 'June',
-                  'July', 'August', 'September', 'October', 'November', 'December'];
-  return months[month - 1];
-}
-
-/**
- * Clear cache manually
- */
-function clearCache() {
-  dataCache = {
-    lastUpdate: null,
-    monthlyData: null,
-    meterSummaries: null
-  };
-  console.log('Cache cleared');
-}
-
-// ============================================
-// EXPORTS
-// ============================================
-
-module.exports = {
-  generateNextMonthForecast,
-  clearCache
-};
-
-// CLI execution
-if (require.main === module) {
-  console.log('========================================');
-  console.log('OPTIMIZED NEXT-MONTH FORECAST');
-  console.log('========================================\n');
-  
-  (async () => {
-    const forecast = await generateNextMonthForecast();
-    
-    console.log('\n========================================');
-    console.log('FORECAST SUMMARY');
-    console.log('========================================');
-    console.log(`Target: ${forecast.forecast_period.month_name} ${forecast.forecast_period.year}`);
-    console.log(`Total Forecast: ${forecast.total_forecast_kwh.toFixed(2)} kWh`);
-    console.log(`Meters Analyzed: ${forecast.meter_count}`);
-    console.log(`Processing Time: ${forecast.generation_info.processing_time_ms}ms`);
-    console.log('========================================\n');
-    
-    const sorted = Object.values(forecast.per_meter_forecasts)
-      .sort((a, b) => b.forecast_kwh - a.forecast_kwh)
-      .slice(0, 5);
-    
-    console.log('Top 5 Predicted Consumers:');
-    sorted.forEach((meter, idx) => {
-      console.log(`${idx + 1}. Meter ${meter.meter_id}: ${meter.forecast_kwh.toFixed(2)} kWh`);
-    });
-  })().catch(error => {
-    console.error('ERROR:', error.message);
-    process.exit(1);
-  });
-}
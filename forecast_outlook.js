@@ -0,0 +1,285 @@
+/**
+ * MULTI-HORIZON OUTLOOK
+ *
+ * Builds on the forecast engine (forecast_engine.js) and its data loaders:
+ *
+ * 1. Rolling outlook - the next N months (horizon 1-24) from the same
+ *    history window as the next-month forecast; each month gets its own
+ *    same-month-last-year seasonality, degree-day normals and calendar
+ * 2. Year outlook - actuals for the months already in the data, the latest
+ *    month completed at its run-rate, and forecasts for the rest of the year
+ *
+ * Both return per-month rows with cumulative totals, per meter and overall.
+ *
+ * Usage:
+ *   node forecast_outlook.js [--horizon=12] [--year=2025] [--lookback=3]
+ */
+
+const { calculateForecast, loadSourceMonth, resolveForecastLoader } = require('./forecast_engine');
+const { loadForecastHistory, loadSeasonalMonths, shiftMonth, describeHistory } = require('./forecast_history');
+const { parseQuantiles, sumIntervals } = require('./prediction_intervals');
+const { loadEnsembleWeights } = require('./ensemble_weights');
+const { loadTemperatureSeries } = require('./weather');
+
+const MAX_HORIZON_MONTHS = 24;
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(year, month, 0).getDate();
+}
+
+/**
+ * Parse a horizon (months ahead); throws on anything but 1..24.
+ */
+function resolveHorizon(value) {
+  if (value === undefined || value === null || value === '') return 1;
+
+  const horizon = Number(value);
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS) {
+    throw new Error(`Invalid horizon "${value}" (expected whole months between 1 and ${MAX_HORIZON_MONTHS})`);
+  }
+  return horizon;
+}
+
+function periodOf(year, month) {
+  return { year, month, month_name: MONTH_NAMES[month - 1], days_in_month: getDaysInMonth(year, month) };
+}
+
+// ============================================
+// ROWS
+// ============================================
+
+/**
+ * Forecast rows for the given target months from one history window.
+ */
+async function forecastRows(history, targets, loader, options = {}) {
+  const quantiles = options.quantiles || parseQuantiles();
+  const weightsConfig = loadEnsembleWeights();
+  const weather = { series: loadTemperatureSeries(), scenario: options.weather || {} };
+  const rows = [];
+
+  for (const target of targets) {
+    const seasonal = await loadSeasonalMonths(loader.loadMonth, history.year, history.month, target.year, target.month);
+    const { forecasts } = calculateForecast({ ...history, seasonal }, target.year, target.month, { quantiles, weightsConfig, weather });
+    const perMeter = {};
+
+    Object.values(forecasts).forEach(f => {
+      perMeter[f.meter_id] = {
+        meter_id: f.meter_id,
+        status: 'forecast',
+        kwh: round2(f.forecast_kwh),
+        interval: f.interval,
+        seasonal_factor: f.seasonality ? f.seasonality.factor : null
+      };
+    });
+
+    rows.push({
+      ...periodOf(target.year, target.month),
+      status: 'forecast',
+      per_meter: perMeter,
+      interval: sumIntervals(Object.values(forecasts).map(f => f.interval))
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Totals per row, running cumulative totals, and per-meter roll-ups.
+ */
+function accumulate(rows) {
+  const meters = {};
+  let cumulative = 0;
+
+  rows.forEach(row => {
+    row.total_kwh = round2(Object.values(row.per_meter).reduce((sum, m) => sum + m.kwh, 0));
+    cumulative += row.total_kwh;
+    row.cumulative_kwh = round2(cumulative);
+
+    Object.values(row.per_meter).forEach(m => {
+      if (!meters[m.meter_id]) meters[m.meter_id] = { meter_id: m.meter_id, total_kwh: 0, months: [] };
+      const meter = meters[m.meter_id];
+      meter.total_kwh = round2(meter.total_kwh + m.kwh);
+      m.cumulative_kwh = meter.total_kwh;
+      meter.months.push({ year: row.year, month: row.month, status: m.status, kwh: m.kwh, cumulative_kwh: meter.total_kwh });
+    });
+  });
+
+  return { rows, per_meter: meters, total_kwh: round2(cumulative) };
+}
+
+// ============================================
+// ROLLING OUTLOOK
+// ============================================
+
+/**
+ * Next N months after the source month.
+ *
+ * @param {Object} [options] - { year, month (source), horizon, lookback, quantiles, weather, loader }
+ */
+async function generateOutlook(options = {}) {
+  const horizon = resolveHorizon(options.horizon);
+  const loader = options.loader || resolveForecastLoader();
+  const source = await loadSourceMonth(options, loader);
+  const history = await loadForecastHistory(loader.loadMonth, source.year, source.month, {
+    lookback: options.lookback,
+    source
+  });
+
+  const targets = Array.from({ length: horizon }, (_, i) => shiftMonth(source.year, source.month, i + 1));
+  const { rows, per_meter, total_kwh } = accumulate(await forecastRows(history, targets, loader, options));
+
+  return {
+    horizon,
+    source_period: { year: source.year, month: source.month },
+    months: rows,
+    per_meter,
+    total_forecast_kwh: total_kwh,
+    total_forecast_interval: sumIntervals(rows.map(r => r.interval)),
+    history: describeHistory(history)
+  };
+}
+
+// ============================================
+// YEAR OUTLOOK
+// ============================================
+
+async function loadMonthIfAvailable(loader, year, month) {
+  try {
+    const data = await loader.loadMonth(year, month);
+    return data && data.aggregates && data.aggregates.length > 0 ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Actual rows (the last one projected at its run-rate when incomplete).
+ */
+function actualRow(data, isLatest) {
+  const { year, month } = data;
+  const daysInMonth = getDaysInMonth(year, month);
+  const byMeter = {};
+
+  data.aggregates.forEach(entry => {
+    if (!byMeter[entry.meter_id]) byMeter[entry.meter_id] = { kwh: 0, dates: new Set() };
+    byMeter[entry.meter_id].kwh += entry.total_kwh;
+    byMeter[entry.meter_id].dates.add(entry.date);
+  });
+
+  let rowStatus = 'actual';
+  const perMeter = {};
+  Object.entries(byMeter).forEach(([meterId, m]) => {
+    const daysObserved = m.dates.size;
+    const remainingDays = isLatest ? Math.max(daysInMonth - daysObserved, 0) : 0;
+    const status = remainingDays > 0 ? 'actual_and_projection' : 'actual';
+    if (status !== 'actual') rowStatus = status;
+
+    perMeter[meterId] = {
+      meter_id: meterId,
+      status,
+      actual_kwh: round2(m.kwh),
+      days_observed: daysObserved,
+      kwh: round2(m.kwh + (m.kwh / daysObserved) * remainingDays)
+    };
+  });
+
+  return { ...periodOf(year, month), status: rowStatus, per_meter: perMeter, interval: null };
+}
+
+/**
+ * Year-end projection: actuals to date + forecasts for the remaining months.
+ *
+ * @param {Object} options - { year, lookback, quantiles, weather, loader }
+ */
+async function generateYearOutlook(options = {}) {
+  const year = options.year || new Date().getFullYear();
+  const loader = options.loader || resolveForecastLoader();
+  const monthData = [];
+
+  for (let month = 1; month <= 12; month++) {
+    monthData.push(await loadMonthIfAvailable(loader, year, month));
+  }
+
+  const latestIndex = monthData.map(Boolean).lastIndexOf(true);
+  const rows = monthData.slice(0, latestIndex + 1).map((data, idx) => (data
+    ? actualRow(data, idx === latestIndex)
+    : { ...periodOf(year, idx + 1), status: 'no_data', per_meter: {}, interval: null }));
+
+  let history = null;
+  if (latestIndex < 11) {
+    // Forecast from the latest month in the year, or the latest data before it
+    const source = latestIndex >= 0 ? monthData[latestIndex] : await loadSourceMonth({}, loader);
+    if (source.year > year) {
+      throw new Error(`No data for ${year}`);
+    }
+    history = await loadForecastHistory(loader.loadMonth, source.year, source.month, {
+      lookback: options.lookback,
+      source
+    });
+
+    const targets = Array.from({ length: 11 - latestIndex }, (_, i) => ({ year, month: latestIndex + 2 + i }));
+    rows.push(...await forecastRows(history, targets, loader, options));
+  }
+
+  const { per_meter, total_kwh } = accumulate(rows);
+  const actualToDate = rows
+    .filter(r => r.status !== 'forecast' && r.status !== 'no_data')
+    .reduce((sum, r) => sum + Object.values(r.per_meter).reduce((s, m) => s + (m.actual_kwh || 0), 0), 0);
+
+  return {
+    year,
+    months: rows,
+    per_meter,
+    totals: {
+      actual_to_date_kwh: round2(actualToDate),
+      projected_remaining_kwh: round2(total_kwh - actualToDate),
+      projected_year_kwh: total_kwh,
+      months_actual: rows.filter(r => r.status === 'actual').length,
+      months_forecast: rows.filter(r => r.status === 'forecast').length
+    },
+    forecast_interval: sumIntervals(rows.filter(r => r.status === 'forecast').map(r => r.interval)),
+    history: describeHistory(history)
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  resolveHorizon,
+  generateOutlook,
+  generateYearOutlook
+};
+
+// CLI execution
+if (require.main === module) {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+
+  const run = args.year
+    ? generateYearOutlook({ year: parseInt(args.year, 10), lookback: args.lookback })
+    : generateOutlook({ horizon: args.horizon || 12, lookback: args.lookback });
+
+  run.then(outlook => {
+    console.log('========================================');
+    console.log(args.year ? `YEAR OUTLOOK ${outlook.year}` : `${outlook.horizon}-MONTH OUTLOOK`);
+    console.log('========================================');
+    outlook.months.forEach(row => {
+      console.log(`${row.month_name.padEnd(10)} ${row.year}  ${row.status.padEnd(22)} ${row.total_kwh.toFixed(2).padStart(12)} kWh  cumulative ${row.cumulative_kwh.toFixed(2)} kWh`);
+    });
+    process.exit(0);
+  }).catch(error => {
+    console.error('\n❌ ERROR:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * GAP FILLING / IMPUTATION
+ *
+ * Fills hours without any readings before the run-rate projection so a
+ * meter drop-out doesn't count as a low-consumption day.
+ *
+ * Strategies:
+ * - linear:              interpolate between the nearest measured hours
+ * - same_hour_last_week: copy the same hour 7 days earlier
+ * - dow_profile:         average of the same weekday + hour
+ * - none:                leave gaps as they are
+ *
+ * Every filled hour is flagged ({ imputed: true, imputedBy }) and the
+ * strategy falls back to linear when it has nothing to copy from.
+ * Hours after the latest reading of the current UTC day are never filled.
+ */
+
+const IMPUTATION_STRATEGIES = ['none', 'linear', 'same_hour_last_week', 'dow_profile'];
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function hourKey(date, hour) {
+  return `${date} ${String(hour).padStart(2, '0')}:00`;
+}
+
+function keyToMs(key) {
+  const [date, time] = key.split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, parseInt(time, 10));
+}
+
+function msToKey(ms) {
+  const d = new Date(ms);
+  return hourKey(d.toISOString().slice(0, 10), d.getUTCHours());
+}
+
+/**
+ * Strategy from the request, IMPUTATION_STRATEGY or the default (linear).
+ */
+function resolveImputationStrategy(value) {
+  const strategy = value || process.env.IMPUTATION_STRATEGY || 'linear';
+  if (!IMPUTATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown imputation strategy "${strategy}" (expected ${IMPUTATION_STRATEGIES.join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Whether the strategy looks back before the period (needs history loaded).
+ */
+function needsHistory(strategy) {
+  return strategy === 'same_hour_last_week' || strategy === 'dow_profile';
+}
+
+function linearEstimate(ms, measured) {
+  let before = null;
+  let after = null;
+
+  for (const point of measured) {
+    if (point.ms < ms) before = point;
+    if (point.ms > ms) {
+      after = point;
+      break;
+    }
+  }
+
+  if (before && after) {
+    const ratio = (ms - before.ms) / (after.ms - before.ms);
+    return before.energyKwh + (after.energyKwh - before.energyKwh) * ratio;
+  }
+  return (before || after || { energyKwh: 0 }).energyKwh;
+}
+
+function buildDowProfile(measured) {
+  const buckets = {};
+  measured.forEach(point => {
+    const d = new Date(point.ms);
+    const key = `${d.getUTCDay()}|${d.getUTCHours()}`;
+    if (!buckets[key]) buckets[key] = { sum: 0, count: 0 };
+    buckets[key].sum += point.energyKwh;
+    buckets[key].count++;
+  });
+  return buckets;
+}
+
+/**
+ * Fill missing hours in ONE meter's hourly series.
+ *
+ * @param {Array} hourlyData - Hourly totals from calculateHourlyTotals (sorted)
+ * @param {Object} options
+ * @param {string} options.strategy - One of IMPUTATION_STRATEGIES
+ * @param {Array} [options.dates] - Days (YYYY-MM-DD) that should be covered
+ * @param {Array} [options.history] - Hourly totals before the period (lookups only)
+ * @param {Date} [options.now] - Reference time; today is filled up to the latest reading
+ * @returns {{ hourlyData: Array, summary: Object }}
+ */
+function imputeHourlySeries(hourlyData, options = {}) {
+  const strategy = options.strategy || 'linear';
+  const summary = {
+    strategy,
+    imputedHours: 0,
+    imputedKwh: 0,
+    imputedPercent: 0,
+    days: []
+  };
+
+  if (strategy === 'none' || hourlyData.length === 0) {
+    return { hourlyData, summary };
+  }
+
+  const now = options.now || new Date();
+  const today = now.toISOString().slice(0, 10);
+  const existing = new Set(hourlyData.map(h => h.timestamp));
+  const lastDate = hourlyData[hourlyData.length - 1].date;
+  const lastHourToday = Math.max(...hourlyData.filter(h => h.date === today).map(h => h.hour), -1);
+
+  const measured = (options.history || []).concat(hourlyData)
+    .map(h => ({ ms: keyToMs(h.timestamp), key: h.timestamp, energyKwh: h.energyKwh }))
+    .sort((a, b) => a.ms - b.ms);
+  const byKey = new Map(measured.map(point => [point.key, point.energyKwh]));
+  const profile = strategy === 'dow_profile' ? buildDowProfile(measured) : null;
+
+  const dates = (options.dates || [...new Set(hourlyData.map(h => h.date))])
+    .filter(date => date <= lastDate);
+  const filled = [];
+  const perDay = {};
+
+  dates.forEach(date => {
+    const lastHour = date === today ? lastHourToday : 23;
+
+    for (let hour = 0; hour <= lastHour; hour++) {
+      const key = hourKey(date, hour);
+      if (existing.has(key)) continue;
+
+      const ms = keyToMs(key);
+      let energyKwh = null;
+      let imputedBy = strategy;
+
+      if (strategy === 'same_hour_last_week') {
+        const lastWeek = byKey.get(msToKey(ms - WEEK_MS));
+        if (lastWeek !== undefined) energyKwh = lastWeek;
+      } else if (strategy === 'dow_profile') {
+        const bucket = profile[`${new Date(ms).getUTCDay()}|${hour}`];
+        if (bucket) energyKwh = bucket.sum / bucket.count;
+      }
+
+      if (energyKwh === null) {
+        energyKwh = linearEstimate(ms, measured);
+        imputedBy = 'linear';
+      }
+
+      filled.push({ timestamp: key, hour, date, energyKwh, count: 0, imputed: true, imputedBy });
+      if (!perDay[date]) perDay[date] = { date, imputedHours: 0, imputedKwh: 0 };
+      perDay[date].imputedHours++;
+      perDay[date].imputedKwh += energyKwh;
+    }
+  });
+
+  if (filled.length === 0) {
+    return { hourlyData, summary };
+  }
+
+  const merged = hourlyData.concat(filled).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const imputedKwh = filled.reduce((sum, h) => sum + h.energyKwh, 0);
+  const totalKwh = merged.reduce((sum, h) => sum + h.energyKwh, 0);
+
+  summary.imputedHours = filled.length;
+  summary.imputedKwh = round2(imputedKwh);
+  summary.imputedPercent = totalKwh > 0 ? round2(imputedKwh / totalKwh * 100) : 0;
+  summary.days = Object.values(perDay).map(d => ({
+    date: d.date,
+    imputedHours: d.imputedHours,
+    imputedKwh: round2(d.imputedKwh),
+    fullyImputed: d.imputedHours === 24
+  }));
+
+  return { hourlyData: merged, summary };
+}
+
+module.exports = {
+  IMPUTATION_STRATEGIES,
+  resolveImputationStrategy,
+  needsHistory,
+  imputeHourlySeries
+};
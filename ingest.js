@@ -0,0 +1,448 @@
+/**
+ * READINGS INGESTION
+ *
+ * Streams a CSV or JSON-lines export into the configured store (DATA_SOURCE)
+ * without loading the file into memory:
+ *
+ * - CSV needs a header row; quoted fields ("a,b", "say ""hi""") may span
+ *   lines. Columns and JSON fields are located through the store's schema
+ *   mapping (adapters/schema_mapping.js)
+ * - Every row is validated: meter id present, parseable timestamp, numeric
+ *   non-negative energy value
+ * - Duplicates on meter + timestamp are dropped, within the file and against
+ *   readings already in the store. Keys are kept per day and dropped once a
+ *   batch is written without that day, so memory follows the days in a batch,
+ *   not the file size. A day whose rows come back later (unsorted export) is
+ *   listed in daysReopened: checked against the store again, which holds what
+ *   was written, but in a dry run not against its earlier rows in the file
+ * - Accepted rows are written in batches; every rejected row is reported with
+ *   its line number (where its record starts), a code and the reason
+ * - Months written are invalidated in the query cache and rollup store, and
+ *   their aggregated_YYYY_MM.json files (if any) are re-aggregated, also when
+ *   a later batch fails (the error carries the report so far as error.report)
+ * - Ingests run one at a time, so two uploads of the same rows can't both
+ *   pass the duplicate check before either is written
+ *
+ * Usage:
+ *   node ingest.js <file> [--format=csv|jsonl] [--dry-run] [--report=rejected.csv]
+ *   POST /api/ingest?format=csv&filename=export.csv[&dry_run=true] (body: the file)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getDataSource, fetchStoredReadings, writeReadings } = require('./data_source');
+const { defaultMapping, extractRecord } = require('./adapters/schema_mapping');
+const { normalizeTimestamp } = require('./adapters/file_store');
+const { createCsvRecordReader, csvRecordValues, csvField } = require('./adapters/csv_adapter');
+const { invalidateCache } = require('./query_cache');
+const { invalidateRollups } = require('./rollup_store');
+const { aggregateMonthData, readAggregatedMonth } = require('./aggregate_data');
+
+const INGEST_FORMATS = ['csv', 'jsonl'];
+const BATCH_SIZE = 5000;
+const MAX_CONTENT_LENGTH = 200;
+
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Settles when the running ingest (if any) is done
+let ingestQueue = Promise.resolve();
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Input format from an explicit value, else the file name's extension or the
+ * upload's content type; CSV (the field exports) when nothing says otherwise.
+ */
+function resolveIngestFormat(value, fileName = '', contentType = '') {
+  if (value) {
+    const format = String(value).trim().toLowerCase();
+    if (format === 'ndjson') return 'jsonl';
+    if (!INGEST_FORMATS.includes(format)) {
+      throw new Error(`Invalid format "${value}" (expected ${INGEST_FORMATS.join(' or ')})`);
+    }
+    return format;
+  }
+
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.jsonl' || extension === '.ndjson') return 'jsonl';
+  if (extension === '.csv') return 'csv';
+  return /ndjson|jsonl|json-lines/i.test(contentType || '') ? 'jsonl' : 'csv';
+}
+
+/**
+ * An error in the file as a whole (e.g. a CSV header without the mapped
+ * columns), as opposed to a rejected row.
+ */
+function invalidFile(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILE';
+  return error;
+}
+
+function requiredColumns(mapping) {
+  const ts = mapping.timestamp;
+  return [mapping.meterIdColumn].concat(ts.column ? [ts.column] : [ts.dateColumn, ts.timeColumn], [mapping.valueColumn]);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" for a timestamp naming a real date and time, else null.
+ */
+function parseTimestamp(value) {
+  const text = normalizeTimestamp(value);
+  const match = text.match(TIMESTAMP_PATTERN);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return text;
+}
+
+/**
+ * Validate one source record into a raw { meter_id, timestamp, value } row.
+ *
+ * @returns {Object} { row } or { code, reason }
+ */
+function validateRecord(record, mapping) {
+  const missing = requiredColumns(mapping).find(column => isBlank(record[column]));
+  if (missing) return { code: 'missing_field', reason: `missing ${missing}` };
+
+  const raw = extractRecord(record, mapping);
+  const timestamp = typeof raw.timestamp === 'string' ? parseTimestamp(raw.timestamp) : null;
+  if (!timestamp) {
+    return { code: 'invalid_timestamp', reason: `unparseable timestamp "${raw.timestamp}"` };
+  }
+
+  const text = String(raw.value).trim();
+  if (typeof raw.value === 'boolean' || typeof raw.value === 'object' || !NUMBER_PATTERN.test(text)) {
+    return { code: 'invalid_energy', reason: `energy value "${text}" is not a number` };
+  }
+  const value = Number(text);
+  if (!Number.isFinite(value)) {
+    return { code: 'invalid_energy', reason: `energy value "${text}" is not a finite number` };
+  }
+  if (value < 0) {
+    return { code: 'negative_energy', reason: `negative energy value ${value}` };
+  }
+
+  return { row: { meter_id: raw.meter_id.trim(), timestamp, value } };
+}
+
+// ============================================
+// INGESTION
+// ============================================
+
+/**
+ * Ingest a CSV / JSON-lines stream into the configured store, after any
+ * ingest already running.
+ *
+ * @param {Readable} input - File stream, HTTP request, ...
+ * @param {Object} [options] - { format, name } (see resolveIngestFormat),
+ *   { dryRun } validates without writing, { maxRejected } caps the rejected
+ *   rows listed (all are counted), { aggregateDir } where aggregated files
+ *   live, { batchSize } rows per write (default 5000)
+ * @returns {Object} Report: lines and rows read, rows accepted/written,
+ *   rejected rows { line, code, reason, content } and counts per code,
+ *   days reopened, months written and aggregated files refreshed
+ */
+function ingestStream(input, options = {}) {
+  const run = ingestQueue.then(() => runIngest(input, options));
+  ingestQueue = run.catch(() => {});
+  return run;
+}
+
+async function runIngest(input, options = {}) {
+  const startTime = Date.now();
+  const format = resolveIngestFormat(options.format, options.name);
+  const source = getDataSource();
+  const mapping = source.mapping || defaultMapping(source.name);
+  const dryRun = !!options.dryRun;
+  const maxRejected = options.maxRejected === undefined ? Infinity : options.maxRejected;
+  const batchSize = options.batchSize || BATCH_SIZE;
+
+  if (!dryRun && !source.writeReadings) {
+    throw new Error(`The ${source.name} data source does not support writing readings`);
+  }
+
+  const report = {
+    file: options.name || null,
+    format,
+    store: source.name,
+    dryRun,
+    linesRead: 0,
+    rowsRead: 0,
+    rowsAccepted: 0,
+    rowsWritten: 0,
+    rowsRejected: 0,
+    rejectedByCode: {},
+    rejected: [],
+    rejectedTruncated: false,
+    daysReopened: [],
+    months: [],
+    aggregates: [],
+    processingTimeMs: 0
+  };
+
+  // date -> { seen: Map meter|timestamp -> line, stored: Set of meter|timestamp in the store }
+  const days = new Map();
+  const flushedDays = new Set();
+  const months = new Set();
+  // Months with a write attempted: stale even if the write failed halfway
+  const writtenMonths = new Set();
+  let batch = [];
+  let header = null;
+  const csvReader = createCsvRecordReader();
+
+  function reject(line, code, reason, content) {
+    report.rowsRejected++;
+    report.rejectedByCode[code] = (report.rejectedByCode[code] || 0) + 1;
+    if (report.rejected.length < maxRejected) {
+      report.rejected.push({ line, code, reason, content: String(content).slice(0, MAX_CONTENT_LENGTH) });
+    } else {
+      report.rejectedTruncated = true;
+    }
+  }
+
+  async function flush() {
+    const rows = batch;
+    batch = [];
+    if (rows.length === 0) return;
+
+    const batchDays = new Set(rows.map(({ row }) => row.timestamp.slice(0, 10)));
+    for (const date of batchDays) {
+      const day = days.get(date);
+      if (day.stored) continue;
+      const stored = await fetchStoredReadings(date, nextDay(date));
+      day.stored = new Set(stored.map(row => `${row.meter_id}|${row.timestamp}`));
+    }
+
+    const accepted = [];
+    rows.forEach(({ line, row, content }) => {
+      if (days.get(row.timestamp.slice(0, 10)).stored.has(`${row.meter_id}|${row.timestamp}`)) {
+        reject(line, 'duplicate', 'already in the store', content);
+        return;
+      }
+      accepted.push(row);
+      months.add(row.timestamp.slice(0, 7));
+    });
+
+    report.rowsAccepted += accepted.length;
+    if (!dryRun && accepted.length > 0) {
+      accepted.forEach(row => writtenMonths.add(row.timestamp.slice(0, 7)));
+      report.rowsWritten += await writeReadings(accepted);
+    }
+
+    // The file has moved past days without rows in this batch
+    for (const date of days.keys()) {
+      if (batchDays.has(date)) continue;
+      days.delete(date);
+      flushedDays.add(date);
+    }
+  }
+
+  function dayState(date) {
+    if (!days.has(date)) {
+      if (flushedDays.has(date) && !report.daysReopened.includes(date)) report.daysReopened.push(date);
+      days.set(date, { seen: new Map(), stored: null });
+    }
+    return days.get(date);
+  }
+
+  async function addRecord(line, record, content) {
+    const result = validateRecord(record, mapping);
+    if (!result.row) {
+      reject(line, result.code, result.reason, content);
+      return;
+    }
+
+    const { seen } = dayState(result.row.timestamp.slice(0, 10));
+    const key = `${result.row.meter_id}|${result.row.timestamp}`;
+    if (seen.has(key)) {
+      reject(line, 'duplicate', `duplicate of line ${seen.get(key)}`, content);
+      return;
+    }
+    seen.set(key, line);
+
+    batch.push({ line, row: result.row, content });
+    if (batch.length >= batchSize) await flush();
+  }
+
+  // One CSV record (split from the lines as readCSVFile does)
+  async function addCsvRecord(record) {
+    if (record.error) {
+      reject(record.line, 'malformed_line', record.error, record.text);
+      return;
+    }
+    if (!record.text.trim()) return;
+
+    if (!header) {
+      header = record.fields.map(field => field.trim());
+      const missing = requiredColumns(mapping).filter(column => !header.includes(column));
+      if (missing.length > 0) {
+        throw invalidFile(`CSV header is missing column(s) ${missing.join(', ')} (found: ${header.join(', ')})`);
+      }
+      return;
+    }
+
+    const { values, error } = csvRecordValues(header, record.fields);
+    if (error) {
+      reject(record.line, 'malformed_line', error, record.text);
+      return;
+    }
+    await addRecord(record.line, values, record.text);
+  }
+
+  async function addJsonLine(text, lineNumber) {
+    if (!text.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      reject(lineNumber, 'invalid_json', `invalid JSON: ${error.message}`, text);
+      return;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      reject(lineNumber, 'invalid_json', 'expected a JSON object', text);
+      return;
+    }
+    await addRecord(lineNumber, record, text);
+  }
+
+  try {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      report.linesRead++;
+      const text = report.linesRead === 1 ? line.replace(/^\uFEFF/, '') : line;
+      if (format === 'csv') {
+        for (const record of csvReader.push(text, report.linesRead)) await addCsvRecord(record);
+      } else {
+        await addJsonLine(text, report.linesRead);
+      }
+    }
+
+    for (const record of csvReader.end()) await addCsvRecord(record);
+    if (format === 'csv' && !header) {
+      throw invalidFile('Empty file: no CSV header row');
+    }
+    await flush();
+  } catch (error) {
+    error.report = report;
+    throw error;
+  } finally {
+    report.rowsRead = report.rowsAccepted + report.rowsRejected;
+    // Rows already in the store are only found when their batch is written
+    report.rejected.sort((a, b) => a.line - b.line);
+    report.daysReopened.sort();
+    report.months = [...months].sort();
+    if (writtenMonths.size > 0) {
+      report.aggregates = await refreshMonths([...writtenMonths].sort(), options.aggregateDir);
+    }
+    report.processingTimeMs = Date.now() - startTime;
+  }
+  return report;
+}
+
+/**
+ * New readings make cached loads, rollups and aggregated files of their
+ * months stale.
+ */
+async function refreshMonths(monthKeys, aggregateDir) {
+  const aggregates = [];
+  for (const key of monthKeys) {
+    const [year, month] = key.split('-').map(Number);
+    invalidateCache({ year, month });
+    invalidateRollups({ year, month });
+
+    try {
+      if (!readAggregatedMonth(year, month, aggregateDir)) continue;
+      const { summary } = await aggregateMonthData(year, month, { full: true, dir: aggregateDir });
+      aggregates.push({ month: key, refreshed: true, changedDays: summary.changedDays.length });
+    } catch (error) {
+      console.warn(`Aggregated file for ${key} not refreshed: ${error.message}`);
+      aggregates.push({ month: key, refreshed: false, error: error.message });
+    }
+  }
+  return aggregates;
+}
+
+/**
+ * Ingest a file from disk (format from its extension unless given).
+ */
+async function ingestFile(filePath, options = {}) {
+  return ingestStream(fs.createReadStream(filePath), { name: path.basename(filePath), ...options });
+}
+
+/**
+ * Rejected rows as CSV (line, code, reason, content) for the field teams.
+ */
+function formatRejectedReport(rejected) {
+  const lines = rejected.map(entry => [entry.line, entry.code, entry.reason, entry.content].map(csvField).join(','));
+  return `line,code,reason,content\n${lines.map(line => `${line}\n`).join('')}`;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? 'true' : match[2];
+    } else {
+      args.files.push(arg);
+    }
+  });
+  return args;
+}
+
+module.exports = {
+  INGEST_FORMATS,
+  resolveIngestFormat,
+  validateRecord,
+  ingestStream,
+  ingestFile,
+  formatRejectedReport
+};
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  (async () => {
+    if (args.files.length !== 1) {
+      throw new Error('Usage: node ingest.js <file> [--format=csv|jsonl] [--dry-run] [--report=rejected.csv]');
+    }
+
+    const dryRun = args['dry-run'] === 'true';
+    console.log(`Ingesting ${args.files[0]} into ${getDataSource().name} (${getDataSource().location})${dryRun ? ', dry run' : ''}`);
+    const report = await ingestFile(args.files[0], { format: args.format, dryRun });
+
+    console.log(`${report.linesRead} line(s), ${report.rowsRead} row(s): ${report.rowsAccepted} accepted, ${report.rowsWritten} written, ${report.rowsRejected} rejected (${report.processingTimeMs}ms)`);
+    Object.entries(report.rejectedByCode).forEach(([code, count]) => console.log(`  ${code}: ${count}`));
+    report.rejected.slice(0, 10).forEach(entry => console.log(`  line ${entry.line}: ${entry.reason}`));
+    if (report.rejected.length > 10) console.log(`  … ${report.rejected.length - 10} more`);
+    if (report.months.length > 0) console.log(`Months: ${report.months.join(', ')}`);
+    report.aggregates.forEach(entry => console.log(`Aggregated ${entry.month}: ${entry.refreshed ? `${entry.changedDays} changed day(s)` : entry.error}`));
+
+    if (args.report) {
+      fs.writeFileSync(args.report, formatRejectedReport(report.rejected));
+      console.log(`Rejected rows: ${args.report}`);
+    }
+  })().catch(error => {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  });
+}
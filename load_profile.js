@@ -0,0 +1,162 @@
+/**
+ * INTRADAY LOAD PROFILE
+ *
+ * Projects the rest of today from the meter's typical hour-of-day curve
+ * instead of a flat hourly rate, so night hours don't inflate (or deflate)
+ * an early-morning projection.
+ *
+ * 1. Profile - mean kWh per hour of day over the most recent complete days
+ *    of the same day type (weekday / weekend; calendar non-working days count
+ *    as weekend). Falls back to all recent days when too few match.
+ * 2. Level - today's elapsed hours against the profile for those hours give
+ *    a scale factor, so a busier-than-usual day stays busier.
+ * 3. Projection - actual kWh so far + scaled profile for the remaining hours.
+ *
+ * Mode (which projection is the headline today value) comes from the request
+ * or TODAY_PROJECTION_MODE: rolling (default, 6-hour run-rate) or profile.
+ */
+
+const TODAY_PROJECTION_MODES = ['rolling', 'profile'];
+const PROFILE_MAX_DAYS = 14;
+const PROFILE_MIN_DAYS = 2;
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function round4(value) {
+  return parseFloat((value || 0).toFixed(4));
+}
+
+/**
+ * Mode from the request, TODAY_PROJECTION_MODE or the default (rolling).
+ */
+function resolveTodayMode(value) {
+  const mode = value || process.env.TODAY_PROJECTION_MODE || 'rolling';
+  if (!TODAY_PROJECTION_MODES.includes(mode)) {
+    throw new Error(`Unknown today projection mode "${mode}" (expected ${TODAY_PROJECTION_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * 'weekday' or 'weekend' for a YYYY-MM-DD date; classify (working calendar)
+ * turns holidays, shutdowns and days without shifts into 'weekend'.
+ */
+function dayTypeOf(date, classify) {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (weekday === 0 || weekday === 6) return 'weekend';
+  return classify && !classify(date).working ? 'weekend' : 'weekday';
+}
+
+/**
+ * Complete days (all 24 hours) before a date, newest first:
+ * [{ date, hours: [24 x kWh] }]
+ */
+function completeDaysBefore(hourlyData, beforeDate) {
+  const days = {};
+  hourlyData.forEach(h => {
+    if (h.date >= beforeDate) return;
+    if (!days[h.date]) days[h.date] = new Array(24).fill(null);
+    days[h.date][h.hour] = h.energyKwh;
+  });
+
+  return Object.entries(days)
+    .filter(([, hours]) => hours.every(kwh => kwh !== null))
+    .map(([date, hours]) => ({ date, hours }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Learn the hour-of-day profile for a date from the days before it.
+ *
+ * @param {Array} hourlyData - [{ date, hour, energyKwh }] (period plus any earlier history)
+ * @param {string} date - Day to build the profile for (YYYY-MM-DD)
+ * @param {Object} [options] - { classify, maxDays, minDays }
+ * @returns {Object|null} { dayType, hourly: [24 x mean kWh], dates } or null without enough days
+ */
+function learnHourlyProfile(hourlyData, date, options = {}) {
+  const maxDays = options.maxDays || PROFILE_MAX_DAYS;
+  const minDays = options.minDays || PROFILE_MIN_DAYS;
+  const dayType = dayTypeOf(date, options.classify);
+  const candidates = completeDaysBefore(hourlyData, date);
+
+  let days = candidates.filter(d => dayTypeOf(d.date, options.classify) === dayType).slice(0, maxDays);
+  let profileType = dayType;
+  if (days.length < minDays) {
+    days = candidates.slice(0, maxDays);
+    profileType = 'all';
+  }
+  if (days.length < minDays) return null;
+
+  const hourly = Array.from({ length: 24 }, (_, hour) =>
+    days.reduce((sum, d) => sum + d.hours[hour], 0) / days.length);
+
+  return { dayType: profileType, hourly, dates: days.map(d => d.date).sort() };
+}
+
+/**
+ * Project today's total from a profile and today's hours so far.
+ *
+ * @param {Object} profile - From learnHourlyProfile
+ * @param {Array} todayHours - [{ hour, energyKwh }] for today
+ * @returns {Object} { prediction, remainingKwh, levelFactor, hourlyCurve: [{ hour, actualKwh, expectedKwh }] }
+ */
+function projectFromProfile(profile, todayHours) {
+  const actualByHour = {};
+  todayHours.forEach(h => { actualByHour[h.hour] = h.energyKwh; });
+
+  const actualSoFar = todayHours.reduce((sum, h) => sum + h.energyKwh, 0);
+  const expectedSoFar = todayHours.reduce((sum, h) => sum + profile.hourly[h.hour], 0);
+  const levelFactor = expectedSoFar > 0 ? actualSoFar / expectedSoFar : 1;
+
+  const hourlyCurve = profile.hourly.map((kwh, hour) => ({
+    hour,
+    actualKwh: actualByHour[hour] !== undefined ? round2(actualByHour[hour]) : null,
+    expectedKwh: round2(kwh * levelFactor)
+  }));
+  const remainingKwh = profile.hourly
+    .reduce((sum, kwh, hour) => sum + (actualByHour[hour] === undefined ? kwh * levelFactor : 0), 0);
+
+  return {
+    prediction: actualSoFar + remainingKwh,
+    remainingKwh,
+    levelFactor,
+    hourlyCurve
+  };
+}
+
+/**
+ * Profile block for the today result; { success: false, message } when the
+ * meter has too little history.
+ */
+function profileTodayProjection(hourlyData, todayDate, todayHours, options = {}) {
+  const profile = learnHourlyProfile(hourlyData, todayDate, options);
+  if (!profile) {
+    return {
+      success: false,
+      message: `Need at least ${options.minDays || PROFILE_MIN_DAYS} complete days before ${todayDate} to learn an hourly profile.`
+    };
+  }
+
+  const projection = projectFromProfile(profile, todayHours);
+  return {
+    success: true,
+    prediction: round2(projection.prediction),
+    remainingKwh: round2(projection.remainingKwh),
+    levelFactor: round4(projection.levelFactor),
+    dayType: profile.dayType,
+    daysUsed: profile.dates.length,
+    referenceDates: { from: profile.dates[0], to: profile.dates[profile.dates.length - 1] },
+    hourlyCurve: projection.hourlyCurve
+  };
+}
+
+module.exports = {
+  TODAY_PROJECTION_MODES,
+  resolveTodayMode,
+  learnHourlyProfile,
+  projectFromProfile,
+  profileTodayProjection
+};
@@ -0,0 +1,315 @@
+/**
+ * METER REGISTRY & HIERARCHY
+ *
+ * Names, tags and parents for meters, arranged as site -> building -> panel
+ * -> meter (any depth), plus virtual meters computed from others.
+ *
+ * Node kinds:
+ * - metered:   "meter": "KSR-1"                  value = that meter
+ * - virtual:   "formula": "KSR-1 - KSR-2"        value = linear combination of
+ *              meters or other nodes (terms "[coef *] ref", operators
+ *              separated by spaces since meter ids may contain "-")
+ * - group:     neither                           value = sum of its children
+ *
+ * Nodes with a value of their own and children also report unaccounted
+ * energy: value - sum of children (losses, unmetered loads).
+ *
+ * Loaded from METER_REGISTRY (default: meters.json next to this file, see
+ * meters.example.json) or, when METER_REGISTRY_TABLE is set, from that table
+ * in the database (columns: id, name, type, parent, meter_id, tags, formula).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'meters.json');
+
+let registryCache = {
+  filePath: null,
+  mtimeMs: null,
+  config: null
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+// ============================================
+// CONFIG
+// ============================================
+
+/**
+ * Registry config from disk (re-read when the file changes); null without a file.
+ */
+function loadRegistryFile(filePath = process.env.METER_REGISTRY || DEFAULT_REGISTRY_PATH) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(resolved);
+  if (registryCache.filePath === resolved && registryCache.mtimeMs === mtimeMs) {
+    return registryCache.config;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  registryCache = { filePath: resolved, mtimeMs, config };
+  return config;
+}
+
+/**
+ * Parse "0.5 * KSR-1 - KSR-2 + other" into [{ coef, ref }].
+ */
+function parseFormula(formula) {
+  const terms = [];
+  const parts = String(formula).trim().split(/\s+([+-])\s+/);
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const sign = i === 0 ? 1 : (parts[i - 1] === '-' ? -1 : 1);
+    const match = parts[i].trim().match(/^(?:(-?\d+(?:\.\d+)?)\s*\*\s*)?(\S+)$/);
+    if (!match) {
+      throw new Error(`Invalid formula term "${parts[i]}" in "${formula}"`);
+    }
+    terms.push({ coef: sign * (match[1] !== undefined ? parseFloat(match[1]) : 1), ref: match[2] });
+  }
+
+  return terms;
+}
+
+function parseTags(tags) {
+  if (!tags) return [];
+  return (Array.isArray(tags) ? tags : String(tags).split(',')).map(t => String(t).trim()).filter(Boolean);
+}
+
+/**
+ * Validate and index a registry config ({ nodes: { id: node } } or
+ * { nodes: [{ id, ... }] }, or DB rows). Throws on unknown parents, parent
+ * cycles and formulas that refer back to themselves.
+ */
+function buildRegistry(config, source = 'file') {
+  const entries = Array.isArray(config.nodes)
+    ? config.nodes.map(node => [String(node.id), node])
+    : Object.entries(config.nodes || {});
+  const nodes = {};
+
+  entries.forEach(([id, node]) => {
+    nodes[id] = {
+      id,
+      name: node.name || id,
+      type: node.type || (node.formula ? 'virtual' : (node.meter || node.meter_id ? 'meter' : 'group')),
+      parent: node.parent || null,
+      meter: node.meter || node.meter_id || null,
+      tags: parseTags(node.tags),
+      formula: node.formula ? parseFormula(node.formula) : null,
+      formulaText: node.formula || null,
+      children: []
+    };
+  });
+
+  Object.values(nodes).forEach(node => {
+    if (node.parent && !nodes[node.parent]) {
+      throw new Error(`Meter registry: node "${node.id}" has unknown parent "${node.parent}"`);
+    }
+    if (node.parent) nodes[node.parent].children.push(node.id);
+  });
+
+  // Depth and cycle check
+  Object.values(nodes).forEach(node => {
+    const seen = new Set([node.id]);
+    let depth = 0;
+    for (let parent = node.parent; parent; parent = nodes[parent].parent) {
+      if (seen.has(parent)) throw new Error(`Meter registry: cycle through "${parent}"`);
+      seen.add(parent);
+      depth++;
+    }
+    node.depth = depth;
+  });
+
+  const registry = { source, nodes };
+  // Resolves every formula once so cycles fail at load time
+  Object.values(nodes).forEach(node => nodeMeters(registry, node.id));
+  return registry;
+}
+
+/**
+ * Registry from METER_REGISTRY_TABLE (via fetchRows) or the registry file;
+ * null when neither is configured.
+ *
+ * @param {Function} [fetchRows] - async (table) => rows, e.g. data_source.fetchMeterRegistry
+ */
+async function loadMeterRegistry(fetchRows) {
+  const table = process.env.METER_REGISTRY_TABLE;
+  if (table && fetchRows) {
+    return buildRegistry({ nodes: await fetchRows(table) }, `table:${table}`);
+  }
+
+  const config = loadRegistryFile();
+  return config ? buildRegistry(config, 'file') : null;
+}
+
+// ============================================
+// TREE
+// ============================================
+
+function descendants(registry, id) {
+  const node = registry.nodes[id];
+  return [id, ...node.children.flatMap(child => descendants(registry, child))];
+}
+
+/**
+ * Physical meters a node depends on (through children and formulas).
+ */
+function nodeMeters(registry, id, visiting = new Set()) {
+  const node = registry.nodes[id];
+  if (visiting.has(id)) throw new Error(`Meter registry: formula cycle through "${id}"`);
+  visiting.add(id);
+
+  let meters;
+  if (node.meter) {
+    meters = [node.meter];
+  } else if (node.formula) {
+    // A reference is a node id, or else a meter id straight from the data
+    meters = node.formula.flatMap(term => (registry.nodes[term.ref]
+      ? nodeMeters(registry, term.ref, visiting)
+      : [term.ref]));
+  } else {
+    meters = node.children.flatMap(child => nodeMeters(registry, child, visiting));
+  }
+
+  visiting.delete(id);
+  return [...new Set(meters)];
+}
+
+/**
+ * Node ids matching a filter: { node, site, tag } (each optional, combined
+ * with AND). node/site select the node and everything below it.
+ * Throws on a node or site that isn't in the registry.
+ */
+function selectNodes(registry, filter = {}) {
+  let ids = Object.keys(registry.nodes);
+
+  if (filter.node) {
+    if (!registry.nodes[filter.node]) throw new Error(`Unknown node "${filter.node}"`);
+    const below = new Set(descendants(registry, filter.node));
+    ids = ids.filter(id => below.has(id));
+  }
+
+  if (filter.site) {
+    const site = Object.values(registry.nodes).find(n => n.type === 'site' && (n.id === filter.site || n.name === filter.site));
+    if (!site) throw new Error(`Unknown site "${filter.site}"`);
+    const below = new Set(descendants(registry, site.id));
+    ids = ids.filter(id => below.has(id));
+  }
+
+  if (filter.tag) {
+    const tagged = new Set(ids.filter(id => registry.nodes[id].tags.includes(filter.tag))
+      .flatMap(id => descendants(registry, id)));
+    ids = ids.filter(id => tagged.has(id));
+  }
+
+  return ids;
+}
+
+/**
+ * Physical meters needed to compute the selected nodes.
+ */
+function metersForNodes(registry, ids) {
+  return [...new Set(ids.flatMap(id => nodeMeters(registry, id)))];
+}
+
+// ============================================
+// ROLL-UPS
+// ============================================
+
+/**
+ * Roll meter values up the hierarchy.
+ *
+ * @param {Object} registry - From buildRegistry / loadMeterRegistry
+ * @param {Object} meterValues - meterId => { field: kWh }
+ * @param {Array<string>} fields - Value fields to roll up
+ * @param {Array<string>} [ids] - Nodes to return (default: all)
+ * @returns {Array} [{ id, name, type, parent, depth, tags, formula, meters, values, unaccounted, missingMeters }]
+ */
+function rollUp(registry, meterValues, fields, ids = Object.keys(registry.nodes)) {
+  const memo = {};
+
+  function refValues(ref) {
+    if (registry.nodes[ref]) return valueOf(ref);
+    return meterValues[ref] || null;
+  }
+
+  function valueOf(id) {
+    if (memo[id]) return memo[id];
+    const node = registry.nodes[id];
+    const values = {};
+    fields.forEach(field => { values[field] = 0; });
+
+    if (node.meter) {
+      const own = meterValues[node.meter];
+      fields.forEach(field => { values[field] = own ? own[field] || 0 : 0; });
+    } else if (node.formula) {
+      node.formula.forEach(term => {
+        const ref = refValues(term.ref);
+        fields.forEach(field => { values[field] += term.coef * (ref ? ref[field] || 0 : 0); });
+      });
+    } else {
+      node.children.forEach(child => {
+        const childValues = valueOf(child);
+        fields.forEach(field => { values[field] += childValues[field]; });
+      });
+    }
+
+    memo[id] = values;
+    return values;
+  }
+
+  // Tree order: each node followed by its children
+  const selected = new Set(ids);
+  const roots = Object.values(registry.nodes).filter(n => !n.parent).map(n => n.id).sort();
+
+  return roots
+    .flatMap(root => descendants(registry, root))
+    .filter(id => selected.has(id))
+    .map(id => registry.nodes[id])
+    .map(node => {
+      const values = valueOf(node.id);
+      const hasOwnValue = Boolean(node.meter || node.formula);
+      let unaccounted = null;
+
+      if (hasOwnValue && node.children.length > 0) {
+        unaccounted = {};
+        fields.forEach(field => {
+          const childSum = node.children.reduce((sum, child) => sum + valueOf(child)[field], 0);
+          unaccounted[field] = round2(values[field] - childSum);
+        });
+      }
+
+      const meters = nodeMeters(registry, node.id);
+      const rounded = {};
+      fields.forEach(field => { rounded[field] = round2(values[field]); });
+
+      return {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        parent: node.parent,
+        depth: node.depth,
+        tags: node.tags,
+        formula: node.formulaText,
+        meters,
+        values: rounded,
+        unaccounted,
+        missingMeters: meters.filter(meterId => !meterValues[meterId])
+      };
+    });
+}
+
+module.exports = {
+  loadMeterRegistry,
+  buildRegistry,
+  parseFormula,
+  selectNodes,
+  metersForNodes,
+  rollUp
+};
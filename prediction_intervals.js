@@ -0,0 +1,153 @@
+/**
+ * PREDICTION INTERVALS
+ *
+ * Turns point projections into P10/P50/P90-style ranges using a bootstrap
+ * over observed daily totals:
+ *
+ *   deviation = horizonDays * (resampled mean - mean)     // uncertainty of the daily rate
+ *             + sum of horizonDays resampled residuals    // day-to-day noise
+ *
+ * Quantiles of the deviation are added to the point estimate, so P50 stays
+ * close to the existing projection. Quantiles come from the request or
+ * PREDICTION_QUANTILES (default 0.1,0.5,0.9).
+ */
+
+const DEFAULT_QUANTILES = [0.1, 0.5, 0.9];
+const DEFAULT_SAMPLES = 1000;
+const MIN_BASIS_DAYS = 2;
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so the same data gives the same range.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function quantileLabel(q) {
+  return `p${parseFloat((q * 100).toFixed(1))}`;
+}
+
+function quantileOf(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Parse "0.1,0.5,0.9" (or an array) into sorted unique quantiles in (0, 1).
+ */
+function parseQuantiles(value = process.env.PREDICTION_QUANTILES) {
+  if (!value) return DEFAULT_QUANTILES;
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const quantiles = list.map(q => parseFloat(q));
+  if (quantiles.length === 0 || quantiles.some(q => !Number.isFinite(q) || q <= 0 || q >= 1)) {
+    throw new Error(`Invalid quantiles "${value}" (expected values between 0 and 1, e.g. 0.1,0.5,0.9)`);
+  }
+
+  return [...new Set(quantiles)].sort((a, b) => a - b);
+}
+
+/**
+ * Interval around a point projection.
+ *
+ * @param {Object} params
+ * @param {Array<number>} params.observed - Observed daily totals (kWh)
+ * @param {number} params.point - Point projection (kWh)
+ * @param {number} params.horizonDays - Days still to be projected
+ * @param {number} [params.floor=0] - Lowest possible value (e.g. energy already used)
+ * @param {Array<number>} [params.quantiles]
+ * @param {number} [params.samples=1000]
+ * @returns {Object|null} { method, quantiles, bounds: { p10, p50, p90 }, lower, upper, basisDays }
+ */
+function bootstrapInterval({ observed, point, horizonDays, floor = 0, quantiles = DEFAULT_QUANTILES, samples = DEFAULT_SAMPLES }) {
+  const bounds = {};
+
+  if (horizonDays <= 0) {
+    quantiles.forEach(q => { bounds[quantileLabel(q)] = round2(point); });
+    return { method: 'exact', quantiles, bounds, lower: round2(point), upper: round2(point), basisDays: observed.length };
+  }
+
+  if (!observed || observed.length < MIN_BASIS_DAYS) {
+    return null;
+  }
+
+  const n = observed.length;
+  const mean = observed.reduce((sum, v) => sum + v, 0) / n;
+  const residuals = observed.map(v => v - mean);
+  const random = createRandom(n * 7919 + Math.round(mean * 100));
+  const deviations = new Array(samples);
+
+  for (let s = 0; s < samples; s++) {
+    let resampledTotal = 0;
+    for (let i = 0; i < n; i++) {
+      resampledTotal += observed[Math.floor(random() * n)];
+    }
+
+    let noise = 0;
+    for (let d = 0; d < horizonDays; d++) {
+      noise += residuals[Math.floor(random() * n)];
+    }
+
+    deviations[s] = horizonDays * (resampledTotal / n - mean) + noise;
+  }
+
+  deviations.sort((a, b) => a - b);
+  quantiles.forEach(q => {
+    bounds[quantileLabel(q)] = round2(Math.max(floor, point + quantileOf(deviations, q)));
+  });
+
+  const values = Object.values(bounds);
+  return {
+    method: 'bootstrap',
+    quantiles,
+    bounds,
+    lower: values[0],
+    upper: values[values.length - 1],
+    basisDays: n,
+    samples
+  };
+}
+
+/**
+ * Add per-meter intervals into a total. Summing quantiles assumes the meters
+ * move together, so the total range is on the wide (conservative) side.
+ */
+function sumIntervals(intervals) {
+  const valid = intervals.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const bounds = {};
+  Object.keys(valid[0].bounds).forEach(label => {
+    bounds[label] = round2(valid.reduce((sum, iv) => sum + (iv.bounds[label] || 0), 0));
+  });
+
+  const values = Object.values(bounds);
+  return {
+    method: 'sum_of_meters',
+    quantiles: valid[0].quantiles,
+    bounds,
+    lower: values[0],
+    upper: values[values.length - 1],
+    metersIncluded: valid.length
+  };
+}
+
+module.exports = {
+  DEFAULT_QUANTILES,
+  parseQuantiles,
+  bootstrapInterval,
+  sumIntervals
+};
@@ -0,0 +1,200 @@
+/**
+ * PREDICTION QUERY OPTIONS
+ *
+ * Meter filters, sorting, pagination and field selection for /api/predict:
+ *
+ * - meter=KSR-1, meters[]=KSR-1&meters[]=KSR-2 (or meters=KSR-1,KSR-2);
+ *   combined with the hierarchy filters (site, tag, node) and pushed down to
+ *   the data source, so unselected meters are never read
+ * - sort=projected_kwh | change_percent | meter_id, order=asc | desc
+ *   (default: desc for the kWh/percentage keys, asc for meter_id)
+ * - page (1-based) and page_size (max 500); without either, every meter is
+ *   returned on one page
+ * - fields=month.predictedMonthKwh,today.prediction - dotted paths kept in
+ *   each meter entry (meterId is always kept)
+ *
+ * Totals are computed over every selected meter before paging, so they are
+ * the same on every page.
+ */
+
+const SORT_KEYS = ['projected_kwh', 'change_percent', 'meter_id'];
+const MAX_PAGE_SIZE = 500;
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function positiveInt(name, value, max = Infinity) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new Error(`Invalid ${name} "${value}" (expected an integer from 1${Number.isFinite(max) ? ` to ${max}` : ''})`);
+  }
+  return number;
+}
+
+/**
+ * Parse the query options; throws on invalid values.
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object} { meters, sort, order, page, pageSize, fields }
+ */
+function parsePredictQuery(params) {
+  const listed = [
+    ...params.getAll('meters[]'),
+    ...params.getAll('meters').flatMap(value => value.split(','))
+  ].map(id => id.trim()).filter(Boolean);
+  const single = params.get('meter');
+  const meters = single || listed.length ? [...new Set([...(single ? [single] : []), ...listed])] : null;
+
+  const sort = params.get('sort') || null;
+  if (sort && !SORT_KEYS.includes(sort)) {
+    throw new Error(`Invalid sort "${sort}" (expected ${SORT_KEYS.join(', ')})`);
+  }
+  const order = params.get('order') || (sort === 'meter_id' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error(`Invalid order "${order}" (expected asc or desc)`);
+  }
+
+  const paged = params.has('page') || params.has('page_size');
+  const fields = params.get('fields')
+    ? params.get('fields').split(',').map(f => f.trim()).filter(Boolean)
+    : null;
+
+  return {
+    meters,
+    sort,
+    order,
+    page: paged ? positiveInt('page', params.get('page') || 1) : 1,
+    pageSize: paged ? positiveInt('page_size', params.get('page_size') || 50, MAX_PAGE_SIZE) : null,
+    fields
+  };
+}
+
+/**
+ * Meters allowed by both filters (either may be null = no restriction).
+ */
+function combineMeterFilters(listed, selected) {
+  if (!listed) return selected;
+  if (!selected) return listed;
+  return listed.filter(id => selected.includes(id));
+}
+
+// ============================================
+// TOTALS & SORTING
+// ============================================
+
+function projectedKwh(meter) {
+  return meter.month && meter.month.success ? meter.month.predictedMonthKwh : null;
+}
+
+/**
+ * Totals over every meter of the query (all pages).
+ */
+function summarizeTotals(meters) {
+  const totals = {
+    meterCount: meters.length,
+    todayKwh: 0,
+    todayPredictedKwh: 0,
+    monthKwh: 0,
+    monthPredictedKwh: 0,
+    previousMonthKwh: 0
+  };
+  // Change over the meters that have a previous month to compare with
+  let comparableKwh = 0;
+
+  meters.forEach(meter => {
+    if (meter.today && meter.today.success) {
+      totals.todayKwh += meter.today.totalEnergyToday;
+      totals.todayPredictedKwh += meter.today.prediction;
+    }
+    if (meter.month && meter.month.success) {
+      totals.monthKwh += meter.month.totalEnergyMonth;
+      totals.monthPredictedKwh += meter.month.predictedMonthKwh;
+    }
+    if (meter.change) {
+      totals.previousMonthKwh += meter.change.previousMonthKwh;
+      comparableKwh += meter.month.predictedMonthKwh;
+    }
+  });
+
+  Object.keys(totals).forEach(key => {
+    if (key !== 'meterCount') totals[key] = round2(totals[key]);
+  });
+  totals.changePercent = totals.previousMonthKwh > 0
+    ? round2((comparableKwh - totals.previousMonthKwh) / totals.previousMonthKwh * 100)
+    : null;
+  return totals;
+}
+
+/**
+ * Sorted copy of the meter entries; meters without a value sort last.
+ */
+function sortMeters(meters, sort, order) {
+  if (!sort) return meters;
+
+  const valueOf = {
+    projected_kwh: projectedKwh,
+    change_percent: meter => (meter.change ? meter.change.changePercent : null),
+    meter_id: meter => meter.meterId
+  }[sort];
+  const direction = order === 'asc' ? 1 : -1;
+
+  return [...meters].sort((a, b) => {
+    const va = valueOf(a);
+    const vb = valueOf(b);
+    if (va === null || vb === null) return (va === null) - (vb === null);
+    if (typeof va === 'string') return direction * va.localeCompare(vb);
+    return direction * (va - vb) || a.meterId.localeCompare(b.meterId);
+  });
+}
+
+/**
+ * One page of items plus its position: { items, pagination }.
+ */
+function paginate(items, page, pageSize) {
+  const size = pageSize || Math.max(items.length, 1);
+  const totalPages = Math.max(Math.ceil(items.length / size), 1);
+
+  return {
+    items: items.slice((page - 1) * size, page * size),
+    pagination: { page, pageSize: size, totalItems: items.length, totalPages }
+  };
+}
+
+// ============================================
+// FIELDS
+// ============================================
+
+/**
+ * Copy of a meter entry with only the requested dotted paths (and meterId).
+ */
+function selectFields(meter, fields) {
+  if (!fields) return meter;
+
+  const picked = { meterId: meter.meterId };
+  fields.forEach(field => {
+    const keys = field.split('.');
+    let source = meter;
+    for (const key of keys) {
+      if (source === null || typeof source !== 'object' || !(key in source)) return;
+      source = source[key];
+    }
+
+    let target = picked;
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = source;
+  });
+  return picked;
+}
+
+module.exports = {
+  parsePredictQuery,
+  combineMeterFilters,
+  summarizeTotals,
+  sortMeters,
+  paginate,
+  selectFields
+};
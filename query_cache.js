@@ -0,0 +1,241 @@
+/**
+ * SHARED QUERY CACHE
+ *
+ * One in-process cache for reading loads, predictions and forecasts, keyed
+ * by namespace + query (period, meters, options):
+ *
+ * - Reading loads for closed months (ended before the current UTC month)
+ *   never expire; open periods and derived results (predictions, forecasts,
+ *   which also depend on tariff/budget/calendar config) expire after
+ *   CACHE_TTL_SECONDS (default 300, 0 disables caching)
+ * - Concurrent requests for the same key share one load
+ * - Size is bounded by CACHE_MAX_ROWS (default 2,000,000 reading rows; other
+ *   entries count as 1), least recently used entries go first
+ * - invalidateCache({ year, month }) drops reading loads overlapping that
+ *   month and every derived result (predictions, forecasts); call it when new
+ *   data arrives (POST /api/cache/invalidate)
+ *
+ * Hit/miss statistics per namespace: cacheStats(), GET /api/cache.
+ */
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_ROWS = 2000000;
+
+const entries = new Map();
+let totalWeight = 0;
+let stats = {};
+let counters = { evictions: 0, invalidations: 0 };
+
+function resolveTtlMs(value = process.env.CACHE_TTL_SECONDS) {
+  if (value === undefined || value === '') return DEFAULT_TTL_SECONDS * 1000;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid CACHE_TTL_SECONDS "${value}" (expected seconds >= 0)`);
+  }
+  return seconds * 1000;
+}
+
+function resolveMaxRows(value = process.env.CACHE_MAX_ROWS) {
+  const rows = parseInt(value, 10);
+  return Number.isFinite(rows) && rows > 0 ? rows : DEFAULT_MAX_ROWS;
+}
+
+function namespaceStats(namespace) {
+  if (!stats[namespace]) stats[namespace] = { hits: 0, misses: 0 };
+  return stats[namespace];
+}
+
+// ============================================
+// PERIODS
+// ============================================
+
+function currentMonthStart(now = new Date()) {
+  return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}-01`;
+}
+
+/**
+ * 'YYYY-MM' keys covered by [start, end) (end exclusive, YYYY-MM-DD).
+ */
+function monthsInRange(start, end) {
+  const months = [];
+  let [year, month] = start.slice(0, 7).split('-').map(Number);
+  const last = end.slice(8, 10) === '01' ? end.slice(0, 7) : null;
+
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    if (last ? key >= last : key > end.slice(0, 7)) break;
+    months.push(key);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+}
+
+/**
+ * Cache options for a reading range: months it covers and its lifetime
+ * (closed ranges never expire). Open-ended ranges use the TTL.
+ */
+function rangePolicy(start, end) {
+  if (!start || !end) return { months: null, ttlMs: resolveTtlMs() };
+  return {
+    months: monthsInRange(start, end),
+    ttlMs: end <= currentMonthStart() ? Infinity : resolveTtlMs()
+  };
+}
+
+// ============================================
+// CACHE
+// ============================================
+
+function evict(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  totalWeight -= entry.weight;
+  entries.delete(key);
+}
+
+function enforceLimit() {
+  const maxRows = resolveMaxRows();
+  for (const key of entries.keys()) {
+    if (totalWeight <= maxRows) break;
+    evict(key);
+    counters.evictions++;
+  }
+}
+
+/**
+ * Cached value for a query, loading it on a miss.
+ *
+ * @param {string} namespace - e.g. 'readings', 'predictions', 'forecast'
+ * @param {*} query - Anything JSON-serializable identifying the query
+ * @param {Function} load - async () => value
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Lifetime (Infinity = until invalidated)
+ * @param {Array<string>} [options.months] - 'YYYY-MM' the value depends on;
+ *   omitted for derived results, which any invalidation drops
+ * @param {Function} [options.weight] - value => size (default 1)
+ * @param {boolean} [options.clone] - Hand out copies (for results callers modify)
+ */
+async function cached(namespace, query, load, options = {}) {
+  const ttlMs = options.ttlMs !== undefined ? options.ttlMs : resolveTtlMs();
+  const counter = namespaceStats(namespace);
+  const copy = value => (options.clone ? structuredClone(value) : value);
+
+  if (ttlMs <= 0) {
+    counter.misses++;
+    return load();
+  }
+
+  const key = `${namespace}:${JSON.stringify(query)}`;
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    counter.hits++;
+    // Re-insert to mark as recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return copy(await entry.promise);
+  }
+
+  if (entry) evict(key);
+  counter.misses++;
+
+  const promise = Promise.resolve().then(load);
+  const fresh = { namespace, promise, expiresAt: Date.now() + ttlMs, months: options.months || null, weight: 1 };
+  entries.set(key, fresh);
+  totalWeight += fresh.weight;
+
+  let value;
+  try {
+    value = await promise;
+  } catch (error) {
+    if (entries.get(key) === fresh) evict(key);
+    throw error;
+  }
+
+  // Still cached (not invalidated while loading): record its real size
+  if (entries.get(key) === fresh && options.weight) {
+    const weight = Math.max(options.weight(value), 1);
+    totalWeight += weight - fresh.weight;
+    fresh.weight = weight;
+    enforceLimit();
+  }
+  return copy(value);
+}
+
+/**
+ * Drop cache entries.
+ *
+ * @param {Object} [scope] - { year, month } drops reading loads overlapping
+ *   that month plus all derived results; { namespace } drops one namespace;
+ *   nothing drops everything
+ * @returns {number} Entries removed
+ */
+function invalidateCache(scope = {}) {
+  const monthKey = scope.year && scope.month ? `${scope.year}-${String(scope.month).padStart(2, '0')}` : null;
+  let removed = 0;
+
+  [...entries.entries()].forEach(([key, entry]) => {
+    const matches = scope.namespace
+      ? entry.namespace === scope.namespace
+      : !monthKey || !entry.months || entry.months.includes(monthKey);
+    if (matches) {
+      evict(key);
+      removed++;
+    }
+  });
+
+  counters.invalidations++;
+  return removed;
+}
+
+/**
+ * Hit/miss counters and current size.
+ */
+function cacheStats() {
+  const namespaces = {};
+  Object.entries(stats).forEach(([namespace, counter]) => {
+    const lookups = counter.hits + counter.misses;
+    namespaces[namespace] = {
+      ...counter,
+      hitRate: lookups > 0 ? parseFloat((counter.hits / lookups).toFixed(4)) : null,
+      entries: [...entries.values()].filter(e => e.namespace === namespace).length
+    };
+  });
+
+  const hits = Object.values(stats).reduce((sum, c) => sum + c.hits, 0);
+  const misses = Object.values(stats).reduce((sum, c) => sum + c.misses, 0);
+  return {
+    ttlSeconds: resolveTtlMs() / 1000,
+    maxRows: resolveMaxRows(),
+    entries: entries.size,
+    rows: totalWeight,
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? parseFloat((hits / (hits + misses)).toFixed(4)) : null,
+    evictions: counters.evictions,
+    invalidations: counters.invalidations,
+    namespaces
+  };
+}
+
+/**
+ * Clear entries and counters (tests).
+ */
+function resetCache() {
+  entries.clear();
+  totalWeight = 0;
+  stats = {};
+  counters = { evictions: 0, invalidations: 0 };
+}
+
+module.exports = {
+  cached,
+  rangePolicy,
+  monthsInRange,
+  invalidateCache,
+  cacheStats,
+  resetCache
+};
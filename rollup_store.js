@@ -0,0 +1,332 @@
+/**
+ * HOURLY / DAILY ROLLUP STORE
+ *
+ * Pre-summed kWh per meter and hour (and day), one JSON file per month in
+ * ROLLUP_DIR (default: rollups/ next to this file), so predictions read a
+ * few hundred buckets per meter instead of every minute reading.
+ *
+ * - Buckets are the data source's interval aggregates (summed in SQL for
+ *   database sources), equal to bucketing the readings in Node
+ * - Refreshes are incremental: each month keeps a watermark (the earliest of
+ *   the meters' latest hours) and a refresh re-reads only from that day on,
+ *   so late readings for the current day are picked up
+ * - Open months are refreshed on read once older than ROLLUP_REFRESH_SECONDS
+ *   (default 60); a closed month gets one last refresh after it ends and is
+ *   then read as is. invalidateRollups() forces a full rebuild
+ * - node rollup_store.js [--year=2025 --month=1] [--full] refreshes from the
+ *   command line (default: every month the data source has)
+ *
+ * PREDICT_AGGREGATION picks where predictions get their hourly sums:
+ * node (default, bucket minute readings in Node), database (interval sums
+ * from the data source) or rollup (this store).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetchIntervalAggregates, fetchAvailableMonths, getMonthRange } = require('./data_source');
+const { monthsInRange, invalidateCache } = require('./query_cache');
+
+const AGGREGATION_MODES = ['node', 'database', 'rollup'];
+const DEFAULT_ROLLUP_DIR = path.join(__dirname, 'rollups');
+const DEFAULT_REFRESH_SECONDS = 60;
+
+// One refresh per month at a time; readers wait for it
+const refreshing = new Map();
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Where predictions get hourly sums: node | database | rollup.
+ */
+function resolveAggregationMode(value = process.env.PREDICT_AGGREGATION) {
+  if (value === undefined || value === null || value === '') return 'node';
+  const mode = String(value).toLowerCase();
+  if (!AGGREGATION_MODES.includes(mode)) {
+    throw new Error(`Invalid PREDICT_AGGREGATION "${value}" (expected ${AGGREGATION_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+function resolveRefreshMs(value = process.env.ROLLUP_REFRESH_SECONDS) {
+  if (value === undefined || value === '') return DEFAULT_REFRESH_SECONDS * 1000;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid ROLLUP_REFRESH_SECONDS "${value}" (expected seconds >= 0)`);
+  }
+  return seconds * 1000;
+}
+
+function rollupDir() {
+  return path.resolve(process.env.ROLLUP_DIR || DEFAULT_ROLLUP_DIR);
+}
+
+function rollupPath(year, month) {
+  return path.join(rollupDir(), `rollup_${year}_${pad(month)}.json`);
+}
+
+// ============================================
+// FILES
+// ============================================
+
+function readRollup(year, month) {
+  const filePath = rollupPath(year, month);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function writeRollup(rollup) {
+  const filePath = rollupPath(rollup.year, rollup.month);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Write then rename so readers never see a half-written file
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(rollup));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Daily totals from a meter's hourly buckets: { date: { kwh, count, hours } }.
+ */
+function dailyFromHourly(hourly) {
+  const daily = {};
+  Object.keys(hourly).sort().forEach(hour => {
+    const date = hour.slice(0, 10);
+    if (!daily[date]) daily[date] = { kwh: 0, count: 0, hours: 0 };
+    daily[date].kwh += hourly[hour].kwh;
+    daily[date].count += hourly[hour].count;
+    daily[date].hours++;
+  });
+  return daily;
+}
+
+// ============================================
+// REFRESH
+// ============================================
+
+function isClosed(year, month, now = new Date()) {
+  return getMonthRange(year, month).end <= now.toISOString().slice(0, 10);
+}
+
+function needsRefresh(rollup, year, month, now = new Date()) {
+  if (!rollup) return true;
+  // A closed month is final once refreshed after its end
+  if (isClosed(year, month, now)) return rollup.refreshedAt.slice(0, 10) < getMonthRange(year, month).end;
+  return now.getTime() - Date.parse(rollup.refreshedAt) >= resolveRefreshMs();
+}
+
+async function refreshMonth(year, month, options) {
+  const startTime = Date.now();
+  const { start, end } = getMonthRange(year, month);
+  const existing = options.full ? null : readRollup(year, month);
+  const from = existing && existing.watermark ? existing.watermark.slice(0, 10) : start;
+  const meters = existing ? existing.meters : {};
+
+  // Drop everything from the watermark day on, then re-read it
+  Object.values(meters).forEach(meter => {
+    Object.keys(meter.hourly).forEach(hour => {
+      if (hour >= from) delete meter.hourly[hour];
+    });
+  });
+
+  // The final refresh of a closed month (or a rebuild) must not reuse a load
+  // cached while the month was open: the rollup would keep it for good
+  if (options.full || isClosed(year, month)) invalidateCache({ year, month });
+
+  const aggregates = await fetchIntervalAggregates(from, end, null, 60);
+  aggregates.forEach(entry => {
+    if (!meters[entry.meter_id]) meters[entry.meter_id] = { hourly: {}, daily: {} };
+    meters[entry.meter_id].hourly[entry.start] = { kwh: entry.total_kwh, count: entry.record_count };
+  });
+
+  const latest = [];
+  Object.values(meters).forEach(meter => {
+    meter.daily = dailyFromHourly(meter.hourly);
+    const hours = Object.keys(meter.hourly);
+    if (hours.length > 0) latest.push(hours.reduce((max, hour) => (hour > max ? hour : max)));
+  });
+
+  const rollup = {
+    year,
+    month,
+    watermark: latest.length > 0 ? latest.sort()[0] : null,
+    refreshedAt: new Date().toISOString(),
+    refreshedFrom: from,
+    meters
+  };
+  writeRollup(rollup);
+
+  return {
+    rollup,
+    summary: {
+      year,
+      month,
+      from,
+      meters: Object.keys(meters).length,
+      bucketsRead: aggregates.length,
+      watermark: rollup.watermark,
+      processingTimeMs: Date.now() - startTime
+    }
+  };
+}
+
+/**
+ * Refresh one month's rollup (incremental from its watermark).
+ *
+ * @param {Object} [options] - { full } rebuilds the month from scratch
+ * @returns {Object} { year, month, from, meters, bucketsRead, watermark, processingTimeMs }
+ */
+async function refreshRollup(year, month, options = {}) {
+  const key = `${year}-${pad(month)}`;
+  if (refreshing.has(key)) await refreshing.get(key).catch(() => {});
+
+  const pending = refreshMonth(year, month, options);
+  refreshing.set(key, pending);
+  try {
+    return (await pending).summary;
+  } finally {
+    if (refreshing.get(key) === pending) refreshing.delete(key);
+  }
+}
+
+/**
+ * A month's rollup, refreshed first when it is missing or stale.
+ */
+async function loadRollup(year, month) {
+  const key = `${year}-${pad(month)}`;
+  if (refreshing.has(key)) return (await refreshing.get(key)).rollup;
+
+  const rollup = readRollup(year, month);
+  if (!needsRefresh(rollup, year, month)) return rollup;
+
+  const pending = refreshMonth(year, month, {});
+  refreshing.set(key, pending);
+  try {
+    return (await pending).rollup;
+  } finally {
+    if (refreshing.get(key) === pending) refreshing.delete(key);
+  }
+}
+
+/**
+ * Delete rollup files so the next read rebuilds them.
+ *
+ * @param {Object} [scope] - { year, month } for one month, nothing for all
+ * @returns {number} Files removed
+ */
+function invalidateRollups(scope = {}) {
+  const dir = rollupDir();
+  if (!fs.existsSync(dir)) return 0;
+
+  const files = scope.year && scope.month
+    ? [path.basename(rollupPath(scope.year, scope.month))]
+    : fs.readdirSync(dir).filter(file => /^rollup_\d{4}_\d{2}\.json$/.test(file));
+
+  return files.filter(file => {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }).length;
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Rollup entries per meter in [startDate, endDate), refreshing months as needed.
+ */
+async function collectBuckets(startDate, endDate, meterId, level, toEntry) {
+  const meterIds = meterId ? new Set([].concat(meterId)) : null;
+  const entries = [];
+
+  for (const key of monthsInRange(startDate, endDate)) {
+    const [year, month] = key.split('-').map(Number);
+    const rollup = await loadRollup(year, month);
+
+    Object.entries(rollup.meters).forEach(([id, meter]) => {
+      if (meterIds && !meterIds.has(id)) return;
+      Object.entries(meter[level]).forEach(([bucket, value]) => {
+        if (bucket.slice(0, 10) >= startDate && bucket.slice(0, 10) < endDate) {
+          entries.push(toEntry(id, bucket, value));
+        }
+      });
+    });
+  }
+
+  return entries.sort((a, b) =>
+    a.meter_id.localeCompare(b.meter_id) || (a.start || a.date).localeCompare(b.start || b.date)
+  );
+}
+
+/**
+ * Hourly kWh in [startDate, endDate), shaped like the data source's
+ * interval aggregates: [{ meter_id, start: 'YYYY-MM-DD HH:00', total_kwh, record_count }].
+ */
+async function fetchRollupHourly(startDate, endDate, meterId) {
+  return collectBuckets(startDate, endDate, meterId, 'hourly', (id, start, value) => ({
+    meter_id: id,
+    start,
+    total_kwh: value.kwh,
+    record_count: value.count
+  }));
+}
+
+/**
+ * Daily kWh in [startDate, endDate), shaped like the data source's daily
+ * aggregates: [{ meter_id, date, total_kwh, record_count }].
+ */
+async function fetchRollupDaily(startDate, endDate, meterId) {
+  return collectBuckets(startDate, endDate, meterId, 'daily', (id, date, value) => ({
+    meter_id: id,
+    date,
+    total_kwh: value.kwh,
+    record_count: value.count
+  }));
+}
+
+// ============================================
+// CLI
+// ============================================
+
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] === undefined ? 'true' : match[2];
+  });
+  return args;
+}
+
+module.exports = {
+  AGGREGATION_MODES,
+  resolveAggregationMode,
+  refreshRollup,
+  invalidateRollups,
+  fetchRollupHourly,
+  fetchRollupDaily
+};
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  (async () => {
+    const year = args.year ? parseInt(args.year, 10) : null;
+    const month = args.month ? parseInt(args.month, 10) : null;
+    if ((year === null) !== (month === null) || (month !== null && !(month >= 1 && month <= 12))) {
+      throw new Error('Usage: node rollup_store.js [--year=2025 --month=1] [--full]');
+    }
+
+    const months = year ? [{ year, month }] : await fetchAvailableMonths();
+    console.log(`Refreshing ${months.length} month(s) into ${rollupDir()}`);
+
+    for (const target of months) {
+      const summary = await refreshRollup(target.year, target.month, { full: args.full === 'true' });
+      console.log(`${summary.year}-${pad(summary.month)}: ${summary.meters} meter(s), ${summary.bucketsRead} hourly bucket(s) read from ${summary.from}, watermark ${summary.watermark || '-'} (${summary.processingTimeMs}ms)`);
+    }
+  })().catch(error => {
+    console.error('ERROR:', error.message);
+    process.exit(1);
+  });
+}
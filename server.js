@@ -8,21 +8,28 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const { fetchReadingsInRange, fetchAvailableMonths, testDbConnection, dbConfig } = require('./data_source');
-
-// Import forecast module - using ultra-fast version with aggregated data
-// For 458x faster performance, ensure you've run: node aggregate_data.js
-// Falls back to optimized version if aggregated data not available
-let generateNextMonthForecast;
-try {
-  const fastForecast = require('./forecast_fast.js');
-  generateNextMonthForecast = fastForecast.generateFastForecast;
-  console.log('✓ Using ULTRA-FAST forecast module (aggregated data)');
-} catch (error) {
-  const optimizedForecast = require('./forecast_optimized.js');
-  generateNextMonthForecast = optimizedForecast.generateNextMonthForecast;
-  console.log('✓ Using OPTIMIZED forecast module (caching)');
-}
+const { fetchReadingsInRange, fetchReadingsWithCorrections, fetchDailyAggregates, fetchIntervalAggregates, fetchAvailableMonths, fetchLatestMonthRange, fetchMeterRegistry, getMonthRange, testDbConnection, getDataSource } = require('./data_source');
+const { loadTariffConfig, resolveTariff, projectMonthCost, projectDayCost, applyForecastCosts, applyOutlookCosts } = require('./tariff');
+const { loadBudgetConfig, getBudget, listBudgets, evaluateBudget, collectAlerts } = require('./budgets');
+const { summarizeCorrections } = require('./adapters/register_deltas');
+const { meterSettings, hasCumulativeMeters } = require('./adapters/schema_mapping');
+const { monthDates, analyzeMeterQuality, analyzeHourlyCoverage, applyQualityToConfidence } = require('./data_quality');
+const { resolveImputationStrategy, needsHistory, imputeHourlySeries } = require('./imputation');
+const { parseQuantiles, bootstrapInterval, sumIntervals } = require('./prediction_intervals');
+const { parseWeatherScenario } = require('./weather');
+const { loadCalendarConfig, createDayClassifier, splitDailyRates, partitionDates, describeCalendar } = require('./working_calendar');
+const { resolveLookback } = require('./forecast_history');
+const { generateForecast, resolveForecastLoader } = require('./forecast_engine');
+const { resolveHorizon, generateOutlook, generateYearOutlook } = require('./forecast_outlook');
+const { resolveTodayMode, profileTodayProjection } = require('./load_profile');
+const { resolveDemandInterval, analyzeDemand, effectiveDemandInterval, analyzeIntervalDemand } = require('./demand');
+const { resolveAnomalyThreshold, detectAnomalies, baselineStart } = require('./anomalies');
+const { parseChangePointOption, resolveChangePoint } = require('./change_points');
+const { loadMeterRegistry, selectNodes, metersForNodes, rollUp } = require('./meter_registry');
+const { parsePredictQuery, combineMeterFilters, summarizeTotals, sortMeters, paginate, selectFields } = require('./prediction_query');
+const { cached, invalidateCache, cacheStats } = require('./query_cache');
+const { resolveAggregationMode, invalidateRollups, fetchRollupHourly, fetchRollupDaily } = require('./rollup_store');
+const { resolveIngestFormat, ingestStream } = require('./ingest');
 
 // Import prediction logic from index.js
 const ROLLING_WINDOW_HOURS = 6;
@@ -31,6 +38,8 @@ const MIN_HOURS_REQUIRED = 3;
 const MIN_DAYS_REQUIRED = 1;
 // Hybrid mode threshold: use previous month when current data < 3 days
 const HYBRID_THRESHOLD = 3;
+// Rejected rows listed in an /api/ingest response (all are counted)
+const MAX_REPORTED_REJECTIONS = 1000;
 
 // ============================================
 // PREDICTION FUNCTIONS (from index.js)
@@ -126,7 +135,11 @@ function parseTimestamp(timestamp) {
   };
 }
 
-async function loadMonthReadings(year, month, day) {
+/**
+ * Reading range [start, end) of the selected period: the month up to the
+ * requested day, or the latest month with data.
+ */
+async function periodRange(year, month, day) {
   const { getMonthRange, fetchLatestMonthRange } = require('./data_source');
   const pad = (n) => String(n).padStart(2, '0');
 
@@ -138,18 +151,46 @@ async function loadMonthReadings(year, month, day) {
       const nextDay = Math.min(day + 1, daysInMonth + 1);
       // If nextDay rolls past month end, use next month's start as exclusive upper bound
       if (nextDay > daysInMonth) {
-        const nextMonth = month === 12 ? 1 : month + 1;
-        const nextYear = month === 12 ? year + 1 : year;
-        return fetchReadingsInRange(range.start, `${nextYear}-${pad(nextMonth)}-01`);
+        return range;
       }
-      return fetchReadingsInRange(range.start, `${year}-${pad(month)}-${pad(nextDay)}`);
+      return { start: range.start, end: `${year}-${pad(month)}-${pad(nextDay)}` };
     }
 
-    return fetchReadingsInRange(range.start, range.end);
+    return range;
   }
 
   const range = await fetchLatestMonthRange();
-  return fetchReadingsInRange(range.start, range.end);
+  return getMonthRange(range.year, range.month);
+}
+
+async function loadMonthReadings(year, month, day, meters) {
+  const range = await periodRange(year, month, day);
+  return fetchReadingsWithCorrections(range.start, range.end, meters);
+}
+
+/**
+ * Hourly totals per meter for [start, end) in calculateHourlyTotals' shape,
+ * summed by the data source (aggregation 'database') or read from the
+ * rollup store ('rollup') instead of bucketing minute readings here.
+ */
+async function loadHourlyTotals(start, end, meters, aggregation) {
+  const aggregates = aggregation === 'rollup'
+    ? await fetchRollupHourly(start, end, meters)
+    : await fetchIntervalAggregates(start, end, meters, 60);
+  const grouped = {};
+
+  aggregates.forEach(entry => {
+    if (!grouped[entry.meter_id]) grouped[entry.meter_id] = [];
+    grouped[entry.meter_id].push({
+      timestamp: entry.start,
+      hour: Number(entry.start.slice(11, 13)),
+      date: entry.start.slice(0, 10),
+      energyKwh: entry.total_kwh,
+      count: entry.record_count
+    });
+  });
+
+  return grouped;
 }
 
 function calculateHourlyTotals(meterData) {
@@ -189,20 +230,28 @@ function calculateDailyTotals(hourlyData) {
       dailyData[date] = {
         date: date,
         energyKwh: 0,
-        hoursCount: 0
+        hoursCount: 0,
+        imputedHours: 0
       };
     }
     
     dailyData[date].energyKwh += hour.energyKwh;
     dailyData[date].hoursCount++;
+    if (hour.imputed) dailyData[date].imputedHours++;
   });
   
-  return Object.values(dailyData).sort((a, b) => 
-    a.date.localeCompare(b.date)
-  );
+  return Object.values(dailyData)
+    .map(day => ({ ...day, complete: day.hoursCount === 24 }))
+    .sort((a, b) => a.date.localeCompare(b.date));
 }
 
-function predictToday(hourlyData) {
+/**
+ * Today's projection: 6-hour rolling run-rate plus the hour-of-day profile
+ * projection (see load_profile.js). options.mode picks the headline
+ * `prediction`; options.history adds hours before the period for the
+ * profile and options.classify is the meter's working-calendar classifier.
+ */
+function predictToday(hourlyData, options = {}) {
   if (hourlyData.length < MIN_HOURS_REQUIRED) {
     return {
       success: false,
@@ -229,6 +278,11 @@ function predictToday(hourlyData) {
   const recentHours = todayHours.slice(-rollingWindowSize);
   const recentAverage = recentHours.reduce((sum, h) => sum + h.energyKwh, 0) / recentHours.length;
   const rollingPrediction = recentAverage * 24;
+
+  const mode = resolveTodayMode(options.mode);
+  const profile = profileTodayProjection([...(options.history || []), ...hourlyData], todayDate, todayHours, {
+    classify: options.classify
+  });
   
   return {
     success: true,
@@ -239,69 +293,11 @@ function predictToday(hourlyData) {
     rollingPrediction: rollingPrediction,
     rollingWindowUsed: rollingWindowSize,
     averageHourlyRate: totalEnergyToday / hoursPassedToday,
-    recentHourlyRate: recentAverage
-  };
-}
-
-function predictMonth(dailyData, targetYear, targetMonth, targetDay) {
-  if (dailyData.length < MIN_DAYS_REQUIRED) {
-    return {
-      success: false,
-      message: `Need at least ${MIN_DAYS_REQUIRED} days of data. Currently have ${dailyData.length} day(s).`
-    };
-  }
-
-  // Prefer the requested period when provided so UI labels match the selector
-  let year = targetYear;
-  let month = targetMonth;
-
-  if (!year || !month) {
-    const latestDate = dailyData[dailyData.length - 1].date;
-    [year, month] = latestDate.split('-').map(Number);
-  }
-
-  const monthData = dailyData.filter(d => {
-    const [y, m, day] = d.date.split('-').map(Number);
-    if (y !== year || m !== month) return false;
-    // If targetDay is specified, only include data up to that day
-    if (Number.isFinite(targetDay) && day > targetDay) return false;
-    return true;
-  });
-
-  if (monthData.length < MIN_DAYS_REQUIRED) {
-    return {
-      success: false,
-      message: `Need at least ${MIN_DAYS_REQUIRED} days of ${year}-${String(month).padStart(2, '0')}. Currently have ${monthData.length} day(s).`
-    };
-  }
-
-  const totalEnergyMonth = monthData.reduce((sum, d) => sum + d.energyKwh, 0);
-  const daysPassedMonth = monthData.length;
-  const daysInCurrentMonth = getDaysInMonth(year, month);
-  
-  // Use targetDay as the reference if provided, otherwise use actual data days
-  const effectiveDayLimit = Number.isFinite(targetDay) ? targetDay : daysPassedMonth;
-  const percentComplete = Math.min((effectiveDayLimit / daysInCurrentMonth) * 100, 100);
-  const isComplete = effectiveDayLimit >= daysInCurrentMonth;
-  
-  const predictedMonthKwh = isComplete
-    ? totalEnergyMonth
-    : (totalEnergyMonth / daysPassedMonth) * daysInCurrentMonth;
-  const averageDailyRate = totalEnergyMonth / daysPassedMonth;
-
-  return {
-    success: true,
-    year,
-    month,
-    daysPassedMonth,
-    daysInCurrentMonth,
-    totalEnergyMonth,
-    predictedMonthKwh,
-    averageDailyRate,
-    percentMonthComplete: percentComplete.toFixed(1),
-    isComplete,
-    valueSource: isComplete ? 'actual' : 'projection',
-    targetDay: Number.isFinite(targetDay) ? targetDay : null
+    recentHourlyRate: recentAverage,
+    // Profile mode falls back to the rolling run-rate without enough history
+    mode: mode === 'profile' && profile.success ? 'profile' : 'rolling',
+    prediction: mode === 'profile' && profile.success ? profile.prediction : rollingPrediction,
+    profile
   };
 }
 
@@ -343,23 +339,25 @@ function calculateCurrentMonthWeight(daysAnalyzed) {
  * @param {number} year - Previous month year
  * @param {number} month - Previous month (1-12)
  * @param {string} meterId - Meter ID to filter data
+ * @param {string} [aggregation] - Where hourly sums come from (see rollup_store.js)
  * @returns {Array|null} Daily totals for entire previous month
  */
-async function loadPreviousMonthData(year, month, meterId) {
+async function loadPreviousMonthData(year, month, meterId, aggregation = 'node') {
   const { getMonthRange } = require('./data_source');
   const pad = (n) => String(n).padStart(2, '0');
   
   try {
     // Get full previous month range (no day cutoff)
     const range = getMonthRange(year, month);
-    const rawData = await fetchReadingsInRange(range.start, range.end, meterId);
+    const hourlyData = aggregation === 'node'
+      ? calculateHourlyTotals(await fetchReadingsInRange(range.start, range.end, meterId))
+      : (await loadHourlyTotals(range.start, range.end, meterId, aggregation))[meterId] || [];
     
-    if (!rawData || rawData.length === 0) {
+    if (hourlyData.length === 0) {
       return null;
     }
     
-    // Calculate hourly then daily totals
-    const hourlyData = calculateHourlyTotals(rawData);
+    // Daily totals from the hourly buckets
     const dailyData = calculateDailyTotals(hourlyData);
     
     // Validate sufficient data (>50% of month)
@@ -464,9 +462,13 @@ function calculateConfidenceHybrid(daysAnalyzed, totalDays, isHybridMode, hasPre
  * @param {Number} targetMonth - Selected month (1-12)
  * @param {Number} targetDay - Selected day cutoff (1-31)
  * @param {String} meterId - Meter ID for previous month data lookup
+ * @param {Object} [options] - { quantiles } for the prediction interval,
+ *   { calendar } working calendar (defaults to calendar.json),
+ *   { changePoint } level-shift handling (see change_points.js, default auto),
+ *   { aggregation } where previous-month sums come from (default node)
  * @returns {Object} Prediction results with hybrid metadata
  */
-async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay, meterId) {
+async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay, meterId, options = {}) {
   // ==========================================
   // STEP 1: Validate Minimum Data
   // ==========================================
@@ -510,11 +512,34 @@ async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay,
   const totalEnergyMonth = monthData.reduce((sum, d) => sum + d.energyKwh, 0);
   const daysPassedMonth = monthData.length;
   const daysInCurrentMonth = getDaysInMonth(year, month);
-  const avgCurrentMonth = totalEnergyMonth / daysPassedMonth;
+
+  // A day still in progress counts at its hourly rate, not as a full (low) day
+  const lastDay = monthData[monthData.length - 1];
+  const partialLastDay = lastDay.complete === false && lastDay.hoursCount > 0;
+  const rateEnergy = partialLastDay
+    ? totalEnergyMonth - lastDay.energyKwh + (lastDay.energyKwh / lastDay.hoursCount) * 24
+    : totalEnergyMonth;
+  const avgCurrentMonth = rateEnergy / daysPassedMonth;
+  
+  // Holidays / shutdowns: working-day run-rate, non-working days at their own rate
+  const calendarConfig = options.calendar !== undefined ? options.calendar : loadCalendarConfig();
+  const classify = createDayClassifier(calendarConfig, meterId);
+  const rateDays = monthData.map(d => ({
+    date: d.date,
+    kwh: d === lastDay && partialLastDay ? (lastDay.energyKwh / lastDay.hoursCount) * 24 : d.energyKwh
+  }));
+  const observedDates = new Set(monthData.map(d => d.date));
+  const remainingDays = partitionDates(
+    monthDates(year, month, daysInCurrentMonth).filter(date => !observedDates.has(date)),
+    classify
+  );
+  let rates = splitDailyRates(rateDays, classify);
+  const elapsedNonWorkingDays = rates.nonWorkingDays;
   
   const effectiveDayLimit = Number.isFinite(targetDay) ? targetDay : daysPassedMonth;
   const percentComplete = Math.min((effectiveDayLimit / daysInCurrentMonth) * 100, 100);
-  const isComplete = effectiveDayLimit >= daysInCurrentMonth;
+  // A last day still in progress leaves the month open even on its last day
+  const isComplete = effectiveDayLimit >= daysInCurrentMonth && !partialLastDay;
 
   // ==========================================
   // STEP 5: Decide Mode (Standard vs Hybrid)
@@ -524,16 +549,32 @@ async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay,
   let predictedMonthKwh;
   let averageDailyRate;
   let hybridMetadata = null;
+  let previousMonthData = null;
+  let changePoint = null;
 
   if (!useHybridMode) {
     // ======================================
     // STANDARD MODE (3+ days or complete)
     // ======================================
+
+    // Level shift (e.g. a line added mid-month): project from the new regime only
+    if (!isComplete) {
+      const detectionDays = rateDays.filter(d => !(partialLastDay && d.date === lastDay.date) && classify(d.date).working);
+      changePoint = resolveChangePoint(detectionDays, options.changePoint);
+      const regimeDays = changePoint.date ? rateDays.filter(d => d.date >= changePoint.date) : [];
+      changePoint.applied = regimeDays.length > 0;
+      if (changePoint.applied) {
+        rates = splitDailyRates(regimeDays, classify, rateDays.filter(d => d.date < changePoint.date));
+      }
+    }
+
     predictedMonthKwh = isComplete
       ? totalEnergyMonth
-      : avgCurrentMonth * daysInCurrentMonth;
+      : rateEnergy
+        + rates.workingAvg * remainingDays.working.length
+        + rates.nonWorkingAvg * remainingDays.nonWorking.length;
     
-    averageDailyRate = avgCurrentMonth;
+    averageDailyRate = rates.workingAvg;
     
   } else {
     // ======================================
@@ -544,24 +585,29 @@ async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay,
     const { prevYear, prevMonth } = getPreviousMonth(year, month);
     
     // Step 5.2: Fetch previous month data
-    const previousMonthData = await loadPreviousMonthData(prevYear, prevMonth, meterId);
+    previousMonthData = await loadPreviousMonthData(prevYear, prevMonth, meterId, options.aggregation);
     
     if (previousMonthData && previousMonthData.length > 0) {
-      // Step 5.3: Calculate previous month average
+      // Step 5.3: Calculate previous month average (working days)
       const totalEnergyPrevious = previousMonthData.reduce((sum, d) => sum + d.energyKwh, 0);
       const daysInPreviousMonth = getDaysInMonth(prevYear, prevMonth);
-      const avgPreviousMonth = totalEnergyPrevious / previousMonthData.length;
+      const previousDays = previousMonthData.map(d => ({ date: d.date, kwh: d.energyKwh }));
+      const avgPreviousMonth = splitDailyRates(previousDays, classify).workingAvg;
+      rates = splitDailyRates(rateDays, classify, previousDays);
       
       // Step 5.4: Calculate adaptive weights
       const weightCurrent = calculateCurrentMonthWeight(daysPassedMonth);
       const weightPrevious = 1 - weightCurrent;
       
       // Step 5.5: Compute hybrid average
-      const avgHybrid = (avgCurrentMonth * weightCurrent) + (avgPreviousMonth * weightPrevious);
+      const avgHybrid = (rates.workingAvg * weightCurrent) + (avgPreviousMonth * weightPrevious);
       
       // Step 5.6: Project to full month
-      // Preserve actual-to-date usage and forecast remaining days using the hybrid average.
-      predictedMonthKwh = totalEnergyMonth + (avgHybrid * Math.max(daysInCurrentMonth - daysPassedMonth, 0));
+      // Preserve actual-to-date usage (a partial last day at its hourly rate) and
+      // forecast remaining days using the hybrid average.
+      predictedMonthKwh = rateEnergy
+        + avgHybrid * remainingDays.working.length
+        + rates.nonWorkingAvg * remainingDays.nonWorking.length;
       averageDailyRate = avgHybrid;
       
       // Step 5.7: Store hybrid metadata
@@ -590,8 +636,10 @@ async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay,
       
     } else {
       // Previous month data not available - fall back to standard mode
-      predictedMonthKwh = avgCurrentMonth * daysInCurrentMonth;
-      averageDailyRate = avgCurrentMonth;
+      predictedMonthKwh = rateEnergy
+        + rates.workingAvg * remainingDays.working.length
+        + rates.nonWorkingAvg * remainingDays.nonWorking.length;
+      averageDailyRate = rates.workingAvg;
       
       hybridMetadata = {
         mode: 'standard_fallback',
@@ -611,6 +659,23 @@ async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay,
     hybridMetadata?.previousMonth != null
   );
 
+  // ==========================================
+  // STEP 6b: Prediction Interval (bootstrap over daily totals)
+  // ==========================================
+  // Few complete days have little spread to learn from; borrow the previous month's
+  const regimeDays = monthData.filter(d => d.complete !== false && (!changePoint || !changePoint.applied || d.date >= changePoint.date));
+  const completeDays = (regimeDays.length >= 2 ? regimeDays : monthData.filter(d => d.complete !== false)).map(d => d.energyKwh);
+  const intervalBasis = completeDays.length < HYBRID_THRESHOLD && previousMonthData
+    ? completeDays.concat(previousMonthData.map(d => d.energyKwh))
+    : completeDays;
+  const interval = bootstrapInterval({
+    observed: intervalBasis,
+    point: predictedMonthKwh,
+    horizonDays: isComplete ? 0 : daysInCurrentMonth - daysPassedMonth + (partialLastDay ? 1 : 0),
+    floor: totalEnergyMonth,
+    quantiles: options.quantiles || parseQuantiles()
+  });
+
   // ==========================================
   // STEP 7: Return Comprehensive Result
   // ==========================================
@@ -627,47 +692,454 @@ async function predictMonthHybrid(dailyData, targetYear, targetMonth, targetDay,
     isComplete,
     valueSource: isComplete ? 'actual' : 'projection',
     targetDay: Number.isFinite(targetDay) ? targetDay : null,
+    partialLastDay: partialLastDay ? { date: lastDay.date, hoursCount: lastDay.hoursCount } : null,
     
     // Enhanced hybrid metadata
     predictionMode: hybridMetadata?.mode || 'standard',
     hybrid: hybridMetadata,
-    confidence
+    confidence,
+    interval,
+    changePoint,
+    calendar: calendarConfig
+      ? {
+        elapsedNonWorkingDays,
+        remaining: describeCalendar({ ...rates, workingAvg: averageDailyRate }, remainingDays)
+      }
+      : null,
+    dailySeries: monthData.map(d => ({
+      date: d.date,
+      energyKwh: parseFloat(d.energyKwh.toFixed(2)),
+      imputedHours: d.imputedHours || 0,
+      complete: d.complete !== false
+    }))
   };
 }
 
-async function getPredictions() {
-  const data = await loadCurrentMonthReadings();
-  const meterGroups = groupByMeter(data);
-  const meterIds = Object.keys(meterGroups);
-  
-  const results = {
-    totalRecords: data.length,
-    meters: []
+/**
+ * Attach tariff-based cost projections to a meter's today/month results.
+ * Leaves results untouched when no tariff is configured. Demand charges use
+ * the interval peaks when available, hourly buckets otherwise.
+ */
+function attachCostProjections(meterId, hourlyData, todayResult, monthResult, tariffConfig, demand = null) {
+  const tariff = resolveTariff(tariffConfig, meterId);
+  if (!tariff) return;
+
+  if (monthResult.success) {
+    monthResult.cost = projectMonthCost(tariff, {
+      hourlyData,
+      totalEnergyMonth: monthResult.totalEnergyMonth,
+      predictedMonthKwh: monthResult.predictedMonthKwh,
+      daysPassed: monthResult.daysPassedMonth,
+      daysInMonth: monthResult.daysInCurrentMonth,
+      peakKw: demand ? demand.monthToDatePeak.kw : undefined,
+      projectedPeakKw: demand ? demand.projectedMonthPeak.kw : undefined
+    });
+  }
+
+  if (todayResult.success) {
+    const [y, m] = todayResult.date.split('-').map(Number);
+    todayResult.cost = projectDayCost(tariff, {
+      hourlyData: hourlyData.filter(h => h.date === todayResult.date),
+      totalEnergyToday: todayResult.totalEnergyToday,
+      predictedKwh: todayResult.prediction,
+      daysInMonth: getDaysInMonth(y, m),
+      monthKwh: monthResult.success ? monthResult.predictedMonthKwh : undefined
+    });
+  }
+}
+
+/**
+ * Days of the selected period that should have readings: up to the requested
+ * day, today for the current month, otherwise the whole month.
+ */
+function periodDates(year, month, day, data) {
+  if (!year || !month) {
+    if (data.length === 0) return [];
+    const latest = data.reduce((max, r) => (r.timestamp > max ? r.timestamp : max), data[0].timestamp);
+    [year, month] = latest.split(' ')[0].split('-').map(Number);
+  }
+
+  const now = new Date();
+  const isCurrentMonth = year === now.getUTCFullYear() && month === now.getUTCMonth() + 1;
+  const lastDay = Number.isFinite(day)
+    ? day
+    : (isCurrentMonth ? now.getUTCDate() : getDaysInMonth(year, month));
+  return monthDates(year, month, lastDay);
+}
+
+function meterQuality(mapping, meterId, meterData, dates) {
+  const intervalMinutes = (mapping && meterSettings(mapping, meterId).register.intervalMinutes) || 1;
+  return analyzeMeterQuality(meterId, meterData, { dates, intervalMinutes });
+}
+
+/**
+ * Hourly totals from the 4 weeks before the period, per meter, for
+ * imputation strategies that copy from earlier weeks.
+ */
+async function loadImputationHistory(dates, meters, aggregation = 'node') {
+  if (dates.length === 0) return {};
+  const start = new Date(`${dates[0]}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - 28);
+  const from = start.toISOString().slice(0, 10);
+
+  if (aggregation !== 'node') return loadHourlyTotals(from, dates[0], meters, aggregation);
+
+  const grouped = groupByMeter(await fetchReadingsInRange(from, dates[0], meters));
+  const hourly = {};
+  Object.keys(grouped).forEach(meterId => {
+    hourly[meterId] = calculateHourlyTotals(grouped[meterId]);
+  });
+  return hourly;
+}
+
+/**
+ * The selected period's data per meter. With aggregation 'node' the minute
+ * readings are loaded and bucketed here; 'database' and 'rollup' read
+ * pre-summed hourly buckets instead (see rollup_store.js), so there are no
+ * per-reading rows (readings is null).
+ *
+ * @returns {Object} { meterIds, hourly, readings, corrections, totalRecords, rows, range }
+ *   rows: one entry per reading or hour, for periodDates
+ */
+async function loadPeriodData(year, month, day, meters, aggregation) {
+  const range = await periodRange(year, month, day);
+
+  if (aggregation === 'node') {
+    const { readings: data, corrections } = await fetchReadingsWithCorrections(range.start, range.end, meters);
+    const readings = groupByMeter(data);
+    const hourly = {};
+    Object.keys(readings).forEach(meterId => {
+      hourly[meterId] = calculateHourlyTotals(readings[meterId]);
+    });
+    return { meterIds: Object.keys(readings), hourly, readings, corrections, totalRecords: data.length, rows: data, range };
+  }
+
+  const hourly = await loadHourlyTotals(range.start, range.end, meters, aggregation);
+  const rows = Object.values(hourly).flat();
+  // Register meters are derived in Node anyway (cached), so their corrections come for free
+  const { mapping } = getDataSource();
+  const corrections = mapping && hasCumulativeMeters(mapping)
+    ? (await fetchReadingsWithCorrections(range.start, range.end, meters)).corrections
+    : [];
+  return {
+    meterIds: Object.keys(hourly),
+    hourly,
+    readings: null,
+    corrections,
+    totalRecords: rows.reduce((sum, h) => sum + h.count, 0),
+    rows,
+    range
   };
-  
+}
+
+/**
+ * Interval sums per meter for peak demand when there are no readings to
+ * bucket: one query per distinct interval (meters reading less often than
+ * the demand interval use their own). Intervals that don't divide an hour
+ * can't be summed by the data source and get no demand block.
+ */
+async function loadDemandIntervals(range, meterIds, intervalFor) {
+  const byInterval = {};
   meterIds.forEach(meterId => {
-    const meterData = meterGroups[meterId];
-    const hourlyData = calculateHourlyTotals(meterData);
+    const minutes = intervalFor(meterId);
+    if (60 % minutes !== 0) return;
+    if (!byInterval[minutes]) byInterval[minutes] = [];
+    byInterval[minutes].push(meterId);
+  });
+
+  const grouped = {};
+  for (const [minutes, ids] of Object.entries(byInterval)) {
+    const aggregates = await fetchIntervalAggregates(range.start, range.end, ids, Number(minutes));
+    aggregates.forEach(entry => {
+      if (!grouped[entry.meter_id]) grouped[entry.meter_id] = [];
+      grouped[entry.meter_id].push(entry);
+    });
+  }
+  return grouped;
+}
+
+/**
+ * Run today/month predictions for every meter in the selected period.
+ * Shared by /api/predict and /api/alerts; results are cached per period and
+ * options (see query_cache.js), each caller gets its own copy.
+ *
+ * Hourly sums come from PREDICT_AGGREGATION (see rollup_store.js). With
+ * pre-summed buckets the energy figures are the same as bucketing the
+ * readings; peak demand uses interval sums from the data source and the
+ * confidence quality factor only checks completeness (reading counts).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.impute] - Imputation strategy (see imputation.js)
+ * @param {Array<number>} [options.quantiles] - Interval quantiles (see prediction_intervals.js)
+ * @param {string} [options.todayMode] - Today projection mode (see load_profile.js)
+ * @param {number} [options.demandInterval] - Demand interval in minutes (see demand.js)
+ * @param {Object} [options.changePoint] - Level-shift option (see change_points.js)
+ * @param {Array<string>} [options.meters] - Only these meters (filtered in the data source)
+ */
+async function buildPredictions(year, month, day, options = {}) {
+  const aggregation = resolveAggregationMode();
+  return cached('predictions', { year, month, day, aggregation, ...options },
+    () => computePredictions(year, month, day, { ...options, aggregation }), { clone: true });
+}
+
+async function computePredictions(year, month, day, options = {}) {
+  const aggregation = options.aggregation || 'node';
+  const strategy = resolveImputationStrategy(options.impute);
+  const todayMode = resolveTodayMode(options.todayMode);
+  const demandInterval = resolveDemandInterval(options.demandInterval);
+  const calendarConfig = loadCalendarConfig();
+  const period = await loadPeriodData(year, month, day, options.meters, aggregation);
+  const mapping = getDataSource().mapping;
+  const tariffConfig = loadTariffConfig();
+  const budgetConfig = loadBudgetConfig();
+  const dates = periodDates(year, month, day, period.rows);
+  const readingInterval = meterId => (mapping ? meterSettings(mapping, meterId).register.intervalMinutes : undefined);
+  // Earlier weeks feed copy-based imputation and the profile mode's hourly profile
+  const history = needsHistory(strategy) || todayMode === 'profile' ? await loadImputationHistory(dates, options.meters, aggregation) : {};
+  const demandIntervals = period.readings ? null : await loadDemandIntervals(period.range, period.meterIds, meterId =>
+    effectiveDemandInterval({ intervalMinutes: demandInterval, readingIntervalMinutes: readingInterval(meterId) }));
+  // Meters are independent; run them concurrently (previous-month loads overlap)
+  const meters = await Promise.all(period.meterIds.map(async meterId => {
+    const meterHours = period.hourly[meterId];
+    const historyHours = history[meterId] || [];
+    const { hourlyData, summary: imputation } = imputeHourlySeries(meterHours, {
+      strategy,
+      dates,
+      history: historyHours
+    });
     const dailyData = calculateDailyTotals(hourlyData);
-    
-    const todayResult = predictToday(hourlyData);
-    const monthResult = predictMonth(dailyData, year, month);
-    
-    results.meters.push({
-      meterId: meterId,
+    const todayResult = predictToday(hourlyData, {
+      mode: todayMode,
+      history: historyHours.filter(h => h.date < (dates[0] || '')),
+      classify: calendarConfig ? createDayClassifier(calendarConfig, meterId) : null
+    });
+
+    const monthResult = await predictMonthHybrid(dailyData, year, month, day, meterId, {
+      quantiles: options.quantiles,
+      changePoint: options.changePoint,
+      aggregation
+    });
+    if (monthResult.success) {
+      const quality = period.readings
+        ? meterQuality(mapping, meterId, period.readings[meterId], dates)
+        : analyzeHourlyCoverage(meterId, meterHours, { dates, intervalMinutes: readingInterval(meterId) || 1 });
+      monthResult.confidence = applyQualityToConfidence(monthResult.confidence, quality);
+    }
+    const demandOptions = {
+      intervalMinutes: demandInterval,
+      readingIntervalMinutes: readingInterval(meterId),
+      daysInMonth: monthResult.success ? monthResult.daysInCurrentMonth : undefined
+    };
+    const demand = period.readings
+      ? analyzeDemand(period.readings[meterId], demandOptions)
+      : analyzeIntervalDemand(demandIntervals[meterId], { ...demandOptions, intervalMinutes: effectiveDemandInterval(demandOptions) });
+    attachCostProjections(meterId, hourlyData, todayResult, monthResult, tariffConfig, demand);
+
+    const budget = monthResult.success
+      ? getBudget(budgetConfig, meterId, monthResult.year, monthResult.month)
+      : null;
+
+    return {
+      meterId,
       hoursProcessed: hourlyData.length,
       today: todayResult,
-      month: monthResult
+      month: monthResult,
+      demand,
+      budget: evaluateBudget(budget, monthResult, dailyData),
+      imputation,
+      // Only register (cumulative) meters have corrections to report
+      registerCorrections: mapping && meterSettings(mapping, meterId).cumulative
+        ? summarizeCorrections(period.corrections.filter(c => c.meterId === meterId))
+        : null
+    };
+  }));
+
+  return {
+    totalRecords: period.totalRecords,
+    imputationStrategy: strategy,
+    aggregation,
+    meters
+  };
+}
+
+/**
+ * Previous month's actual kWh and the projected change against it, per
+ * meter (one aggregate query for all meters). Sets meter.change, null when
+ * there is nothing to compare.
+ */
+async function attachMonthOverMonth(meters, aggregation = 'node') {
+  const reference = meters.find(m => m.month.success);
+  const previousTotals = {};
+
+  if (reference) {
+    const { prevYear, prevMonth } = getPreviousMonth(reference.month.year, reference.month.month);
+    const range = getMonthRange(prevYear, prevMonth);
+    const meterIds = meters.map(m => m.meterId);
+    const aggregates = aggregation === 'rollup'
+      ? await fetchRollupDaily(range.start, range.end, meterIds)
+      : await fetchDailyAggregates(range.start, range.end, meterIds);
+    aggregates.forEach(entry => {
+      previousTotals[entry.meter_id] = (previousTotals[entry.meter_id] || 0) + entry.total_kwh;
     });
+  }
+
+  meters.forEach(meter => {
+    const previousMonthKwh = previousTotals[meter.meterId];
+    meter.change = meter.month.success && previousMonthKwh !== undefined
+      ? {
+        previousMonthKwh: parseFloat(previousMonthKwh.toFixed(2)),
+        changePercent: previousMonthKwh > 0
+          ? parseFloat(((meter.month.predictedMonthKwh - previousMonthKwh) / previousMonthKwh * 100).toFixed(2))
+          : null
+      }
+      : null;
   });
-  
-  return results;
+}
+
+/**
+ * Anomaly events for every meter between two dates (inclusive). Readings
+ * from the 4 weeks before `from` are loaded as the baseline.
+ */
+async function buildAnomalies(from, to, options = {}) {
+  const threshold = resolveAnomalyThreshold(options.threshold);
+  const mapping = getDataSource().mapping;
+  const end = new Date(`${to}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+
+  const meterGroups = groupByMeter(await fetchReadingsInRange(baselineStart(from), end.toISOString().slice(0, 10)));
+  const meters = [];
+  const events = [];
+
+  Object.keys(meterGroups)
+    .filter(meterId => !options.meter || meterId === options.meter)
+    .forEach(meterId => {
+      const intervalMinutes = (mapping && meterSettings(mapping, meterId).register.intervalMinutes) || 1;
+      const result = detectAnomalies(meterId, calculateHourlyTotals(meterGroups[meterId]), {
+        from,
+        to,
+        threshold,
+        readingsPerHour: 60 / intervalMinutes
+      });
+
+      events.push(...result.hours, ...result.days);
+      meters.push({
+        meterId,
+        hoursScored: result.hoursScored,
+        daysScored: result.daysScored,
+        events: result.hours.length + result.days.length
+      });
+    });
+
+  events.sort((a, b) => a.start.localeCompare(b.start) || a.meterId.localeCompare(b.meterId));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    period: { from, to },
+    threshold,
+    summary: {
+      events: events.length,
+      hourEvents: events.filter(e => e.level === 'hour').length,
+      dayEvents: events.filter(e => e.level === 'day').length,
+      // Hour events only; day events overlap them
+      excessKwh: parseFloat(events.filter(e => e.level === 'hour').reduce((sum, e) => sum + e.excessKwh, 0).toFixed(2))
+    },
+    meters,
+    events
+  };
+}
+
+/**
+ * Registry nodes and meters picked by the site, tag and node query params.
+ * Throws on a filter without a registry or on an unknown site/node.
+ *
+ * @returns {Object|null} { registry, filter, nodeIds, meters } (meters null
+ *   when unfiltered); null without a registry
+ */
+function selectHierarchy(registry, urlObj) {
+  const filter = {
+    site: urlObj.searchParams.get('site') || undefined,
+    tag: urlObj.searchParams.get('tag') || undefined,
+    node: urlObj.searchParams.get('node') || undefined
+  };
+  const filtered = Boolean(filter.site || filter.tag || filter.node);
+
+  if (!registry) {
+    if (filtered) {
+      throw new Error('site, tag and node filters need a meter registry (METER_REGISTRY or METER_REGISTRY_TABLE)');
+    }
+    return null;
+  }
+
+  const nodeIds = selectNodes(registry, filter);
+  return { registry, filter, nodeIds, meters: filtered ? metersForNodes(registry, nodeIds) : null };
+}
+
+/**
+ * Roll-up block for /api/predict: today and month kWh (actual and
+ * predicted) at every selected node.
+ */
+function predictionHierarchy(selection, meters) {
+  const meterValues = {};
+  meters.filter(m => m.month.success).forEach(m => {
+    meterValues[m.meterId] = {
+      todayKwh: m.today.success ? m.today.totalEnergyToday : 0,
+      todayPredictedKwh: m.today.success ? m.today.prediction : 0,
+      monthKwh: m.month.totalEnergyMonth,
+      monthPredictedKwh: m.month.predictedMonthKwh
+    };
+  });
+
+  return {
+    source: selection.registry.source,
+    filter: selection.filter,
+    nodes: rollUp(selection.registry, meterValues, ['todayKwh', 'todayPredictedKwh', 'monthKwh', 'monthPredictedKwh'], selection.nodeIds)
+  };
+}
+
+/**
+ * Roll-up block for /api/forecast: next-month forecast kWh at every selected node.
+ */
+function forecastHierarchy(selection, forecast) {
+  const meterValues = {};
+  Object.values(forecast.per_meter_forecasts).forEach(f => {
+    meterValues[f.meter_id] = { forecast_kwh: f.forecast_kwh };
+  });
+
+  return {
+    source: selection.registry.source,
+    filter: selection.filter,
+    nodes: rollUp(selection.registry, meterValues, ['forecast_kwh'], selection.nodeIds)
+  };
+}
+
+/**
+ * Keep only the selected meters in a next-month forecast and recompute its
+ * totals (before costs are applied).
+ */
+function filterForecastMeters(forecast, meterIds) {
+  const kept = {};
+  Object.entries(forecast.per_meter_forecasts).forEach(([meterId, meterForecast]) => {
+    if (meterIds.includes(meterId)) kept[meterId] = meterForecast;
+  });
+
+  forecast.per_meter_forecasts = kept;
+  forecast.total_forecast_kwh = Object.values(kept).reduce((sum, f) => sum + f.forecast_kwh, 0);
+  forecast.total_forecast_interval = sumIntervals(Object.values(kept).map(f => f.interval));
+  forecast.meter_count = Object.keys(kept).length;
+  return forecast;
 }
 
 // ============================================
 // HTTP SERVER
 // ============================================
 
+function parsePeriodParams(urlObj) {
+  const year = urlObj.searchParams.get('year') ? parseInt(urlObj.searchParams.get('year'), 10) : null;
+  const month = urlObj.searchParams.get('month') ? parseInt(urlObj.searchParams.get('month'), 10) : null;
+  const day = urlObj.searchParams.get('day') ? parseInt(urlObj.searchParams.get('day'), 10) : null;
+  return { year, month, day };
+}
+
 const PORT = process.env.PORT || 3000;
 
 const server = http.createServer(async (req, res) => {
@@ -675,9 +1147,15 @@ const server = http.createServer(async (req, res) => {
   if (req.url.startsWith('/api/predict')) {
     try {
       const urlObj = new URL(req.url, `http://localhost:${PORT}`);
-      const year = urlObj.searchParams.get('year') ? parseInt(urlObj.searchParams.get('year'), 10) : null;
-      const month = urlObj.searchParams.get('month') ? parseInt(urlObj.searchParams.get('month'), 10) : null;
-      const day = urlObj.searchParams.get('day') ? parseInt(urlObj.searchParams.get('day'), 10) : null;
+      const { year, month, day } = parsePeriodParams(urlObj);
+      const impute = urlObj.searchParams.get('impute');
+      const todayMode = urlObj.searchParams.get('today_mode') || undefined;
+      const demandInterval = urlObj.searchParams.get('demand_interval') || undefined;
+      const registry = await loadMeterRegistry(fetchMeterRegistry);
+      let quantiles;
+      let changePoint;
+      let selection;
+      let query;
 
       const validation = validateNotFutureSelection(year, month, day);
       if (!validation.ok) {
@@ -690,42 +1168,287 @@ const server = http.createServer(async (req, res) => {
         return;
       }
 
-      const data = await loadMonthReadings(year, month, day);
-      const meterGroups = groupByMeter(data);
-      const meterIds = Object.keys(meterGroups);
-      const results = {
-        totalRecords: data.length,
-        meters: []
-      };
+      try {
+        resolveImputationStrategy(impute);
+        resolveTodayMode(todayMode);
+        resolveDemandInterval(demandInterval);
+        changePoint = parseChangePointOption(urlObj.searchParams.get('change_point') || undefined);
+        quantiles = parseQuantiles(urlObj.searchParams.get('quantiles') || undefined);
+        selection = selectHierarchy(registry, urlObj);
+        query = parsePredictQuery(urlObj.searchParams);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message, code: 'INVALID_PARAMETER' }));
+        return;
+      }
+
+      const results = await buildPredictions(year, month, day, {
+        impute,
+        quantiles,
+        todayMode,
+        demandInterval,
+        changePoint,
+        meters: combineMeterFilters(query.meters, selection ? selection.meters : null)
+      });
+      await attachMonthOverMonth(results.meters, results.aggregation);
+
+      // Totals and roll-ups cover every selected meter, not just this page
+      const { items, pagination } = paginate(sortMeters(results.meters, query.sort, query.order), query.page, query.pageSize);
 
-      // Process each meter with hybrid prediction
-      for (const meterId of meterIds) {
-        const meterData = meterGroups[meterId];
-        const hourlyData = calculateHourlyTotals(meterData);
-        const dailyData = calculateDailyTotals(hourlyData);
-        const todayResult = predictToday(hourlyData);
-        
-        // Use hybrid prediction (async, so use for...of loop)
-        const monthResult = await predictMonthHybrid(dailyData, year, month, day, meterId);
-
-        results.meters.push({
-          meterId,
-          hoursProcessed: hourlyData.length,
-          today: todayResult,
-          month: monthResult
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        totalRecords: results.totalRecords,
+        imputationStrategy: results.imputationStrategy,
+        aggregation: results.aggregation,
+        totals: summarizeTotals(results.meters),
+        sort: query.sort ? { key: query.sort, order: query.order } : null,
+        pagination,
+        meters: items.map(meter => selectFields(meter, query.fields)),
+        hierarchy: selection ? predictionHierarchy(selection, results.meters) : null
+      }));
+    } catch (error) {
+      console.error('Predict API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // Budget registry endpoint
+  if (req.url.startsWith('/api/budgets')) {
+    try {
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const now = new Date();
+      const { year, month } = parsePeriodParams(urlObj);
+      const budgetYear = year || now.getUTCFullYear();
+      const budgetMonth = month || now.getUTCMonth() + 1;
+      const budgetConfig = loadBudgetConfig();
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        year: budgetYear,
+        month: budgetMonth,
+        configured: !!budgetConfig,
+        budgets: listBudgets(budgetConfig, budgetYear, budgetMonth)
+      }));
+    } catch (error) {
+      console.error('Budgets API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // Budget overrun alerts endpoint
+  if (req.url.startsWith('/api/alerts')) {
+    try {
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const { year, month, day } = parsePeriodParams(urlObj);
+
+      const validation = validateNotFutureSelection(year, month, day);
+      if (!validation.ok) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: validation.message,
+          code: validation.code,
+          serverTodayUtc: formatUtcYmd(new Date())
+        }));
+        return;
+      }
+
+      const results = await buildPredictions(year, month, day);
+      const alerts = collectAlerts(results.meters);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        summary: {
+          metersWithBudget: results.meters.filter(m => m.budget).length,
+          warning: alerts.filter(a => a.status === 'warning').length,
+          critical: alerts.filter(a => a.status === 'critical').length
+        },
+        alerts,
+        meters: results.meters.map(m => ({
+          meterId: m.meterId,
+          status: m.budget ? m.budget.status : 'no_budget',
+          checks: m.budget ? m.budget.checks : []
+        }))
+      }));
+    } catch (error) {
+      console.error('Alerts API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // Data quality report endpoint
+  if (req.url.startsWith('/api/quality')) {
+    try {
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const { year, month, day } = parsePeriodParams(urlObj);
+      const meterFilter = urlObj.searchParams.get('meter');
+
+      const validation = validateNotFutureSelection(year, month, day);
+      if (!validation.ok) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: validation.message, code: validation.code }));
+        return;
+      }
+
+      const { readings } = await loadMonthReadings(year, month, day);
+      const mapping = getDataSource().mapping;
+      const dates = periodDates(year, month, day, readings);
+      const meterGroups = groupByMeter(readings);
+      const meters = Object.keys(meterGroups)
+        .filter(meterId => !meterFilter || meterId === meterFilter)
+        .map(meterId => meterQuality(mapping, meterId, meterGroups[meterId], dates));
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        period: { from: dates[0] || null, to: dates[dates.length - 1] || null, days: dates.length },
+        meters
+      }));
+    } catch (error) {
+      console.error('Quality API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // Consumption anomaly events endpoint
+  if (req.url.startsWith('/api/anomalies')) {
+    try {
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const { year, month, day } = parsePeriodParams(urlObj);
+      const dateParam = /^\d{4}-\d{2}-\d{2}$/;
+      let from = urlObj.searchParams.get('from');
+      let to = urlObj.searchParams.get('to');
+      const threshold = urlObj.searchParams.get('threshold') || undefined;
+
+      try {
+        resolveAnomalyThreshold(threshold);
+        [['from', from], ['to', to]].forEach(([name, value]) => {
+          if (value && (!dateParam.test(value) || Number.isNaN(Date.parse(value)))) {
+            throw new Error(`Invalid ${name} date "${value}" (expected YYYY-MM-DD)`);
+          }
         });
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message, code: 'INVALID_PARAMETER' }));
+        return;
+      }
+
+      // Missing dates default to the selected period (latest month with data)
+      if (!from || !to) {
+        const period = year && month ? { year, month } : await fetchLatestMonthRange();
+        const pad = (n) => String(n).padStart(2, '0');
+        const lastDay = year && month && Number.isFinite(day) ? day : getDaysInMonth(period.year, period.month);
+        from = from || `${period.year}-${pad(period.month)}-01`;
+        to = to || `${period.year}-${pad(period.month)}-${pad(lastDay)}`;
       }
 
+      if (from > to) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `from (${from}) is after to (${to})`, code: 'INVALID_PARAMETER' }));
+        return;
+      }
+
+      const anomalies = await buildAnomalies(from, to, { meter: urlObj.searchParams.get('meter'), threshold });
+
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(results));
+      res.end(JSON.stringify(anomalies));
     } catch (error) {
-      console.error('Predict API error:', error.stack || error.message || error);
+      console.error('Anomalies API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  // Stream a CSV / JSON-lines upload into the store (see ingest.js)
+  if (req.url.startsWith('/api/ingest')) {
+    try {
+      if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'POST' });
+        res.end(JSON.stringify({ error: 'Use POST with the file as the request body' }));
+        return;
+      }
+
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const fileName = urlObj.searchParams.get('filename') || '';
+      let format;
+      try {
+        format = resolveIngestFormat(urlObj.searchParams.get('format'), fileName, req.headers['content-type']);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message, code: 'INVALID_PARAMETER' }));
+        return;
+      }
+
+      const report = await ingestStream(req, {
+        format,
+        name: fileName || null,
+        dryRun: ['1', 'true', 'yes'].includes(String(urlObj.searchParams.get('dry_run')).toLowerCase()),
+        maxRejected: MAX_REPORTED_REJECTIONS
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(report));
+    } catch (error) {
+      if (error.code === 'INVALID_FILE') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message, code: 'INVALID_FILE' }));
+        return;
+      }
+      console.error('Ingest API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      // Rows written before the failure stay in the store
+      const written = error.report ? { rowsWritten: error.report.rowsWritten, months: error.report.months } : {};
+      res.end(JSON.stringify({ error: error.message, ...written }));
+    }
+    return;
+  }
+
+  // Drop cached loads and results, e.g. after new readings arrive
+  if (req.url.startsWith('/api/cache/invalidate')) {
+    try {
+      if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'POST' });
+        res.end(JSON.stringify({ error: 'Use POST to invalidate the cache' }));
+        return;
+      }
+
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const { year, month } = parsePeriodParams(urlObj);
+      if ((year || month) && !(year && month >= 1 && month <= 12)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalidate a month with both year and month (1-12), or omit both', code: 'INVALID_PARAMETER' }));
+        return;
+      }
+
+      const scope = year ? { year, month } : {};
+      const removed = invalidateCache(scope);
+      // Rollups of the month are rebuilt in full on the next read
+      const rollupsRemoved = invalidateRollups(scope);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ removed, rollupsRemoved, scope: year ? scope : 'all', stats: cacheStats() }));
+    } catch (error) {
+      console.error('Cache API error:', error.stack || error.message || error);
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: error.message }));
     }
     return;
   }
 
+  // Cache hit/miss statistics
+  if (req.url.startsWith('/api/cache')) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(cacheStats()));
+    return;
+  }
+
   // Available months endpoint
   if (req.url.startsWith('/api/months')) {
     try {
@@ -746,7 +1469,40 @@ const server = http.createServer(async (req, res) => {
       const urlObj = new URL(req.url, `http://localhost:${PORT}`);
       const year = urlObj.searchParams.get('year') ? parseInt(urlObj.searchParams.get('year'), 10) : null;
       const month = urlObj.searchParams.get('month') ? parseInt(urlObj.searchParams.get('month'), 10) : null;
-      const forecast = await generateNextMonthForecast({ year, month });
+      let quantiles;
+      let weather;
+      let lookback;
+      let horizon;
+      let selection;
+      const registry = await loadMeterRegistry(fetchMeterRegistry);
+      try {
+        selection = selectHierarchy(registry, urlObj);
+        quantiles = parseQuantiles(urlObj.searchParams.get('quantiles') || undefined);
+        lookback = resolveLookback(urlObj.searchParams.get('lookback') || undefined);
+        horizon = resolveHorizon(urlObj.searchParams.get('horizon'));
+        weather = parseWeatherScenario({
+          offset: urlObj.searchParams.get('weather_offset'),
+          mean: urlObj.searchParams.get('weather_mean')
+        });
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message, code: 'INVALID_PARAMETER' }));
+        return;
+      }
+      const forecastOptions = { year, month, quantiles, weather, lookback };
+      let forecast = await cached('forecast', forecastOptions, () => generateForecast(forecastOptions), { clone: true });
+      if (selection && selection.meters) {
+        forecast = filterForecastMeters(forecast, selection.meters);
+      }
+      forecast = applyForecastCosts(forecast);
+      if (selection) {
+        forecast.hierarchy = forecastHierarchy(selection, forecast);
+      }
+      if (urlObj.searchParams.has('horizon')) {
+        // Rolling N-month outlook next to the next-month forecast
+        const outlookOptions = { ...forecastOptions, horizon };
+        forecast.outlook = applyOutlookCosts(await cached('outlook', outlookOptions, () => generateOutlook(outlookOptions), { clone: true }));
+      }
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(forecast));
     } catch (error) {
@@ -757,6 +1513,41 @@ const server = http.createServer(async (req, res) => {
     return;
   }
   
+  // Year-end outlook: actuals to date + forecasts for the remaining months
+  if (req.url.startsWith('/api/outlook')) {
+    try {
+      const urlObj = new URL(req.url, `http://localhost:${PORT}`);
+      const yearParam = urlObj.searchParams.get('year');
+      let options;
+      try {
+        if (yearParam && !/^\d{4}$/.test(yearParam)) {
+          throw new Error(`Invalid year "${yearParam}"`);
+        }
+        options = {
+          year: yearParam ? parseInt(yearParam, 10) : null,
+          quantiles: parseQuantiles(urlObj.searchParams.get('quantiles') || undefined),
+          lookback: resolveLookback(urlObj.searchParams.get('lookback') || undefined),
+          weather: parseWeatherScenario({
+            offset: urlObj.searchParams.get('weather_offset'),
+            mean: urlObj.searchParams.get('weather_mean')
+          })
+        };
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message, code: 'INVALID_PARAMETER' }));
+        return;
+      }
+      const outlook = applyOutlookCosts(await cached('year_outlook', options, () => generateYearOutlook(options), { clone: true }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(outlook));
+    } catch (error) {
+      console.error('Outlook API error:', error.stack || error.message || error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+  
   // Serve HTML dashboard
   if (req.url === '/' || req.url === '/dashboard.html') {
     const htmlPath = path.join(__dirname, 'dashboard.html');
@@ -778,10 +1569,23 @@ const server = http.createServer(async (req, res) => {
 });
 
 async function start() {
+  const dataSource = getDataSource();
+  let aggregation;
+  let forecastLoader;
   try {
-    console.log('🔄 Testing database connection...');
+    aggregation = resolveAggregationMode();
+    forecastLoader = resolveForecastLoader().name;
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log(`🔄 Testing ${dataSource.name} data source...`);
     await testDbConnection();
-    console.log(`✅ Database connected (${dbConfig.host}:${dbConfig.port}/${dbConfig.database})`);
+    console.log(`✅ Data source connected (${dataSource.name}: ${dataSource.location})`);
+    console.log(`🧮 Prediction aggregation: ${aggregation}`);
+    console.log(`📈 Forecast data: ${forecastLoader}`);
     server.listen(PORT, () => {
       console.log('\n==============================================');
       console.log('  ⚡ ENERGY PREDICTION DASHBOARD SERVER');
@@ -790,14 +1594,38 @@ async function start() {
       console.log(`  📊 Dashboard: http://localhost:${PORT}/dashboard.html`);
       console.log(`  🔌 Current Predictions: http://localhost:${PORT}/api/predict`);
       console.log(`  📈 Next Month Forecast: http://localhost:${PORT}/api/forecast`);
+      console.log(`  🗓️  Year Outlook: http://localhost:${PORT}/api/outlook`);
+      console.log(`  🚨 Budget Alerts: http://localhost:${PORT}/api/alerts`);
+      console.log(`  🩺 Data Quality: http://localhost:${PORT}/api/quality`);
+      console.log(`  🔍 Anomalies: http://localhost:${PORT}/api/anomalies`);
+      console.log(`  🗄️  Cache stats: http://localhost:${PORT}/api/cache`);
+      console.log(`  📥 Ingest readings: POST http://localhost:${PORT}/api/ingest`);
       console.log('\n  Press Ctrl+C to stop the server\n');
       console.log('==============================================\n');
     });
   } catch (err) {
-    console.error('❌ Database connection failed:', err.message || err);
-    console.error('Make sure PGHOST, PGPORT, PGDATABASE, PGUSER, and PGPASSWORD are set.');
+    console.error(`❌ Data source (${dataSource.name}) unavailable:`, err.message || err);
+    if (dataSource.name === 'postgres') {
+      console.error('Make sure PGHOST, PGPORT, PGDATABASE, PGUSER, and PGPASSWORD are set,');
+      console.error('or set DATA_SOURCE=csv|jsonl|sqlite and DATA_PATH to run without a database.');
+    } else {
+      console.error('Check that DATA_PATH points at your readings.');
+    }
     process.exit(1);
   }
 }
 
-start();
+// Prediction pipeline is reused by backtest.js
+module.exports = {
+  groupByMeter,
+  calculateHourlyTotals,
+  calculateDailyTotals,
+  predictToday,
+  predictMonthHybrid,
+  calculateCurrentMonthWeight,
+  getDaysInMonth
+};
+
+if (require.main === module) {
+  start();
+}
@@ -0,0 +1,496 @@
+/**
+ * TARIFF & COST PROJECTION MODULE
+ *
+ * Converts kWh run-rates into money using a configurable tariff:
+ * - Energy charges: flat, tiered (monthly slabs) or time-of-use
+ * - Demand charges: rate per kW of monthly peak demand
+ * - Fixed monthly fees and percentage taxes
+ *
+ * Tariffs are read from TARIFF_CONFIG (default: tariff.json next to this file).
+ * See tariff.example.json for the format. Per-meter overrides live under "meters".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TARIFF_PATH = path.join(__dirname, 'tariff.json');
+
+let tariffCache = {
+  filePath: null,
+  mtimeMs: null,
+  config: null
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// ============================================
+// CONFIG LOADING
+// ============================================
+
+/**
+ * Load tariff configuration from disk (re-read when the file changes).
+ * Returns null when no tariff file exists.
+ */
+function loadTariffConfig(filePath = process.env.TARIFF_CONFIG || DEFAULT_TARIFF_PATH) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(resolved);
+  if (tariffCache.filePath === resolved && tariffCache.mtimeMs === mtimeMs) {
+    return tariffCache.config;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  validateTariff(config, resolved);
+
+  tariffCache = { filePath: resolved, mtimeMs, config };
+  return config;
+}
+
+function validateTariff(tariff, source) {
+  const energy = tariff.energy;
+  if (!energy || !['flat', 'tiered', 'tou'].includes(energy.type)) {
+    throw new Error(`Invalid tariff in ${source}: energy.type must be flat, tiered or tou`);
+  }
+  if (energy.type === 'flat' && !isRate(energy.rate)) {
+    throw new Error(`Invalid tariff in ${source}: flat energy requires a numeric rate >= 0 (got ${JSON.stringify(energy.rate)})`);
+  }
+  if (energy.type === 'tiered' && (!Array.isArray(energy.slabs) || energy.slabs.length === 0)) {
+    throw new Error(`Invalid tariff in ${source}: tiered energy requires slabs`);
+  }
+  if (energy.type === 'tiered') {
+    validateSlabs(energy.slabs, source);
+  }
+  if (energy.type === 'tou' && !Array.isArray(energy.periods)) {
+    throw new Error(`Invalid tariff in ${source}: tou energy requires periods`);
+  }
+  if (energy.type === 'tou') {
+    validateTouPeriods(energy, source);
+  }
+  Object.entries(tariff.meters || {}).forEach(([meterId, override]) => {
+    if (override.energy) {
+      validateTariff({ energy: override.energy }, `${source} (meter ${meterId})`);
+    }
+  });
+}
+
+function isRate(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Slabs need numeric rates and rising upToKwh limits; the last slab, and only
+ * the last, is open-ended (upToKwh null or omitted).
+ */
+function validateSlabs(slabs, source) {
+  let lowerBound = 0;
+  slabs.forEach((slab, idx) => {
+    const label = `slab ${idx + 1}`;
+    if (!slab || !isRate(slab.rate)) {
+      throw new Error(`Invalid tariff in ${source}: ${label} requires a numeric rate >= 0 (got ${JSON.stringify(slab && slab.rate)})`);
+    }
+
+    if (idx === slabs.length - 1) {
+      if (slab.upToKwh === null || slab.upToKwh === undefined) return;
+      throw new Error(`Invalid tariff in ${source}: the last slab must be open-ended (upToKwh null or omitted, got ${JSON.stringify(slab.upToKwh)})`);
+    }
+    if (typeof slab.upToKwh !== 'number' || !Number.isFinite(slab.upToKwh) || slab.upToKwh <= lowerBound) {
+      throw new Error(`Invalid tariff in ${source}: ${label} upToKwh must be a number above ${lowerBound} (got ${JSON.stringify(slab.upToKwh)})`);
+    }
+    lowerBound = slab.upToKwh;
+  });
+}
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 24;
+}
+
+/**
+ * TOU periods need numeric rates and whole start/end hours; hours no period
+ * covers (on any weekday) are billed at defaultRate, which is then required.
+ */
+function validateTouPeriods(energy, source) {
+  energy.periods.forEach((period, idx) => {
+    const label = `period ${idx + 1}${period && period.name ? ` (${period.name})` : ''}`;
+    if (!period || !isRate(period.rate)) {
+      throw new Error(`Invalid tariff in ${source}: ${label} requires a numeric rate >= 0 (got ${JSON.stringify(period && period.rate)})`);
+    }
+    if (!isHour(period.start) || !isHour(period.end)) {
+      throw new Error(`Invalid tariff in ${source}: ${label} start and end must be whole hours from 0 to 24 (got ${JSON.stringify(period.start)}-${JSON.stringify(period.end)})`);
+    }
+  });
+
+  if (energy.defaultRate !== undefined && !isRate(energy.defaultRate)) {
+    throw new Error(`Invalid tariff in ${source}: defaultRate must be a number >= 0 (got ${JSON.stringify(energy.defaultRate)})`);
+  }
+  if (energy.defaultRate === undefined) {
+    // 2024-12-01 is a Sunday: one date per weekday
+    for (let day = 1; day <= 7; day++) {
+      for (let hour = 0; hour < 24; hour++) {
+        if (!findTouPeriod(energy.periods, hour, `2024-12-0${day}`)) {
+          throw new Error(`Invalid tariff in ${source}: tou energy requires a defaultRate when its periods don't cover every hour`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Resolve the effective tariff for one meter (meter overrides win).
+ */
+function resolveTariff(config, meterId) {
+  if (!config) return null;
+
+  const { meters, ...base } = config;
+  const override = (meters && meters[meterId]) || {};
+  return { ...base, ...override };
+}
+
+// ============================================
+// ENERGY CHARGES
+// ============================================
+
+/**
+ * Charge for a monthly kWh quantity across tiered slabs.
+ * Slabs: [{ upToKwh: 10000, rate: 6 }, { upToKwh: null, rate: 8 }]
+ */
+function priceSlabs(slabs, kwh) {
+  let remaining = Math.max(kwh, 0);
+  let lowerBound = 0;
+  let amount = 0;
+
+  for (const [idx, slab] of slabs.entries()) {
+    if (remaining <= 0) break;
+    // The last slab takes everything above the one before it
+    const upper = Number.isFinite(slab.upToKwh) && idx < slabs.length - 1 ? slab.upToKwh : Infinity;
+    const slabKwh = Math.min(remaining, upper - lowerBound);
+    amount += slabKwh * slab.rate;
+    remaining -= slabKwh;
+    lowerBound = upper;
+  }
+
+  return amount;
+}
+
+/**
+ * Find the time-of-use period for an hour on a given date.
+ * Periods wrap midnight when start > end (e.g. 22 -> 6).
+ */
+function findTouPeriod(periods, hour, date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const dow = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  return periods.find(period => {
+    if (Array.isArray(period.days) && !period.days.includes(dow)) return false;
+    if (period.start <= period.end) {
+      return hour >= period.start && hour < period.end;
+    }
+    return hour >= period.start || hour < period.end;
+  }) || null;
+}
+
+/**
+ * Price hourly buckets (output of calculateHourlyTotals) under a TOU schedule.
+ */
+function priceTouBuckets(energy, hourlyData) {
+  const byPeriod = {};
+  let amount = 0;
+  let kwh = 0;
+
+  hourlyData.forEach(bucket => {
+    const period = findTouPeriod(energy.periods, bucket.hour, bucket.date);
+    const name = period ? period.name : 'default';
+    const rate = period ? period.rate : energy.defaultRate;
+
+    if (!byPeriod[name]) {
+      byPeriod[name] = { kwh: 0, amount: 0, rate };
+    }
+    byPeriod[name].kwh += bucket.energyKwh;
+    byPeriod[name].amount += bucket.energyKwh * rate;
+    amount += bucket.energyKwh * rate;
+    kwh += bucket.energyKwh;
+  });
+
+  Object.values(byPeriod).forEach(p => {
+    p.kwh = round2(p.kwh);
+    p.amount = round2(p.amount);
+  });
+
+  return { amount, kwh, byPeriod };
+}
+
+/**
+ * Build a flat (uniform) hourly load profile for a month, used to price
+ * TOU tariffs when no hourly data exists (e.g. next-month forecasts).
+ */
+function buildUniformMonthProfile(year, month, totalKwh) {
+  const daysInMonth = getDaysInMonth(year, month);
+  const perHour = totalKwh / (daysInMonth * 24);
+  const pad = (n) => String(n).padStart(2, '0');
+  const buckets = [];
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    for (let hour = 0; hour < 24; hour++) {
+      buckets.push({ date, hour, energyKwh: perHour });
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Average energy price per kWh implied by a set of hourly buckets.
+ */
+function effectiveRate(energy, hourlyData, fallbackKwh) {
+  if (energy.type === 'flat') return energy.rate;
+  if (energy.type === 'tiered') {
+    return fallbackKwh > 0 ? priceSlabs(energy.slabs, fallbackKwh) / fallbackKwh : energy.slabs[0].rate;
+  }
+
+  const priced = priceTouBuckets(energy, hourlyData);
+  return priced.kwh > 0 ? priced.amount / priced.kwh : (energy.defaultRate || 0);
+}
+
+// ============================================
+// COST ASSEMBLY
+// ============================================
+
+function sumFixedFees(tariff) {
+  return (tariff.fixedMonthly || []).reduce((sum, fee) => sum + (fee.amount || 0), 0);
+}
+
+/**
+ * Add demand, fixed fees and taxes on top of an energy charge.
+ * `share` prorates the monthly demand charge and fixed fees (1 = full month).
+ */
+function assembleCost(tariff, energyAmount, peakKw, share) {
+  const demandRate = tariff.demand && tariff.demand.ratePerKw ? tariff.demand.ratePerKw : 0;
+  const demand = demandRate * (peakKw || 0) * share;
+  const fixed = sumFixedFees(tariff) * share;
+  const subtotal = energyAmount + demand + fixed;
+
+  const taxes = {};
+  let taxTotal = 0;
+  (tariff.taxes || []).forEach(tax => {
+    const amount = subtotal * (tax.percent || 0) / 100;
+    taxes[tax.name] = round2(amount);
+    taxTotal += amount;
+  });
+
+  return {
+    total: round2(subtotal + taxTotal),
+    breakdown: {
+      energy: round2(energyAmount),
+      demand: round2(demand),
+      fixed: round2(fixed),
+      taxes: round2(taxTotal),
+      taxDetail: taxes
+    }
+  };
+}
+
+/**
+ * Peak demand (kW) approximated from hourly buckets: the kWh consumed in
+ * one hour equals that hour's average kW.
+ */
+function peakKwFromHourly(hourlyData) {
+  return hourlyData.reduce((max, h) => Math.max(max, h.energyKwh), 0);
+}
+
+/**
+ * Cost projection for the current month run-rate.
+ *
+ * @param {Object} tariff - Resolved tariff (see resolveTariff)
+ * @param {Object} params
+ * @param {Array} params.hourlyData - Month-to-date hourly buckets
+ * @param {Number} params.totalEnergyMonth - Actual kWh to date
+ * @param {Number} params.predictedMonthKwh - Projected full-month kWh
+ * @param {Number} params.daysPassed - Days of data analysed
+ * @param {Number} params.daysInMonth - Days in the month
+ * @param {Number} [params.peakKw] - Month-to-date peak demand
+ * @param {Number} [params.projectedPeakKw] - Likely month peak (defaults to peakKw)
+ */
+function projectMonthCost(tariff, params) {
+  if (!tariff) return null;
+
+  const { hourlyData, totalEnergyMonth, predictedMonthKwh, daysPassed, daysInMonth } = params;
+  const energy = tariff.energy;
+  const peakKw = Number.isFinite(params.peakKw) ? params.peakKw : peakKwFromHourly(hourlyData);
+  const projectedPeakKw = Number.isFinite(params.projectedPeakKw) ? Math.max(params.projectedPeakKw, peakKw) : peakKw;
+  const shareToDate = Math.min(daysPassed / daysInMonth, 1);
+
+  let energyToDate;
+  let energyProjected;
+  let touPeriods = null;
+
+  if (energy.type === 'flat') {
+    energyToDate = totalEnergyMonth * energy.rate;
+    energyProjected = predictedMonthKwh * energy.rate;
+  } else if (energy.type === 'tiered') {
+    energyToDate = priceSlabs(energy.slabs, totalEnergyMonth);
+    energyProjected = priceSlabs(energy.slabs, predictedMonthKwh);
+  } else {
+    const priced = priceTouBuckets(energy, hourlyData);
+    const rate = priced.kwh > 0 ? priced.amount / priced.kwh : (energy.defaultRate || 0);
+    energyToDate = priced.amount;
+    energyProjected = priced.amount + Math.max(predictedMonthKwh - priced.kwh, 0) * rate;
+    touPeriods = priced.byPeriod;
+  }
+
+  const toDate = assembleCost(tariff, energyToDate, peakKw, shareToDate);
+  const projected = assembleCost(tariff, energyProjected, projectedPeakKw, 1);
+
+  return {
+    currency: tariff.currency || null,
+    tariffType: energy.type,
+    costToDate: toDate.total,
+    projectedCost: projected.total,
+    peakKwUsed: round2(peakKw),
+    projectedPeakKwUsed: round2(projectedPeakKw),
+    breakdown: {
+      toDate: toDate.breakdown,
+      projected: projected.breakdown
+    },
+    touPeriods
+  };
+}
+
+/**
+ * Cost projection for today's run-rate. Monthly fees and demand charges are
+ * spread evenly over the days of the month.
+ *
+ * @param {Object} tariff - Resolved tariff
+ * @param {Object} params
+ * @param {Array} params.hourlyData - Today's hourly buckets
+ * @param {Number} params.totalEnergyToday - Actual kWh so far today
+ * @param {Number} params.predictedKwh - Projected kWh for the whole day
+ * @param {Number} params.daysInMonth - Days in today's month
+ * @param {Number} [params.monthKwh] - Projected month kWh (sets the tiered slab rate)
+ */
+function projectDayCost(tariff, params) {
+  if (!tariff) return null;
+
+  const { hourlyData, totalEnergyToday, predictedKwh, daysInMonth } = params;
+  const energy = tariff.energy;
+  const dayShare = 1 / daysInMonth;
+  const rate = effectiveRate(energy, hourlyData, params.monthKwh || predictedKwh * daysInMonth);
+
+  const energyToDate = energy.type === 'tou'
+    ? priceTouBuckets(energy, hourlyData).amount
+    : totalEnergyToday * rate;
+  const energyProjected = energyToDate + Math.max(predictedKwh - totalEnergyToday, 0) * rate;
+
+  const peakKw = peakKwFromHourly(hourlyData);
+  const toDate = assembleCost(tariff, energyToDate, peakKw, dayShare);
+  const projected = assembleCost(tariff, energyProjected, peakKw, dayShare);
+
+  return {
+    currency: tariff.currency || null,
+    tariffType: energy.type,
+    costToDate: toDate.total,
+    projectedCost: projected.total,
+    breakdown: {
+      toDate: toDate.breakdown,
+      projected: projected.breakdown
+    }
+  };
+}
+
+/**
+ * Cost for a next-month kWh forecast. TOU tariffs are priced on a uniform
+ * hourly profile; demand uses the average load as a lower-bound estimate.
+ */
+function projectForecastCost(tariff, year, month, forecastKwh) {
+  if (!tariff) return null;
+
+  const energy = tariff.energy;
+  const daysInMonth = getDaysInMonth(year, month);
+  let energyAmount;
+
+  if (energy.type === 'flat') {
+    energyAmount = forecastKwh * energy.rate;
+  } else if (energy.type === 'tiered') {
+    energyAmount = priceSlabs(energy.slabs, forecastKwh);
+  } else {
+    energyAmount = priceTouBuckets(energy, buildUniformMonthProfile(year, month, forecastKwh)).amount;
+  }
+
+  const averageKw = forecastKwh / (daysInMonth * 24);
+  const cost = assembleCost(tariff, energyAmount, averageKw, 1);
+
+  return {
+    currency: tariff.currency || null,
+    tariffType: energy.type,
+    projectedCost: cost.total,
+    breakdown: cost.breakdown,
+    demandBasis: 'average_load'
+  };
+}
+
+/**
+ * Attach cost projections to every per-meter forecast of a forecast result.
+ * Mutates and returns the forecast object.
+ */
+function applyForecastCosts(forecast, config = loadTariffConfig()) {
+  if (!config || !forecast || !forecast.per_meter_forecasts) return forecast;
+
+  const { year, month } = forecast.forecast_period;
+  let totalCost = 0;
+
+  Object.values(forecast.per_meter_forecasts).forEach(meterForecast => {
+    const tariff = resolveTariff(config, meterForecast.meter_id);
+    meterForecast.cost = projectForecastCost(tariff, year, month, meterForecast.forecast_kwh);
+    totalCost += meterForecast.cost.projectedCost;
+  });
+
+  forecast.total_forecast_cost = round2(totalCost);
+  forecast.currency = config.currency || null;
+  return forecast;
+}
+
+/**
+ * Attach monthly and cumulative costs to an outlook (see forecast_outlook.js).
+ * Mutates and returns the outlook object.
+ */
+function applyOutlookCosts(outlook, config = loadTariffConfig()) {
+  if (!config || !outlook || !outlook.months) return outlook;
+
+  let cumulative = 0;
+  outlook.months.forEach(row => {
+    let rowCost = 0;
+    Object.values(row.per_meter).forEach(meterRow => {
+      const cost = projectForecastCost(resolveTariff(config, meterRow.meter_id), row.year, row.month, meterRow.kwh);
+      meterRow.cost = cost ? cost.projectedCost : null;
+      rowCost += meterRow.cost || 0;
+    });
+    cumulative += rowCost;
+    row.total_cost = round2(rowCost);
+    row.cumulative_cost = round2(cumulative);
+  });
+
+  outlook.total_cost = round2(cumulative);
+  outlook.currency = config.currency || null;
+  return outlook;
+}
+
+module.exports = {
+  loadTariffConfig,
+  resolveTariff,
+  priceSlabs,
+  priceTouBuckets,
+  projectMonthCost,
+  projectDayCost,
+  projectForecastCost,
+  applyForecastCosts,
+  applyOutlookCosts
+};
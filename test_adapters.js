@@ -0,0 +1,303 @@
+/**
+ * Test Script for the Data-Source Adapters
+ *
+ * Runs the same fixture through every file-based adapter (CSV folder of
+ * dated files, JSON-lines file, SQLite file) and checks the adapter contract
+ * (adapters/index.js), no server or database needed:
+ * 1. fetchReadingsInRange across a month boundary, with meter filters
+ * 2. Daily aggregates
+ * 3. Interval aggregates (hourly and 15-minute)
+ * 4. fetchAvailableMonths, fetchLatestMonthRange and fetchLatestTimestamp
+ * 5. The PostgreSQL adapter's queries span month boundaries too (recorded
+ *    against a stand-in pool)
+ * 6. Without DATA_PATH the CSV adapter reads only dated files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adapters-test-'));
+
+const { createAdapter } = require('./adapters');
+const { defaultMapping } = require('./adapters/schema_mapping');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 10-minute readings for M-1 and M-2 from Nov 30 22:00 to Dec 1 01:50 2024
+ * (two months), plus one M-1 reading in October.
+ */
+function fixtureRows() {
+  const rows = [['M-1', '2024-10-15 12:00:00', 9]];
+  const start = Date.UTC(2024, 10, 30, 22, 0, 0);
+  for (let i = 0; i < 24; i++) {
+    const d = new Date(start + i * 10 * 60 * 1000);
+    const timestamp = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:00`;
+    rows.push(['M-1', timestamp, 0.5]);
+    rows.push(['M-2', timestamp, 1 + (i % 4) / 4]);
+  }
+  return rows;
+}
+
+async function createAdapters(rows) {
+  // CSV: one YYYY-MM-DD.csv file per day, like the meter exports
+  const csvDir = path.join(tempDir, 'csv');
+  fs.mkdirSync(csvDir);
+  const byDate = {};
+  rows.forEach(([meterId, timestamp, value]) => {
+    (byDate[timestamp.slice(0, 10)] = byDate[timestamp.slice(0, 10)] || []).push(`${meterId},${timestamp},${value}`);
+  });
+  Object.entries(byDate).forEach(([date, lines]) => {
+    fs.writeFileSync(path.join(csvDir, `${date}.csv`), `meter_id,timestamp,energy_consumed_kwh\n${lines.join('\n')}\n`);
+  });
+
+  // JSON-lines: a single file with ISO timestamps
+  const jsonlPath = path.join(tempDir, 'readings.jsonl');
+  fs.writeFileSync(jsonlPath, rows.map(([meterId, timestamp, value]) =>
+    `${JSON.stringify({ meter_id: meterId, timestamp: timestamp.replace(' ', 'T'), energy_consumed_kwh: value })}\n`).join(''));
+
+  // SQLite
+  const dbPath = path.join(tempDir, 'readings.sqlite');
+  const SQL = await require('sql.js')();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE readings (meter_id TEXT NOT NULL, timestamp TEXT NOT NULL, energy_consumed_kwh REAL NOT NULL)');
+  const insert = db.prepare('INSERT INTO readings VALUES (?, ?, ?)');
+  rows.forEach(row => insert.run(row));
+  insert.free();
+  fs.writeFileSync(dbPath, Buffer.from(db.export()));
+  db.close();
+
+  return [
+    createAdapter('csv', { path: csvDir, mapping: defaultMapping('csv') }),
+    createAdapter('jsonl', { path: jsonlPath, mapping: defaultMapping('jsonl') }),
+    createAdapter('sqlite', { path: dbPath, mapping: defaultMapping('sqlite') })
+  ];
+}
+
+/**
+ * Stand-in for a pg Pool: records the queries and answers readings queries
+ * with the fixture rows whose date falls in [$1, $2) (aggregates: no rows).
+ */
+function recordingPool(rows) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (/GROUP BY/.test(sql)) return { rows: [] };
+      const [start, end] = params;
+      const matching = rows.filter(([, timestamp]) => timestamp.slice(0, 10) >= start && timestamp.slice(0, 10) < end);
+      return {
+        rows: matching.map(([meterId, timestamp, value]) => ({ meter_id: meterId, ts: new Date(timestamp.replace(' ', 'T')), value }))
+      };
+    }
+  };
+}
+
+function round(aggregates) {
+  return JSON.stringify(aggregates.map(entry => ({ ...entry, total_kwh: Math.round(entry.total_kwh * 1000) / 1000 })));
+}
+
+let adapters = null;
+
+const TESTS = [
+  {
+    name: 'Readings across a month boundary',
+    run: async () => {
+      adapters = await createAdapters(fixtureRows());
+      const checks = [];
+
+      for (const adapter of adapters) {
+        const both = await adapter.fetchReadingsInRange('2024-11-30', '2024-12-02');
+        const december = await adapter.fetchReadingsInRange('2024-12-01', '2025-01-01');
+        const m2 = await adapter.fetchReadingsInRange('2024-11-30', '2024-12-02', 'M-2');
+        const listed = await adapter.fetchReadingsInRange('2024-11-30', '2024-12-02', ['M-1', 'M-2']);
+        const none = await adapter.fetchReadingsInRange('2024-11-30', '2024-12-02', []);
+
+        checks.push(
+          [`${adapter.name}: Nov 30 - Dec 1 readings`, both.length, 48],
+          [`${adapter.name}: November rows kept`, both.filter(r => r.timestamp.startsWith('2024-11')).length, 24],
+          [`${adapter.name}: first timestamp`, both[0].timestamp, '2024-11-30 22:00:00'],
+          [`${adapter.name}: end exclusive`, december.length, 24],
+          [`${adapter.name}: one meter`, m2.every(r => r.meter_id === 'M-2') && m2.length === 24, true],
+          [`${adapter.name}: meter list`, listed.length, 48],
+          [`${adapter.name}: empty meter list`, none.length, 0],
+          [`${adapter.name}: raw value`, m2[1].value, 1.25]
+        );
+      }
+      return checks;
+    }
+  },
+  {
+    name: 'Daily aggregates',
+    run: async () => {
+      const checks = [];
+      const reference = round(await adapters[0].fetchDailyAggregates('2024-11-30', '2024-12-02'));
+
+      for (const adapter of adapters) {
+        const daily = await adapter.fetchDailyAggregates('2024-11-30', '2024-12-02');
+        const m2 = await adapter.fetchDailyAggregates('2024-10-01', '2024-12-02', ['M-2']);
+        checks.push(
+          [`${adapter.name}: entries (2 meters x 2 days)`, daily.length, 4],
+          [`${adapter.name}: M-1 Nov 30`, daily.find(e => e.meter_id === 'M-1' && e.date === '2024-11-30').total_kwh, 6],
+          [`${adapter.name}: M-2 Dec 1 count`, daily.find(e => e.meter_id === 'M-2' && e.date === '2024-12-01').record_count, 12],
+          [`${adapter.name}: meter filter`, m2.length, 2],
+          [`${adapter.name}: same as csv`, round(daily), reference]
+        );
+      }
+      return checks;
+    }
+  },
+  {
+    name: 'Interval aggregates',
+    run: async () => {
+      const checks = [];
+      const reference = round(await adapters[0].fetchIntervalAggregates('2024-11-30', '2024-12-02', null, 15));
+
+      for (const adapter of adapters) {
+        const hourly = await adapter.fetchIntervalAggregates('2024-11-30', '2024-12-02', 'M-2', 60);
+        const quarter = await adapter.fetchIntervalAggregates('2024-11-30', '2024-12-02', null, 15);
+        checks.push(
+          [`${adapter.name}: hours`, hourly.map(e => e.start).join(','), '2024-11-30 22:00,2024-11-30 23:00,2024-12-01 00:00,2024-12-01 01:00'],
+          [`${adapter.name}: hourly kWh (1 + 1.25 + 1.5 + 1.75 + 1 + 1.25)`, hourly[0].total_kwh, 7.75],
+          [`${adapter.name}: hourly count`, hourly[0].record_count, 6],
+          [`${adapter.name}: 15-minute buckets (2 meters x 16)`, quarter.length, 32],
+          [`${adapter.name}: same as csv`, round(quarter), reference]
+        );
+      }
+      return checks;
+    }
+  },
+  {
+    name: 'Available and latest months, latest reading',
+    run: async () => {
+      const checks = [];
+
+      for (const adapter of adapters) {
+        const months = await adapter.fetchAvailableMonths();
+        const latest = await adapter.fetchLatestMonthRange();
+        checks.push(
+          [`${adapter.name}: months, newest first`, months.map(m => `${m.year}-${m.month}:${m.records}`).join(','), '2024-12:24,2024-11:24,2024-10:1'],
+          [`${adapter.name}: latest month`, `${latest.year}-${latest.month}`, '2024-12'],
+          [`${adapter.name}: latest range`, `${latest.start.toISOString().slice(0, 10)}/${latest.end.toISOString().slice(0, 10)}`, '2024-12-01/2025-01-01'],
+          [`${adapter.name}: latest reading in November`, await adapter.fetchLatestTimestamp('2024-11-01', '2024-12-01'), '2024-11-30 23:50:00'],
+          [`${adapter.name}: latest reading overall`, await adapter.fetchLatestTimestamp('2024-10-01', '2025-01-01'), '2024-12-01 01:50:00'],
+          [`${adapter.name}: no readings`, await adapter.fetchLatestTimestamp('2025-01-01', '2025-02-01'), null]
+        );
+      }
+      return checks;
+    }
+  },
+  {
+    name: 'PostgreSQL range queries',
+    run: async () => {
+      const pool = recordingPool(fixtureRows());
+      const adapter = createAdapter('postgres', { pool, mapping: { ...defaultMapping('postgres'), timestamp: { column: 'timestamp' } } });
+
+      // e.g. /api/anomalies: a 4-week baseline before `from` spans two months
+      const readings = await adapter.fetchReadingsInRange('2024-11-30', '2024-12-02');
+      await adapter.fetchReadingsInRange('2024-11-30', '2024-12-02', 'M-2');
+      const readingsQuery = pool.queries[0];
+      const meterQuery = pool.queries[1];
+      pool.queries.length = 0;
+      await adapter.fetchDailyAggregates('2024-11-30', '2024-12-02', ['M-1']);
+      await adapter.fetchIntervalAggregates('2024-11-30', '2024-12-02', null, 15);
+
+      return [
+        ['readings from both months', readings.length, 48],
+        ['November rows kept', readings.filter(r => r.timestamp.startsWith('2024-11')).length, 24],
+        ['readings: date range only', JSON.stringify(readingsQuery.params), '["2024-11-30","2024-12-02"]'],
+        ['meter filter after the range', JSON.stringify(meterQuery.params), '["2024-11-30","2024-12-02","M-2"]'],
+        ['daily aggregates: date range only', JSON.stringify(pool.queries[0].params), '["2024-11-30","2024-12-02","M-1"]'],
+        ['interval aggregates: date range only', JSON.stringify(pool.queries[1].params), '["2024-11-30","2024-12-02"]'],
+        ['no month filter', [readingsQuery, meterQuery, ...pool.queries].some(q => /EXTRACT\((YEAR|MONTH)/.test(q.sql)), false]
+      ];
+    }
+  },
+  {
+    name: 'CSV adapter without DATA_PATH',
+    run: async () => {
+      // A working directory with an export next to other CSVs
+      const workDir = path.join(tempDir, 'work');
+      fs.mkdirSync(workDir);
+      const header = 'meter_id,timestamp,energy_consumed_kwh\n';
+      fs.writeFileSync(path.join(workDir, '2024-12-01.csv'), `${header}M-1,2024-12-01 00:00:00,1\n`);
+      fs.writeFileSync(path.join(workDir, 'rejected.csv'), `${header}M-9,2024-12-01 00:10:00,5\n`);
+      fs.writeFileSync(path.join(workDir, 'weather.csv'), 'date,temperature_c\n2024-12-01,3\n');
+
+      const cwd = process.cwd();
+      const dataPath = process.env.DATA_PATH;
+      delete process.env.DATA_PATH;
+      let readings;
+      let months;
+      let configured;
+      try {
+        process.chdir(workDir);
+        const adapter = createAdapter('csv');
+        readings = await adapter.fetchReadingsInRange('2024-12-01', '2024-12-02');
+        months = await adapter.fetchAvailableMonths();
+        fs.unlinkSync(path.join(workDir, 'weather.csv'));
+        process.env.DATA_PATH = workDir;
+        configured = await createAdapter('csv').fetchReadingsInRange('2024-12-01', '2024-12-02');
+      } finally {
+        process.chdir(cwd);
+        if (dataPath === undefined) delete process.env.DATA_PATH; else process.env.DATA_PATH = dataPath;
+      }
+
+      return [
+        ['dated file only', readings.map(r => r.meter_id).join(','), 'M-1'],
+        ['months from the dated file', months.map(m => `${m.year}-${m.month}:${m.records}`).join(','), '2024-12:1'],
+        ['DATA_PATH reads every CSV', configured.map(r => r.meter_id).sort().join(','), 'M-1,M-9']
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('ADAPTERS TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
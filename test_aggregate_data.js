@@ -0,0 +1,255 @@
+/**
+ * Test Script for Incremental Aggregation
+ *
+ * Tests aggregate_data.js against a temporary SQLite file (no server needed):
+ * 1. Monthly files match the data source's daily sums, with checksum and
+ *    last-reading metadata
+ * 2. Incremental runs replace and list the changed days
+ * 3. Corrections before the watermark are found without --full
+ * 4. Stale files are detected and refreshed by the forecast file loader
+ * 5. Files behind the data source (newer readings, newer months) are
+ *    refreshed even when written after their month ended
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregate-data-test-'));
+const dbPath = path.join(tempDir, 'readings.sqlite');
+delete process.env.AGGREGATE_REFRESH_SECONDS;
+
+const { createAdapter } = require('./adapters');
+const { defaultMapping } = require('./adapters/schema_mapping');
+const { setDataSource, fetchDailyAggregates } = require('./data_source');
+const { invalidateCache } = require('./query_cache');
+const { aggregateMonthData, readAggregatedMonth, aggregateChecksum, isAggregateStale, compareWithSource } = require('./aggregate_data');
+const { createFileLoader, createMemoryLoader } = require('./forecast_engine');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 10-minute readings for two meters on the given December 2024 days;
+ * M-2 stops at noon on stopDay.
+ */
+function generateRows(days, stopDay = null) {
+  const rows = [];
+  days.forEach(day => {
+    for (let minute = 0; minute < 1440; minute += 10) {
+      const timestamp = `2024-12-${pad(day)} ${pad(Math.floor(minute / 60))}:${pad(minute % 60)}:00`;
+      rows.push(['M-1', timestamp, 1 + (minute % 7) / 10]);
+      if (day !== stopDay || minute < 720) rows.push(['M-2', timestamp, 2 + (minute % 3) / 10]);
+    }
+  });
+  return rows;
+}
+
+async function useDatabase(rows) {
+  const SQL = await require('sql.js')();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE readings (meter_id TEXT NOT NULL, timestamp TEXT NOT NULL, energy_consumed_kwh REAL NOT NULL)');
+  const insert = db.prepare('INSERT INTO readings VALUES (?, ?, ?)');
+  rows.forEach(row => insert.run(row));
+  insert.free();
+  fs.writeFileSync(dbPath, Buffer.from(db.export()));
+  db.close();
+
+  // New data: cached loads are stale
+  invalidateCache();
+  setDataSource(createAdapter('sqlite', { path: dbPath, mapping: defaultMapping('sqlite') }));
+}
+
+const TESTS = [
+  {
+    name: 'Aggregate from the data source',
+    run: async () => {
+      await useDatabase(generateRows([1, 2], 2));
+      const { data, summary } = await aggregateMonthData(2024, 12, { dir: tempDir });
+      const expected = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+      const saved = readAggregatedMonth(2024, 12, tempDir);
+
+      return [
+        ['entries', data.aggregates.length, expected.length],
+        ['M-1 Dec 1 kWh', data.aggregates.find(e => e.meter_id === 'M-1' && e.date === '2024-12-01').total_kwh,
+          expected.find(e => e.meter_id === 'M-1' && e.date === '2024-12-01').total_kwh],
+        ['file saved', saved.metadata.checksum, data.metadata.checksum],
+        ['checksum of the aggregates', aggregateChecksum(saved.aggregates), saved.metadata.checksum],
+        ['last reading', data.metadata.last_reading_at, '2024-12-02 23:50:00'],
+        ['watermark (M-2 stopped at noon)', data.metadata.watermark, '2024-12-02 11:50:00'],
+        ['replaced from month start', summary.from, '2024-12-01'],
+        ['changed days', summary.changedDays.join(','), '2024-12-01,2024-12-02'],
+        ['source', data.metadata.source, 'sqlite']
+      ];
+    }
+  },
+  {
+    name: 'Incremental refresh',
+    run: async () => {
+      const before = readAggregatedMonth(2024, 12, tempDir);
+      // M-2's afternoon arrives late, plus a new day
+      await useDatabase(generateRows([1, 2, 3]));
+      const { data, summary } = await aggregateMonthData(2024, 12, { dir: tempDir });
+      const expected = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+
+      return [
+        ['replaced from watermark day', summary.from, '2024-12-02'],
+        ['changed days', summary.changedDays.join(','), '2024-12-02,2024-12-03'],
+        ['entries', data.aggregates.length, 6],
+        ['same as a full aggregation', data.metadata.checksum, aggregateChecksum(expected)],
+        ['new watermark', data.metadata.watermark, '2024-12-03 23:50:00'],
+        ['created_at kept', data.metadata.created_at, before.metadata.created_at]
+      ];
+    }
+  },
+  {
+    name: 'Corrected history',
+    run: async () => {
+      const before = readAggregatedMonth(2024, 12, tempDir);
+      // Dec 1 corrected in the source after it was aggregated
+      const rows = generateRows([1, 2, 3]);
+      rows[0][2] = 50;
+      await useDatabase(rows);
+
+      const stale = await compareWithSource(before);
+      const incremental = await aggregateMonthData(2024, 12, { dir: tempDir });
+      const full = await aggregateMonthData(2024, 12, { dir: tempDir, full: true });
+      const expected = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+
+      return [
+        ['same last reading, changed day', stale, 'source_changed'],
+        ['incremental run finds the correction', incremental.summary.changedDays.join(','), '2024-12-01'],
+        ['matches the source', incremental.data.metadata.checksum, aggregateChecksum(expected)],
+        ['watermark kept', incremental.data.metadata.watermark, before.metadata.watermark],
+        ['full run: nothing left to change', full.summary.changedDays.length, 0],
+        ['up to date', await compareWithSource(full.data), null]
+      ];
+    }
+  },
+  {
+    name: 'Stale files',
+    run: async () => {
+      const data = readAggregatedMonth(2024, 12, tempDir);
+      const writtenAt = Date.parse('2024-12-03T12:00:00Z');
+      const open = { ...data, metadata: { ...data.metadata, updated_at: new Date(writtenAt).toISOString() } };
+      const tampered = { ...data, aggregates: data.aggregates.slice(1) };
+      const legacy = { ...data, metadata: { aggregated_entries: data.aggregates.length } };
+
+      // A stale file on disk: written while December was open, one day changed since
+      fs.writeFileSync(path.join(tempDir, 'aggregated_2024_12.json'), JSON.stringify({
+        ...open,
+        aggregates: open.aggregates.map(e => (e.date === '2024-12-03' ? { ...e, total_kwh: 0 } : e)),
+        metadata: { ...open.metadata, checksum: undefined, watermark: '2024-12-03 00:00:00' }
+      }));
+      const loaded = await createFileLoader({ dir: tempDir, fallback: null }).loadMonth(2024, 12);
+      const unrefreshed = await createFileLoader({ dir: tempDir, fallback: null, refresh: null }).loadMonth(2024, 12);
+
+      return [
+        ['open month, 1 minute old', isAggregateStale(open, new Date(writtenAt + 60 * 1000)), null],
+        ['open month, 1 hour old', isAggregateStale(open, new Date(writtenAt + 3600 * 1000)), 'open_month'],
+        ['written after month end', isAggregateStale(data, new Date('2025-06-01T00:00:00Z')), null],
+        ['checksum mismatch', isAggregateStale(tampered), 'checksum'],
+        ['no timestamp', isAggregateStale(legacy), 'no_timestamp'],
+        ['loader refreshed the stale file', loaded.metadata.changed_days.join(','), '2024-12-03'],
+        ['refreshed data matches the source', loaded.metadata.checksum, data.metadata.checksum],
+        ['refreshed file saved', unrefreshed.metadata.checksum, data.metadata.checksum]
+      ];
+    }
+  },
+  {
+    name: 'Files behind the data source',
+    run: async () => {
+      const data = readAggregatedMonth(2024, 12, tempDir);
+      const final = { ...data.metadata, updated_at: '2025-01-05T00:00:00.000Z' };
+
+      // Written after December ended, but before Dec 3 reached the source
+      const early = data.aggregates.filter(e => e.date < '2024-12-03');
+      const behind = {
+        ...data,
+        aggregates: early,
+        metadata: {
+          ...final,
+          checksum: aggregateChecksum(early),
+          watermark: '2024-12-02 23:50:00',
+          last_reading_at: '2024-12-02 23:50:00',
+          last_readings: { 'M-1': '2024-12-02 23:50:00', 'M-2': '2024-12-02 23:50:00' }
+        }
+      };
+      const legacy = { ...data, metadata: { ...final, last_reading_at: undefined } };
+      const ahead = { ...data, metadata: { ...final, last_reading_at: '2024-12-04 00:00:00' } };
+      const november = { ...data, month: 11, metadata: { ...final, last_reading_at: '2024-11-30 23:50:00' } };
+
+      fs.writeFileSync(path.join(tempDir, 'aggregated_2024_12.json'), JSON.stringify(behind));
+      const loaded = await createFileLoader({ dir: tempDir, fallback: null }).loadMonth(2024, 12);
+      const upToDate = await compareWithSource(data);
+
+      // January arrives (and Dec 1 loses its correction) in the source; the newest file is still December
+      await useDatabase([...generateRows([1, 2, 3]), ['M-1', '2025-01-01 00:00:00', 4], ['M-2', '2025-01-01 00:10:00', 5]]);
+      const trusted = await createFileLoader({ dir: tempDir, fallback: null, checkSource: false }).latestMonth();
+      const fromFallback = await createFileLoader({ dir: tempDir, fallback: createMemoryLoader([{ year: 2025, month: 1, aggregates: [{ meter_id: 'M-1', date: '2025-01-01', total_kwh: 4, record_count: 1 }] }]) }).latestMonth();
+      const refreshed = await createFileLoader({ dir: tempDir, fallback: null }).latestMonth();
+
+      return [
+        ['final file with newer readings', isAggregateStale(behind), null],
+        ['source has newer readings', await compareWithSource(behind), 'source_newer'],
+        ['no last reading recorded', await compareWithSource(legacy), 'source_changed'],
+        ['source older than the file', await compareWithSource(ahead), 'source_changed'],
+        ['up to date', upToDate, null],
+        ['month not in the source', await compareWithSource(november), null],
+        ['loader picked up Dec 3', loaded.aggregates.filter(e => e.date === '2024-12-03').length, 2],
+        ['refreshed data matches the source', loaded.metadata.checksum, data.metadata.checksum],
+        ['checkSource: false uses the newest file', trusted.month, 12],
+        ['newer source month from the fallback', `${fromFallback.year}-${fromFallback.month}`, '2025-1'],
+        ['newer source month aggregated', `${refreshed.year}-${refreshed.month}:${refreshed.aggregates.length}`, '2025-1:2'],
+        ['its file saved', fs.existsSync(path.join(tempDir, 'aggregated_2025_01.json')), true]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('AGGREGATE DATA TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
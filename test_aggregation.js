@@ -0,0 +1,241 @@
+/**
+ * Test Script for Pre-summed Aggregation
+ *
+ * Tests SQL interval sums and the rollup store against bucketing the
+ * readings in Node, on a temporary SQLite file (no server needed):
+ * 1. Hourly and daily sums from SQL equal calculateHourlyTotals/calculateDailyTotals
+ * 2. Peak demand from SQL interval sums equals demand from the readings
+ * 3. Completeness from hourly counts equals the reading-level report
+ * 4. The rollup store matches the data source and refreshes incrementally;
+ *    a closed month's refresh doesn't reuse cached loads
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregation-test-'));
+const dbPath = path.join(tempDir, 'readings.sqlite');
+process.env.ROLLUP_DIR = path.join(tempDir, 'rollups');
+
+const { createAdapter } = require('./adapters');
+const { defaultMapping } = require('./adapters/schema_mapping');
+const { setDataSource, fetchReadingsInRange, fetchIntervalAggregates } = require('./data_source');
+const { invalidateCache } = require('./query_cache');
+const { groupByMeter, calculateHourlyTotals, calculateDailyTotals } = require('./server');
+const { analyzeDemand, analyzeIntervalDemand } = require('./demand');
+const { analyzeMeterQuality, analyzeHourlyCoverage } = require('./data_quality');
+const { refreshRollup, fetchRollupHourly, fetchRollupDaily } = require('./rollup_store');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Minute readings (Wh) for two meters over Dec 1-3 2024, with a gap on
+ * M-2 and irregular values so float sums are exercised.
+ */
+function generateRows(days = [1, 2, 3]) {
+  const rows = [];
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  days.forEach(day => {
+    for (let minute = 0; minute < 1440; minute++) {
+      const timestamp = `2024-12-${pad(day)} ${pad(Math.floor(minute / 60))}:${pad(minute % 60)}:00`;
+      rows.push(['M-1', timestamp, 250 + random() * 1000 / 3]);
+      if (!(day === 2 && minute >= 600 && minute < 690)) {
+        rows.push(['M-2', timestamp, 80 + random() * 400 / 7]);
+      }
+    }
+  });
+  return rows;
+}
+
+async function writeDatabase(rows) {
+  const SQL = await require('sql.js')();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE readings (meter_id TEXT NOT NULL, timestamp TEXT NOT NULL, energy_consumed_kwh REAL NOT NULL)');
+  const insert = db.prepare('INSERT INTO readings VALUES (?, ?, ?)');
+  rows.forEach(row => insert.run(row));
+  insert.free();
+  fs.writeFileSync(dbPath, Buffer.from(db.export()));
+  db.close();
+  // New data: cached loads are stale
+  invalidateCache();
+}
+
+async function useDatabase(rows) {
+  await writeDatabase(rows);
+  setDataSource(createAdapter('sqlite', { path: dbPath, mapping: { ...defaultMapping('sqlite'), unit: 'Wh' } }));
+}
+
+function hourlyFromAggregates(aggregates, meterId) {
+  return aggregates
+    .filter(entry => entry.meter_id === meterId)
+    .map(entry => ({ timestamp: entry.start, date: entry.start.slice(0, 10), energyKwh: entry.total_kwh, count: entry.record_count }));
+}
+
+/**
+ * Largest kWh difference and number of mismatched buckets (key or count).
+ */
+function compareBuckets(expected, actual) {
+  const byKey = new Map(actual.map(entry => [entry.timestamp || entry.date, entry]));
+  let maxDiff = 0;
+  let mismatched = expected.length === actual.length ? 0 : Math.abs(expected.length - actual.length);
+
+  expected.forEach(entry => {
+    const other = byKey.get(entry.timestamp || entry.date);
+    if (!other || (entry.count !== undefined && other.count !== entry.count)) {
+      mismatched++;
+      return;
+    }
+    maxDiff = Math.max(maxDiff, Math.abs(other.energyKwh - entry.energyKwh));
+  });
+  return { maxDiff, mismatched };
+}
+
+const TESTS = [
+  {
+    name: 'SQL hourly and daily sums',
+    run: async () => {
+      await useDatabase(generateRows());
+      const readings = groupByMeter(await fetchReadingsInRange('2024-12-01', '2025-01-01'));
+      const aggregates = await fetchIntervalAggregates('2024-12-01', '2025-01-01', null, 60);
+
+      return ['M-1', 'M-2'].flatMap(meterId => {
+        const nodeHours = calculateHourlyTotals(readings[meterId]);
+        const sqlHours = hourlyFromAggregates(aggregates, meterId);
+        const hourly = compareBuckets(nodeHours, sqlHours);
+        const daily = compareBuckets(calculateDailyTotals(nodeHours), calculateDailyTotals(sqlHours));
+        return [
+          [`${meterId} hourly buckets`, sqlHours.length, nodeHours.length],
+          [`${meterId} mismatched hours (key or count)`, hourly.mismatched, 0],
+          [`${meterId} hourly kWh equal (< 1e-9)`, hourly.maxDiff < 1e-9, true],
+          [`${meterId} daily kWh equal (< 1e-9)`, daily.maxDiff < 1e-9 && daily.mismatched === 0, true]
+        ];
+      });
+    }
+  },
+  {
+    name: 'Demand from interval sums',
+    run: async () => {
+      const readings = groupByMeter(await fetchReadingsInRange('2024-12-01', '2025-01-01'));
+      const checks = [];
+
+      for (const minutes of [15, 60]) {
+        const aggregates = await fetchIntervalAggregates('2024-12-01', '2025-01-01', ['M-2'], minutes);
+        const fromReadings = analyzeDemand(readings['M-2'], { intervalMinutes: minutes, daysInMonth: 31 });
+        const fromSums = analyzeIntervalDemand(aggregates, { intervalMinutes: minutes, daysInMonth: 31 });
+        checks.push([`${minutes}-minute demand identical`, JSON.stringify(fromSums) === JSON.stringify(fromReadings), true]);
+      }
+      checks.push(['unknown interval rejected', await fetchIntervalAggregates('2024-12-01', '2025-01-01', null, 7).then(() => false, () => true), true]);
+      return checks;
+    }
+  },
+  {
+    name: 'Coverage from hourly counts',
+    run: async () => {
+      const readings = groupByMeter(await fetchReadingsInRange('2024-12-01', '2025-01-01'));
+      const dates = ['2024-12-01', '2024-12-02', '2024-12-03', '2024-12-04'];
+      const now = new Date('2024-12-04T06:30:00Z');
+      const full = analyzeMeterQuality('M-2', readings['M-2'], { dates, now });
+      const coverage = analyzeHourlyCoverage('M-2', calculateHourlyTotals(readings['M-2']), { dates, now });
+      return [
+        ['completeness', coverage.summary.completenessPercent, full.summary.completenessPercent],
+        ['missing intervals', coverage.summary.missingIntervals, full.summary.missingIntervals],
+        ['day 2 actual', coverage.days[1].actual, full.days[1].actual],
+        ['basis', coverage.basis, 'hourly_counts']
+      ];
+    }
+  },
+  {
+    name: 'Rollup store',
+    run: async () => {
+      await useDatabase(generateRows([1, 2]));
+      const first = await refreshRollup(2024, 12, { full: true });
+      const hourly = await fetchRollupHourly('2024-12-01', '2025-01-01');
+      const direct = await fetchIntervalAggregates('2024-12-01', '2025-01-01', null, 60);
+
+      // Day 3 arrives: only the watermark day and later are re-read
+      await useDatabase(generateRows([1, 2, 3]));
+      const second = await refreshRollup(2024, 12);
+      const daily = await fetchRollupDaily('2024-12-01', '2025-01-01', 'M-1');
+      const expectedDaily = calculateDailyTotals(calculateHourlyTotals(
+        await fetchReadingsInRange('2024-12-01', '2025-01-01', 'M-1')
+      ));
+      const dailyDiff = Math.max(...daily.map((d, i) => Math.abs(d.total_kwh - expectedDaily[i].energyKwh)));
+
+      // Day 4 lands in the file behind a cached load of the (closed) month
+      const withDay4 = path.join(tempDir, 'day4.sqlite');
+      await writeDatabase(generateRows([1, 2, 3, 4]));
+      fs.copyFileSync(dbPath, withDay4);
+      await writeDatabase(generateRows([1, 2, 3]));
+      await fetchIntervalAggregates('2024-12-01', '2025-01-01', null, 60);
+      fs.copyFileSync(withDay4, dbPath);
+      await refreshRollup(2024, 12, { full: true });
+      const rebuilt = await fetchRollupDaily('2024-12-01', '2025-01-01', 'M-1');
+
+      return [
+        ['first refresh from month start', first.from, '2024-12-01'],
+        ['watermark after 2 days', first.watermark, '2024-12-02 23:00'],
+        ['rollup hours = SQL hours', hourly.length, direct.length],
+        ['rollup kWh = SQL kWh', hourly.every((h, i) => h.total_kwh === direct[i].total_kwh && h.start === direct[i].start), true],
+        ['incremental refresh from watermark day', second.from, '2024-12-02'],
+        ['hourly buckets re-read (days 2-3, one hour missing)', second.bucketsRead, 95],
+        ['daily rollups for M-1', daily.length, 3],
+        ['daily kWh equal (< 1e-9)', dailyDiff < 1e-9, true],
+        ['closed month refreshed past the cache', rebuilt.length, 4]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('AGGREGATION TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,163 @@
+/**
+ * Test Script for Anomaly Detection
+ *
+ * Tests hourly and daily anomaly events without a server or database:
+ * 1. A stuck-on load merges into one hourly event with excess kWh
+ * 2. Normal weekday/weekend differences are not flagged
+ * 3. A low day is flagged against the same weekday
+ * 4. Threshold, incomplete hours and the recent-days fallback
+ */
+
+const { detectAnomalies, resolveAnomalyThreshold, baselineStart } = require('./anomalies');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Weekdays 10 kWh/h with small hour-to-hour variation, weekends 4 kWh/h;
+// `adjust(date, hour, kwh)` returns the kWh to use instead
+function series(from, days, adjust = (date, hour, kwh) => kwh) {
+  const rows = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    for (let hour = 0; hour < 24; hour++) {
+      const base = weekday === 0 || weekday === 6 ? 4 : 10 + ((i + hour) % 3) * 0.2;
+      rows.push({ timestamp: `${date} ${pad(hour)}:00`, date, hour, energyKwh: adjust(date, hour, base), count: 60 });
+    }
+  }
+  return rows;
+}
+
+// 2024-12-02 (Mon) .. 2025-01-26: 4 weeks of baseline before 2024-12-30
+const FROM = '2024-12-30';
+const TO = '2025-01-26';
+
+const TESTS = [
+  {
+    name: 'Stuck-on load',
+    run: () => {
+      // Compressor stuck on: +15 kWh/h on Wed 2025-01-08 from 02:00 to 05:59
+      const hourly = series('2024-12-02', 56, (date, hour, kwh) => (date === '2025-01-08' && hour >= 2 && hour < 6 ? kwh + 15 : kwh));
+      const result = detectAnomalies('KSR-1', hourly, { from: FROM, to: TO });
+      const event = result.hours[0];
+      return [
+        ['one hourly event', result.hours.length, 1],
+        ['direction', event.direction, 'high'],
+        ['start', event.start, '2025-01-08 02:00'],
+        ['end (last hour)', event.end, '2025-01-08 05:00'],
+        ['duration (hours)', event.duration, 4],
+        ['excess kWh', Math.round(event.excessKwh), 60],
+        ['baseline', event.basis, 'same_weekday'],
+        ['explanation mentions weekday', event.explanation.includes('Wednesday'), true],
+        // +60 kWh on a ~243 kWh day stays inside the 10% spread floor
+        ['day total not flagged', result.days.length, 0]
+      ];
+    }
+  },
+  {
+    name: 'No false alarms',
+    run: () => {
+      const result = detectAnomalies('KSR-1', series('2024-12-02', 56), { from: FROM, to: TO });
+      return [
+        ['hours scored', result.hoursScored, 28 * 24],
+        ['days scored', result.daysScored, 28],
+        ['no hourly events', result.hours.length, 0],
+        ['no daily events', result.days.length, 0]
+      ];
+    }
+  },
+  {
+    name: 'Low day',
+    run: () => {
+      // Line down all of Tue 2025-01-14: half load
+      const hourly = series('2024-12-02', 56, (date, hour, kwh) => (date === '2025-01-14' ? kwh / 2 : kwh));
+      const result = detectAnomalies('KSR-1', hourly, { from: FROM, to: TO });
+      const day = result.days[0];
+      return [
+        ['one daily event', result.days.length, 1],
+        ['direction', day.direction, 'low'],
+        ['date', day.start, '2025-01-14'],
+        ['missing kWh', Math.round(day.excessKwh), -122],
+        ['magnitude', Math.round(day.magnitudePercent), -50],
+        ['hours merge into one event', result.hours.length, 1],
+        ['hour event spans the day', result.hours[0].duration, 24]
+      ];
+    }
+  },
+  {
+    name: 'Threshold, incomplete hours and fallback',
+    run: () => {
+      const spike = (date, hour, kwh) => ((date === '2025-01-08' || date === '2025-01-02') && hour === 3 ? kwh * 1.5 : kwh);
+      const hourly = series('2024-12-02', 56, spike);
+      const partial = series('2024-12-02', 56).map(h => (h.date === '2025-01-08' && h.hour === 3 ? { ...h, energyKwh: 1, count: 20 } : h));
+      // Only one week before the range: same-weekday history is too short
+      const shortHistory = series('2024-12-23', 35, spike);
+      let invalid = null;
+      try {
+        resolveAnomalyThreshold('-1');
+      } catch (error) {
+        invalid = error.message;
+      }
+      return [
+        ['+50% hours flagged at 3.5', detectAnomalies('KSR-1', hourly, { from: FROM, to: TO }).hours.length, 2],
+        ['not flagged at 6', detectAnomalies('KSR-1', hourly, { from: FROM, to: TO, threshold: 6 }).hours.length, 0],
+        ['incomplete hour skipped', detectAnomalies('KSR-1', partial, { from: FROM, to: TO }).hours.length, 0],
+        ['recent-days fallback', detectAnomalies('KSR-1', shortHistory, { from: '2025-01-02', to: '2025-01-02' }).hours[0].basis, 'recent'],
+        ['baseline window start', baselineStart(FROM), '2024-12-02'],
+        ['invalid threshold rejected', invalid !== null, true]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('ANOMALY DETECTION TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,197 @@
+/**
+ * Test Script for the Backtesting Harness
+ *
+ * Runs backtest.js on a fixed CSV fixture (no server or database needed):
+ * 1. MAPE, bias and RMSE from scored rows (unscorable rows skipped)
+ * 2. Grouping, with cutoff days in numeric order
+ * 3. Month projections replayed on the fixture: known errors per meter
+ * 4. Next-month forecasts scored against the following month
+ * 5. CSV export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-test-'));
+
+const { createAdapter } = require('./adapters');
+const { defaultMapping } = require('./adapters/schema_mapping');
+const { setDataSource } = require('./data_source');
+const { createDataSourceLoader } = require('./forecast_engine');
+const { runBacktest, computeMetrics, summarizeBy, toCSV } = require('./backtest');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Hourly readings for November and December 2024: M-1 uses 1 kWh an hour up
+ * to day 10 and 2 kWh after, M-2 2 kWh an hour until noon and 1 after (a
+ * steady 36 kWh a day).
+ */
+function useFixture() {
+  const csvDir = path.join(tempDir, 'csv');
+  fs.mkdirSync(csvDir);
+  [[2024, 11, 30], [2024, 12, 31]].forEach(([year, month, days]) => {
+    for (let day = 1; day <= days; day++) {
+      const date = `${year}-${pad(month)}-${pad(day)}`;
+      const lines = ['meter_id,timestamp,energy_consumed_kwh'];
+      for (let hour = 0; hour < 24; hour++) {
+        lines.push(`M-1,${date} ${pad(hour)}:00:00,${day <= 10 ? 1 : 2}`);
+        lines.push(`M-2,${date} ${pad(hour)}:00:00,${hour < 12 ? 2 : 1}`);
+      }
+      fs.writeFileSync(path.join(csvDir, `${date}.csv`), `${lines.join('\n')}\n`);
+    }
+  });
+  setDataSource(createAdapter('csv', { path: csvDir, mapping: defaultMapping('csv') }));
+}
+
+function row(predicted, actual, extra = {}) {
+  const error = predicted - actual;
+  return { predicted, actual, error, percentError: actual ? error / actual * 100 : null, ...extra };
+}
+
+let report = null;
+
+const TESTS = [
+  {
+    name: 'Metrics',
+    run: async () => {
+      // +10%, -10%, +30% and one row without an actual
+      const metrics = computeMetrics([row(110, 100), row(90, 100), row(130, 100), row(5, 0)]);
+      const none = computeMetrics([row(5, 0)]);
+
+      return [
+        ['scored rows', metrics.n, 3],
+        ['MAPE', metrics.mape, 16.67],
+        ['bias (over-forecast positive)', metrics.bias, 10],
+        ['RMSE sqrt((100 + 100 + 900) / 3)', metrics.rmse, 19.15],
+        ['nothing to score', JSON.stringify(none), '{"n":0,"mape":null,"bias":null,"rmse":null}']
+      ];
+    }
+  },
+  {
+    name: 'Grouping',
+    run: async () => {
+      const groups = summarizeBy([
+        row(110, 100, { cutoffDay: 10 }),
+        row(90, 100, { cutoffDay: 2 }),
+        row(120, 100, { cutoffDay: 10 })
+      ], ['cutoffDay']);
+
+      return [
+        ['numeric order', groups.map(g => g.cutoffDay).join(','), '2,10'],
+        ['day 10 MAPE', groups[1].mape, 15],
+        ['day 10 count', groups[1].n, 2]
+      ];
+    }
+  },
+  {
+    name: 'Month projection replay',
+    run: async () => {
+      useFixture();
+      report = await runBacktest({ cutoffs: [5, 10], impute: 'none', loader: createDataSourceLoader() });
+      const projections = report.results.filter(r => r.kind === 'month_projection');
+      const byMeter = meterId => report.summary.byMeter.find(m => m.kind === 'month_projection' && m.meterId === meterId);
+      const november = projections.find(r => r.meterId === 'M-1' && r.month === 11 && r.cutoffDay === 5);
+
+      // M-1 runs at 24 kWh a day until day 10: 720 of 1200 kWh in November,
+      // 744 of 1248 in December (-40% and -40.38%)
+      return [
+        ['months replayed', report.months.join(','), '2024-11,2024-12'],
+        ['rows: 2 meters x 2 months x 2 cutoffs', projections.length, 8],
+        ['M-1 November projection', november.predicted, 720],
+        ['M-1 November actual', november.actual, 1200],
+        ['M-1 November % error', november.percentError, -40],
+        ['M-1 MAPE', byMeter('M-1').mape, 40.19],
+        ['M-1 bias', byMeter('M-1').bias, -40.19],
+        ['M-1 RMSE sqrt((2 x 480² + 2 x 504²) / 4)', byMeter('M-1').rmse, 492.15],
+        ['steady M-2 exact', `${byMeter('M-2').mape}/${byMeter('M-2').rmse}`, '0/0'],
+        ['by cutoff', report.summary.byCutoff.map(c => `${c.cutoffDay}:${c.n}`).join(','), '5:4,10:4']
+      ];
+    }
+  },
+  {
+    name: 'Next-month forecast replay',
+    run: async () => {
+      const forecasts = report.results.filter(r => r.kind === 'next_month_forecast');
+      const simple = forecasts.find(r => r.meterId === 'M-1' && r.method === 'simple_average');
+      const steady = forecasts.filter(r => r.meterId === 'M-2');
+      const ensemble = forecasts.filter(r => r.method === 'ensemble');
+      const summary = report.summary.byMethod.find(m => m.kind === 'next_month_forecast' && m.method === 'ensemble');
+
+      return [
+        ['December only (January not in the source)', forecasts.every(r => r.year === 2024 && r.month === 12), true],
+        ['ensemble row per meter', ensemble.length, 2],
+        ['M-1 simple average: 40 kWh a day x 31', simple.predicted, 1240],
+        ['M-1 December actual', simple.actual, 1248],
+        ['M-1 simple average error', simple.error, -8],
+        ['steady M-2: every method exact', steady.every(r => r.error === 0), true],
+        ['summary matches its rows', JSON.stringify(summary), JSON.stringify({ kind: 'next_month_forecast', method: 'ensemble', ...computeMetrics(ensemble) })]
+      ];
+    }
+  },
+  {
+    name: 'CSV export',
+    run: async () => {
+      const lines = toCSV(report.results).split('\n');
+      const quoted = toCSV([{ kind: 'month_projection', meterId: 'KSR "A", east', year: 2025, month: 1, cutoffDay: null, method: 'standard', predicted: 1, actual: 0, error: 1, percentError: null }]);
+
+      return [
+        ['header', lines[0], 'kind,meterId,year,month,cutoffDay,method,predicted,actual,error,percentError'],
+        ['one line per result', lines.length, report.results.length + 2],
+        ['trailing newline', lines[lines.length - 1], ''],
+        ['month projection row', lines[1], 'month_projection,M-1,2024,11,5,standard,720,1200,-480,-40'],
+        ['forecast row without cutoff', lines.find(line => line.startsWith('next_month_forecast,M-1,2024,12,,simple_average')), 'next_month_forecast,M-1,2024,12,,simple_average,1240,1248,-8,-0.64'],
+        ['quoting and empty values', quoted.split('\n')[1], 'month_projection,"KSR ""A"", east",2025,1,,standard,1,0,1,']
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('BACKTEST TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,212 @@
+/**
+ * Test Script for Budget Alerts
+ *
+ * Tests budgets.js without a server or database:
+ * 1. Loading budgets.example.json (cached, missing file)
+ * 2. Invalid budget files are rejected when loaded
+ * 3. Month overrides and registry listing
+ * 4. Warning and critical thresholds (kWh and cost)
+ * 5. Projected and actual crossing days, alert ordering
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-test-'));
+
+const { loadBudgetConfig, getBudget, listBudgets, evaluateBudget, collectAlerts } = require('./budgets');
+
+const CONFIG = {
+  thresholds: { warningPercent: 80, criticalPercent: 95 },
+  meters: {
+    'KSR-1': { monthlyKwh: 1000, monthlyCost: 500 },
+    'KSR-2': {
+      monthlyKwh: 35000,
+      months: { '2025-02': { monthlyKwh: 31000, criticalPercent: 120 } }
+    },
+    'KSR-3': { months: { '2025-02': { monthlyCost: 100 } } }
+  }
+};
+
+/**
+ * predictMonthHybrid-like result: April 2025, 10 of 30 days passed.
+ */
+function monthResult(actual, projected, cost) {
+  return {
+    success: true,
+    year: 2025,
+    month: 4,
+    daysPassedMonth: 10,
+    daysInCurrentMonth: 30,
+    totalEnergyMonth: actual,
+    predictedMonthKwh: projected,
+    cost
+  };
+}
+
+function loadError(config) {
+  const filePath = path.join(tempDir, `invalid_${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  try {
+    loadBudgetConfig(filePath);
+    return null;
+  } catch (error) {
+    return error.message.replace(`${filePath} `, '');
+  }
+}
+
+const TESTS = [
+  {
+    name: 'Load budget file',
+    run: () => {
+      const example = path.join(__dirname, 'budgets.example.json');
+      const config = loadBudgetConfig(example);
+
+      return [
+        ['example loads', config.meters['KSR-1'].monthlyKwh, 28000],
+        ['cached until the file changes', loadBudgetConfig(example), config],
+        ['missing file', loadBudgetConfig(path.join(tempDir, 'missing.json')), null]
+      ];
+    }
+  },
+  {
+    name: 'Invalid budget files',
+    run: () => [
+      ['budget as a string', loadError({ meters: { M: { monthlyKwh: '28000' } } }),
+        'Invalid budget config in (meter M): monthlyKwh must be a positive number (got "28000")'],
+      ['zero budget', loadError({ meters: { M: { monthlyCost: 0 } } }),
+        'Invalid budget config in (meter M): monthlyCost must be a positive number (got 0)'],
+      ['threshold not a number', loadError({ thresholds: { warningPercent: null } }),
+        'Invalid budget config in (thresholds): warningPercent must be a positive number (got null)'],
+      ['warning above critical', loadError({ meters: { M: { monthlyKwh: 10, warningPercent: 110 } } }),
+        'Invalid budget config in (meter M): warningPercent 110 is above criticalPercent 100'],
+      ['month override checked', loadError({ meters: { M: { months: { '2025-02': { monthlyKwh: -5 } } } } }),
+        'Invalid budget config in (meter M), 2025-02: monthlyKwh must be a positive number (got -5)'],
+      ['month key', loadError({ meters: { M: { months: { '2025-2': { monthlyKwh: 5 } } } } }),
+        'Invalid budget config in (meter M): month "2025-2" must be YYYY-MM'],
+      ['meter not an object', loadError({ meters: { M: 5 } }),
+        'Invalid budget config in (meter M): expected an object'],
+      ['valid config', loadError(CONFIG), null]
+    ]
+  },
+  {
+    name: 'Month overrides',
+    run: () => {
+      const february = getBudget(CONFIG, 'KSR-2', 2025, 2);
+      const march = getBudget(CONFIG, 'KSR-2', 2025, 3);
+
+      return [
+        ['month budget', february.monthlyKwh, 31000],
+        ['month threshold', february.criticalPercent, 120],
+        ['file threshold kept', february.warningPercent, 80],
+        ['meter default in other months', march.monthlyKwh, 35000],
+        ['meter threshold from the file', march.criticalPercent, 95],
+        ['month-only budget', getBudget(CONFIG, 'KSR-3', 2025, 2).monthlyCost, 100],
+        ['no budget outside that month', getBudget(CONFIG, 'KSR-3', 2025, 3), null],
+        ['unknown meter', getBudget(CONFIG, 'KSR-9', 2025, 2), null],
+        ['registry for March', listBudgets(CONFIG, 2025, 3).map(b => b.meterId).join(','), 'KSR-1,KSR-2'],
+        ['registry for February', listBudgets(CONFIG, 2025, 2).length, 3]
+      ];
+    }
+  },
+  {
+    name: 'Warning and critical thresholds',
+    run: () => {
+      const budget = getBudget(CONFIG, 'KSR-1', 2025, 4);
+      const ok = evaluateBudget(budget, monthResult(300, 750, { costToDate: 100, projectedCost: 300 }));
+      const warning = evaluateBudget(budget, monthResult(300, 850, { costToDate: 100, projectedCost: 300 }));
+      const critical = evaluateBudget(budget, monthResult(300, 850, { costToDate: 200, projectedCost: 480 }));
+      const atDefaults = evaluateBudget({ monthlyKwh: 1000, warningPercent: 90, criticalPercent: 100 }, monthResult(300, 950));
+
+      return [
+        ['75% is ok', ok.status, 'ok'],
+        ['ok message', ok.checks[0].message, 'Projected at 75% of kWh budget'],
+        ['85% of kWh is a warning', warning.checks[0].status, 'warning'],
+        ['cost still ok', warning.checks[1].status, 'ok'],
+        ['overall: worst check', warning.status, 'warning'],
+        ['96% of cost is critical', critical.checks[1].status, 'critical'],
+        ['overall critical', critical.status, 'critical'],
+        ['thresholds reported', `${critical.thresholds.warningPercent}/${critical.thresholds.criticalPercent}`, '80/95'],
+        ['95% with default thresholds', atDefaults.status, 'warning'],
+        ['no cost check without a cost projection', atDefaults.checks.length, 1],
+        ['no prediction', evaluateBudget(budget, { success: false }), null]
+      ];
+    }
+  },
+  {
+    name: 'Crossing day',
+    run: () => {
+      const budget = getBudget(CONFIG, 'KSR-1', 2025, 4);
+      // 600 kWh left at (1100 - 400) / 20 = 35 kWh a day: day 10 + 18
+      const projected = evaluateBudget(budget, monthResult(400, 1100)).checks[0];
+      // 150 kWh a day: 1050 by day 7
+      const dailyData = Array.from({ length: 10 }, (_, i) => ({ date: `2025-04-${String(i + 1).padStart(2, '0')}`, energyKwh: 150 }));
+      const exceeded = evaluateBudget(budget, monthResult(1500, 4500), dailyData).checks[0];
+
+      const alerts = collectAlerts([
+        { meterId: 'A', budget: evaluateBudget(budget, monthResult(300, 850)) },
+        { meterId: 'B', budget: evaluateBudget(budget, monthResult(400, 1100)) },
+        { meterId: 'C', budget: evaluateBudget(budget, monthResult(300, 500)) },
+        { meterId: 'D', budget: null }
+      ]);
+
+      return [
+        ['projected crossing day', projected.crossingDay, 28],
+        ['crossing date', projected.crossingDate, '2025-04-28'],
+        ['overrun', projected.overrunPercent, 10],
+        ['projected message', projected.message, 'Projected to exceed kWh budget by 10% on day 28'],
+        ['already exceeded', exceeded.alreadyExceeded, true],
+        ['actual crossing day', exceeded.crossingDay, 7],
+        ['exceeded message', exceeded.message, 'Exceeded kWh budget on day 7; projected 350% over'],
+        ['alerts: non-ok only, critical first', alerts.map(a => `${a.meterId}:${a.status}`).join(','), 'B:critical,A:warning']
+      ];
+    }
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('BUDGET ALERTS TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,151 @@
+/**
+ * Test Script for Change-Point Detection
+ *
+ * Tests level-shift handling without a server or database:
+ * 1. A mid-month step up is found with its date and magnitude
+ * 2. Day-to-day noise and small drifts are not shifts
+ * 3. The latest of several shifts wins
+ * 4. Month projection uses the new regime; ignore and override options
+ */
+
+const { detectLevelShift, parseChangePointOption } = require('./change_points');
+const { predictMonthHybrid } = require('./server');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Jan 2025 days from a list of daily kWh (small alternating noise added)
+function days(levels, noise = 10) {
+  return levels.map((kwh, i) => ({ date: `2025-01-${pad(i + 1)}`, kwh: kwh + (i % 2 ? noise : -noise) }));
+}
+
+function dailyData(levels) {
+  return days(levels).map(d => ({ date: d.date, energyKwh: d.kwh, hoursCount: 24, complete: true }));
+}
+
+// 10 days at 1000 kWh, then a new line: 6 days at 1400 kWh
+const STEP = [...Array(10).fill(1000), ...Array(6).fill(1400)];
+
+const TESTS = [
+  {
+    name: 'Mid-month step up',
+    run: () => {
+      const shift = detectLevelShift(days(STEP));
+      return [
+        ['change date', shift.date, '2025-01-11'],
+        ['before', shift.beforeAvgDaily, 1000],
+        ['after', shift.afterAvgDaily, 1400],
+        ['magnitude', shift.magnitudeKwh, 400],
+        ['magnitude percent', shift.magnitudePercent, 40],
+        ['days after', shift.daysAfter, 6]
+      ];
+    }
+  },
+  {
+    name: 'No shift in noise',
+    run: () => {
+      const noisy = [1000, 1080, 940, 1010, 1060, 950, 990, 1040, 970, 1020, 960, 1050];
+      const drift = Array.from({ length: 15 }, (_, i) => 1000 + i * 5);
+      return [
+        ['noisy days', detectLevelShift(days(noisy, 0)), null],
+        ['slow drift under 10%', detectLevelShift(days(drift, 0)), null],
+        ['too few days', detectLevelShift(days([1000, 1000, 1400, 1400, 1400])), null]
+      ];
+    }
+  },
+  {
+    name: 'Latest regime wins',
+    run: () => {
+      const twoSteps = [...Array(6).fill(1000), ...Array(6).fill(1500), ...Array(6).fill(800)];
+      const shift = detectLevelShift(days(twoSteps));
+      return [
+        ['latest change date', shift.date, '2025-01-13'],
+        ['before (middle regime)', shift.beforeAvgDaily, 1500],
+        ['after', shift.afterAvgDaily, 800]
+      ];
+    }
+  },
+  {
+    name: 'Month projection',
+    run: async () => {
+      const auto = await predictMonthHybrid(dailyData(STEP), 2025, 1, 16, 'KSR-1', { calendar: null });
+      const ignored = await predictMonthHybrid(dailyData(STEP), 2025, 1, 16, 'KSR-1', {
+        calendar: null,
+        changePoint: parseChangePointOption('ignore')
+      });
+      const override = await predictMonthHybrid(dailyData(STEP), 2025, 1, 16, 'KSR-1', {
+        calendar: null,
+        changePoint: parseChangePointOption('2025-01-14')
+      });
+      const rejected = value => {
+        try {
+          parseChangePointOption(value);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      return [
+        // 18400 so far + 15 days x 1400 (the mean after the shift)
+        ['projection from new regime', auto.predictedMonthKwh, 39400],
+        ['run-rate', auto.averageDailyRate, 1400],
+        ['change applied', auto.changePoint.applied, true],
+        // 18400 / 16 = 1150/day over the remaining 15 days
+        ['ignored: whole-month average', ignored.predictedMonthKwh, 35650],
+        ['ignored: no change point', ignored.changePoint.detected, false],
+        ['override date', override.changePoint.date, '2025-01-14'],
+        ['override mode', override.changePoint.mode, 'override'],
+        ['override regime days', override.changePoint.daysAfter, 3],
+        ['invalid option rejected', rejected('yesterday'), true],
+        ['impossible date rejected', rejected('2024-02-31'), true],
+        ['leap day accepted', parseChangePointOption('2024-02-29').date, '2024-02-29']
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('CHANGE-POINT DETECTION TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
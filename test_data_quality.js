@@ -0,0 +1,151 @@
+/**
+ * Test Script for the Data Quality Report
+ *
+ * Tests the quality checks without a server or database:
+ * 1. Complete day scores 100
+ * 2. Missing intervals and missing ranges
+ * 3. Duplicates, negatives and zero-runs
+ * 4. Outliers via modified z-score
+ * 5. Confidence scaling by quality score
+ */
+
+const { analyzeMeterQuality, applyQualityToConfidence } = require('./data_quality');
+
+const NOW = new Date('2025-02-01T00:00:00Z');
+
+function buildDay(date, intervalMinutes, valueAt) {
+  const rows = [];
+  for (let minute = 0; minute < 1440; minute += intervalMinutes) {
+    const hh = String(Math.floor(minute / 60)).padStart(2, '0');
+    const mm = String(minute % 60).padStart(2, '0');
+    const timestamp = `${date} ${hh}:${mm}:00`;
+    const value = valueAt(minute);
+    if (value !== undefined) rows.push({ meter_id: 'M1', timestamp, energy_consumed_kwh: value });
+  }
+  return rows;
+}
+
+// Slightly varying load so the MAD is non-zero
+const normal = (minute) => 1 + (minute % 7) * 0.01;
+
+const TESTS = [
+  {
+    name: 'Complete 15-minute day',
+    run: () => {
+      const rows = buildDay('2025-01-10', 15, normal);
+      const q = analyzeMeterQuality('M1', rows, { dates: ['2025-01-10'], intervalMinutes: 15, now: NOW });
+      return [
+        ['expected', q.days[0].expected, 96],
+        ['actual', q.days[0].actual, 96],
+        ['score', q.score, 100],
+        ['grade', q.grade, 'good']
+      ];
+    }
+  },
+  {
+    name: 'Missing intervals and a day without data',
+    run: () => {
+      // 02:00-04:00 dropped out
+      const rows = buildDay('2025-01-10', 15, (m) => (m >= 120 && m < 240 ? undefined : normal(m)));
+      const q = analyzeMeterQuality('M1', rows, { dates: ['2025-01-10', '2025-01-11'], intervalMinutes: 15, now: NOW });
+      return [
+        ['missing intervals day 1', q.days[0].missingIntervals, 8],
+        ['missing range', `${q.days[0].missingRanges[0].start}-${q.days[0].missingRanges[0].end}`, '02:00-04:00'],
+        ['empty day actual', q.days[1].actual, 0],
+        ['empty day score', q.days[1].score, 0],
+        ['summary missing', q.summary.missingIntervals, 104],
+        ['grade', q.grade, 'poor']
+      ];
+    }
+  },
+  {
+    name: 'Duplicates, negatives and zero-runs',
+    run: () => {
+      const rows = buildDay('2025-01-10', 1, (m) => {
+        if (m >= 600 && m < 660) return 0;
+        if (m === 700) return -0.5;
+        return normal(m);
+      });
+      rows.push({ ...rows[10] }, { ...rows[20] });
+      const q = analyzeMeterQuality('M1', rows, { dates: ['2025-01-10'], now: NOW });
+      const day = q.days[0];
+      return [
+        ['duplicates', day.duplicates, 2],
+        ['negatives', day.negatives, 1],
+        ['zero-runs', day.zeroRuns.count, 1],
+        ['zero-run intervals', day.zeroRuns.intervals, 60],
+        ['actual (unique)', day.actual, 1440]
+      ];
+    }
+  },
+  {
+    name: 'Outliers - spike flagged by modified z-score',
+    run: () => {
+      const rows = buildDay('2025-01-10', 15, (m) => (m === 720 ? 25 : normal(m)));
+      const q = analyzeMeterQuality('M1', rows, { dates: ['2025-01-10'], intervalMinutes: 15, now: NOW });
+      return [
+        ['outlier count', q.days[0].outlierCount, 1],
+        ['outlier timestamp', q.days[0].outliers[0].timestamp, '2025-01-10 12:00:00']
+      ];
+    }
+  },
+  {
+    name: 'Confidence scaled by quality score',
+    run: () => {
+      const confidence = { level: 'high', score: 80, description: 'Majority of month data available' };
+      const perfect = applyQualityToConfidence(confidence, { score: 100, grade: 'good', summary: {} });
+      const half = applyQualityToConfidence(confidence, { score: 50, grade: 'poor', summary: {} });
+      return [
+        ['perfect keeps score', perfect.score, 80],
+        ['50% quality', half.score, 60],
+        ['baseScore kept', half.baseScore, 80],
+        ['level kept', half.level, 'high']
+      ];
+    }
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('DATA QUALITY TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,158 @@
+/**
+ * Test Script for Peak Demand
+ *
+ * Tests interval demand without a server or database:
+ * 1. Minute readings bucketed into 15-minute average kW
+ * 2. Daily and month-to-date peaks with timestamps
+ * 3. Projected month peak from the daily peak distribution
+ * 4. Demand charge priced at the projected peak
+ */
+
+const { intervalDemand, dailyPeaks, projectMonthPeak, analyzeDemand, resolveDemandInterval } = require('./demand');
+const { projectMonthCost } = require('./tariff');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// One reading per minute: 1 kWh/min (60 kW), except a spike of
+// 2 kWh/min (120 kW) from 14:00 to 14:14 on `spikeDate`
+function minuteReadings(date, options = {}) {
+  const rows = [];
+  const minutes = options.minutes || 24 * 60;
+  for (let m = 0; m < minutes; m++) {
+    const hour = Math.floor(m / 60);
+    const minute = m % 60;
+    const spike = options.spikeKwh && hour === 14 && minute < 15;
+    rows.push({
+      meter_id: 'KSR-1',
+      timestamp: `${date} ${pad(hour)}:${pad(minute)}:00`,
+      energy_consumed_kwh: spike ? options.spikeKwh : 1
+    });
+  }
+  return rows;
+}
+
+// Daily peaks 80, 90, 100, 110, 120 kW on 2025-01-01..05
+const WEEK = [80, 90, 100, 110, 120].map((kw, i) => minuteReadings(`2025-01-${pad(i + 1)}`, { spikeKwh: kw / 60 })).flat();
+
+const TESTS = [
+  {
+    name: 'Interval demand',
+    run: () => {
+      const intervals = intervalDemand(minuteReadings('2025-01-01', { spikeKwh: 2 }), 15);
+      const hourly = intervalDemand(minuteReadings('2025-01-01', { spikeKwh: 2 }), 60);
+      return [
+        ['96 intervals per day', intervals.length, 96],
+        ['base interval kW', intervals[0].kw, 60],
+        ['spike interval start', intervals[56].start, '2025-01-01 14:00'],
+        ['spike interval kW', intervals[56].kw, 120],
+        ['hourly demand dilutes the spike', hourly[14].kw, 75]
+      ];
+    }
+  },
+  {
+    name: 'Daily and month-to-date peaks',
+    run: () => {
+      const demand = analyzeDemand(WEEK, { intervalMinutes: 15, daysInMonth: 31 });
+      const partial = dailyPeaks(intervalDemand(minuteReadings('2025-01-06', { minutes: 600 }), 15), 15);
+      return [
+        ['days', demand.dailyPeaks.length, 5],
+        ['day 1 peak', demand.dailyPeaks[0].kw, 80],
+        ['month-to-date peak', demand.monthToDatePeak.kw, 120],
+        ['peak timestamp', demand.monthToDatePeak.timestamp, '2025-01-05 14:00'],
+        ['partial day flagged', partial[0].complete, false],
+        ['hourly meters use their own interval', analyzeDemand(WEEK, { intervalMinutes: 15, readingIntervalMinutes: 60 }).intervalMinutes, 60]
+      ];
+    }
+  },
+  {
+    name: 'Projected month peak',
+    run: () => {
+      const peaks = dailyPeaks(intervalDemand(WEEK, 15), 15);
+      const projected = projectMonthPeak(peaks, 26);
+      const lastDay = projectMonthPeak(peaks, 0);
+      const flat = projectMonthPeak(peaks.map(p => ({ ...p, kw: 100 })), 26);
+      let invalid = null;
+      try {
+        resolveDemandInterval('7');
+      } catch (error) {
+        invalid = error.message;
+      }
+      return [
+        // mean 100, sd 15.81; z(0.5^(1/26)) ~ 1.94
+        ['likely peak above observed', projected.kw > 120, true],
+        ['likely peak', Math.round(projected.kw), 131],
+        ['probability the peak is exceeded', projected.exceedProbability > 0.5, true],
+        ['month over: observed peak', lastDay.kw, 120],
+        ['flat peaks stay flat', flat.kw, 100],
+        ['invalid interval rejected', invalid !== null, true]
+      ];
+    }
+  },
+  {
+    name: 'Demand charge at projected peak',
+    run: () => {
+      const tariff = { energy: { type: 'flat', rate: 0 }, demand: { ratePerKw: 10 } };
+      const cost = projectMonthCost(tariff, {
+        hourlyData: [],
+        totalEnergyMonth: 0,
+        predictedMonthKwh: 0,
+        daysPassed: 31,
+        daysInMonth: 31,
+        peakKw: 120,
+        projectedPeakKw: 132
+      });
+      return [
+        ['to-date demand at measured peak', cost.breakdown.toDate.demand, 1200],
+        ['projected demand at projected peak', cost.breakdown.projected.demand, 1320],
+        ['projected peak reported', cost.projectedPeakKwUsed, 132]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('PEAK DEMAND TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
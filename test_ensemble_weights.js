@@ -0,0 +1,122 @@
+/**
+ * Test Script for Ensemble Weight Tuning
+ *
+ * Tests weight fitting without a server or database:
+ * 1. Grid search finds the method that tracks actuals
+ * 2. Leave-one-out validation adopts tuned weights only when they help
+ * 3. Too little history keeps the defaults
+ * 4. Resolving weights from a persisted config
+ */
+
+const {
+  DEFAULT_WEIGHTS,
+  fitWeights,
+  tuneMeterWeights,
+  resolveEnsembleWeights,
+  combineForecasts
+} = require('./ensemble_weights');
+
+// recent_trend is always right, the others are 10-20% off
+const TRENDING = [1000, 1100, 1200, 1300].map(actual => ({
+  actual,
+  methods: { simple_average: actual * 0.8, recent_trend: actual, day_of_week: actual * 1.1 }
+}));
+
+const TESTS = [
+  {
+    name: 'Grid search - picks the accurate method',
+    run: () => {
+      const { weights, mape } = fitWeights(TRENDING);
+      return [
+        ['recent_trend weight', weights.recent_trend, 1],
+        ['in-sample MAPE', mape, 0]
+      ];
+    }
+  },
+  {
+    name: 'Leave-one-out - tuned weights adopted',
+    run: () => {
+      const result = tuneMeterWeights(TRENDING);
+      return [
+        ['source', result.source, 'tuned'],
+        ['validation method', result.validation.method, 'leave_one_out'],
+        ['validation MAPE', result.validation.mape, 0],
+        ['beats default', result.validation.mape < result.validation.defaultMape, true]
+      ];
+    }
+  },
+  {
+    name: 'Single month - defaults kept',
+    run: () => {
+      const result = tuneMeterWeights(TRENDING.slice(0, 1));
+      return [
+        ['source', result.source, 'default'],
+        ['recent_trend weight', result.weights.recent_trend, DEFAULT_WEIGHTS.recent_trend]
+      ];
+    }
+  },
+  {
+    name: 'Resolve persisted weights',
+    run: () => {
+      const config = {
+        generatedAt: '2025-02-01T00:00:00.000Z',
+        meters: { 'KSR-1': tuneMeterWeights(TRENDING) }
+      };
+      const tuned = resolveEnsembleWeights(config, 'KSR-1');
+      const fallback = resolveEnsembleWeights(config, 'KSR-9');
+      const methods = { simple_average: 100, recent_trend: 200, day_of_week: 300 };
+      return [
+        ['tuned source', tuned.source, 'tuned'],
+        ['fallback source', fallback.source, 'default'],
+        ['tuned combine', combineForecasts(methods, tuned.weights), 200],
+        ['default combine', combineForecasts(methods, fallback.weights), 200],
+        ['missing method dropped', combineForecasts({ simple_average: 100, recent_trend: null }, { simple_average: 0.2, recent_trend: 0.8 }), 100]
+      ];
+    }
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('ENSEMBLE WEIGHTS TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,200 @@
+/**
+ * Test Script for the Forecast Engine
+ *
+ * Tests next-month forecasts from in-memory and file loaders (no server or
+ * database needed):
+ * 1. The requested source month is honored (latest data otherwise)
+ * 2. Every meter has the same response fields
+ * 3. Registered methods are reported and blended with their weight; weights
+ *    are normalized over the methods with a forecast
+ * 4. The file loader falls back for months without a file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'forecast-engine-test-'));
+// No tuned weights, temperatures or calendar: built-in defaults only
+process.env.ENSEMBLE_WEIGHTS_PATH = path.join(tempDir, 'missing_weights.json');
+process.env.WEATHER_DATA = path.join(tempDir, 'missing_weather.csv');
+process.env.CALENDAR_CONFIG = path.join(tempDir, 'missing_calendar.json');
+
+const {
+  registerForecastMethod,
+  unregisterForecastMethod,
+  listForecastMethods,
+  createFileLoader,
+  createMemoryLoader,
+  generateForecast
+} = require('./forecast_engine');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function monthData(year, month, dailyKwh) {
+  const days = new Date(year, month, 0).getDate();
+  const aggregates = [];
+  Object.entries(dailyKwh).forEach(([meterId, kwh]) => {
+    for (let day = 1; day <= days; day++) {
+      aggregates.push({ meter_id: meterId, date: `${year}-${pad(month)}-${pad(day)}`, total_kwh: kwh, record_count: 1440 });
+    }
+  });
+  return { year, month, aggregates, metadata: { aggregated_entries: aggregates.length } };
+}
+
+// Nov 2024: KSR-1 90/day; Dec 2024: KSR-1 100/day, KSR-2 200/day
+const NOVEMBER = monthData(2024, 11, { 'KSR-1': 90 });
+const DECEMBER = monthData(2024, 12, { 'KSR-1': 100, 'KSR-2': 200 });
+const loader = createMemoryLoader([NOVEMBER, DECEMBER]);
+
+const METER_FIELDS = [
+  'meter_id', 'forecast_kwh', 'interval', 'avg_daily', 'recent_avg_daily', 'days_analyzed',
+  'confidence', 'methods', 'ensemble', 'weather', 'calendar', 'seasonality'
+];
+
+const TESTS = [
+  {
+    name: 'Requested source month',
+    run: async () => {
+      const requested = await generateForecast({ year: 2024, month: 11, loader });
+      const latest = await generateForecast({ loader });
+      let error = null;
+      await generateForecast({ year: 2024, month: 6, loader }).catch(err => { error = err.message; });
+
+      return [
+        ['requested source', requested.generation_info.source_data.month, 11],
+        ['forecast for the following month', requested.forecast_period.month, 12],
+        ['KSR-1 from November only (90 x 31)', requested.per_meter_forecasts['KSR-1'].forecast_kwh, 2790],
+        ['meters in November', requested.meter_count, 1],
+        ['latest source', `${latest.generation_info.source_data.year}-${latest.generation_info.source_data.month}`, '2024-12'],
+        ['latest target', `${latest.forecast_period.year}-${latest.forecast_period.month}`, '2025-1'],
+        ['recent trend from December (100 x 31)', latest.per_meter_forecasts['KSR-1'].methods.recent_trend, 3100],
+        ['month without data rejected', error, 'No aggregated data found for 2024-06. Run: node aggregate_data.js']
+      ];
+    }
+  },
+  {
+    name: 'Response schema',
+    run: async () => {
+      const forecast = await generateForecast({ loader });
+      const meters = Object.values(forecast.per_meter_forecasts);
+      return [
+        ['same fields for every meter', meters.every(f => Object.keys(f).join(',') === METER_FIELDS.join(',')), true],
+        ['KSR-2 total (200 x 31)', forecast.per_meter_forecasts['KSR-2'].forecast_kwh, 6200],
+        ['total', forecast.total_forecast_kwh, meters.reduce((sum, f) => sum + f.forecast_kwh, 0)],
+        ['methods listed', forecast.generation_info.methods.join(','), 'simple_average,recent_trend,day_of_week,degree_day'],
+        ['degree-day omitted without temperatures', 'degree_day' in forecast.per_meter_forecasts['KSR-2'].methods, false],
+        ['loader reported', forecast.generation_info.data_loader, 'memory']
+      ];
+    }
+  },
+  {
+    name: 'Registered method',
+    run: async () => {
+      let error = null;
+      try {
+        registerForecastMethod('flat', () => 1000, { weight: 1.5 });
+      } catch (err) {
+        error = err.message;
+      }
+
+      registerForecastMethod('flat', () => 1000, { weight: 0.2 });
+      const blended = (await generateForecast({ year: 2024, month: 11, loader })).per_meter_forecasts['KSR-1'];
+      // Two extras at 0.8 share the whole ensemble; one without a forecast drops out
+      registerForecastMethod('flat', () => 1000, { weight: 0.8 });
+      registerForecastMethod('double', () => 2000, { weight: 0.8 });
+      registerForecastMethod('none', () => null, { weight: 0.5 });
+      const extras = (await generateForecast({ year: 2024, month: 11, loader })).per_meter_forecasts['KSR-1'];
+      unregisterForecastMethod('double');
+      unregisterForecastMethod('none');
+      const weightSum = Object.values(extras.ensemble.weights).reduce((sum, weight) => sum + weight, 0);
+
+      registerForecastMethod('flat', ctx => ctx.targetDays.working.length, { weight: 0 });
+      const reported = (await generateForecast({ year: 2024, month: 11, loader })).per_meter_forecasts['KSR-1'];
+      unregisterForecastMethod('flat');
+
+      return [
+        ['weight >= 1 rejected', error !== null, true],
+        ['method reported', blended.methods.flat, 1000],
+        ['method weight', blended.ensemble.weights.flat, 0.2],
+        ['built-in weights share the rest', blended.ensemble.weights.recent_trend, 0.32],
+        ['blended (2790 x 0.8 + 1000 x 0.2)', blended.forecast_kwh, 2432],
+        ['extras: weights sum to 1', weightSum, 1],
+        ['extras: split evenly', `${extras.ensemble.weights.flat}/${extras.ensemble.weights.double}`, '0.5/0.5'],
+        ['extras: no forecast, no weight', extras.ensemble.weights.none, undefined],
+        ['extras: (1000 + 2000) / 2', extras.forecast_kwh, 1500],
+        ['weight 0 only reported', reported.forecast_kwh, 2790],
+        ['context: working days in December', reported.methods.flat, 31],
+        ['unregistered', listForecastMethods().includes('flat'), false]
+      ];
+    }
+  },
+  {
+    name: 'File loader with fallback',
+    run: async () => {
+      // Written after December ended: used without a refresh
+      const file = { ...DECEMBER, metadata: { ...DECEMBER.metadata, updated_at: '2025-01-02T00:00:00.000Z' } };
+      fs.writeFileSync(path.join(tempDir, 'aggregated_2024_12.json'), JSON.stringify(file));
+      const files = createFileLoader({ dir: tempDir, fallback: createMemoryLoader([NOVEMBER]), checkSource: false });
+      const filesOnly = createFileLoader({ dir: tempDir, fallback: null, checkSource: false });
+
+      const fromFiles = await generateForecast({ loader: files });
+      const fromMemory = await generateForecast({ loader });
+      return [
+        ['latest month from file', (await files.latestMonth()).month, 12],
+        ['missing file from fallback', (await files.loadMonth(2024, 11)).aggregates.length, 30],
+        ['no fallback', await filesOnly.loadMonth(2024, 11), null],
+        ['same forecast as memory', fromFiles.total_forecast_kwh, fromMemory.total_forecast_kwh],
+        ['loader reported', fromFiles.generation_info.data_loader, 'files']
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('FORECAST ENGINE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
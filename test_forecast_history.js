@@ -0,0 +1,152 @@
+/**
+ * Test Script for the Forecast History Window
+ *
+ * Tests multi-month forecasting without a server or database:
+ * 1. Lookback months are weighted by recency and listed in the response
+ * 2. Months without data (or failing to load) don't contribute
+ * 3. Same-month-last-year seasonality scales the forecast
+ * 4. Recency weighting favors the latest month
+ */
+
+const { loadForecastHistory, resolveLookback, seasonalFactors, describeHistory } = require('./forecast_history');
+const { calculateForecast } = require('./forecast_engine');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function monthAggregates(year, month, dailyKwh) {
+  const days = new Date(year, month, 0).getDate();
+  return Array.from({ length: days }, (_, i) => ({
+    meter_id: 'KSR-1',
+    date: `${year}-${pad(month)}-${pad(i + 1)}`,
+    total_kwh: dailyKwh
+  }));
+}
+
+// Dec 2024 = 1000/day, Nov = 800/day, Oct missing, Sep fails to load
+// Last year: Jan 2024 = 1200/day, Dec 2023 = 1000/day (January is 20% heavier)
+const MONTHS = {
+  '2024-12': 1000,
+  '2024-11': 800,
+  '2024-01': 1200,
+  '2023-12': 1000
+};
+
+async function loadMonth(year, month) {
+  const key = `${year}-${pad(month)}`;
+  if (key === '2024-09') throw new Error('connection refused');
+  return { year, month, aggregates: MONTHS[key] ? monthAggregates(year, month, MONTHS[key]) : [] };
+}
+
+const NO_WEIGHTS = null;
+const NO_WEATHER = { series: null };
+const NO_CALENDAR = null;
+
+const TESTS = [
+  {
+    name: 'Lookback weights',
+    run: async () => {
+      const history = await loadForecastHistory(loadMonth, 2024, 12, { lookback: 4, decay: 0.5 });
+      const listed = describeHistory(history).months;
+      return [
+        ['months listed', listed.length, 4],
+        ['latest weight (1 / 1.5)', listed[0].weight, 0.6667],
+        ['previous weight (0.5 / 1.5)', listed[1].weight, 0.3333],
+        ['missing month not contributing', listed[2].contributed, false],
+        ['load error reported', listed[3].error, 'connection refused'],
+        ['aggregates oldest first', history.aggregates[0].date, '2024-11-01']
+      ];
+    }
+  },
+  {
+    name: 'Lookback validation',
+    run: () => {
+      let error = null;
+      try {
+        resolveLookback('13.5');
+      } catch (err) {
+        error = err.message;
+      }
+      return [
+        ['default', resolveLookback(undefined), 3],
+        ['explicit', resolveLookback('12'), 12],
+        ['fractional rejected', error !== null, true]
+      ];
+    }
+  },
+  {
+    name: 'Same month last year',
+    run: async () => {
+      const history = await loadForecastHistory(loadMonth, 2024, 12, { lookback: 1 });
+      const seasonal = seasonalFactors(history)['KSR-1'];
+      const { forecasts } = calculateForecast(history, 2025, 1, { weightsConfig: NO_WEIGHTS, weather: NO_WEATHER, calendarConfig: NO_CALENDAR });
+      return [
+        ['seasonal factor', seasonal.factor, 1.2],
+        ['target month last year', seasonal.targetMonthLastYear, '2024-01'],
+        ['simple average x 1.2 (31 x 1200)', forecasts['KSR-1'].methods.simple_average, 37200]
+      ];
+    }
+  },
+  {
+    name: 'Recency weighting',
+    run: async () => {
+      const history = await loadForecastHistory(
+        async (year, month) => (year === 2024 ? loadMonth(year, month) : { aggregates: [] }),
+        2024, 12, { lookback: 2, decay: 0.5 }
+      );
+      const { forecasts } = calculateForecast(history, 2025, 1, { weightsConfig: NO_WEIGHTS, weather: NO_WEATHER, calendarConfig: NO_CALENDAR });
+      // Each day carries its month's weight: Dec 31 days x 2/3, Nov 30 days x 1/3
+      const daily = (31 * 1000 * 2 / 3 + 30 * 800 / 3) / (31 * 2 / 3 + 30 / 3);
+      return [
+        ['weighted simple average', forecasts['KSR-1'].methods.simple_average, 31 * daily],
+        ['recent trend uses latest days', forecasts['KSR-1'].methods.recent_trend, 31000]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('FORECAST HISTORY TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,200 @@
+/**
+ * Test Script for Gap Filling / Imputation
+ *
+ * Tests the imputation strategies without a server or database:
+ * 1. Linear interpolation of a short gap
+ * 2. Same hour last week (with history before the period)
+ * 3. Day-of-week profile
+ * 4. Today is only filled up to the latest reading
+ * 5. Strategy "none" leaves the series untouched
+ * 6. A partial last day is projected at its hourly rate in hybrid mode
+ * 7. A partial last day of the month is still a projection, not the actual
+ */
+
+const { imputeHourlySeries, resolveImputationStrategy } = require('./imputation');
+const { setDataSource } = require('./data_source');
+const { defaultMapping } = require('./adapters/schema_mapping');
+const { predictMonthHybrid } = require('./server');
+
+const NOW = new Date('2025-02-01T00:00:00Z');
+
+function buildHours(date, energyAt, skip = []) {
+  return Array.from({ length: 24 }, (_, hour) => hour)
+    .filter(hour => !skip.includes(hour))
+    .map(hour => ({
+      timestamp: `${date} ${String(hour).padStart(2, '0')}:00`,
+      hour,
+      date,
+      energyKwh: energyAt(hour),
+      count: 60
+    }));
+}
+
+const TESTS = [
+  {
+    name: 'Linear - interpolates between neighbours',
+    run: () => {
+      const hourly = buildHours('2025-01-10', hour => hour, [5, 6, 7]);
+      const { hourlyData, summary } = imputeHourlySeries(hourly, { strategy: 'linear', now: NOW });
+      const h6 = hourlyData.find(h => h.hour === 6);
+      return [
+        ['series length', hourlyData.length, 24],
+        ['hour 6 value', h6.energyKwh, 6],
+        ['hour 6 flagged', h6.imputed, true],
+        ['imputed hours', summary.imputedHours, 3],
+        ['imputed kWh', summary.imputedKwh, 18]
+      ];
+    }
+  },
+  {
+    name: 'Same hour last week - copies from history',
+    run: () => {
+      const history = buildHours('2025-01-03', () => 7);
+      const hourly = buildHours('2025-01-10', () => 1, [12]);
+      const { hourlyData } = imputeHourlySeries(hourly, { strategy: 'same_hour_last_week', history, now: NOW });
+      const h12 = hourlyData.find(h => h.hour === 12);
+      return [
+        ['hour 12 value', h12.energyKwh, 7],
+        ['imputedBy', h12.imputedBy, 'same_hour_last_week']
+      ];
+    }
+  },
+  {
+    name: 'Day-of-week profile - fills a whole missing day',
+    run: () => {
+      // 2025-01-06 and 2025-01-13 are Mondays
+      const history = buildHours('2025-01-06', hour => hour * 2);
+      const hourly = buildHours('2025-01-12', () => 1).concat(buildHours('2025-01-14', () => 1));
+      const dates = ['2025-01-12', '2025-01-13', '2025-01-14'];
+      const { hourlyData, summary } = imputeHourlySeries(hourly, { strategy: 'dow_profile', history, dates, now: NOW });
+      const mondayNoon = hourlyData.find(h => h.timestamp === '2025-01-13 12:00');
+      return [
+        ['Monday 12:00', mondayNoon.energyKwh, 24],
+        ['fully imputed day', summary.days[0].fullyImputed, true],
+        ['imputed hours', summary.imputedHours, 24]
+      ];
+    }
+  },
+  {
+    name: 'Today - no hours after the latest reading',
+    run: () => {
+      const now = new Date('2025-01-10T10:30:00Z');
+      const hourly = buildHours('2025-01-10', () => 1, [2, 3]).filter(h => h.hour <= 9);
+      const { hourlyData, summary } = imputeHourlySeries(hourly, { strategy: 'linear', now });
+      return [
+        ['series length', hourlyData.length, 10],
+        ['imputed hours', summary.imputedHours, 2]
+      ];
+    }
+  },
+  {
+    name: 'None - series untouched, bad strategy rejected',
+    run: () => {
+      const hourly = buildHours('2025-01-10', () => 1, [5]);
+      const { hourlyData, summary } = imputeHourlySeries(hourly, { strategy: 'none', now: NOW });
+      let rejected = false;
+      try {
+        resolveImputationStrategy('spline');
+      } catch (error) {
+        rejected = true;
+      }
+      return [
+        ['series length', hourlyData.length, 23],
+        ['imputed hours', summary.imputedHours, 0],
+        ['unknown strategy rejected', rejected, true]
+      ];
+    }
+  },
+  {
+    name: 'Partial last day - hybrid projection',
+    run: async () => {
+      // December 2024 (the previous month): 1 kWh every hour
+      const december = [];
+      for (let day = 1; day <= 31; day++) {
+        buildHours(`2024-12-${String(day).padStart(2, '0')}`, () => 1)
+          .forEach(h => december.push({ meter_id: 'KSR-1', timestamp: `${h.timestamp}:00`, value: 1 }));
+      }
+      setDataSource({
+        name: 'memory',
+        mapping: defaultMapping('memory'),
+        fetchReadingsInRange: async (start, end) => december.filter(r => r.timestamp >= start && r.timestamp < end)
+      });
+
+      // Jan 1 complete, Jan 2 with 12 of 24 hours (still in progress)
+      const daily = [
+        { date: '2025-01-01', energyKwh: 24, hoursCount: 24, complete: true },
+        { date: '2025-01-02', energyKwh: 12, hoursCount: 12, complete: false }
+      ];
+      const result = await predictMonthHybrid(daily, 2025, 1, 2, 'KSR-1', { calendar: null });
+      return [
+        ['hybrid mode', result.predictionMode, 'hybrid'],
+        ['partial day reported', result.partialLastDay && result.partialLastDay.hoursCount, 12],
+        ['Jan 2 projected to 24 kWh (31 x 24)', result.predictedMonthKwh, 744]
+      ];
+    }
+  },
+  {
+    name: 'Partial last day of the month - not complete',
+    run: async () => {
+      // Jan 1-30 complete, Jan 31 with 12 of 24 hours
+      const daily = Array.from({ length: 31 }, (_, i) => ({
+        date: `2025-01-${String(i + 1).padStart(2, '0')}`,
+        energyKwh: i < 30 ? 24 : 12,
+        hoursCount: i < 30 ? 24 : 12,
+        complete: i < 30
+      }));
+      const result = await predictMonthHybrid(daily, 2025, 1, 31, 'KSR-1', { calendar: null });
+      return [
+        ['not complete', result.isComplete, false],
+        ['still a projection', result.valueSource, 'projection'],
+        ['actual to date', result.totalEnergyMonth, 732],
+        ['Jan 31 projected to 24 kWh (31 x 24)', result.predictedMonthKwh, 744]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('IMPUTATION TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,336 @@
+/**
+ * Test Script for Readings Ingestion
+ *
+ * Tests ingest.js against temporary CSV and SQLite stores (no server needed):
+ * 1. CSV rows are validated and rejected rows reported with line numbers
+ * 2. Duplicates already in the store are rejected, dry runs write nothing
+ * 3. JSON-lines into a SQLite store
+ * 4. Written months are invalidated and their aggregated files refreshed
+ * 5. File-level errors and unterminated quotes
+ * 6. Duplicate keys are kept per day and dropped once the file moves on
+ * 7. The CSV adapter splits records like ingestion and reports skipped rows
+ * 8. A failed batch still invalidates the months written; concurrent uploads
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+const csvDir = path.join(tempDir, 'csv');
+const dbPath = path.join(tempDir, 'readings.sqlite');
+process.env.ROLLUP_DIR = path.join(tempDir, 'rollups');
+
+const { createAdapter } = require('./adapters');
+const { defaultMapping } = require('./adapters/schema_mapping');
+const { readCSVFile } = require('./adapters/csv_adapter');
+const { getDataSource, setDataSource, fetchReadingsInRange, fetchDailyAggregates } = require('./data_source');
+const { aggregateMonthData, readAggregatedMonth } = require('./aggregate_data');
+const { ingestStream } = require('./ingest');
+
+function ingestText(text, options) {
+  return ingestStream(Readable.from([text]), options);
+}
+
+function useCsvStore() {
+  fs.mkdirSync(csvDir, { recursive: true });
+  setDataSource(createAdapter('csv', { path: csvDir, mapping: defaultMapping('csv') }));
+}
+
+async function useSqliteStore() {
+  const SQL = await require('sql.js')();
+  const db = new SQL.Database();
+  db.run('CREATE TABLE readings (meter_id TEXT NOT NULL, timestamp TEXT NOT NULL, energy_consumed_kwh REAL NOT NULL)');
+  db.run("INSERT INTO readings VALUES ('M-1', '2024-12-01 00:00:00', 1.5)");
+  fs.writeFileSync(dbPath, Buffer.from(db.export()));
+  db.close();
+  setDataSource(createAdapter('sqlite', { path: dbPath, mapping: defaultMapping('sqlite') }));
+}
+
+const EXPORT = [
+  'meter_id,timestamp,energy_consumed_kwh,note',
+  'M-1,2024-12-01 00:00:00,1.25,',
+  '"KSR,9",2024-12-01T00:10:00Z,2,"multi',
+  'line ""note"""',
+  ',2024-12-01 00:20:00,1,',
+  'M-1,2024-13-01 00:00:00,1,',
+  'M-1,2024-12-01 00:30:00,abc,',
+  'M-1,2024-12-01 00:40:00,-0.5,',
+  'M-1,2024-12-01 00:00:00,1.25,',
+  'M-1,2024-12-01 00:50:00,1',
+  '',
+  'M-1,2024-12-02 00:00:00,0,'
+].join('\r\n');
+
+const TESTS = [
+  {
+    name: 'CSV validation and report',
+    run: async () => {
+      useCsvStore();
+      const report = await ingestText(EXPORT, { format: 'csv' });
+      const byLine = Object.fromEntries(report.rejected.map(entry => [entry.line, entry]));
+      const written = await fetchReadingsInRange('2024-12-01', '2024-12-03');
+      const quoted = readCSVFile(path.join(csvDir, '2024-12-01.csv')).find(row => row.meter_id === 'KSR,9');
+
+      return [
+        ['lines read', report.linesRead, 12],
+        ['rows read', report.rowsRead, 9],
+        ['rows written', report.rowsWritten, 3],
+        ['rows rejected', report.rowsRejected, 6],
+        ['missing meter id (line 5)', byLine[5].reason, 'missing meter_id'],
+        ['impossible date (line 6)', byLine[6].code, 'invalid_timestamp'],
+        ['not a number (line 7)', byLine[7].reason, 'energy value "abc" is not a number'],
+        ['negative (line 8)', byLine[8].code, 'negative_energy'],
+        ['duplicate in file (line 9)', byLine[9].reason, 'duplicate of line 2'],
+        ['field count (line 10)', byLine[10].reason, 'expected 4 fields, found 3'],
+        ['invalid rows counted by code', report.rejectedByCode.invalid_timestamp, 1],
+        ['readings in the store', written.length, 3],
+        ['quoted meter id round-trips', quoted && quoted.timestamp, '2024-12-01 00:10:00'],
+        ['dated files written', fs.readdirSync(csvDir).sort().join(','), '2024-12-01.csv,2024-12-02.csv'],
+        ['months', report.months.join(','), '2024-12']
+      ];
+    }
+  },
+  {
+    name: 'Store duplicates and dry run',
+    run: async () => {
+      const again = await ingestText(EXPORT, { format: 'csv' });
+      const dryRun = await ingestText('meter_id,timestamp,energy_consumed_kwh\nM-2,2024-12-03 00:00:00,4\n', { dryRun: true });
+      const written = await fetchReadingsInRange('2024-12-01', '2024-12-04');
+
+      return [
+        ['nothing written twice', again.rowsWritten, 0],
+        ['rejected as already stored', again.rejectedByCode.duplicate, 4],
+        ['stored duplicate reason', again.rejected.find(entry => entry.line === 2).reason, 'already in the store'],
+        ['dry run accepts', dryRun.rowsAccepted, 1],
+        ['dry run writes nothing', dryRun.rowsWritten, 0],
+        ['store unchanged', written.length, 3]
+      ];
+    }
+  },
+  {
+    name: 'JSON-lines into SQLite',
+    run: async () => {
+      await useSqliteStore();
+      const report = await ingestText([
+        '{"meter_id":"M-1","timestamp":"2024-12-01 00:00:00","energy_consumed_kwh":1.5}',
+        '{"meter_id":"M-1","timestamp":"2024-12-01 00:10:00","energy_consumed_kwh":2.5}',
+        '{"meter_id":"M-2","timestamp":"2024-12-01T00:10","energy_consumed_kwh":"3"}',
+        '{"meter_id":"M-2","timestamp":1733011200,"energy_consumed_kwh":1}',
+        '{"meter_id":"M-2",',
+        '[1,2,3]',
+        '{"meter_id":"M-2","timestamp":"2024-12-01 00:20:00","energy_consumed_kwh":true}'
+      ].join('\n'), { name: 'export.jsonl' });
+      const readings = await fetchReadingsInRange('2024-12-01', '2024-12-02');
+
+      return [
+        ['format from the file name', report.format, 'jsonl'],
+        ['rows written', report.rowsWritten, 2],
+        ['existing row rejected (line 1)', report.rejected[0].reason, 'already in the store'],
+        ['numeric timestamp rejected', report.rejected[1].code, 'invalid_timestamp'],
+        ['invalid JSON (line 5)', report.rejected[2].line, 5],
+        ['not an object (line 6)', report.rejected[3].reason, 'expected a JSON object'],
+        ['boolean energy rejected', report.rejected[4].code, 'invalid_energy'],
+        ['readings in the store', readings.length, 3],
+        ['string value stored as a number', readings.find(r => r.meter_id === 'M-2').energy_consumed_kwh, 3]
+      ];
+    }
+  },
+  {
+    name: 'Caches and aggregated files',
+    run: async () => {
+      const aggregateDir = path.join(tempDir, 'aggregates');
+      fs.mkdirSync(aggregateDir);
+      await aggregateMonthData(2024, 12, { dir: aggregateDir });
+      const before = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+
+      const report = await ingestText('meter_id,timestamp,energy_consumed_kwh\nM-1,2024-12-01 00:20:00,10\nM-3,2024-12-05 00:00:00,7\n', { aggregateDir });
+      const after = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+      const saved = readAggregatedMonth(2024, 12, aggregateDir);
+      const m1 = entries => entries.find(e => e.meter_id === 'M-1' && e.date === '2024-12-01').total_kwh;
+
+      return [
+        ['daily sums before', m1(before), 4],
+        ['cached sums invalidated', m1(after), 14],
+        ['new meter visible', after.filter(e => e.meter_id === 'M-3').length, 1],
+        ['aggregated file refreshed', report.aggregates[0].refreshed, true],
+        ['changed days', saved.metadata.changed_days.join(','), '2024-12-01,2024-12-05'],
+        ['aggregated file matches the store', saved.aggregates.length, after.length]
+      ];
+    }
+  },
+  {
+    name: 'File errors and unterminated quotes',
+    run: async () => {
+      let missingColumn = null;
+      await ingestText('meter,timestamp,energy_consumed_kwh\nM-1,2024-12-06 00:00:00,1\n').catch(error => { missingColumn = error; });
+      let empty = null;
+      await ingestText('').catch(error => { empty = error; });
+
+      // The stray quote on line 2 must not swallow the rows after it
+      const lines = ['meter_id,timestamp,energy_consumed_kwh', 'M-1,2024-12-06 00:00:00,"1'];
+      for (let minute = 10; minute < 250; minute += 10) {
+        lines.push(`M-1,2024-12-06 ${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}:00,1`);
+      }
+      const report = await ingestText(lines.join('\n'), { dryRun: true });
+
+      return [
+        ['missing column rejects the file', missingColumn && missingColumn.code, 'INVALID_FILE'],
+        ['missing column named', missingColumn && missingColumn.message.startsWith('CSV header is missing column(s) meter_id'), true],
+        ['empty file rejected', empty && empty.message, 'Empty file: no CSV header row'],
+        ['unterminated quote reported', `${report.rejected[0].line} ${report.rejected[0].reason}`, '2 unterminated quoted field'],
+        ['rows after it accepted', report.rowsAccepted, 24]
+      ];
+    }
+  },
+  {
+    name: 'Per-day duplicate keys',
+    run: async () => {
+      // Dec 10 and 11 in order, then Dec 10 again after both were written
+      const lines = ['meter_id,timestamp,energy_consumed_kwh'];
+      ['2024-12-10', '2024-12-11'].forEach(date => {
+        for (let hour = 0; hour < 4; hour++) lines.push(`M-5,${date} 0${hour}:00:00,1`);
+      });
+      lines.push('M-5,2024-12-10 00:00:00,1', 'M-5,2024-12-10 05:00:00,1');
+      const text = lines.join('\n');
+
+      const dryRun = await ingestText(text, { dryRun: true, batchSize: 2 });
+      const report = await ingestText(text, { batchSize: 2 });
+      const written = await fetchReadingsInRange('2024-12-10', '2024-12-12', 'M-5');
+
+      return [
+        ['reopened day reported', report.daysReopened.join(','), '2024-12-10'],
+        ['rows written', report.rowsWritten, 9],
+        ['late duplicate found in the store', `${report.rejected[0].line} ${report.rejected[0].reason}`, '10 already in the store'],
+        ['readings in the store', written.length, 9],
+        ['dry run reports the reopened day', dryRun.daysReopened.join(','), '2024-12-10'],
+        ['dry run: late duplicate not in the store yet', dryRun.rowsAccepted, 10]
+      ];
+    }
+  },
+  {
+    name: 'CSV adapter reads records like ingestion',
+    run: async () => {
+      const lines = [
+        '\uFEFFmeter_id,timestamp,energy_consumed_kwh,note',
+        'M-1,2024-12-07 00:00:00,1,"spans',
+        'two lines"',
+        'M-1,2024-12-07 00:10:00,2',
+        'M-1,2024-12-07 00:20:00,"3,',
+        'M-1,2024-12-07 00:30:00,4,'
+      ];
+      for (let i = 0; i < 20; i++) lines.push(`M-2,2024-12-07 01:${String(i).padStart(2, '0')}:00,1,`);
+      const text = lines.join('\r\n');
+      const filePath = path.join(tempDir, 'malformed.csv');
+      fs.writeFileSync(filePath, text);
+
+      const skipped = [];
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = message => warnings.push(message);
+      let rows;
+      try {
+        rows = readCSVFile(filePath, defaultMapping('csv'), skipped);
+        readCSVFile(filePath);
+      } finally {
+        console.warn = warn;
+      }
+      const report = await ingestText(text, { dryRun: true });
+      const malformed = report.rejected.filter(entry => entry.code === 'malformed_line');
+
+      return [
+        ['rows read', rows.length, 22],
+        ['quoted field over two lines', rows[0].timestamp, '2024-12-07 00:00:00'],
+        ['skipped rows', skipped.map(entry => `${entry.line} ${entry.reason}`).join('; '), '4 expected 4 fields, found 3; 5 unterminated quoted field'],
+        ['same rows as ingestion', report.rowsAccepted, rows.length],
+        ['same lines rejected as ingestion', malformed.map(entry => entry.line).join(','), skipped.map(entry => entry.line).join(',')],
+        ['warned once per file', warnings.length, 1],
+        ['warning names the file', warnings[0].includes('malformed.csv: skipped 2 unreadable row(s)'), true]
+      ];
+    }
+  },
+  {
+    name: 'Failed batches and concurrent uploads',
+    run: async () => {
+      const day = entries => entries.filter(e => e.meter_id === 'M-6').map(e => `${e.date.slice(8)}:${e.total_kwh}`).join(',');
+      const before = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+
+      // The second batch (Dec 21) fails after Dec 20 is written
+      const source = getDataSource();
+      const write = source.writeReadings;
+      let writes = 0;
+      source.writeReadings = rows => (++writes === 2 ? Promise.reject(new Error('disk full')) : write.call(source, rows));
+      let failure = null;
+      try {
+        await ingestText([
+          'meter_id,timestamp,energy_consumed_kwh',
+          'M-6,2024-12-20 00:00:00,1', 'M-6,2024-12-20 01:00:00,2',
+          'M-6,2024-12-21 00:00:00,3', 'M-6,2024-12-21 01:00:00,4'
+        ].join('\n'), { batchSize: 2 }).catch(error => { failure = error; });
+      } finally {
+        source.writeReadings = write;
+      }
+      const after = await fetchDailyAggregates('2024-12-01', '2025-01-01');
+
+      const upload = 'meter_id,timestamp,energy_consumed_kwh\nM-6,2024-12-22 00:00:00,5\n';
+      const both = await Promise.all([ingestText(upload), ingestText(upload)]);
+
+      return [
+        ['error passed on', failure && failure.message, 'disk full'],
+        ['rows written before the failure', failure && failure.report.rowsWritten, 2],
+        ['months in the error report', failure && failure.report.months.join(','), '2024-12'],
+        ['nothing cached before', day(before), ''],
+        ['cached month invalidated', day(after), '20:3'],
+        ['concurrent uploads: written once', both.map(report => report.rowsWritten).join(','), '1,0'],
+        ['second upload finds the first', both[1].rejected[0].reason, 'already in the store']
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('INGEST TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,148 @@
+/**
+ * Test Script for the Intraday Load Profile
+ *
+ * Tests today's profile projection without a server or database:
+ * 1. Weekday profile projects a day-shift meter from its night hours
+ * 2. Today running above its profile scales the remaining hours
+ * 3. Weekends and calendar holidays use the weekend profile
+ * 4. Profile mode falls back to the rolling run-rate without history
+ */
+
+const { learnHourlyProfile, resolveTodayMode } = require('./load_profile');
+const { createDayClassifier } = require('./working_calendar');
+const { predictToday } = require('./server');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Weekdays: 10 kWh/h at night, 50 kWh/h 06:00-17:59 (720 kWh/day); weekends: flat 10 kWh/h
+function dayHours(date, weekend, hours = 24, scale = 1) {
+  return Array.from({ length: hours }, (_, hour) => ({
+    timestamp: `${date} ${pad(hour)}:00`,
+    date,
+    hour,
+    energyKwh: (weekend || hour < 6 || hour >= 18 ? 10 : 50) * scale,
+    count: 60
+  }));
+}
+
+// Sat 2025-01-04 .. Sun 2025-01-12
+const HISTORY = Array.from({ length: 9 }, (_, i) => {
+  const date = `2025-01-${pad(i + 4)}`;
+  return dayHours(date, i === 0 || i === 1 || i === 7 || i === 8);
+}).flat();
+
+const TESTS = [
+  {
+    name: 'Weekday profile from night hours',
+    run: () => {
+      // Monday morning, 00:00-05:59 so far
+      const today = predictToday([...HISTORY, ...dayHours('2025-01-13', false, 6)], { mode: 'profile' });
+      return [
+        ['rolling run-rate (flat night rate)', today.rollingPrediction, 240],
+        ['profile projection', today.profile.prediction, 720],
+        ['headline uses profile', today.prediction, 720],
+        ['mode', today.mode, 'profile'],
+        ['day type', today.profile.dayType, 'weekday'],
+        ['weekdays used', today.profile.daysUsed, 5],
+        ['curve hours', today.profile.hourlyCurve.length, 24],
+        ['expected at noon', today.profile.hourlyCurve[12].expectedKwh, 50],
+        ['no actual yet at noon', today.profile.hourlyCurve[12].actualKwh, null]
+      ];
+    }
+  },
+  {
+    name: 'Level factor',
+    run: () => {
+      // Running 20% above the profile so far
+      const today = predictToday([...HISTORY, ...dayHours('2025-01-13', false, 6, 1.2)], { mode: 'profile' });
+      return [
+        ['level factor', today.profile.levelFactor, 1.2],
+        ['projection', today.profile.prediction, 864],
+        ['remaining', today.profile.remainingKwh, 792]
+      ];
+    }
+  },
+  {
+    name: 'Weekend and holiday profiles',
+    run: () => {
+      const sunday = learnHourlyProfile(HISTORY, '2025-01-12');
+      const classify = createDayClassifier({ holidays: ['2025-01-13'] }, 'KSR-1');
+      const holiday = predictToday([...HISTORY, ...dayHours('2025-01-13', true, 6)], { mode: 'profile', classify });
+      return [
+        ['weekend type', sunday.dayType, 'weekend'],
+        ['weekend days before Sunday', sunday.dates.length, 3],
+        ['weekend noon', sunday.hourly[12], 10],
+        ['holiday uses weekend profile', holiday.profile.dayType, 'weekend'],
+        ['holiday projection', holiday.profile.prediction, 240]
+      ];
+    }
+  },
+  {
+    name: 'Fallback without history',
+    run: () => {
+      const today = predictToday([...dayHours('2025-01-12', true), ...dayHours('2025-01-13', false, 6)], { mode: 'profile' });
+      const rolling = predictToday([...HISTORY, ...dayHours('2025-01-13', false, 6)], { mode: 'rolling' });
+      let invalid = null;
+      try {
+        resolveTodayMode('linear');
+      } catch (error) {
+        invalid = error.message;
+      }
+      return [
+        ['profile unavailable', today.profile.success, false],
+        ['falls back to rolling', today.mode, 'rolling'],
+        ['headline = rolling', today.prediction, 240],
+        ['rolling mode keeps run-rate headline', rolling.prediction, 240],
+        ['rolling mode still returns the curve', rolling.profile.success, true],
+        ['invalid mode rejected', invalid !== null, true]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('INTRADAY LOAD PROFILE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,164 @@
+/**
+ * Test Script for the Meter Hierarchy
+ *
+ * Tests registry loading and roll-ups without a server or database:
+ * 1. Group nodes sum their children, metered parents report unaccounted energy
+ * 2. Virtual meters combine meters and other nodes with their formula
+ * 3. Site, tag and node filters select subtrees and the meters they need
+ * 4. Invalid registries are rejected
+ */
+
+const { buildRegistry, parseFormula, selectNodes, metersForNodes, rollUp } = require('./meter_registry');
+
+// Site -> incomer (KSR-1) -> two lines (KSR-2, KSR-3); a second site with one meter
+const CONFIG = {
+  nodes: {
+    'plant-a': { name: 'Plant A', type: 'site' },
+    incomer: { type: 'panel', parent: 'plant-a', meter: 'KSR-1' },
+    'line-1': { parent: 'incomer', meter: 'KSR-2', tags: ['production'] },
+    'line-2': { parent: 'incomer', meter: 'KSR-3', tags: 'production, hvac' },
+    'plant-b': { name: 'Plant B', type: 'site' },
+    office: { parent: 'plant-b', meter: 'KSR-4', tags: ['hvac'] },
+    'hvac-share': { formula: '0.5 * line-2 + office', tags: ['estimate'] },
+    'incomer-net': { formula: 'KSR-1 - KSR-2 - KSR-3' }
+  }
+};
+
+const VALUES = {
+  'KSR-1': { kwh: 1000 },
+  'KSR-2': { kwh: 600 },
+  'KSR-3': { kwh: 300 },
+  'KSR-4': { kwh: 200 }
+};
+
+function byId(nodes) {
+  const map = {};
+  nodes.forEach(node => { map[node.id] = node; });
+  return map;
+}
+
+function rejects(config) {
+  try {
+    buildRegistry(config);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const TESTS = [
+  {
+    name: 'Roll-ups and unaccounted energy',
+    run: () => {
+      const registry = buildRegistry(CONFIG);
+      const nodes = byId(rollUp(registry, VALUES, ['kwh']));
+      return [
+        ['incomer = its own meter', nodes.incomer.values.kwh, 1000],
+        ['unaccounted below incomer', nodes.incomer.unaccounted.kwh, 100],
+        ['site sums its children', nodes['plant-a'].values.kwh, 1000],
+        ['group has no unaccounted', nodes['plant-a'].unaccounted, null],
+        ['leaf has no unaccounted', nodes['line-1'].unaccounted, null],
+        ['leaf depth', nodes['line-1'].depth, 2],
+        ['tags from a comma list', nodes['line-2'].tags.join('|'), 'production|hvac'],
+        ['site meters', nodes['plant-a'].meters.join(','), 'KSR-1']
+      ];
+    }
+  },
+  {
+    name: 'Virtual meters',
+    run: () => {
+      const registry = buildRegistry(CONFIG);
+      const nodes = byId(rollUp(registry, VALUES, ['kwh']));
+      const partial = byId(rollUp(registry, { 'KSR-1': { kwh: 1000 } }, ['kwh'], ['incomer-net']));
+      const terms = parseFormula('KSR-1 - 0.25 * KSR-2');
+      return [
+        ['formula over nodes and meters', nodes['hvac-share'].values.kwh, 350],
+        ['formula over raw meter ids', nodes['incomer-net'].values.kwh, 100],
+        ['virtual type inferred', nodes['hvac-share'].type, 'virtual'],
+        ['virtual meters', nodes['hvac-share'].meters.join(','), 'KSR-3,KSR-4'],
+        ['dashed meter id kept whole', terms[1].ref, 'KSR-2'],
+        ['negative coefficient', terms[1].coef, -0.25],
+        ['missing meter reported', partial['incomer-net'].missingMeters.join(','), 'KSR-2,KSR-3']
+      ];
+    }
+  },
+  {
+    name: 'Filters',
+    run: () => {
+      const registry = buildRegistry(CONFIG);
+      const site = selectNodes(registry, { site: 'Plant A' });
+      const hvac = selectNodes(registry, { tag: 'hvac' });
+      const both = selectNodes(registry, { site: 'plant-b', tag: 'hvac' });
+      const node = selectNodes(registry, { node: 'incomer' });
+      let unknown = null;
+      try {
+        selectNodes(registry, { site: 'Plant C' });
+      } catch (error) {
+        unknown = error.message;
+      }
+      return [
+        ['site subtree', site.join(','), 'plant-a,incomer,line-1,line-2'],
+        ['site meters', metersForNodes(registry, site).join(','), 'KSR-1,KSR-2,KSR-3'],
+        ['tagged nodes', hvac.join(','), 'line-2,office'],
+        ['site and tag combined', both.join(','), 'office'],
+        ['node subtree', node.join(','), 'incomer,line-1,line-2'],
+        ['unknown site rejected', unknown !== null, true]
+      ];
+    }
+  },
+  {
+    name: 'Invalid registries',
+    run: () => [
+      ['unknown parent', rejects({ nodes: { a: { parent: 'missing', meter: 'KSR-1' } } }), true],
+      ['parent cycle', rejects({ nodes: { a: { parent: 'b' }, b: { parent: 'a' } } }), true],
+      ['formula cycle', rejects({ nodes: { a: { formula: 'b' }, b: { formula: '2 * a' } } }), true],
+      ['bad formula term', rejects({ nodes: { a: { formula: 'KSR-1 - / KSR-2' } } }), true],
+      ['rows from a table', buildRegistry({ nodes: [{ id: 'x', meter_id: 'KSR-1', tags: 'a,b' }] }, 'table:meters').nodes.x.meter, 'KSR-1']
+    ]
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('METER HIERARCHY TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
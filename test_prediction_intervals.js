@@ -0,0 +1,115 @@
+/**
+ * Test Script for Prediction Intervals
+ *
+ * Tests the bootstrap ranges without a server or database:
+ * 1. Bounds are ordered and bracket the point projection
+ * 2. More variable history gives a wider range
+ * 3. Complete periods collapse to the actual value
+ * 4. Floor (energy already used) and quantile parsing
+ */
+
+const { bootstrapInterval, parseQuantiles, sumIntervals } = require('./prediction_intervals');
+
+const STEADY = [100, 102, 98, 101, 99, 100, 103, 97, 100, 101];
+const NOISY = [60, 140, 80, 120, 100, 50, 150, 90, 110, 100];
+
+const TESTS = [
+  {
+    name: 'Bounds ordered around the point',
+    run: () => {
+      const iv = bootstrapInterval({ observed: STEADY, point: 3000, horizonDays: 20 });
+      return [
+        ['p10 < p50', iv.bounds.p10 < iv.bounds.p50, true],
+        ['p50 < p90', iv.bounds.p50 < iv.bounds.p90, true],
+        ['p50 near point', Math.abs(iv.bounds.p50 - 3000) < 30, true],
+        ['deterministic', bootstrapInterval({ observed: STEADY, point: 3000, horizonDays: 20 }).lower, iv.lower]
+      ];
+    }
+  },
+  {
+    name: 'Noisy history gives a wider range',
+    run: () => {
+      const steady = bootstrapInterval({ observed: STEADY, point: 3000, horizonDays: 20 });
+      const noisy = bootstrapInterval({ observed: NOISY, point: 3000, horizonDays: 20 });
+      return [
+        ['noisy wider', (noisy.upper - noisy.lower) > (steady.upper - steady.lower) * 5, true]
+      ];
+    }
+  },
+  {
+    name: 'Complete period and too little history',
+    run: () => {
+      const exact = bootstrapInterval({ observed: STEADY, point: 3100, horizonDays: 0 });
+      return [
+        ['method', exact.method, 'exact'],
+        ['lower = upper', exact.lower === exact.upper, true],
+        ['one day -> null', bootstrapInterval({ observed: [100], point: 3000, horizonDays: 29 }), null]
+      ];
+    }
+  },
+  {
+    name: 'Floor, quantile parsing and totals',
+    run: () => {
+      const iv = bootstrapInterval({ observed: NOISY, point: 1000, horizonDays: 2, floor: 990, quantiles: [0.05, 0.95] });
+      const total = sumIntervals([iv, iv]);
+      let rejected = false;
+      try {
+        parseQuantiles('0.5,1.5');
+      } catch (error) {
+        rejected = true;
+      }
+      return [
+        ['lower respects floor', iv.bounds.p5 >= 990, true],
+        ['labels follow quantiles', Object.keys(iv.bounds).join(','), 'p5,p95'],
+        ['parsed and sorted', parseQuantiles('0.9, 0.1,0.5').join(','), '0.1,0.5,0.9'],
+        ['out of range rejected', rejected, true],
+        ['total upper', total.upper, iv.upper * 2]
+      ];
+    }
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('PREDICTION INTERVAL TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
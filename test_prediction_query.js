@@ -0,0 +1,173 @@
+/**
+ * Test Script for Prediction Query Options
+ *
+ * Tests /api/predict filters, sorting, paging and fields without a server:
+ * 1. Query parameters parse into meter filters and paging options
+ * 2. Sorting by projected kWh and by percentage change
+ * 3. Totals are the same on every page
+ * 4. Field selection keeps dotted paths and the meter id
+ */
+
+const { parsePredictQuery, combineMeterFilters, summarizeTotals, sortMeters, paginate, selectFields } = require('./prediction_query');
+const { filterReadings } = require('./adapters/file_store');
+
+function meter(meterId, predictedMonthKwh, previousMonthKwh) {
+  return {
+    meterId,
+    today: { success: true, totalEnergyToday: 10, prediction: 24 },
+    month: { success: true, totalEnergyMonth: predictedMonthKwh / 2, predictedMonthKwh },
+    change: previousMonthKwh === null
+      ? null
+      : { previousMonthKwh, changePercent: (predictedMonthKwh - previousMonthKwh) / previousMonthKwh * 100 }
+  };
+}
+
+// Change: A +50%, B -20%, C +10%, D no previous month
+const METERS = [
+  meter('A', 300, 200),
+  meter('B', 800, 1000),
+  meter('C', 550, 500),
+  meter('D', 100, null)
+];
+
+function params(query) {
+  return new URL(`http://localhost/api/predict?${query}`).searchParams;
+}
+
+function rejects(query) {
+  try {
+    parsePredictQuery(params(query));
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+const TESTS = [
+  {
+    name: 'Query parsing',
+    run: () => {
+      const query = parsePredictQuery(params('meter=A&meters[]=B&meters[]=A&meters=C,D&page=2&page_size=10&sort=change_percent&fields=month,today.prediction'));
+      const plain = parsePredictQuery(params(''));
+      const rows = [
+        { meter_id: 'A', timestamp: '2025-01-01 00:00:00' },
+        { meter_id: 'B', timestamp: '2025-01-01 00:01:00' },
+        { meter_id: 'C', timestamp: '2025-01-01 00:02:00' }
+      ];
+      return [
+        ['meters merged', query.meters.join(','), 'A,B,C,D'],
+        ['page', query.page, 2],
+        ['page size', query.pageSize, 10],
+        ['default order for change', query.order, 'desc'],
+        ['fields', query.fields.join('|'), 'month|today.prediction'],
+        ['no filter without meters', plain.meters, null],
+        ['no paging by default', plain.pageSize, null],
+        ['filters intersect', combineMeterFilters(['A', 'B'], ['B', 'C']).join(','), 'B'],
+        ['file store filters a meter list', filterReadings(rows, null, null, ['A', 'C']).map(r => r.meter_id).join(','), 'A,C'],
+        ['empty meter list matches nothing', filterReadings(rows, null, null, []).length, 0],
+        ['unknown sort rejected', rejects('sort=name'), true],
+        ['page size over 500 rejected', rejects('page_size=501'), true],
+        ['page 0 rejected', rejects('page=0'), true]
+      ];
+    }
+  },
+  {
+    name: 'Sorting',
+    run: () => {
+      const byKwh = sortMeters(METERS, 'projected_kwh', 'desc').map(m => m.meterId).join(',');
+      const byChange = sortMeters(METERS, 'change_percent', 'desc').map(m => m.meterId).join(',');
+      const byChangeAsc = sortMeters(METERS, 'change_percent', 'asc').map(m => m.meterId).join(',');
+      return [
+        ['projected kWh, largest first', byKwh, 'B,C,A,D'],
+        ['change, largest first (no previous month last)', byChange, 'A,C,B,D'],
+        ['change ascending', byChangeAsc, 'B,C,A,D'],
+        ['meter id', sortMeters([...METERS].reverse(), 'meter_id', 'asc').map(m => m.meterId).join(','), 'A,B,C,D'],
+        ['input untouched', METERS.map(m => m.meterId).join(','), 'A,B,C,D']
+      ];
+    }
+  },
+  {
+    name: 'Totals across pages',
+    run: () => {
+      const totals = summarizeTotals(METERS);
+      const sorted = sortMeters(METERS, 'projected_kwh', 'desc');
+      const first = paginate(sorted, 1, 3);
+      const second = paginate(sorted, 2, 3);
+      const beyond = paginate(sorted, 5, 3);
+      return [
+        ['meter count', totals.meterCount, 4],
+        ['projected total', totals.monthPredictedKwh, 1750],
+        ['today predicted total', totals.todayPredictedKwh, 96],
+        ['previous month total', totals.previousMonthKwh, 1700],
+        // Over meters with a previous month only: (1650 - 1700) / 1700
+        ['total change', totals.changePercent, -2.94],
+        ['first page', first.items.map(m => m.meterId).join(','), 'B,C,A'],
+        ['second page', second.items.map(m => m.meterId).join(','), 'D'],
+        ['total pages', first.pagination.totalPages, 2],
+        ['total items', second.pagination.totalItems, 4],
+        ['page past the end is empty', beyond.items.length, 0],
+        ['unpaged = one page', paginate(sorted, 1, null).pagination.pageSize, 4]
+      ];
+    }
+  },
+  {
+    name: 'Field selection',
+    run: () => {
+      const picked = selectFields(METERS[0], ['month.predictedMonthKwh', 'today', 'missing.path']);
+      return [
+        ['meter id kept', picked.meterId, 'A'],
+        ['dotted path', picked.month.predictedMonthKwh, 300],
+        ['sibling dropped', picked.month.totalEnergyMonth, undefined],
+        ['whole block', picked.today.prediction, 24],
+        ['unknown path skipped', 'missing' in picked, false],
+        ['unselected block dropped', picked.change, undefined],
+        ['no fields = full entry', selectFields(METERS[0], null), METERS[0]]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('PREDICTION QUERY TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
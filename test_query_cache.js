@@ -0,0 +1,167 @@
+/**
+ * Test Script for the Shared Query Cache
+ *
+ * Tests caching without a server or database:
+ * 1. Hits, misses and shared in-flight loads
+ * 2. Closed months never expire, open periods use the TTL
+ * 3. Invalidation by month drops overlapping loads and derived results
+ * 4. Size limit and copies of cached results
+ */
+
+const { cached, rangePolicy, invalidateCache, cacheStats, resetCache } = require('./query_cache');
+
+function counter() {
+  let calls = 0;
+  const load = async () => {
+    calls++;
+    return { calls, rows: [1, 2, 3] };
+  };
+  return { load, calls: () => calls };
+}
+
+const TESTS = [
+  {
+    name: 'Hits and misses',
+    run: async () => {
+      resetCache();
+      const source = counter();
+      await cached('readings', { start: '2024-12-01' }, source.load);
+      await cached('readings', { start: '2024-12-01' }, source.load);
+      await cached('readings', { start: '2024-11-01' }, source.load);
+      // Two requests while the first load is still running
+      const shared = counter();
+      await Promise.all([cached('predictions', { day: 1 }, shared.load), cached('predictions', { day: 1 }, shared.load)]);
+      const stats = cacheStats();
+      return [
+        ['loads for two distinct keys', source.calls(), 2],
+        ['concurrent requests share one load', shared.calls(), 1],
+        ['hits', stats.hits, 2],
+        ['misses', stats.misses, 3],
+        ['readings hit rate', stats.namespaces.readings.hitRate, 0.3333],
+        ['entries', stats.entries, 3]
+      ];
+    }
+  },
+  {
+    name: 'Lifetimes',
+    run: async () => {
+      resetCache();
+      const closed = rangePolicy('2024-12-01', '2025-01-01');
+      const open = rangePolicy('2024-12-01', '2999-01-01');
+      const source = counter();
+      await cached('readings', 'expired', source.load, { ttlMs: 1 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await cached('readings', 'expired', source.load, { ttlMs: 1 });
+      const previous = process.env.CACHE_TTL_SECONDS;
+      process.env.CACHE_TTL_SECONDS = '0';
+      const disabled = counter();
+      await cached('readings', 'off', disabled.load);
+      await cached('readings', 'off', disabled.load);
+      if (previous === undefined) delete process.env.CACHE_TTL_SECONDS;
+      else process.env.CACHE_TTL_SECONDS = previous;
+      return [
+        ['closed month never expires', closed.ttlMs === Infinity, true],
+        ['closed month tagged', closed.months.join(','), '2024-12'],
+        ['open period uses the TTL', open.ttlMs, 300000],
+        ['mid-month end includes that month', rangePolicy('2024-11-20', '2025-01-05').months.join(','), '2024-11,2024-12,2025-01'],
+        ['open-ended range untagged', rangePolicy(null, null).months, null],
+        ['expired entry reloads', source.calls(), 2],
+        ['TTL 0 disables caching', disabled.calls(), 2]
+      ];
+    }
+  },
+  {
+    name: 'Invalidation',
+    run: async () => {
+      resetCache();
+      const load = async () => ({});
+      await cached('readings', 'nov', load, rangePolicy('2024-11-01', '2024-12-01'));
+      await cached('readings', 'dec', load, rangePolicy('2024-12-01', '2025-01-01'));
+      await cached('readings', 'nov-dec', load, rangePolicy('2024-11-15', '2024-12-15'));
+      await cached('predictions', 'derived', load);
+      const removed = invalidateCache({ year: 2024, month: 12 });
+      const left = cacheStats();
+      await cached('forecast', 'f', load);
+      const byNamespace = invalidateCache({ namespace: 'forecast' });
+      const all = invalidateCache();
+      return [
+        ['month removes overlapping loads and derived results', removed, 3],
+        ['other months kept', left.entries, 1],
+        ['namespace invalidation', byNamespace, 1],
+        ['invalidate everything', all, 1],
+        ['invalidations counted', cacheStats().invalidations, 3]
+      ];
+    }
+  },
+  {
+    name: 'Size limit and copies',
+    run: async () => {
+      resetCache();
+      const previous = process.env.CACHE_MAX_ROWS;
+      process.env.CACHE_MAX_ROWS = '5';
+      const rows = n => async () => Array.from({ length: n }, (_, i) => i);
+      await cached('readings', 'a', rows(3), { weight: v => v.length });
+      await cached('readings', 'b', rows(1), { weight: v => v.length });
+      await cached('readings', 'a', rows(3), { weight: v => v.length });
+      await cached('readings', 'c', rows(2), { weight: v => v.length });
+      const stats = cacheStats();
+      if (previous === undefined) delete process.env.CACHE_MAX_ROWS;
+      else process.env.CACHE_MAX_ROWS = previous;
+
+      const first = await cached('predictions', 'copy', async () => ({ meters: [{ id: 'A' }] }), { clone: true });
+      first.meters.push({ id: 'B' });
+      const second = await cached('predictions', 'copy', async () => ({ meters: [] }), { clone: true });
+      return [
+        ['least recently used (b) evicted', stats.evictions, 1],
+        ['rows within the limit', stats.rows, 5],
+        ['entries left', stats.entries, 2],
+        ['changes to a copy stay out of the cache', second.meters.length, 1]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('QUERY CACHE TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,198 @@
+/**
+ * Test Script for Cumulative Register Readings
+ *
+ * Tests delta derivation without a server or database:
+ * 1. Plain register differencing (with and without a baseline)
+ * 2. Rollover past registerMax
+ * 3. Meter reset / replacement
+ * 4. Negative delta from a bad read
+ * 5. Gap spreading over missing intervals
+ * 6. Unit scaling and per-meter overrides through the schema mapping
+ * 7. Gaps spread from the previous day's baseline stay inside the range
+ */
+
+const { deriveMeterIntervals, summarizeCorrections } = require('./adapters/register_deltas');
+const { deriveReadings } = require('./adapters/schema_mapping');
+
+function reg(time, value) {
+  return { timestamp: `2025-01-01 ${time}`, value };
+}
+
+function sum(readings) {
+  return readings.reduce((total, r) => total + r.energy_consumed_kwh, 0);
+}
+
+const TESTS = [
+  {
+    name: 'Plain differencing - first reading sets the baseline',
+    run: () => {
+      const registers = [reg('00:00:00', 100), reg('00:01:00', 101.5), reg('00:02:00', 103)];
+      const noBase = deriveMeterIntervals('M1', registers);
+      const withBase = deriveMeterIntervals('M1', registers, {}, { timestamp: '2024-12-31 23:59:00', value: 99 });
+      return [
+        ['readings without baseline', noBase.readings.length, 2],
+        ['kWh without baseline', sum(noBase.readings), 3],
+        ['readings with baseline', withBase.readings.length, 3],
+        ['kWh with baseline', sum(withBase.readings), 4],
+        ['corrections', noBase.corrections.length, 0]
+      ];
+    }
+  },
+  {
+    name: 'Rollover - register wraps at registerMax',
+    run: () => {
+      const registers = [reg('00:00:00', 9998), reg('00:01:00', 9999.5), reg('00:02:00', 1.5)];
+      const { readings, corrections } = deriveMeterIntervals('M1', registers, { registerMax: 10000 });
+      return [
+        ['wrapped interval kWh', readings[1].energy_consumed_kwh, 2],
+        ['correction type', corrections[0].type, 'rollover'],
+        ['derivedKwh', corrections[0].derivedKwh, 2]
+      ];
+    }
+  },
+  {
+    name: 'Reset - register drops to near zero',
+    run: () => {
+      const registers = [reg('00:00:00', 5000), reg('00:01:00', 5002), reg('00:02:00', 0.8), reg('00:03:00', 2)];
+      const { readings, corrections } = deriveMeterIntervals('M1', registers);
+      return [
+        ['interval after reset', readings[1].energy_consumed_kwh, 0.8],
+        ['interval after reset + 1', readings[2].energy_consumed_kwh, 1.2],
+        ['correction type', corrections[0].type, 'reset']
+      ];
+    }
+  },
+  {
+    name: 'Negative delta - bad read is zeroed and not double-counted',
+    run: () => {
+      const registers = [reg('00:00:00', 100), reg('00:01:00', 101), reg('00:02:00', 95), reg('00:03:00', 102)];
+      const { readings, corrections } = deriveMeterIntervals('M1', registers);
+      // 100 -> 90 -> 110: the reading after the bad one is a normal 1-minute interval
+      const dip = deriveMeterIntervals('M1', [reg('00:00:00', 100), reg('00:01:00', 90), reg('00:02:00', 110)]);
+      return [
+        ['bad interval kWh', readings[1].energy_consumed_kwh, 0],
+        ['recovery from the kept value', readings[2].energy_consumed_kwh, 1],
+        ['one reading per minute', readings.map(r => r.timestamp.slice(11, 16)).join(','), '00:01,00:02,00:03'],
+        ['total kWh', sum(readings), 2],
+        ['correction type', corrections.map(c => c.type).join(','), 'negative_delta'],
+        ['dip: one reading per minute', dip.readings.map(r => r.timestamp.slice(11, 16)).join(','), '00:01,00:02'],
+        ['dip: kWh after the bad read', dip.readings[1].energy_consumed_kwh, 10],
+        ['dip: no gap spread', dip.corrections.map(c => c.type).join(','), 'negative_delta']
+      ];
+    }
+  },
+  {
+    name: 'Gap spreading - energy spread over missing minutes',
+    run: () => {
+      const registers = [reg('00:00:00', 100), reg('00:04:00', 108)];
+      const spread = deriveMeterIntervals('M1', registers);
+      const lumped = deriveMeterIntervals('M1', registers, { spreadGaps: false });
+      const summary = summarizeCorrections(spread.corrections);
+      return [
+        ['spread readings', spread.readings.length, 4],
+        ['first synthetic timestamp', spread.readings[0].timestamp, '2025-01-01 00:01:00'],
+        ['share per minute', spread.readings[0].energy_consumed_kwh, 2],
+        ['synthetic flag', spread.readings[0].derived, 'gap_spread'],
+        ['total kWh', sum(spread.readings), 8],
+        ['lumped readings', lumped.readings.length, 1],
+        ['summary byType', summary.byType.gap_spread, 1]
+      ];
+    }
+  },
+  {
+    name: 'Schema mapping - Wh registers with a plain kWh meter override',
+    run: () => {
+      const mapping = {
+        unit: 'Wh',
+        cumulative: true,
+        register: { registerMax: 1000000 },
+        meters: { PLAIN: { unit: 'kWh', cumulative: false } }
+      };
+      const rows = [
+        { meter_id: 'REG', timestamp: '2025-01-01 00:01:00', value: 999500 },
+        { meter_id: 'REG', timestamp: '2025-01-01 00:02:00', value: 500 },
+        { meter_id: 'PLAIN', timestamp: '2025-01-01 00:01:00', value: 2 }
+      ];
+      const baselines = { REG: { meter_id: 'REG', timestamp: '2025-01-01 00:00:00', value: 999000 } };
+      const { readings, corrections } = deriveReadings(rows, mapping, baselines);
+      const reg1 = readings.filter(r => r.meter_id === 'REG');
+      return [
+        ['REG intervals', reg1.length, 2],
+        ['REG kWh (incl. rollover)', sum(reg1), 1.5],
+        ['PLAIN kWh', sum(readings.filter(r => r.meter_id === 'PLAIN')), 2],
+        ['corrections', corrections.map(c => c.type).join(','), 'rollover']
+      ];
+    }
+  },
+  {
+    name: 'Gap spreading from a baseline - nothing before the range',
+    run: () => {
+      // Baseline at 23:58 the day before, first register at 00:02: 23:59 is outside
+      const baseline = { timestamp: '2024-12-31 23:58:00', value: 100 };
+      const registers = [reg('00:02:00', 108), reg('00:03:00', 109)];
+      const inRange = deriveMeterIntervals('M1', registers, {}, baseline, '2025-01-01');
+      const unbounded = deriveMeterIntervals('M1', registers, {}, baseline);
+      const gap = inRange.corrections[0];
+
+      const mapping = { unit: 'kWh', cumulative: true, register: {}, meters: {} };
+      const rows = registers.map(r => ({ meter_id: 'M1', ...r }));
+      const derived = deriveReadings(rows, mapping, { M1: { meter_id: 'M1', ...baseline } }, '2025-01-01');
+
+      return [
+        ['first reading at the range start', inRange.readings[0].timestamp, '2025-01-01 00:00:00'],
+        ['readings in range', inRange.readings.length, 4],
+        ['kWh in range (3 of 4 gap minutes + 1)', sum(inRange.readings), 7],
+        ['correction counts the kWh kept', gap.derivedKwh, 6],
+        ['correction detail', gap.detail, 'Spread over 4 intervals of 1 min (1 before 2025-01-01 left out)'],
+        ['without a range start', unbounded.readings[0].timestamp, '2024-12-31 23:59:00'],
+        ['through the schema mapping', derived.readings.every(r => r.timestamp >= '2025-01-01'), true],
+        ['schema mapping kWh', sum(derived.readings), 7]
+      ];
+    }
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('CUMULATIVE REGISTER TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.0001
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,225 @@
+/**
+ * Test Script for the Schema Mapping
+ *
+ * Tests adapters/schema_mapping.js without a server or database:
+ * 1. Defaults per adapter type
+ * 2. SCHEMA_* environment variables and SCHEMA_CONFIG files
+ * 3. Wh / MWh values scaled to kWh (readings and SQL sums, meter overrides)
+ * 4. Date + time columns vs a single timestamp column (extractRecord / buildRecord)
+ * 5. A CSV folder with date + time columns and Wh values through the data source
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-mapping-test-'));
+
+const {
+  defaultMapping,
+  loadSchemaMapping,
+  meterSettings,
+  extractRecord,
+  buildRecord,
+  deriveReadings,
+  normalizeDailyAggregates
+} = require('./adapters/schema_mapping');
+const { createAdapter } = require('./adapters');
+const { setDataSource, fetchReadingsInRange, fetchDailyAggregates } = require('./data_source');
+
+function writeConfig(name, config) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+function loadError(adapterType, env) {
+  try {
+    loadSchemaMapping(adapterType, env);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const DATE_TIME = { ...defaultMapping('csv'), timestamp: { dateColumn: 'date', timeColumn: 'time' } };
+
+const TESTS = [
+  {
+    name: 'Defaults per adapter type',
+    run: async () => {
+      const postgres = loadSchemaMapping('postgres', {});
+      const csv = loadSchemaMapping('csv', {});
+      return [
+        ['postgres: date + time columns', JSON.stringify(postgres.timestamp), '{"dateColumn":"date","timeColumn":"time"}'],
+        ['files: one timestamp column', JSON.stringify(csv.timestamp), '{"column":"timestamp"}'],
+        ['value column', csv.valueColumn, 'energy_consumed_kwh'],
+        ['unit', csv.unit, 'kWh'],
+        ['not cumulative', csv.cumulative, false]
+      ];
+    }
+  },
+  {
+    name: 'Environment variables and config files',
+    run: async () => {
+      const fromEnv = loadSchemaMapping('csv', {
+        SCHEMA_TIMESTAMP_COLUMN: 'recorded_at',
+        SCHEMA_METER_COLUMN: 'device',
+        SCHEMA_VALUE_COLUMN: 'register_wh',
+        SCHEMA_UNIT: 'Wh',
+        SCHEMA_CUMULATIVE: 'yes',
+        SCHEMA_REGISTER_MAX: '99999',
+        SCHEMA_INTERVAL_MINUTES: '15'
+      });
+      const dateTime = loadSchemaMapping('csv', { SCHEMA_DATE_COLUMN: 'day', SCHEMA_TIME_COLUMN: 'clock' });
+      const dateOnly = loadSchemaMapping('csv', { SCHEMA_DATE_COLUMN: 'day' });
+      const example = loadSchemaMapping('postgres', { SCHEMA_CONFIG: path.join(__dirname, 'schema.example.json') });
+      const envOverFile = loadSchemaMapping('postgres', {
+        SCHEMA_CONFIG: path.join(__dirname, 'schema.example.json'),
+        SCHEMA_UNIT: 'kWh',
+        SCHEMA_CUMULATIVE: 'false'
+      });
+
+      return [
+        ['timestamp column', JSON.stringify(fromEnv.timestamp), '{"column":"recorded_at"}'],
+        ['meter column', fromEnv.meterIdColumn, 'device'],
+        ['value column', fromEnv.valueColumn, 'register_wh'],
+        ['unit', fromEnv.unit, 'Wh'],
+        ['cumulative from "yes"', fromEnv.cumulative, true],
+        ['register settings as numbers', JSON.stringify(fromEnv.register), '{"registerMax":99999,"intervalMinutes":15}'],
+        ['date + time pair', JSON.stringify(dateTime.timestamp), '{"dateColumn":"day","timeColumn":"clock"}'],
+        ['date without time ignored', JSON.stringify(dateOnly.timestamp), '{"column":"timestamp"}'],
+        ['file: timestamp column', example.timestamp.column, 'recorded_at'],
+        ['file: meter override', example.meters['KSR-1'].unit, 'kWh'],
+        ['file: register settings', example.register.intervalMinutes, 15],
+        ['env wins over the file', `${envOverFile.unit} ${envOverFile.cumulative}`, 'kWh false'],
+        ['file meters kept', Object.keys(envOverFile.meters).join(','), 'KSR-1,KSR-3'],
+        ['unknown unit', loadError('csv', { SCHEMA_UNIT: 'kW' }), 'Schema mapping: unknown unit "kW" (expected Wh, kWh or MWh)'],
+        ['unknown meter unit', loadError('csv', { SCHEMA_CONFIG: writeConfig('meter_unit.json', { meters: { M: { unit: 'GWh' } } }) }),
+          'Schema mapping: unknown unit "GWh" (expected Wh, kWh or MWh)'],
+        ['timestamp without columns', loadError('csv', { SCHEMA_CONFIG: writeConfig('no_timestamp.json', { timestamp: { dateColumn: 'date' } }) }),
+          'Schema mapping: timestamp needs "column" or "dateColumn" + "timeColumn"']
+      ];
+    }
+  },
+  {
+    name: 'Unit scaling',
+    run: async () => {
+      const mapping = { ...defaultMapping('csv'), unit: 'Wh', meters: { 'KSR-1': { unit: 'kWh' }, 'KSR-9': { unit: 'MWh' } } };
+      const { readings, corrections } = deriveReadings([
+        { meter_id: 'KSR-2', timestamp: '2025-01-01 00:00:00', value: 1500 },
+        { meter_id: 'KSR-2', timestamp: '2025-01-01 00:01:00', value: '250' },
+        { meter_id: 'KSR-1', timestamp: '2025-01-01 00:00:00', value: 2 },
+        { meter_id: 'KSR-9', timestamp: '2025-01-01 00:00:00', value: 0.004 }
+      ], mapping);
+      const byMeter = meterId => readings.filter(r => r.meter_id === meterId).map(r => r.energy_consumed_kwh);
+      const sums = normalizeDailyAggregates([
+        { meter_id: 'KSR-2', date: '2025-01-01', total_kwh: 12000, record_count: 8 },
+        { meter_id: 'KSR-1', date: '2025-01-01', total_kwh: 12, record_count: 8 }
+      ], mapping);
+
+      return [
+        ['Wh factor', meterSettings(mapping, 'KSR-2').factor, 0.001],
+        ['unit names are case-insensitive', meterSettings({ ...mapping, unit: 'MWH' }, 'KSR-2').factor, 1000],
+        ['1500 Wh', byMeter('KSR-2')[0], 1.5],
+        ['"250" Wh', byMeter('KSR-2')[1], 0.25],
+        ['kWh meter override', byMeter('KSR-1')[0], 2],
+        ['MWh meter override', byMeter('KSR-9')[0], 4],
+        ['no register corrections', corrections.length, 0],
+        ['SQL sum in Wh', sums[0].total_kwh, 12],
+        ['SQL sum in kWh', sums[1].total_kwh, 12],
+        ['counts untouched', sums[0].record_count, 8]
+      ];
+    }
+  },
+  {
+    name: 'Date + time vs timestamp column',
+    run: async () => {
+      const single = defaultMapping('csv');
+      const fromDateTime = extractRecord({ meter_id: 'KSR-1', date: '2025-01-31', time: '23:45:00', energy_consumed_kwh: '1.5' }, DATE_TIME);
+      const fromColumn = extractRecord({ meter_id: 'KSR-1', timestamp: '2025-01-31T23:45:00Z', energy_consumed_kwh: 1.5 }, single);
+      const row = { meter_id: 'KSR-1', timestamp: '2025-01-31 23:45:00', value: 1.5 };
+      const dateTimeRecord = buildRecord(row, DATE_TIME);
+
+      return [
+        ['date + time joined', fromDateTime.timestamp, '2025-01-31 23:45:00'],
+        ['value left as read', fromDateTime.value, '1.5'],
+        ['single column left unnormalized', fromColumn.timestamp, '2025-01-31T23:45:00Z'],
+        ['numeric meter id as a string', extractRecord({ meter_id: 7, timestamp: 't' }, single).meter_id, '7'],
+        ['missing meter id kept missing', extractRecord({ timestamp: 't' }, single).meter_id, undefined],
+        ['record with date + time', JSON.stringify(dateTimeRecord), '{"meter_id":"KSR-1","date":"2025-01-31","time":"23:45:00","energy_consumed_kwh":1.5}'],
+        ['record with one column', JSON.stringify(buildRecord(row, single)), '{"meter_id":"KSR-1","timestamp":"2025-01-31 23:45:00","energy_consumed_kwh":1.5}'],
+        ['round trip', JSON.stringify(extractRecord(dateTimeRecord, DATE_TIME)), JSON.stringify({ ...row })]
+      ];
+    }
+  },
+  {
+    name: 'Date + time columns and Wh through the data source',
+    run: async () => {
+      const csvDir = path.join(tempDir, 'csv');
+      fs.mkdirSync(csvDir);
+      fs.writeFileSync(path.join(csvDir, '2025-01-31.csv'), [
+        'date,time,meter_id,energy_consumed_kwh',
+        '2025-01-31,23:40:00,KSR-1,500',
+        '2025-01-31,23:50:00,KSR-1,700'
+      ].join('\n'));
+      setDataSource(createAdapter('csv', { path: csvDir, mapping: { ...DATE_TIME, unit: 'Wh' } }));
+
+      const readings = await fetchReadingsInRange('2025-01-31', '2025-02-01');
+      const daily = await fetchDailyAggregates('2025-01-31', '2025-02-01');
+
+      return [
+        ['readings', readings.length, 2],
+        ['timestamp from date + time', readings[1].timestamp, '2025-01-31 23:50:00'],
+        ['kWh from Wh', readings[1].energy_consumed_kwh, 0.7],
+        ['daily kWh', daily[0].total_kwh, 1.2]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('SCHEMA MAPPING TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,240 @@
+/**
+ * Test Script for Tariff Cost Projection
+ *
+ * Tests the pricing rules without a server or database:
+ * 1. Flat rate energy charge
+ * 2. Tiered slabs crossing a slab boundary
+ * 3. Time-of-use pricing from hourly buckets (incl. periods wrapping midnight)
+ * 4. Demand charge, fixed fees and taxes in the breakdown
+ * 5. Monthly and cumulative costs on a multi-month outlook
+ * 6. Tariff files with non-numeric flat rates or slabs are rejected
+ * 7. TOU periods: numeric rates, whole hours, a defaultRate for uncovered hours
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tariff-test-'));
+
+const {
+  loadTariffConfig,
+  resolveTariff,
+  priceSlabs,
+  priceTouBuckets,
+  projectMonthCost,
+  projectForecastCost,
+  applyOutlookCosts
+} = require('./tariff');
+
+const TOU_ENERGY = {
+  type: 'tou',
+  defaultRate: 5,
+  periods: [
+    { name: 'peak', start: 18, end: 22, rate: 10 },
+    { name: 'night', start: 22, end: 6, rate: 2 }
+  ]
+};
+
+function loadError(tariff) {
+  const filePath = path.join(tempDir, `tariff_${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(tariff));
+  try {
+    loadTariffConfig(filePath);
+    return null;
+  } catch (error) {
+    return error.message.replace(`${filePath}`, 'FILE');
+  }
+}
+
+function buildHours(date, kwhPerHour) {
+  return Array.from({ length: 24 }, (_, hour) => ({ date, hour, energyKwh: kwhPerHour }));
+}
+
+const TESTS = [
+  {
+    name: 'Flat rate - projected energy charge',
+    run: () => {
+      const tariff = { energy: { type: 'flat', rate: 2 } };
+      const cost = projectMonthCost(tariff, {
+        hourlyData: buildHours('2025-01-01', 1),
+        totalEnergyMonth: 24,
+        predictedMonthKwh: 744,
+        daysPassed: 1,
+        daysInMonth: 31
+      });
+      return [
+        ['costToDate', cost.costToDate, 48],
+        ['projectedCost', cost.projectedCost, 1488]
+      ];
+    }
+  },
+  {
+    name: 'Tiered slabs - crossing a boundary',
+    run: () => {
+      const slabs = [{ upToKwh: 100, rate: 1 }, { upToKwh: 200, rate: 2 }, { upToKwh: null, rate: 3 }];
+      return [
+        ['50 kWh', priceSlabs(slabs, 50), 50],
+        ['150 kWh', priceSlabs(slabs, 150), 200],
+        ['250 kWh', priceSlabs(slabs, 250), 450],
+        ['above a capped last slab: billed at its rate', priceSlabs([{ upToKwh: 100, rate: 5 }], 1000), 5000]
+      ];
+    }
+  },
+  {
+    name: 'Time-of-use - hourly buckets priced by period',
+    run: () => {
+      const priced = priceTouBuckets(TOU_ENERGY, buildHours('2025-01-01', 1));
+      // 4 peak hours, 8 night hours (22-6), 12 default hours
+      return [
+        ['peak kWh', priced.byPeriod.peak.kwh, 4],
+        ['night kWh', priced.byPeriod.night.kwh, 8],
+        ['amount', priced.amount, 4 * 10 + 8 * 2 + 12 * 5]
+      ];
+    }
+  },
+  {
+    name: 'Demand, fixed fees and taxes',
+    run: () => {
+      const tariff = {
+        energy: { type: 'flat', rate: 1 },
+        demand: { ratePerKw: 10 },
+        fixedMonthly: [{ name: 'rent', amount: 100 }],
+        taxes: [{ name: 'duty', percent: 10 }]
+      };
+      const cost = projectForecastCost(tariff, 2025, 2, 672);
+      // 672 kWh over 28 days = 1 kW average load
+      return [
+        ['energy', cost.breakdown.energy, 672],
+        ['demand', cost.breakdown.demand, 10],
+        ['fixed', cost.breakdown.fixed, 100],
+        ['taxes', cost.breakdown.taxes, 78.2],
+        ['projectedCost', cost.projectedCost, 860.2]
+      ];
+    }
+  },
+  {
+    name: 'Per-meter override',
+    run: () => {
+      const config = {
+        currency: 'INR',
+        energy: { type: 'flat', rate: 1 },
+        meters: { 'KSR-2': { energy: { type: 'flat', rate: 3 } } }
+      };
+      return [
+        ['KSR-1 rate', resolveTariff(config, 'KSR-1').energy.rate, 1],
+        ['KSR-2 rate', resolveTariff(config, 'KSR-2').energy.rate, 3],
+        ['KSR-2 currency', resolveTariff(config, 'KSR-2').currency, 'INR']
+      ];
+    }
+  },
+  {
+    name: 'Outlook costs - monthly and cumulative',
+    run: () => {
+      const config = {
+        currency: 'INR',
+        energy: { type: 'flat', rate: 2 },
+        meters: { 'KSR-2': { energy: { type: 'flat', rate: 3 } } }
+      };
+      const outlook = applyOutlookCosts({
+        months: [
+          { year: 2025, month: 2, per_meter: { 'KSR-1': { meter_id: 'KSR-1', kwh: 100 }, 'KSR-2': { meter_id: 'KSR-2', kwh: 100 } } },
+          { year: 2025, month: 3, per_meter: { 'KSR-1': { meter_id: 'KSR-1', kwh: 50 } } }
+        ]
+      }, config);
+      return [
+        ['month 1 cost', outlook.months[0].total_cost, 500],
+        ['KSR-2 override', outlook.months[0].per_meter['KSR-2'].cost, 300],
+        ['cumulative after month 2', outlook.months[1].cumulative_cost, 600],
+        ['outlook total', outlook.total_cost, 600]
+      ];
+    }
+  },
+  {
+    name: 'Invalid tariff files',
+    run: () => [
+      ['flat without a rate', loadError({ energy: { type: 'flat' } }),
+        'Invalid tariff in FILE: flat energy requires a numeric rate >= 0 (got undefined)'],
+      ['flat rate as a string', loadError({ energy: { type: 'flat', rate: '2' } }),
+        'Invalid tariff in FILE: flat energy requires a numeric rate >= 0 (got "2")'],
+      ['slab rate missing', loadError({ energy: { type: 'tiered', slabs: [{ upToKwh: 100 }, { upToKwh: null, rate: 8 }] } }),
+        'Invalid tariff in FILE: slab 1 requires a numeric rate >= 0 (got undefined)'],
+      ['slab limit as a string', loadError({ energy: { type: 'tiered', slabs: [{ upToKwh: '100', rate: 6 }, { rate: 8 }] } }),
+        'Invalid tariff in FILE: slab 1 upToKwh must be a number above 0 (got "100")'],
+      ['open slab before the last', loadError({ energy: { type: 'tiered', slabs: [{ upToKwh: null, rate: 6 }, { rate: 8 }] } }),
+        'Invalid tariff in FILE: slab 1 upToKwh must be a number above 0 (got null)'],
+      ['slab limits not rising', loadError({ energy: { type: 'tiered', slabs: [{ upToKwh: 100, rate: 6 }, { upToKwh: 50, rate: 8 }, { rate: 9 }] } }),
+        'Invalid tariff in FILE: slab 2 upToKwh must be a number above 100 (got 50)'],
+      ['last slab with a limit', loadError({ energy: { type: 'tiered', slabs: [{ upToKwh: 100, rate: 5 }] } }),
+        'Invalid tariff in FILE: the last slab must be open-ended (upToKwh null or omitted, got 100)'],
+      ['meter override checked', loadError({ energy: { type: 'flat', rate: 2 }, meters: { 'KSR-2': { energy: { type: 'flat', rate: null } } } }),
+        'Invalid tariff in FILE (meter KSR-2): flat energy requires a numeric rate >= 0 (got null)'],
+      ['tiered with an open last slab', loadError({ energy: { type: 'tiered', slabs: [{ upToKwh: 100, rate: 6 }, { rate: 8 }] } }), null],
+      ['example tariff', loadError(JSON.parse(fs.readFileSync(path.join(__dirname, 'tariff.example.json'), 'utf-8'))), null]
+    ]
+  },
+  {
+    name: 'Invalid time-of-use tariffs',
+    run: () => [
+      ['uncovered hours without defaultRate', loadError({ energy: { type: 'tou', periods: [{ name: 'peak', start: 18, end: 22, rate: 9 }] } }),
+        "Invalid tariff in FILE: tou energy requires a defaultRate when its periods don't cover every hour"],
+      ['weekday-only period leaves weekends uncovered', loadError({ energy: { type: 'tou', periods: [{ start: 0, end: 24, rate: 9, days: [1, 2, 3, 4, 5] }] } }),
+        "Invalid tariff in FILE: tou energy requires a defaultRate when its periods don't cover every hour"],
+      ['period rate missing', loadError({ energy: { type: 'tou', defaultRate: 5, periods: [{ name: 'peak', start: 18, end: 22 }] } }),
+        'Invalid tariff in FILE: period 1 (peak) requires a numeric rate >= 0 (got undefined)'],
+      ['fractional hour', loadError({ energy: { type: 'tou', defaultRate: 5, periods: [{ start: 18.5, end: 22, rate: 9 }] } }),
+        'Invalid tariff in FILE: period 1 start and end must be whole hours from 0 to 24 (got 18.5-22)'],
+      ['hour out of range', loadError({ energy: { type: 'tou', defaultRate: 5, periods: [{ start: 18, end: '25', rate: 9 }] } }),
+        'Invalid tariff in FILE: period 1 start and end must be whole hours from 0 to 24 (got 18-"25")'],
+      ['defaultRate as a string', loadError({ energy: { type: 'tou', defaultRate: '5', periods: [] } }),
+        'Invalid tariff in FILE: defaultRate must be a number >= 0 (got "5")'],
+      ['all hours covered, no defaultRate', loadError({ energy: { type: 'tou', periods: [{ start: 6, end: 22, rate: 9 }, { start: 22, end: 6, rate: 4 }] } }), null]
+    ]
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('TARIFF COST PROJECTION TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
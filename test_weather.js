@@ -0,0 +1,131 @@
+/**
+ * Test Script for Weather-Normalized Forecasting
+ *
+ * Tests the degree-day model without a server or database:
+ * 1. Regression recovers a known base load and cooling slope
+ * 2. Normal weather comes from the same calendar day in other years
+ * 3. Forecast under normal weather and under scenarios
+ * 4. Missing temperature data is reported, not guessed
+ */
+
+const {
+  fitDegreeDayModel,
+  normalTemperature,
+  parseWeatherScenario,
+  degreeDayForecast
+} = require('./weather');
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Dec 2024 source month: 20-29 °C, consumption = 100 + 5 * CDD (base 18)
+const SERIES = {};
+const DAILY = [];
+for (let day = 1; day <= 31; day++) {
+  const temp = 20 + (day % 10);
+  SERIES[`2024-12-${pad(day)}`] = temp;
+  SERIES[`2023-12-${pad(day)}`] = 22;
+  SERIES[`2024-01-${pad(day)}`] = 24;
+  DAILY.push({ date: `2024-12-${pad(day)}`, kwh: 100 + 5 * (temp - 18) });
+}
+
+const TESTS = [
+  {
+    name: 'Regression - known coefficients',
+    run: () => {
+      const model = fitDegreeDayModel(DAILY, SERIES);
+      return [
+        ['base load', model.baseLoad, 100],
+        ['cooling slope', model.coolingSlope, 5],
+        ['heating slope (no heating days)', model.heatingSlope, 0],
+        ['r2', model.r2, 1]
+      ];
+    }
+  },
+  {
+    name: 'Normal temperatures',
+    run: () => [
+      ['same day last year', normalTemperature(SERIES, '2024-12-05'), 22],
+      ['next January', normalTemperature(SERIES, '2025-01-15'), 24]
+    ]
+  },
+  {
+    name: 'Forecast - normal weather and scenarios',
+    run: () => {
+      const normal = degreeDayForecast(DAILY, SERIES, 2025, 1);
+      const warmer = degreeDayForecast(DAILY, SERIES, 2025, 1, parseWeatherScenario({ offset: '2' }));
+      const fixed = degreeDayForecast(DAILY, SERIES, 2025, 1, { meanTempC: 18 });
+      return [
+        ['normal forecast (31 x 130)', normal.forecast_kwh, 4030],
+        ['scenario type', warmer.scenario.type, 'normal_offset'],
+        ['+2 °C forecast (31 x 140)', warmer.forecast_kwh, 4340],
+        ['fixed 18 °C forecast (base load only)', fixed.forecast_kwh, 3100],
+        // Dec 2024 ran 74 degree-days above the 22 °C normal at 5 kWh per degree-day
+        ['weather-normalized source', normal.normalized_source_kwh, normal.actual_source_kwh - 74 * 5]
+      ];
+    }
+  },
+  {
+    name: 'Missing temperature data',
+    run: () => {
+      let parseError = null;
+      try {
+        parseWeatherScenario({ offset: 'warm' });
+      } catch (error) {
+        parseError = error.message;
+      }
+      return [
+        ['no series', degreeDayForecast(DAILY, null, 2025, 1).available, false],
+        ['no normals for target', degreeDayForecast(DAILY, SERIES, 2025, 3).available, false],
+        ['too few days', fitDegreeDayModel(DAILY.slice(0, 3), SERIES), null],
+        ['invalid scenario rejected', parseError !== null, true]
+      ];
+    }
+  }
+];
+
+function runTests() {
+  console.log('========================================');
+  console.log('WEATHER NORMALIZATION TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
@@ -0,0 +1,136 @@
+/**
+ * Test Script for the Working Calendar
+ *
+ * Tests calendar-aware rates without a server or database:
+ * 1. Holidays, shutdowns, meter overrides and shift patterns
+ * 2. Working / non-working rates kept apart
+ * 3. Base-load fallback when no non-working day has been observed
+ * 4. Month projection accounts for the non-working days still ahead
+ */
+
+const { createDayClassifier, splitDailyRates, partitionDates } = require('./working_calendar');
+const { predictMonthHybrid } = require('./server');
+
+const CALENDAR = {
+  holidays: [{ date: '2025-01-01', name: "New Year's Day" }, '2025-01-29'],
+  shutdowns: [{ from: '2025-01-27', to: '2025-01-28', name: 'Maintenance' }],
+  meters: {
+    'KSR-2': { shifts: { sun: 0, mon: 2, tue: 2, wed: 2, thu: 2, fri: 2, sat: 1 } }
+  }
+};
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// Jan 2025, days 1-10: 1000 kWh on working days, 200 kWh on the holiday
+const DAILY = Array.from({ length: 10 }, (_, i) => {
+  const date = `2025-01-${pad(i + 1)}`;
+  const energyKwh = date === '2025-01-01' ? 200 : 1000;
+  return { date, energyKwh, hoursCount: 24, complete: true };
+});
+
+const TESTS = [
+  {
+    name: 'Day classification',
+    run: () => {
+      const site = createDayClassifier(CALENDAR, 'KSR-1');
+      const line2 = createDayClassifier(CALENDAR, 'KSR-2');
+      return [
+        ['named holiday', site('2025-01-01').name, "New Year's Day"],
+        ['unnamed holiday', site('2025-01-29').type, 'holiday'],
+        ['shutdown', site('2025-01-28').type, 'shutdown'],
+        ['regular Sunday (no shift pattern)', site('2025-01-05').working, true],
+        ['Sunday off for KSR-2', line2('2025-01-05').type, 'off'],
+        ['no calendar', createDayClassifier(null, 'KSR-1')('2025-01-01').working, true]
+      ];
+    }
+  },
+  {
+    name: 'Working and non-working rates',
+    run: () => {
+      const classify = createDayClassifier(CALENDAR, 'KSR-1');
+      const rates = splitDailyRates(DAILY.map(d => ({ date: d.date, kwh: d.energyKwh })), classify);
+      return [
+        ['working avg excludes holiday', rates.workingAvg, 1000],
+        ['non-working avg', rates.nonWorkingAvg, 200],
+        ['source', rates.nonWorkingSource, 'observed']
+      ];
+    }
+  },
+  {
+    name: 'Base-load fallback',
+    run: () => {
+      const classify = createDayClassifier(CALENDAR, 'KSR-1');
+      const days = [{ date: '2025-01-02', kwh: 900 }, { date: '2025-01-03', kwh: 1100 }];
+      const rates = splitDailyRates(days, classify);
+      const history = splitDailyRates(days, classify, [{ date: '2025-01-01', kwh: 150 }]);
+      return [
+        ['base load = lowest day', rates.nonWorkingAvg, 900],
+        ['base_load source', rates.nonWorkingSource, 'base_load'],
+        ['history preferred', history.nonWorkingAvg, 150],
+        ['remaining non-working days', partitionDates(['2025-01-27', '2025-01-28', '2025-01-30'], classify).nonWorking.length, 2]
+      ];
+    }
+  },
+  {
+    name: 'Month projection with remaining shutdown',
+    run: async () => {
+      const withCalendar = await predictMonthHybrid(DAILY, 2025, 1, 10, 'KSR-1', { calendar: CALENDAR });
+      const without = await predictMonthHybrid(DAILY, 2025, 1, 10, 'KSR-1', { calendar: null });
+      return [
+        // 9200 so far + 18 working days x 1000 + 3 non-working days x 200
+        ['calendar-aware projection', withCalendar.predictedMonthKwh, 27800],
+        ['working-day rate', withCalendar.averageDailyRate, 1000],
+        ['remaining non-working days', withCalendar.calendar.remaining.nonWorkingDays, 3],
+        ['plain run-rate (920/day)', without.predictedMonthKwh, 28520],
+        ['no calendar block', without.calendar, null]
+      ];
+    }
+  }
+];
+
+async function runTests() {
+  console.log('========================================');
+  console.log('WORKING CALENDAR TEST SUITE');
+  console.log('========================================\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of TESTS) {
+    console.log(`\n📝 Test: ${test.name}`);
+    let testPassed = true;
+
+    try {
+      for (const [label, actual, expected] of await test.run()) {
+        const ok = typeof expected === 'number'
+          ? Math.abs(actual - expected) < 0.01
+          : actual === expected;
+        console.log(`   ${ok ? '✅' : '❌'} ${label}: ${ok ? `"${actual}"` : `Expected "${expected}", got "${actual}"`}`);
+        if (!ok) testPassed = false;
+      }
+    } catch (error) {
+      console.log(`   ❌ FAILED: ${error.message}`);
+      testPassed = false;
+    }
+
+    if (testPassed) {
+      passed++;
+    } else {
+      failed++;
+    }
+  }
+
+  console.log('\n\n========================================');
+  console.log('TEST SUMMARY');
+  console.log('========================================');
+  console.log(`Total Tests: ${TESTS.length}`);
+  console.log(`Passed: ${passed} ✅`);
+  console.log(`Failed: ${failed} ❌`);
+  console.log('========================================\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests();
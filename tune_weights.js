@@ -0,0 +1,104 @@
+/**
+ * ENSEMBLE WEIGHT TUNING
+ *
+ * Replays next-month forecasts over history (see backtest.js), fits
+ * per-meter ensemble weights and saves them for the forecast engine.
+ *
+ * Usage:
+ *   node tune_weights.js [--from=2024-01] [--to=2025-01] [--meter=KSR-1] [--lookback=3]
+ *                         [--out=ensemble_weights.json]
+ */
+
+const { listCompletedMonths, backtestNextMonthForecast } = require('./backtest');
+const { ENSEMBLE_METHODS, loadEnsembleWeights, saveEnsembleWeights, tuneMeterWeights } = require('./ensemble_weights');
+
+/**
+ * Forecast samples per meter: [{ month, methods, actual }] for every month
+ * whose following month is complete.
+ */
+async function collectSamples(options = {}) {
+  const months = await listCompletedMonths(options.from, options.to);
+  const monthKeys = new Set(months.map(m => m.key));
+  const samples = {};
+
+  for (const { year, month } of months) {
+    const next = month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+    if (!monthKeys.has(`${next.year}-${String(next.month).padStart(2, '0')}`)) continue;
+
+    const rows = await backtestNextMonthForecast(year, month, options);
+    rows.filter(row => ENSEMBLE_METHODS.includes(row.method)).forEach(row => {
+      const key = `${row.year}-${String(row.month).padStart(2, '0')}`;
+      if (!samples[row.meterId]) samples[row.meterId] = {};
+      if (!samples[row.meterId][key]) {
+        samples[row.meterId][key] = { month: key, methods: {}, actual: row.actual };
+      }
+      samples[row.meterId][key].methods[row.method] = row.predicted;
+    });
+  }
+
+  const byMeter = {};
+  Object.keys(samples).forEach(meterId => {
+    byMeter[meterId] = Object.values(samples[meterId]).sort((a, b) => a.month.localeCompare(b.month));
+  });
+  return byMeter;
+}
+
+/**
+ * Tune every meter and merge into the persisted weights file.
+ */
+async function tuneEnsembleWeights(options = {}) {
+  const samples = await collectSamples(options);
+  const existing = loadEnsembleWeights(options.out) || { meters: {} };
+  const config = {
+    generatedAt: new Date().toISOString(),
+    meters: { ...existing.meters }
+  };
+
+  Object.entries(samples).forEach(([meterId, meterSamples]) => {
+    config.meters[meterId] = {
+      ...tuneMeterWeights(meterSamples),
+      months: meterSamples.map(s => s.month)
+    };
+  });
+
+  const savedTo = saveEnsembleWeights(config, options.out);
+  return { config, savedTo, metersTuned: Object.keys(samples) };
+}
+
+module.exports = {
+  collectSamples,
+  tuneEnsembleWeights
+};
+
+// CLI execution
+if (require.main === module) {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) args[match[1]] = match[2];
+  });
+
+  console.log('========================================');
+  console.log('ENSEMBLE WEIGHT TUNING');
+  console.log('========================================\n');
+
+  tuneEnsembleWeights(args).then(({ config, savedTo, metersTuned }) => {
+    if (metersTuned.length === 0) {
+      console.log('No month pairs with complete actuals found - nothing tuned.');
+    }
+
+    metersTuned.forEach(meterId => {
+      const entry = config.meters[meterId];
+      const w = entry.weights;
+      console.log(`${meterId}: ${entry.source.toUpperCase()} simple=${w.simple_average} recent=${w.recent_trend} dow=${w.day_of_week}`);
+      console.log(`   validation MAPE ${entry.validation.mape}% vs default ${entry.validation.defaultMape}% (${entry.validation.samples} months)`);
+      if (entry.reason) console.log(`   ${entry.reason}`);
+    });
+
+    console.log(`\nSaved to: ${savedTo}`);
+    process.exit(0);
+  }).catch(error => {
+    console.error('\n❌ ERROR:', error.message);
+    process.exit(1);
+  });
+}
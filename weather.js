@@ -0,0 +1,357 @@
+/**
+ * WEATHER-NORMALIZED FORECASTING
+ *
+ * Fits a heating/cooling degree-day regression per meter:
+ *
+ *   daily kWh = baseLoad + heatingSlope * HDD + coolingSlope * CDD
+ *   HDD = max(0, heatingBase - T),  CDD = max(0, T - coolingBase)
+ *
+ * and uses it to forecast next month under normal weather (average of the
+ * same calendar day in earlier years of the temperature file) or a
+ * user-supplied scenario (offset from normal or a fixed mean temperature).
+ *
+ * Daily mean temperatures (°C) are read from WEATHER_DATA (default weather.csv):
+ *   CSV:  date,temperature            (also accepts temp / temp_c / mean_temp)
+ *   JSON: [{ "date": "2025-01-01", "temperature": 21.4 }] or { "2025-01-01": 21.4 }
+ * Base temperatures: WEATHER_HEATING_BASE / WEATHER_COOLING_BASE (default 18).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WEATHER_PATH = path.join(__dirname, 'weather.csv');
+const TEMPERATURE_FIELDS = ['temperature', 'temp', 'temp_c', 'mean_temp', 'avg_temp'];
+const MIN_FIT_DAYS = 7;
+
+let weatherCache = {
+  filePath: null,
+  mtimeMs: null,
+  series: null
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+function round4(value) {
+  return parseFloat((value || 0).toFixed(4));
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function getDaysInMonth(year, month) {
+  return new Date(year, month, 0).getDate();
+}
+
+// ============================================
+// TEMPERATURE DATA
+// ============================================
+
+function parseCsvSeries(content) {
+  const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const dateIdx = headers.indexOf('date');
+  const tempIdx = headers.findIndex(h => TEMPERATURE_FIELDS.includes(h));
+
+  if (dateIdx === -1 || tempIdx === -1) {
+    throw new Error(`Weather CSV needs a "date" column and one of: ${TEMPERATURE_FIELDS.join(', ')}`);
+  }
+
+  const series = {};
+  lines.slice(1).forEach(line => {
+    const cols = line.split(',');
+    const temp = parseFloat(cols[tempIdx]);
+    if (cols[dateIdx] && Number.isFinite(temp)) {
+      series[cols[dateIdx].trim().slice(0, 10)] = temp;
+    }
+  });
+  return series;
+}
+
+function parseJsonSeries(content) {
+  const data = JSON.parse(content);
+  const series = {};
+
+  if (Array.isArray(data)) {
+    data.forEach(entry => {
+      const field = TEMPERATURE_FIELDS.find(f => entry[f] !== undefined);
+      const temp = parseFloat(entry[field]);
+      if (entry.date && Number.isFinite(temp)) series[String(entry.date).slice(0, 10)] = temp;
+    });
+  } else {
+    Object.entries(data).forEach(([date, temp]) => {
+      if (Number.isFinite(parseFloat(temp))) series[date.slice(0, 10)] = parseFloat(temp);
+    });
+  }
+  return series;
+}
+
+/**
+ * Daily mean temperatures keyed by YYYY-MM-DD (re-read when the file changes).
+ * Returns null when no weather file exists.
+ */
+function loadTemperatureSeries(filePath = process.env.WEATHER_DATA || DEFAULT_WEATHER_PATH) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(resolved);
+  if (weatherCache.filePath === resolved && weatherCache.mtimeMs === mtimeMs) {
+    return weatherCache.series;
+  }
+
+  const content = fs.readFileSync(resolved, 'utf-8');
+  const series = resolved.endsWith('.json') ? parseJsonSeries(content) : parseCsvSeries(content);
+  weatherCache = { filePath: resolved, mtimeMs, series };
+  return series;
+}
+
+function degreeDayBases() {
+  return {
+    heatingBase: parseFloat(process.env.WEATHER_HEATING_BASE || '18'),
+    coolingBase: parseFloat(process.env.WEATHER_COOLING_BASE || '18')
+  };
+}
+
+function degreeDays(temp, bases) {
+  return {
+    hdd: Math.max(0, bases.heatingBase - temp),
+    cdd: Math.max(0, temp - bases.coolingBase)
+  };
+}
+
+// ============================================
+// REGRESSION
+// ============================================
+
+/**
+ * Solve a small linear system with Gaussian elimination (partial pivoting).
+ * Returns null when the system is singular.
+ */
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-9) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  return a.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Ordinary least squares for y = b0 + sum(bk * xk) over the given features.
+ */
+function leastSquares(rows, features) {
+  const size = features.length + 1;
+  const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+  const xty = new Array(size).fill(0);
+
+  rows.forEach(row => {
+    const x = [1, ...features.map(f => row[f])];
+    for (let i = 0; i < size; i++) {
+      xty[i] += x[i] * row.kwh;
+      for (let j = 0; j < size; j++) xtx[i][j] += x[i] * x[j];
+    }
+  });
+
+  return solveLinearSystem(xtx, xty);
+}
+
+/**
+ * Fit the degree-day model for ONE meter.
+ * Terms without variation, or with a negative slope, are dropped.
+ *
+ * @param {Array} daily - [{ date, kwh }]
+ * @param {Object} series - Temperatures keyed by date
+ * @returns {Object|null} { baseLoad, heatingSlope, coolingSlope, r2, days, bases }
+ */
+function fitDegreeDayModel(daily, series, bases = degreeDayBases()) {
+  const rows = daily
+    .filter(d => series && series[d.date] !== undefined)
+    .map(d => ({ date: d.date, kwh: d.kwh, temp: series[d.date], ...degreeDays(series[d.date], bases) }));
+
+  if (rows.length < MIN_FIT_DAYS) return null;
+
+  let features = ['hdd', 'cdd'].filter(f => rows.some(r => r[f] !== rows[0][f]));
+  let coefficients = leastSquares(rows, features);
+
+  // Drop physically implausible (negative) slopes and refit
+  while (coefficients && features.some((f, i) => coefficients[i + 1] < 0)) {
+    features = features.filter((f, i) => coefficients[i + 1] >= 0);
+    coefficients = leastSquares(rows, features);
+  }
+  if (!coefficients) return null;
+
+  const slope = (name) => {
+    const idx = features.indexOf(name);
+    return idx === -1 ? 0 : coefficients[idx + 1];
+  };
+  const model = {
+    baseLoad: coefficients[0],
+    heatingSlope: slope('hdd'),
+    coolingSlope: slope('cdd'),
+    bases
+  };
+
+  const mean = rows.reduce((sum, r) => sum + r.kwh, 0) / rows.length;
+  const ssTot = rows.reduce((sum, r) => sum + (r.kwh - mean) ** 2, 0);
+  const ssRes = rows.reduce((sum, r) => sum + (r.kwh - predictDay(model, r.temp)) ** 2, 0);
+
+  return {
+    baseLoad: round4(model.baseLoad),
+    heatingSlope: round4(model.heatingSlope),
+    coolingSlope: round4(model.coolingSlope),
+    r2: ssTot > 0 ? round4(1 - ssRes / ssTot) : null,
+    days: rows.length,
+    meanTemperature: round2(rows.reduce((sum, r) => sum + r.temp, 0) / rows.length),
+    bases
+  };
+}
+
+function predictDay(model, temp) {
+  const { hdd, cdd } = degreeDays(temp, model.bases);
+  return model.baseLoad + model.heatingSlope * hdd + model.coolingSlope * cdd;
+}
+
+// ============================================
+// NORMALS & SCENARIOS
+// ============================================
+
+/**
+ * Normal temperature for a date: mean of the same month/day in other years,
+ * falling back to the mean of the same month.
+ */
+function normalTemperature(series, date) {
+  const monthDay = date.slice(5);
+  const month = date.slice(5, 7);
+  const sameDay = [];
+  const sameMonth = [];
+
+  Object.entries(series).forEach(([d, temp]) => {
+    if (d === date) return;
+    if (d.slice(5) === monthDay) sameDay.push(temp);
+    if (d.slice(5, 7) === month) sameMonth.push(temp);
+  });
+
+  const values = sameDay.length ? sameDay : sameMonth;
+  return values.length ? values.reduce((sum, t) => sum + t, 0) / values.length : null;
+}
+
+/**
+ * Daily temperatures for a month under a scenario:
+ *   { type: 'normal' } | { offsetC: 2 } | { meanTempC: 30 }
+ * Returns null when normals can't be computed.
+ */
+function scenarioTemperatures(series, year, month, scenario = {}) {
+  const days = getDaysInMonth(year, month);
+  const temps = {};
+
+  for (let day = 1; day <= days; day++) {
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    if (Number.isFinite(scenario.meanTempC)) {
+      temps[date] = scenario.meanTempC;
+      continue;
+    }
+
+    const normal = normalTemperature(series || {}, date);
+    if (normal === null) return null;
+    temps[date] = normal + (Number.isFinite(scenario.offsetC) ? scenario.offsetC : 0);
+  }
+
+  return temps;
+}
+
+/**
+ * Build a scenario from request values (offset in °C from normal, or a fixed
+ * daily mean temperature). Throws on non-numeric input.
+ */
+function parseWeatherScenario({ offset, mean } = {}) {
+  const scenario = {};
+  const parse = (value, name) => {
+    const parsed = parseFloat(value);
+    if (!Number.isFinite(parsed)) {
+      throw new Error(`Invalid ${name} "${value}" (expected a temperature in °C)`);
+    }
+    return parsed;
+  };
+
+  if (offset !== undefined && offset !== null && offset !== '') scenario.offsetC = parse(offset, 'weather_offset');
+  if (mean !== undefined && mean !== null && mean !== '') scenario.meanTempC = parse(mean, 'weather_mean');
+  return scenario;
+}
+
+function describeScenario(scenario = {}) {
+  if (Number.isFinite(scenario.meanTempC)) return { type: 'fixed_mean', meanTempC: scenario.meanTempC };
+  if (Number.isFinite(scenario.offsetC) && scenario.offsetC !== 0) return { type: 'normal_offset', offsetC: scenario.offsetC };
+  return { type: 'normal' };
+}
+
+/**
+ * Degree-day forecast for ONE meter: fit on the source days, project the
+ * target month under the scenario and weather-normalize the source period.
+ *
+ * @returns {Object} { available, forecast_kwh, model, scenario, ... } or { available: false, reason }
+ */
+function degreeDayForecast(daily, series, targetYear, targetMonth, scenario = {}) {
+  if (!series) {
+    return { available: false, reason: 'No temperature data (set WEATHER_DATA)' };
+  }
+
+  const model = fitDegreeDayModel(daily, series);
+  if (!model) {
+    return { available: false, reason: `Need at least ${MIN_FIT_DAYS} days with both consumption and temperature` };
+  }
+
+  const targetTemps = scenarioTemperatures(series, targetYear, targetMonth, scenario);
+  if (!targetTemps) {
+    return { available: false, reason: `No temperature history for ${targetYear}-${pad(targetMonth)} normals`, model };
+  }
+
+  const forecast = Object.values(targetTemps).reduce((sum, temp) => sum + predictDay(model, temp), 0);
+
+  // Source period as if the weather had been normal
+  const matched = daily.filter(d => series[d.date] !== undefined);
+  const normalizedSource = matched.reduce((sum, d) => {
+    const normal = normalTemperature(series, d.date);
+    const adjustment = normal === null ? 0 : predictDay(model, normal) - predictDay(model, series[d.date]);
+    return sum + d.kwh + adjustment;
+  }, 0);
+
+  const temps = Object.values(targetTemps);
+  return {
+    available: true,
+    forecast_kwh: round2(forecast),
+    model,
+    scenario: {
+      ...describeScenario(scenario),
+      meanTemperature: round2(temps.reduce((sum, t) => sum + t, 0) / temps.length)
+    },
+    normalized_source_kwh: round2(normalizedSource),
+    actual_source_kwh: round2(matched.reduce((sum, d) => sum + d.kwh, 0))
+  };
+}
+
+module.exports = {
+  loadTemperatureSeries,
+  fitDegreeDayModel,
+  normalTemperature,
+  scenarioTemperatures,
+  parseWeatherScenario,
+  degreeDayForecast
+};
@@ -0,0 +1,192 @@
+/**
+ * WORKING CALENDAR
+ *
+ * Holidays, plant shutdowns and weekly shift patterns that make some days
+ * non-working. Non-working days are kept out of the working-day rates and
+ * day-of-week patterns and projected at their own (observed) rate instead.
+ *
+ * Calendar is read from CALENDAR_CONFIG (default: calendar.json next to this file).
+ * See calendar.example.json for the format. Meter entries add holidays /
+ * shutdowns and can replace the shift pattern. Without a calendar every day
+ * is a working day and projections are unchanged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CALENDAR_PATH = path.join(__dirname, 'calendar.json');
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+let calendarCache = {
+  filePath: null,
+  mtimeMs: null,
+  config: null
+};
+
+function round2(value) {
+  return parseFloat((value || 0).toFixed(2));
+}
+
+/**
+ * Mean of daily totals, weighted by day.weight (default 1).
+ */
+function weightedAverage(days) {
+  const weightOf = d => (d.weight !== undefined ? d.weight : 1);
+  const totalWeight = days.reduce((sum, d) => sum + weightOf(d), 0);
+  return totalWeight > 0 ? days.reduce((sum, d) => sum + d.kwh * weightOf(d), 0) / totalWeight : null;
+}
+
+// ============================================
+// CONFIG
+// ============================================
+
+/**
+ * Load the working calendar from disk (re-read when the file changes).
+ * Returns null when no calendar file exists.
+ */
+function loadCalendarConfig(filePath = process.env.CALENDAR_CONFIG || DEFAULT_CALENDAR_PATH) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    return null;
+  }
+
+  const { mtimeMs } = fs.statSync(resolved);
+  if (calendarCache.filePath === resolved && calendarCache.mtimeMs === mtimeMs) {
+    return calendarCache.config;
+  }
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  calendarCache = { filePath: resolved, mtimeMs, config };
+  return config;
+}
+
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).getDay();
+}
+
+/**
+ * Day classifier for a meter: date => { date, type, working, name, shifts }
+ * with type 'working' | 'holiday' | 'shutdown' | 'off' (no shifts that weekday).
+ */
+function createDayClassifier(config, meterId) {
+  const meterConfig = (config && config.meters && config.meters[meterId]) || {};
+  const holidays = {};
+  const shutdowns = [];
+
+  [...((config && config.holidays) || []), ...(meterConfig.holidays || [])].forEach(entry => {
+    const holiday = typeof entry === 'string' ? { date: entry } : entry;
+    holidays[holiday.date] = holiday.name || 'Holiday';
+  });
+  [...((config && config.shutdowns) || []), ...(meterConfig.shutdowns || [])].forEach(entry => {
+    shutdowns.push({ from: entry.from, to: entry.to || entry.from, name: entry.name || 'Shutdown' });
+  });
+
+  const shifts = meterConfig.shifts || (config && config.shifts) || null;
+
+  return (date) => {
+    const shutdown = shutdowns.find(s => date >= s.from && date <= s.to);
+    const dayShifts = shifts && shifts[WEEKDAYS[weekdayOf(date)]] !== undefined
+      ? shifts[WEEKDAYS[weekdayOf(date)]]
+      : null;
+
+    let type = 'working';
+    let name = null;
+    if (shutdown) {
+      type = 'shutdown';
+      name = shutdown.name;
+    } else if (holidays[date]) {
+      type = 'holiday';
+      name = holidays[date];
+    } else if (dayShifts === 0) {
+      type = 'off';
+    }
+
+    return { date, type, working: type === 'working', name, shifts: dayShifts };
+  };
+}
+
+// ============================================
+// RATES
+// ============================================
+
+/**
+ * Split observed daily totals into working and non-working rates.
+ *
+ * Non-working days without any observation fall back to the lowest observed
+ * day (a base-load estimate), unless fallbackDays provide observed ones.
+ *
+ * @param {Array} days - [{ date, kwh, weight? }] (weight: e.g. month recency)
+ * @param {Function} classify - From createDayClassifier
+ * @param {Array} [fallbackDays] - Extra history for the non-working rate (e.g. previous month)
+ * @returns {Object} { workingAvg, nonWorkingAvg, nonWorkingSource, workingDays, nonWorkingDays }
+ */
+function splitDailyRates(days, classify, fallbackDays = []) {
+  const working = days.filter(d => classify(d.date).working);
+  const nonWorking = days.filter(d => !classify(d.date).working);
+  const fallbackNonWorking = fallbackDays.filter(d => !classify(d.date).working);
+
+  let nonWorkingAvg = weightedAverage(nonWorking);
+  let nonWorkingSource = nonWorking.length ? 'observed' : null;
+  if (nonWorkingAvg === null && fallbackNonWorking.length) {
+    nonWorkingAvg = weightedAverage(fallbackNonWorking);
+    nonWorkingSource = 'history';
+  }
+  if (nonWorkingAvg === null && days.length) {
+    nonWorkingAvg = Math.min(...days.map(d => d.kwh));
+    nonWorkingSource = 'base_load';
+  }
+
+  return {
+    workingAvg: working.length ? weightedAverage(working) : weightedAverage(days),
+    nonWorkingAvg,
+    nonWorkingSource,
+    workingDays: working.length,
+    nonWorkingDays: nonWorking.length
+  };
+}
+
+/**
+ * Classify a list of dates into working and non-working days.
+ */
+function partitionDates(dates, classify) {
+  const working = [];
+  const nonWorking = [];
+  dates.forEach(date => {
+    const day = classify(date);
+    if (day.working) {
+      working.push(date);
+    } else {
+      nonWorking.push(day);
+    }
+  });
+  return { working, nonWorking };
+}
+
+/**
+ * Calendar block for API responses: rates used and the non-working days
+ * of the projected period.
+ */
+function describeCalendar(rates, partition) {
+  return {
+    workingDays: partition.working.length,
+    nonWorkingDays: partition.nonWorking.length,
+    workingAvgDaily: round2(rates.workingAvg),
+    nonWorkingAvgDaily: round2(rates.nonWorkingAvg),
+    nonWorkingSource: rates.nonWorkingSource,
+    nonWorking: partition.nonWorking.map(day => ({
+      date: day.date,
+      type: day.type,
+      ...(day.name ? { name: day.name } : {})
+    }))
+  };
+}
+
+module.exports = {
+  loadCalendarConfig,
+  createDayClassifier,
+  splitDailyRates,
+  partitionDates,
+  describeCalendar
+};